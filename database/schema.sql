@@ -281,7 +281,15 @@ CREATE TABLE IF NOT EXISTS events (
     category VARCHAR(50),
     description TEXT,
     parameters JSONB DEFAULT '{}',
-    status VARCHAR(20) DEFAULT 'active',
+    status VARCHAR(20) DEFAULT 'active', -- active, acknowledged, returned (normal, unacknowledged), resolved, deleted
+    metric VARCHAR(50), -- set for limit alarms, one open alarm per element+metric
+    suppressed_by VARCHAR(20), -- shelved, maintenance: recorded but not annunciated
+    alarm_level VARCHAR(20),
+    peak_value DECIMAL(14, 4),
+    last_value DECIMAL(14, 4),
+    occurrence_count INTEGER DEFAULT 1,
+    raised_at TIMESTAMP WITH TIME ZONE,
+    cleared_at TIMESTAMP WITH TIME ZONE,
     acknowledged_at TIMESTAMP WITH TIME ZONE,
     acknowledged_by UUID REFERENCES users(id),
     resolved_at TIMESTAMP WITH TIME ZONE,
@@ -294,6 +302,355 @@ CREATE INDEX idx_event_type ON events(event_type);
 CREATE INDEX idx_event_severity ON events(severity);
 CREATE INDEX idx_event_status ON events(status);
 CREATE INDEX idx_event_created ON events(created_at);
+CREATE UNIQUE INDEX idx_event_open_condition ON events(element_id, metric)
+    WHERE metric IS NOT NULL AND status IN ('active', 'acknowledged', 'returned');
+-- Alarms by the time they were raised, for root-cause grouping and flood detection
+CREATE INDEX idx_event_alarm_raised ON events((COALESCE(raised_at, created_at))) WHERE event_type = 'alarm';
+
+-- Alarm limits (type defaults and per-element overrides)
+CREATE TABLE IF NOT EXISTS alarm_limits (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    scope VARCHAR(20) NOT NULL DEFAULT 'type',
+    element_type element_type,
+    element_id UUID REFERENCES grid_elements(id) ON DELETE CASCADE,
+    metric VARCHAR(50) NOT NULL,
+    low_trip DECIMAL(14, 4),
+    low_alarm DECIMAL(14, 4),
+    low_warning DECIMAL(14, 4),
+    high_warning DECIMAL(14, 4),
+    high_alarm DECIMAL(14, 4),
+    high_trip DECIMAL(14, 4),
+    deadband DECIMAL(14, 4) DEFAULT 0 CHECK (deadband >= 0),
+    on_delay_seconds INTEGER DEFAULT 0 CHECK (on_delay_seconds >= 0),
+    unit VARCHAR(20),
+    description TEXT,
+    enabled BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (scope IN ('type', 'element')),
+    CHECK (
+        (scope = 'type' AND element_type IS NOT NULL AND element_id IS NULL) OR
+        (scope = 'element' AND element_id IS NOT NULL)
+    )
+);
+
+CREATE UNIQUE INDEX idx_alarm_limits_type_metric ON alarm_limits(element_type, metric) WHERE scope = 'type';
+CREATE UNIQUE INDEX idx_alarm_limits_element_metric ON alarm_limits(element_id, metric) WHERE scope = 'element';
+CREATE INDEX idx_alarm_limits_element ON alarm_limits(element_id);
+
+-- Shelved alarm conditions: an element+metric silenced by an operator for a fixed time. Alarms
+-- raised meanwhile are recorded with suppressed_by = 'shelved'. ended_at is set when the shelf
+-- expires or is removed.
+CREATE TABLE IF NOT EXISTS alarm_shelves (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    element_id UUID NOT NULL REFERENCES grid_elements(id) ON DELETE CASCADE,
+    metric VARCHAR(50) NOT NULL,
+    reason TEXT NOT NULL,
+    shelved_by UUID REFERENCES users(id),
+    shelved_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    ended_by UUID REFERENCES users(id),
+    end_reason VARCHAR(20) CHECK (end_reason IN ('expired', 'unshelved'))
+);
+
+CREATE UNIQUE INDEX idx_alarm_shelves_current ON alarm_shelves(element_id, metric) WHERE ended_at IS NULL;
+CREATE INDEX idx_alarm_shelves_expiry ON alarm_shelves(expires_at) WHERE ended_at IS NULL;
+
+-- Maintenance windows: while one is open, alarms of the element are raised in the 'maintenance'
+-- category and either suppressed (suppressed_by = 'maintenance') or downgraded to low severity.
+-- Scheduled windows run from starts_at to ends_at; status windows are opened when the element is
+-- set to maintenance status and ended when it leaves it. opened_at and ended_at record when the
+-- window actually took effect and closed.
+CREATE TABLE IF NOT EXISTS maintenance_windows (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    element_id UUID NOT NULL REFERENCES grid_elements(id) ON DELETE CASCADE,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('scheduled', 'status')),
+    alarm_action VARCHAR(20) NOT NULL DEFAULT 'suppress' CHECK (alarm_action IN ('suppress', 'downgrade')),
+    reason TEXT,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    opened_at TIMESTAMP WITH TIME ZONE,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id),
+    ended_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at IS NULL OR ends_at > starts_at),
+    CHECK (source = 'status' OR ends_at IS NOT NULL)
+);
+
+CREATE INDEX idx_maintenance_windows_element ON maintenance_windows(element_id, starts_at) WHERE ended_at IS NULL;
+CREATE UNIQUE INDEX idx_maintenance_windows_status ON maintenance_windows(element_id) WHERE source = 'status' AND ended_at IS NULL;
+
+-- Alarm incidents: alarms raised close together in time on elements connected through
+-- network_connections, grouped under the alarm of the most upstream element (the probable root
+-- cause). The other members are its consequential alarms. An incident closes once none of its
+-- alarms is open.
+CREATE TABLE IF NOT EXISTS alarm_incidents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    root_event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+    root_element_id UUID REFERENCES grid_elements(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    opened_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    closed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_alarm_incidents_status ON alarm_incidents(status, opened_at);
+
+-- Alarms of an incident, the root alarm included; an alarm belongs to one incident at most
+CREATE TABLE IF NOT EXISTS alarm_incident_members (
+    event_id UUID PRIMARY KEY REFERENCES events(id) ON DELETE CASCADE,
+    incident_id UUID NOT NULL REFERENCES alarm_incidents(id) ON DELETE CASCADE,
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_alarm_incident_members_incident ON alarm_incident_members(incident_id);
+
+-- Alarm escalation policies. The enabled policy with the lowest priority number that matches an
+-- alarm's severity, element group and time of day when raised escalates it through its tiers,
+-- [{ delay_minutes, user_ids }]: each tier's users are notified delay_minutes after the previous
+-- tier (after the alarm, for the first) unless the alarm was acknowledged meanwhile.
+CREATE TABLE IF NOT EXISTS escalation_policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    severities VARCHAR(20)[] NOT NULL DEFAULT '{}', -- empty: any severity
+    group_id UUID REFERENCES element_groups(id) ON DELETE CASCADE, -- NULL: any element
+    days_of_week SMALLINT[] NOT NULL DEFAULT '{}', -- ISO 1 (Monday) to 7, empty: every day
+    active_from TIME, -- NULL with active_to: all day; after active_to: spans midnight
+    active_to TIME,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    tiers JSONB NOT NULL,
+    priority INTEGER NOT NULL DEFAULT 100,
+    enabled BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((active_from IS NULL) = (active_to IS NULL))
+);
+
+-- Escalation of one alarm: how many tiers were notified and when the next is due. Alarms no
+-- policy matched are recorded as ended with end_reason 'no_policy', and escalations of alarms
+-- that became consequential alarms of an incident end with 'grouped'.
+CREATE TABLE IF NOT EXISTS alarm_escalations (
+    event_id UUID PRIMARY KEY REFERENCES events(id) ON DELETE CASCADE,
+    policy_id UUID REFERENCES escalation_policies(id) ON DELETE SET NULL,
+    tier INTEGER NOT NULL DEFAULT 0,
+    next_tier_at TIMESTAMP WITH TIME ZONE,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    end_reason VARCHAR(20) CHECK (end_reason IN ('acknowledged', 'closed', 'exhausted', 'no_policy', 'grouped')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_alarm_escalations_due ON alarm_escalations(next_tier_at) WHERE ended_at IS NULL;
+
+-- Notifications to users, one per user and channel, with their delivery attempts. event_id is
+-- NULL for test notifications.
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE,
+    policy_id UUID REFERENCES escalation_policies(id) ON DELETE SET NULL,
+    tier INTEGER,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('email', 'webhook', 'sms')),
+    target VARCHAR(500) NOT NULL,
+    message JSONB NOT NULL, -- { subject, text, alarm }
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_notification_deliveries_due ON notification_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX idx_notification_deliveries_event ON notification_deliveries(event_id);
+CREATE INDEX idx_notification_deliveries_user ON notification_deliveries(user_id, created_at);
+
+-- Outbound webhook subscriptions: platform events of the subscribed types are POSTed to url,
+-- signed with an HMAC-SHA256 of the body under secret
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    url VARCHAR(2000) NOT NULL,
+    event_types VARCHAR(50)[] NOT NULL,
+    secret VARCHAR(255) NOT NULL,
+    enabled BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One platform event for one subscription. Failed deliveries are retried with backoff and end up
+-- 'dead' (the dead-letter list) after the last attempt; any delivery can be sent again.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL, -- shared by the deliveries of one event, for receivers to deduplicate
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_status_code INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+CREATE INDEX idx_webhook_deliveries_dead ON webhook_deliveries(subscription_id) WHERE status = 'dead';
+
+-- Delivery log: every HTTP attempt of a delivery
+CREATE TABLE IF NOT EXISTS webhook_delivery_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    delivery_id UUID NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+    attempted_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    status_code INTEGER,
+    error TEXT,
+    duration_ms INTEGER,
+    response_body TEXT -- first KB
+);
+
+CREATE INDEX idx_webhook_delivery_attempts_delivery ON webhook_delivery_attempts(delivery_id, attempted_at);
+
+-- Modbus TCP devices polled by the API server
+CREATE TABLE IF NOT EXISTS modbus_devices (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    host VARCHAR(255) NOT NULL,
+    port INTEGER DEFAULT 502 CHECK (port BETWEEN 1 AND 65535),
+    unit_id INTEGER DEFAULT 1 CHECK (unit_id BETWEEN 0 AND 255),
+    poll_interval_ms INTEGER DEFAULT 5000 CHECK (poll_interval_ms >= 100),
+    timeout_ms INTEGER DEFAULT 2000 CHECK (timeout_ms >= 100),
+    -- [{ element_id, field, address, register_type, data_type, word_order, scale, offset }]
+    register_map JSONB NOT NULL DEFAULT '[]',
+    enabled BOOLEAN DEFAULT true,
+    comms_status VARCHAR(20) DEFAULT 'unknown', -- unknown, online, offline
+    consecutive_failures INTEGER DEFAULT 0,
+    last_poll_at TIMESTAMP WITH TIME ZONE,
+    last_success_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    comms_event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(host, port, unit_id)
+);
+
+-- MQTT topic mappings used by the subscriber bridge
+CREATE TABLE IF NOT EXISTS mqtt_mappings (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    topic_filter VARCHAR(500) NOT NULL, -- MQTT filter, + and # wildcards allowed
+    qos INTEGER DEFAULT 0 CHECK (qos BETWEEN 0 AND 2),
+    -- Element resolution: fixed id, topic segment or payload path, matched by id or name
+    element_id UUID REFERENCES grid_elements(id) ON DELETE CASCADE,
+    element_segment INTEGER,
+    element_path VARCHAR(255),
+    element_match VARCHAR(10) DEFAULT 'id' CHECK (element_match IN ('id', 'name')),
+    -- [{ field, path, scale, offset }] or a field named by a topic segment
+    fields JSONB NOT NULL DEFAULT '[]',
+    field_segment INTEGER,
+    value_path VARCHAR(255),
+    timestamp_path VARCHAR(255),
+    quality_path VARCHAR(255),
+    enabled BOOLEAN DEFAULT true,
+    message_count BIGINT DEFAULT 0,
+    error_count BIGINT DEFAULT 0,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK (
+        (element_id IS NOT NULL)::int + (element_segment IS NOT NULL)::int + (element_path IS NOT NULL)::int = 1
+    )
+);
+
+-- IEC 60870-5-104 connections to RTUs / gateways
+CREATE TABLE IF NOT EXISTS iec104_connections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    host VARCHAR(255) NOT NULL,
+    port INTEGER DEFAULT 2404 CHECK (port BETWEEN 1 AND 65535),
+    common_address INTEGER DEFAULT 1 CHECK (common_address BETWEEN 1 AND 65535),
+    originator_address INTEGER DEFAULT 0 CHECK (originator_address BETWEEN 0 AND 255),
+    time_zone VARCHAR(10) DEFAULT 'utc' CHECK (time_zone IN ('utc', 'local')),
+    interrogation_interval_s INTEGER DEFAULT 0 CHECK (interrogation_interval_s >= 0), -- 0: only after connecting
+    -- [{ ioa, element_id, point_type, field, scale, offset, status_map }]
+    point_map JSONB NOT NULL DEFAULT '[]',
+    enabled BOOLEAN DEFAULT true,
+    comms_status VARCHAR(20) DEFAULT 'unknown', -- unknown, online, offline
+    connected_at TIMESTAMP WITH TIME ZONE,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    last_interrogation_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    comms_event_id UUID REFERENCES events(id) ON DELETE SET NULL,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(host, port, common_address)
+);
+
+-- Calculated (virtual) points: formula over measured values, element attributes and group
+-- aggregates, stored as a measurement field of an element or of every member of a group
+CREATE TABLE IF NOT EXISTS calculated_points (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    element_id UUID REFERENCES grid_elements(id) ON DELETE CASCADE,
+    group_id UUID REFERENCES element_groups(id) ON DELETE CASCADE,
+    field VARCHAR(50) NOT NULL,
+    formula TEXT NOT NULL,
+    -- [{ name, source: measurement|attribute|group, element_id, group_id, field, attribute, aggregate }]
+    inputs JSONB NOT NULL DEFAULT '[]',
+    evaluate_on VARCHAR(20) DEFAULT 'ingest' CHECK (evaluate_on IN ('ingest', 'schedule')),
+    interval_s INTEGER DEFAULT 60 CHECK (interval_s >= 1),
+    unit VARCHAR(20),
+    enabled BOOLEAN DEFAULT true,
+    last_value DOUBLE PRECISION,
+    last_quality VARCHAR(20),
+    last_evaluated_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((element_id IS NULL) <> (group_id IS NULL))
+);
+
+CREATE UNIQUE INDEX idx_calculated_points_element_field ON calculated_points(element_id, field) WHERE element_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_calculated_points_group_field ON calculated_points(group_id, field) WHERE group_id IS NOT NULL;
+
+-- Sequence of events: millisecond-stamped digital state changes (switch positions, protection
+-- pickup and trip) kept in device time order for reconstructing disturbances
+CREATE TABLE IF NOT EXISTS soe_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    sequence BIGSERIAL, -- arrival order, breaks ties between events with the same source time
+    element_id UUID NOT NULL REFERENCES grid_elements(id) ON DELETE CASCADE,
+    event_type VARCHAR(30) NOT NULL CHECK (event_type IN (
+        'breaker_open', 'breaker_close', 'breaker_intermediate',
+        'relay_pickup', 'relay_dropout', 'relay_trip', 'relay_reset'
+    )),
+    protection_function VARCHAR(50) NOT NULL DEFAULT '', -- e.g. 51N, 21 Z1; empty for switch positions
+    phase VARCHAR(5),
+    source VARCHAR(20) NOT NULL DEFAULT 'api', -- api, iec104
+    source_time TIMESTAMP WITH TIME ZONE NOT NULL, -- device time stamp
+    receive_time TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    -- source: device clock; invalid: device flagged its clock invalid; received: no device time, receive time used
+    time_quality VARCHAR(20) NOT NULL DEFAULT 'source' CHECK (time_quality IN ('source', 'invalid', 'received')),
+    parameters JSONB DEFAULT '{}',
+    created_by UUID REFERENCES users(id)
+);
+
+-- A resent event is the same element, type, function and source time
+CREATE UNIQUE INDEX idx_soe_event_identity ON soe_events(element_id, event_type, protection_function, source_time);
+CREATE INDEX idx_soe_source_time ON soe_events(source_time, sequence);
+CREATE INDEX idx_soe_element_time ON soe_events(element_id, source_time);
 
 -- Trigger function for updating updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -314,6 +671,21 @@ CREATE TRIGGER update_network_connections_updated_at BEFORE UPDATE
 CREATE TRIGGER update_user_preferences_updated_at BEFORE UPDATE
     ON user_preferences FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_alarm_limits_updated_at BEFORE UPDATE
+    ON alarm_limits FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_modbus_devices_updated_at BEFORE UPDATE
+    ON modbus_devices FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_mqtt_mappings_updated_at BEFORE UPDATE
+    ON mqtt_mappings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_iec104_connections_updated_at BEFORE UPDATE
+    ON iec104_connections FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_calculated_points_updated_at BEFORE UPDATE
+    ON calculated_points FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Create materialized view for network topology
 CREATE MATERIALIZED VIEW IF NOT EXISTS network_topology AS
 SELECT 
@@ -395,6 +767,14 @@ INSERT INTO users (email, password_hash, name, role) VALUES
 ('admin@gridmonitor.com', '$2a$10$YourHashedPasswordHere', 'System Admin', 'admin')
 ON CONFLICT (email) DO NOTHING;
 
+-- Default alarm limits per element type
+INSERT INTO alarm_limits (scope, element_type, metric, low_trip, low_alarm, low_warning, high_warning, high_alarm, high_trip, deadband, on_delay_seconds, unit, description) VALUES
+('type', 'generator', 'frequency', 49.0, 49.5, 49.8, 50.2, 50.5, 51.0, 0.05, 5, 'Hz', 'Generator frequency band'),
+('type', 'bus', 'frequency', 49.0, 49.5, 49.8, 50.2, 50.5, 51.0, 0.05, 5, 'Hz', 'System frequency band'),
+('type', 'transformer', 'temperature', NULL, NULL, NULL, 75, 85, 95, 2, 60, '°C', 'Winding/oil temperature'),
+('type', 'load', 'power_factor', NULL, 0.8, 0.85, NULL, NULL, NULL, 0.02, 30, NULL, 'Minimum load power factor')
+ON CONFLICT DO NOTHING;
+
 -- Grant permissions (adjust based on your PostgreSQL setup)
 -- GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA public TO your_app_user;
 -- GRANT ALL PRIVILEGES ON ALL SEQUENCES IN SCHEMA public TO your_app_user;
@@ -0,0 +1,180 @@
+// scripts/iec104-simulator.js
+// Local IEC 60870-5-104 outstation for testing the adapter against a feeder bay point list.
+//
+// Usage: node scripts/iec104-simulator.js [--port 2404] [--ca 1] [--toggle 30]
+//
+// Information objects (common address from --ca):
+//   1001  M_ME_NC_1 / M_ME_TF_1  voltage (kV)
+//   1002  M_ME_NC_1 / M_ME_TF_1  current (A)
+//   1003  M_ME_NC_1 / M_ME_TF_1  active_power (MW)
+//   1004  M_ME_NC_1 / M_ME_TF_1  reactive_power (MVAr)
+//   1005  M_ME_NC_1 / M_ME_TF_1  frequency (Hz)
+//   2001  M_DP_NA_1 / M_DP_TB_1  breaker position (1 = open, 2 = closed)
+//
+// General interrogation returns all points with cause 20; measurands are sent
+// spontaneously with CP56Time2a every second and the breaker toggles every --toggle seconds.
+const net = require('net');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? parseInt(args[index + 1]) : fallback;
+};
+
+const PORT = option('port', 2404);
+const COMMON_ADDRESS = option('ca', 1);
+const TOGGLE_SECONDS = option('toggle', 30);
+
+const TYPE = { M_DP_NA_1: 3, M_ME_NC_1: 13, M_DP_TB_1: 31, M_ME_TF_1: 36, C_IC_NA_1: 100 };
+const COT = { SPONTANEOUS: 3, ACTIVATION: 6, ACTIVATION_CON: 7, ACTIVATION_TERM: 10, INTERROGATED: 20 };
+const U = { STARTDT_ACT: 0x07, STARTDT_CON: 0x0b, STOPDT_ACT: 0x13, STOPDT_CON: 0x23, TESTFR_ACT: 0x43, TESTFR_CON: 0x83 };
+
+const noise = (value, amount) => value + (Math.random() - 0.5) * 2 * amount;
+const measurands = { 1001: 11.0, 1002: 150, 1003: 8.5, 1004: 2.5, 1005: 50.0 };
+let breaker = 2;
+
+const update = () => {
+  measurands[1001] = noise(11.0, 0.15);
+  measurands[1002] = noise(150, 10);
+  measurands[1003] = noise(8.5, 0.5);
+  measurands[1004] = noise(2.5, 0.2);
+  measurands[1005] = noise(50.0, 0.05);
+};
+
+const cp56 = (date) => {
+  const buffer = Buffer.alloc(7);
+  buffer.writeUInt16LE(date.getUTCSeconds() * 1000 + date.getUTCMilliseconds(), 0);
+  buffer[2] = date.getUTCMinutes();
+  buffer[3] = date.getUTCHours();
+  buffer[4] = date.getUTCDate() | (((date.getUTCDay() || 7) & 0x07) << 5);
+  buffer[5] = date.getUTCMonth() + 1;
+  buffer[6] = date.getUTCFullYear() - 2000;
+  return buffer;
+};
+
+const ioa = (address) => Buffer.from([address & 0xff, (address >> 8) & 0xff, (address >> 16) & 0xff]);
+
+const asdu = (typeId, cause, objects) => {
+  const header = Buffer.alloc(6);
+  header[0] = typeId;
+  header[1] = objects.length;
+  header[2] = cause;
+  header.writeUInt16LE(COMMON_ADDRESS, 4);
+  return Buffer.concat([header, ...objects]);
+};
+
+const floatObject = (address, value, time) => {
+  const element = Buffer.alloc(5);
+  element.writeFloatLE(value, 0);
+  return Buffer.concat([ioa(address), element, ...(time ? [cp56(time)] : [])]);
+};
+
+const doublePointObject = (address, value, time) =>
+  Buffer.concat([ioa(address), Buffer.from([value]), ...(time ? [cp56(time)] : [])]);
+
+const server = net.createServer((socket) => {
+  let buffer = Buffer.alloc(0);
+  let started = false;
+  let sendSeq = 0;
+  let receiveSeq = 0;
+  console.log(`🔌 Client connected: ${socket.remoteAddress}:${socket.remotePort}`);
+
+  const sendU = (fn) => socket.write(Buffer.from([0x68, 0x04, fn, 0x00, 0x00, 0x00]));
+  const sendI = (payload) => {
+    if (!started || socket.destroyed) return;
+    socket.write(Buffer.concat([
+      Buffer.from([
+        0x68, payload.length + 4,
+        (sendSeq << 1) & 0xff, (sendSeq >> 7) & 0xff,
+        (receiveSeq << 1) & 0xff, (receiveSeq >> 7) & 0xff
+      ]),
+      payload
+    ]));
+    sendSeq = (sendSeq + 1) % 0x8000;
+  };
+
+  const interrogation = (command) => {
+    const reply = Buffer.from(command);
+    reply[2] = COT.ACTIVATION_CON;
+    sendI(reply);
+
+    sendI(asdu(TYPE.M_ME_NC_1, COT.INTERROGATED,
+      Object.entries(measurands).map(([address, value]) => floatObject(Number(address), value))));
+    sendI(asdu(TYPE.M_DP_NA_1, COT.INTERROGATED, [doublePointObject(2001, breaker)]));
+
+    const termination = Buffer.from(command);
+    termination[2] = COT.ACTIVATION_TERM;
+    sendI(termination);
+  };
+
+  const handleFrame = (frame) => {
+    const control = frame[2];
+
+    if ((control & 0x03) === 0x03) {
+      if (control === U.STARTDT_ACT) {
+        started = true;
+        sendU(U.STARTDT_CON);
+      } else if (control === U.STOPDT_ACT) {
+        started = false;
+        sendU(U.STOPDT_CON);
+      } else if (control === U.TESTFR_ACT) {
+        sendU(U.TESTFR_CON);
+      }
+      return;
+    }
+    if ((control & 0x01) === 0x01) return;
+
+    // I-frame: acknowledge it and answer station interrogations
+    receiveSeq = ((((frame[3] << 8) | frame[2]) >> 1) + 1) % 0x8000;
+    socket.write(Buffer.from([0x68, 0x04, 0x01, 0x00, (receiveSeq << 1) & 0xff, (receiveSeq >> 7) & 0xff]));
+
+    const command = frame.subarray(6);
+    if (command[0] === TYPE.C_IC_NA_1 && (command[2] & 0x3f) === COT.ACTIVATION) {
+      console.log('📋 General interrogation');
+      interrogation(command);
+    }
+  };
+
+  const spontaneous = setInterval(() => {
+    const now = new Date();
+    sendI(asdu(TYPE.M_ME_TF_1, COT.SPONTANEOUS,
+      Object.entries(measurands).map(([address, value]) => floatObject(Number(address), value, now))));
+  }, 1000);
+
+  const toggle = setInterval(() => {
+    breaker = breaker === 2 ? 1 : 2;
+    console.log(`🔀 Breaker ${breaker === 2 ? 'closed' : 'opened'}`);
+    sendI(asdu(TYPE.M_DP_TB_1, COT.SPONTANEOUS, [doublePointObject(2001, breaker, new Date())]));
+  }, TOGGLE_SECONDS * 1000);
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2 && buffer.length >= buffer[1] + 2) {
+      if (buffer[0] !== 0x68) {
+        socket.destroy();
+        return;
+      }
+      const length = buffer[1] + 2;
+      handleFrame(buffer.subarray(0, length));
+      buffer = buffer.subarray(length);
+    }
+  });
+
+  socket.on('error', (error) => console.error('❌ Socket error:', error.message));
+  socket.on('close', () => {
+    clearInterval(spontaneous);
+    clearInterval(toggle);
+    console.log('🔌 Client disconnected');
+  });
+});
+
+setInterval(update, 1000);
+
+server.listen(PORT, () => {
+  console.log(`⚡ IEC 104 outstation simulator listening on port ${PORT}, common address ${COMMON_ADDRESS}`);
+});
+
+process.on('SIGINT', () => {
+  server.close();
+  process.exit(0);
+});
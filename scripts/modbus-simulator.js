@@ -0,0 +1,106 @@
+// scripts/modbus-simulator.js
+// Local Modbus TCP server for testing the poller against a realistic meter register layout.
+//
+// Usage: node scripts/modbus-simulator.js [--port 5020] [--registers 100]
+//
+// Holding and input registers (big-endian word order):
+//   0-1  float32  voltage (kV)
+//   2-3  float32  current (A)
+//   4-5  float32  active_power (MW)
+//   6-7  float32  reactive_power (MVAr)
+//   8    uint16   frequency (Hz x 100)
+//   9    int16    temperature (degC x 10)
+const net = require('net');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? parseInt(args[index + 1]) : fallback;
+};
+
+const PORT = option('port', 5020);
+const REGISTER_COUNT = option('registers', 100);
+
+const registers = new Uint16Array(REGISTER_COUNT);
+const noise = (value, amount) => value + (Math.random() - 0.5) * 2 * amount;
+
+const writeFloat = (address, value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeFloatBE(value, 0);
+  registers[address] = buffer.readUInt16BE(0);
+  registers[address + 1] = buffer.readUInt16BE(2);
+};
+
+const update = () => {
+  writeFloat(0, noise(11.0, 0.15));
+  writeFloat(2, noise(150, 10));
+  writeFloat(4, noise(8.5, 0.5));
+  writeFloat(6, noise(2.5, 0.2));
+  registers[8] = Math.round(noise(50.0, 0.05) * 100);
+  registers[9] = Math.round(noise(45, 3) * 10) & 0xffff;
+};
+
+update();
+setInterval(update, 1000);
+
+const exception = (header, functionCode, code) => {
+  const response = Buffer.alloc(9);
+  header.copy(response, 0, 0, 7);
+  response.writeUInt16BE(3, 4);
+  response.writeUInt8(functionCode | 0x80, 7);
+  response.writeUInt8(code, 8);
+  return response;
+};
+
+const handle = (frame) => {
+  const functionCode = frame.readUInt8(7);
+
+  if (functionCode !== 0x03 && functionCode !== 0x04) {
+    return exception(frame, functionCode, 1);
+  }
+  if (frame.length < 12) {
+    return exception(frame, functionCode, 3);
+  }
+
+  const address = frame.readUInt16BE(8);
+  const count = frame.readUInt16BE(10);
+  if (count < 1 || count > 125 || address + count > REGISTER_COUNT) {
+    return exception(frame, functionCode, 2);
+  }
+
+  const response = Buffer.alloc(9 + count * 2);
+  frame.copy(response, 0, 0, 7);
+  response.writeUInt16BE(3 + count * 2, 4);
+  response.writeUInt8(functionCode, 7);
+  response.writeUInt8(count * 2, 8);
+  for (let i = 0; i < count; i++) {
+    response.writeUInt16BE(registers[address + i], 9 + i * 2);
+  }
+  return response;
+};
+
+const server = net.createServer((socket) => {
+  let buffer = Buffer.alloc(0);
+  console.log(`🔌 Client connected: ${socket.remoteAddress}:${socket.remotePort}`);
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 7 && buffer.length >= 6 + buffer.readUInt16BE(4)) {
+      const length = 6 + buffer.readUInt16BE(4);
+      socket.write(handle(buffer.subarray(0, length)));
+      buffer = buffer.subarray(length);
+    }
+  });
+
+  socket.on('error', (error) => console.error('❌ Socket error:', error.message));
+  socket.on('close', () => console.log('🔌 Client disconnected'));
+});
+
+server.listen(PORT, () => {
+  console.log(`⚡ Modbus TCP simulator listening on port ${PORT} with ${REGISTER_COUNT} registers`);
+});
+
+process.on('SIGINT', () => {
+  server.close();
+  process.exit(0);
+});
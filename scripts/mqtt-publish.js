@@ -0,0 +1,51 @@
+// scripts/mqtt-publish.js
+// Publishes gateway-style JSON readings to a local broker for testing the MQTT bridge.
+//
+// Usage: node scripts/mqtt-publish.js <element_id> [--url mqtt://localhost:1883] [--interval 1000]
+//
+// Topic: gateways/test-gw/meters/<element_id>/data
+// Payload: { "ts": <epoch ms>, "v": <kV>, "i": <A>, "p": <MW>, "q": <MVAr>, "f": <Hz> }
+// Matching mapping: topic_filter "gateways/+/meters/+/data", element_segment 3,
+// fields [{ field: "voltage", path: "v" }, { field: "current", path: "i" }, ...], timestamp_path "ts"
+const mqtt = require('mqtt');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : fallback;
+};
+
+const elementId = args[0];
+if (!elementId || elementId.startsWith('--')) {
+  console.error('Usage: node scripts/mqtt-publish.js <element_id> [--url mqtt://localhost:1883] [--interval 1000]');
+  process.exit(1);
+}
+
+const url = option('url', process.env.MQTT_URL || 'mqtt://localhost:1883');
+const interval = parseInt(option('interval', '1000'));
+const topic = `gateways/test-gw/meters/${elementId}/data`;
+const noise = (value, amount) => value + (Math.random() - 0.5) * 2 * amount;
+
+const client = mqtt.connect(url);
+
+client.on('connect', () => {
+  console.log(`📡 Connected to ${url}, publishing to ${topic} every ${interval}ms`);
+
+  setInterval(() => {
+    const payload = {
+      ts: Date.now(),
+      v: Number(noise(11.0, 0.15).toFixed(3)),
+      i: Number(noise(150, 10).toFixed(1)),
+      p: Number(noise(8.5, 0.5).toFixed(3)),
+      q: Number(noise(2.5, 0.2).toFixed(3)),
+      f: Number(noise(50.0, 0.05).toFixed(3))
+    };
+    client.publish(topic, JSON.stringify(payload));
+  }, interval);
+});
+
+client.on('error', (error) => console.error('❌ MQTT error:', error.message));
+
+process.on('SIGINT', () => {
+  client.end(false, () => process.exit(0));
+});
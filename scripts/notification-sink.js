@@ -0,0 +1,99 @@
+// scripts/notification-sink.js
+// Local stand-in for the notification channels: a minimal SMTP server and an HTTP server that
+// accept every message and print it, for testing escalation without real mail or SMS services.
+//
+// Usage: node scripts/notification-sink.js [--smtp-port 2525] [--http-port 4010] [--fail-http]
+//
+// Point the API server at it with:
+//   SMTP_HOST=localhost SMTP_PORT=2525
+//   SMS_GATEWAY_URL=http://localhost:4010/sms
+// and use http://localhost:4010/webhook as a user's webhook_url or a webhook subscription URL. With --fail-http every HTTP
+// request is answered 503, to watch deliveries being retried.
+const net = require('net');
+const http = require('http');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? parseInt(args[index + 1]) : fallback;
+};
+
+const SMTP_PORT = option('smtp-port', 2525);
+const HTTP_PORT = option('http-port', 4010);
+const FAIL_HTTP = args.includes('--fail-http');
+
+const smtpServer = net.createServer((socket) => {
+  let buffer = '';
+  let message = null;
+  let envelope = { from: null, to: [] };
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const command = (line) => {
+    const verb = line.slice(0, 4).toUpperCase();
+    if (verb === 'HELO' || verb === 'EHLO') return reply('250 notification-sink');
+    if (verb === 'MAIL') {
+      envelope = { from: line.slice(10).trim(), to: [] };
+      return reply('250 OK');
+    }
+    if (verb === 'RCPT') {
+      envelope.to.push(line.slice(8).trim());
+      return reply('250 OK');
+    }
+    if (verb === 'DATA') {
+      message = [];
+      return reply('354 End data with <CR><LF>.<CR><LF>');
+    }
+    if (verb === 'RSET' || verb === 'NOOP') return reply('250 OK');
+    if (verb === 'QUIT') {
+      reply('221 Bye');
+      return socket.end();
+    }
+    return reply('502 Command not implemented');
+  };
+
+  reply('220 notification-sink ESMTP');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (message === null) {
+        command(line);
+      } else if (line === '.') {
+        console.log(`📧 Email from ${envelope.from} to ${envelope.to.join(', ')}\n${message.join('\n')}\n`);
+        message = null;
+        reply('250 OK: queued');
+      } else {
+        message.push(line.startsWith('..') ? line.slice(1) : line);
+      }
+    }
+  });
+
+  socket.on('error', (error) => console.error('❌ SMTP socket error:', error.message));
+});
+
+const httpServer = http.createServer((request, response) => {
+  let body = '';
+  request.on('data', (chunk) => { body += chunk; });
+  request.on('end', () => {
+    const icon = request.url.startsWith('/sms') ? '📱 SMS' : '🌐 Webhook';
+    const signature = request.headers['x-webhook-signature'];
+    console.log(`${icon} ${request.method} ${request.url}${FAIL_HTTP ? ' (failing)' : ''}${signature ? ` signed ${signature}` : ''}\n${body}\n`);
+
+    response.writeHead(FAIL_HTTP ? 503 : 200, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ received: !FAIL_HTTP }));
+  });
+});
+
+smtpServer.listen(SMTP_PORT, () => console.log(`📧 SMTP sink listening on port ${SMTP_PORT}`));
+httpServer.listen(HTTP_PORT, () => console.log(`🌐 HTTP sink listening on port ${HTTP_PORT} (/webhook, /sms)`));
+
+process.on('SIGINT', () => {
+  smtpServer.close();
+  httpServer.close();
+  process.exit(0);
+});
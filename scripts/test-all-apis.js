@@ -2,8 +2,12 @@
 const axios = require('axios');
 const FormData = require('form-data');
 const fs = require('fs');
+const WebSocket = require('ws');
 
 const API_URL = 'http://localhost:3000/api';
+const REALTIME_URL = process.env.REALTIME_URL || 'ws://localhost:3001/realtime';
+// HTTP side of scripts/notification-sink.js
+const NOTIFY_SINK_URL = process.env.NOTIFY_SINK_URL || 'http://localhost:4010';
 let authToken = '';
 let testUserId = '';
 let testElementId = '';
@@ -19,6 +23,18 @@ const tests = {
   topology: { name: 'Topology', fn: testTopology },
   users: { name: 'User Management', fn: testUsers },
   events: { name: 'Events', fn: testEvents },
+  soe: { name: 'Sequence of Events', fn: testSoe },
+  limits: { name: 'Alarm Limits', fn: testLimits },
+  shelving: { name: 'Alarm Shelving', fn: testShelving },
+  maintenance: { name: 'Maintenance Windows', fn: testMaintenanceWindows },
+  escalation: { name: 'Alarm Escalation', fn: testEscalation },
+  incidents: { name: 'Alarm Incidents', fn: testIncidents },
+  webhooks: { name: 'Webhooks', fn: testWebhooks },
+  modbus: { name: 'Modbus Devices', fn: testModbus },
+  mqtt: { name: 'MQTT Mappings', fn: testMqtt },
+  iec104: { name: 'IEC 104 Connections', fn: testIec104 },
+  calculated: { name: 'Calculated Points', fn: testCalculated },
+  simulator: { name: 'Simulator', fn: testSimulator },
   import: { name: 'Import', fn: testImport },
   export: { name: 'Export', fn: testExport },
   //settings: { name: 'Settings', fn: testSettings }
@@ -28,6 +44,8 @@ const tests = {
 async function testHealth() {
   const response = await axios.get(`${API_URL}/health`);
   console.log('✅ Health check:', response.data.status);
+  const spool = response.data.services.influxdb.spool;
+  console.log('✅ Ingest spool depth:', spool.depth, `(lag ${spool.lag_seconds}s, ${spool.dead_letter_batches} dead-lettered)`);
   return response.data.status === 'healthy' || response.data.status === 'degraded';
 }
 
@@ -115,6 +133,12 @@ async function testMeasurements() {
   const submitResponse = await axios.post(`${API_URL}/measurements`, measurement, { headers });
   console.log('✅ Measurement submitted');
 
+  // A gateway resending the same sample: no second alarm evaluation
+  const stamped = { ...measurement, timestamp: new Date().toISOString() };
+  await axios.post(`${API_URL}/measurements`, stamped, { headers });
+  const resendResponse = await axios.post(`${API_URL}/measurements`, stamped, { headers });
+  console.log('✅ Resent measurement detected as duplicate:', resendResponse.data.data.duplicates);
+
   // Query measurements
   const queryResponse = await axios.get(
     `${API_URL}/measurements?element_id=${testElementId}&start=-1h`,
@@ -122,6 +146,169 @@ async function testMeasurements() {
   );
   console.log('✅ Measurements queried:', queryResponse.data.data.data.length);
 
+  // Substitute a value with a reason
+  const substituteResponse = await axios.post(`${API_URL}/measurements/substitute`, {
+    element_id: testElementId,
+    quality: 'substituted',
+    reason: 'Meter replaced, value estimated from adjacent feeder',
+    measurements: { active_power: 8.4 }
+  }, { headers });
+  console.log('✅ Measurement substituted:', substituteResponse.data.data.quality.active_power);
+
+  // A substituted value replaces the stored one at its timestamp rather than adding a second point
+  await axios.post(`${API_URL}/measurements/substitute`, {
+    element_id: testElementId,
+    timestamp: stamped.timestamp,
+    quality: 'substituted',
+    reason: 'Corrected reading',
+    measurements: { active_power: 8.4 }
+  }, { headers });
+  const stampedStop = new Date(Date.parse(stamped.timestamp) + 1).toISOString();
+  const replacedResponse = await axios.get(
+    `${API_URL}/measurements?element_id=${testElementId}&start=${stamped.timestamp}&stop=${stampedStop}&aggregation=sum&window=1m`,
+    { headers }
+  );
+  const replaced = replacedResponse.data.data.data[0];
+  if (replaced?.active_power !== 8.4 || replaced?.voltage !== stamped.measurements.voltage) {
+    throw new Error(`Substituted timestamp reads back as ${JSON.stringify(replaced)}, expected a single active_power of 8.4`);
+  }
+  console.log('✅ Substituted value replaced the original:', replaced.active_power, replaced.quality.active_power);
+
+  // Bulk ingest in line protocol
+  const lines = [
+    `grid_measurements,element_id=${testElementId} voltage=11.05,current=149 ${Date.now()}`,
+    'grid_measurements,element_id=not-a-uuid voltage=11.0'
+  ].join('\n');
+  const ingestResponse = await axios.post(`${API_URL}/measurements/ingest?precision=ms`, lines, {
+    headers: { ...headers, 'Content-Type': 'text/plain' }
+  });
+  console.log('✅ Bulk ingest:', ingestResponse.data.data.accepted, 'accepted,', ingestResponse.data.data.rejected, 'rejected');
+
+  // A resent batch is recognised sample by sample, not only its newest sample
+  const batchTime = Date.now();
+  const batch = [
+    `grid_measurements,element_id=${testElementId} voltage=11.02 ${batchTime - 2000}`,
+    `grid_measurements,element_id=${testElementId} voltage=11.03 ${batchTime - 1000}`
+  ].join('\n');
+  await axios.post(`${API_URL}/measurements/ingest?precision=ms`, batch, {
+    headers: { ...headers, 'Content-Type': 'text/plain' }
+  });
+  const batchResendResponse = await axios.post(`${API_URL}/measurements/ingest?precision=ms`, batch, {
+    headers: { ...headers, 'Content-Type': 'text/plain' }
+  });
+  if (batchResendResponse.data.data.duplicates !== 2 || batchResendResponse.data.data.late !== 0) {
+    throw new Error(`Resent batch counted as ${JSON.stringify(batchResendResponse.data.data)}, expected 2 duplicates`);
+  }
+  console.log('✅ Resent batch detected as duplicates:', batchResendResponse.data.data.duplicates);
+
+  // Several fields as one time-aligned table
+  const seriesResponse = await axios.get(
+    `${API_URL}/measurements/series?element_ids=${testElementId}&fields=voltage,current&start=-1h&window=1m`,
+    { headers }
+  );
+  console.log('✅ Series queried:', seriesResponse.data.data.series.length, 'series,', seriesResponse.data.data.points, 'points');
+
+  // Empty windows filled by interpolation
+  const filledResponse = await axios.get(
+    `${API_URL}/measurements?element_id=${testElementId}&start=-1h&window=1m&fill=linear`,
+    { headers }
+  );
+  console.log('✅ Filled query windows:', filledResponse.data.data.data.length);
+
+  // Values per unit of the element's ratings
+  const perUnitResponse = await axios.get(
+    `${API_URL}/measurements/series?element_ids=${testElementId}&fields=voltage,current&start=-1h&window=1m&units=pu`,
+    { headers }
+  );
+  console.log('✅ Per-unit series:', perUnitResponse.data.data.series.map(series => `${series.field} [${series.unit}]`).join(', '));
+
+  // Data gaps longer than three expected intervals
+  const gapsResponse = await axios.get(
+    `${API_URL}/measurements/gaps?element_ids=${testElementId}&start=-1h&factor=3`,
+    { headers }
+  );
+  console.log('✅ Gaps detected:', gapsResponse.data.data.elements[0].gap_count);
+
+  // Realtime stream: snapshot first, then changes; every event carries an id for resuming
+  const controller = new AbortController();
+  const streamResponse = await axios.get(`${API_URL}/measurements/stream?element_ids=${testElementId}`, {
+    headers,
+    responseType: 'stream',
+    signal: controller.signal
+  });
+  const firstEvents = await new Promise((resolve) => {
+    let text = '';
+    const timer = setTimeout(() => resolve(text), 3000);
+    streamResponse.data.on('data', (chunk) => {
+      text += chunk.toString();
+      if (text.includes('event: alarms')) {
+        clearTimeout(timer);
+        resolve(text);
+      }
+    });
+  });
+  controller.abort();
+  console.log('✅ Stream snapshot received, last event id:', /id: (\S+)/.exec(firstEvents)?.[1]);
+
+  // Fields of one instant sent as separate lines all reach the latest value
+  const splitTime = Date.now();
+  await axios.post(`${API_URL}/measurements/ingest?precision=ms`, [
+    `grid_measurements,element_id=${testElementId} voltage=11.04 ${splitTime}`,
+    `grid_measurements,element_id=${testElementId} current=151 ${splitTime}`
+  ].join('\n'), {
+    headers: { ...headers, 'Content-Type': 'text/plain' }
+  });
+
+  // WebSocket: subscribe mid-session, receive the subscribed elements' state, then unsubscribe
+  const socket = new WebSocket(`${REALTIME_URL}?token=${authToken}`);
+  const received = [];
+  const waitFor = (type) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`No ${type} message`)), 5000);
+    const check = () => {
+      const message = received.find(m => m.type === type);
+      if (!message) return setTimeout(check, 50);
+      clearTimeout(timer);
+      resolve(message);
+    };
+    check();
+  });
+  socket.on('message', (data) => received.push(JSON.parse(data.toString())));
+  await waitFor('welcome');
+  socket.send(JSON.stringify({ type: 'subscribe', request_id: 'sub-1', topics: [`element:${testElementId}`, 'alarms'] }));
+  const subscribed = await waitFor('subscribed');
+  const socketSnapshot = await waitFor('snapshot');
+  console.log('✅ WebSocket subscribed:', subscribed.topics.join(', '), `(${socketSnapshot.measurements.length} values)`);
+  const splitLatest = socketSnapshot.measurements.find(entry => entry.element_id === testElementId);
+  if (splitLatest?.values.voltage !== 11.04 || splitLatest?.values.current !== 151) {
+    throw new Error(`Latest value after split lines is ${JSON.stringify(splitLatest)}, expected voltage and current`);
+  }
+  console.log('✅ Split lines merged into the latest value:', splitLatest.values.voltage, splitLatest.values.current);
+  socket.send(JSON.stringify({ type: 'unsubscribe', topics: [`element:${testElementId}`] }));
+  const unsubscribed = await waitFor('unsubscribed');
+  socket.close();
+  console.log('✅ WebSocket unsubscribed, remaining topics:', unsubscribed.topics.join(', '));
+
+  // Storage tiers and rollup coverage
+  const rollupResponse = await axios.get(`${API_URL}/measurements/rollups`, { headers });
+  console.log('✅ Storage tiers:', rollupResponse.data.data.tiers.map(tier => tier.name).join(', '));
+
+  // Hourly windows are read from the 1h tier where it is covered; every aggregation answers, and
+  // counts match the raw samples (include_suspect reads raw only)
+  const tierQuery = `${API_URL}/measurements?element_id=${testElementId}&start=-24h&window=1h`;
+  for (const aggregation of ['mean', 'median', 'sum', 'min', 'max', 'first', 'last', 'count']) {
+    const aggregated = (await axios.get(`${tierQuery}&aggregation=${aggregation}`, { headers })).data.data.data;
+    if (!aggregated.some(entry => typeof entry.voltage === 'number')) {
+      throw new Error(`No voltage for aggregation ${aggregation} over hourly windows`);
+    }
+  }
+  const sumCounts = (entries) => entries.reduce((total, entry) => total + (entry.voltage || 0), 0);
+  const tierCount = sumCounts((await axios.get(`${tierQuery}&aggregation=count`, { headers })).data.data.data);
+  const rawCount = sumCounts((await axios.get(`${tierQuery}&aggregation=count&include_suspect=true`, { headers })).data.data.data);
+  if (tierCount !== rawCount) {
+    throw new Error(`Voltage count ${tierCount} from the storage tiers, ${rawCount} from raw samples`);
+  }
+  console.log('✅ Aggregations over storage tiers:', tierCount, 'voltage samples counted');
+
   return true;
 }
 
@@ -147,6 +334,14 @@ async function testAnalytics() {
     }
   }
 
+  // Input that would change the Flux query is rejected
+  try {
+    await axios.get(`${API_URL}/analytics?type=load_profile&period=${encodeURIComponent('1h) |> drop(columns: ["_value"]')}`, { headers });
+    console.error('❌ Analytics accepted an invalid period');
+  } catch (error) {
+    console.log('✅ Analytics rejected invalid period:', error.response?.status);
+  }
+
   return true;
 }
 
@@ -239,10 +434,19 @@ async function testEvents() {
       unit: 'kV'
     }
   };
-  const createResponse = await axios.post(`${API_URL}/events`, newEvent, { headers });
+  const idempotencyKey = `test-event-${Date.now()}`;
+  const createResponse = await axios.post(`${API_URL}/events`, newEvent, {
+    headers: { ...headers, 'Idempotency-Key': idempotencyKey }
+  });
   testEventId = createResponse.data.data.id;
   console.log('✅ Event created:', testEventId);
 
+  // Resending with the same key returns the original event instead of a duplicate
+  const retryResponse = await axios.post(`${API_URL}/events`, newEvent, {
+    headers: { ...headers, 'Idempotency-Key': idempotencyKey }
+  });
+  console.log('✅ Event retry replayed:', retryResponse.headers['idempotent-replayed'] === 'true' && retryResponse.data.data.id === testEventId);
+
   // Get event
   const getResponse = await axios.get(`${API_URL}/events/${testEventId}`, { headers });
   console.log('✅ Event retrieved');
@@ -267,6 +471,548 @@ async function testEvents() {
   return true;
 }
 
+async function testLimits() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  // Create element override
+  const createResponse = await axios.post(`${API_URL}/limits`, {
+    scope: 'element',
+    element_id: testElementId,
+    metric: 'frequency',
+    low_alarm: 49.6,
+    high_alarm: 50.4,
+    unit: 'Hz'
+  }, { headers });
+  const limitId = createResponse.data.data.id;
+  console.log('✅ Element limit created:', limitId);
+
+  // Update override
+  await axios.put(`${API_URL}/limits/${limitId}`, { high_warning: 50.2 }, { headers });
+  console.log('✅ Element limit updated');
+
+  // Effective limits for element
+  const effectiveResponse = await axios.get(`${API_URL}/elements/${testElementId}/limits`, { headers });
+  console.log('✅ Effective limits retrieved:', effectiveResponse.data.data.limits.length, 'metrics');
+
+  // A resolved limit alarm cannot be reopened while a newer alarm for its condition is open
+  const openFrequencyAlarm = async () => {
+    const response = await axios.get(`${API_URL}/events?element_id=${testElementId}&status=active`, { headers });
+    return response.data.data.find(event => event.metric === 'frequency');
+  };
+  await axios.post(`${API_URL}/measurements`, { element_id: testElementId, measurements: { frequency: 50.9 } }, { headers });
+  const firstAlarm = await openFrequencyAlarm();
+  await axios.put(`${API_URL}/events/${firstAlarm.id}`, { action: 'resolve' }, { headers });
+  await axios.post(`${API_URL}/measurements`, { element_id: testElementId, measurements: { frequency: 51.0 } }, { headers });
+  const secondAlarm = await openFrequencyAlarm();
+  try {
+    await axios.put(`${API_URL}/events/${firstAlarm.id}`, { status: 'active' }, { headers });
+    throw new Error('Resolved alarm reopened while a newer alarm for its condition was open');
+  } catch (error) {
+    if (error.response?.status !== 409) throw error;
+    console.log('✅ Reopening a superseded alarm rejected:', error.response.status);
+  }
+  await axios.post(`${API_URL}/measurements`, { element_id: testElementId, measurements: { frequency: 50.0 } }, { headers });
+  await axios.put(`${API_URL}/events/${secondAlarm.id}`, { action: 'resolve' }, { headers });
+
+  // Delete override
+  await axios.delete(`${API_URL}/limits/${limitId}`, { headers });
+  console.log('✅ Element limit deleted');
+
+  return true;
+}
+
+async function testShelving() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  // Frequency limits on the test element
+  const limitResponse = await axios.post(`${API_URL}/limits`, {
+    scope: 'element',
+    element_id: testElementId,
+    metric: 'frequency',
+    low_alarm: 49.6,
+    high_alarm: 50.4,
+    unit: 'Hz'
+  }, { headers });
+  const limitId = limitResponse.data.data.id;
+
+  // Shelve the frequency condition: a frequency excursion is recorded but not annunciated
+  const shelveResponse = await axios.post(`${API_URL}/alarms/shelves`, {
+    element_id: testElementId,
+    metric: 'frequency',
+    duration_minutes: 30,
+    reason: 'Known nuisance alarm during testing'
+  }, { headers });
+  const shelfId = shelveResponse.data.data.id;
+  await axios.post(`${API_URL}/measurements`, { element_id: testElementId, measurements: { frequency: 50.9 } }, { headers });
+  const suppressedResponse = await axios.get(`${API_URL}/events?element_id=${testElementId}&status=active`, { headers });
+  const suppressed = suppressedResponse.data.data.find(event => event.metric === 'frequency');
+  console.log('✅ Shelved alarm recorded as suppressed:', suppressed?.suppressed_by);
+
+  const shelvesResponse = await axios.get(`${API_URL}/alarms/shelves`, { headers });
+  console.log('✅ Shelved alarms:', shelvesResponse.data.data.map(shelf => `${shelf.metric} by ${shelf.shelved_by_name}`).join(', '));
+
+  await axios.delete(`${API_URL}/alarms/shelves/${shelfId}`, { headers });
+  console.log('✅ Alarm unshelved');
+
+  await axios.post(`${API_URL}/measurements`, { element_id: testElementId, measurements: { frequency: 50.0 } }, { headers });
+  await axios.delete(`${API_URL}/limits/${limitId}`, { headers });
+
+  return true;
+}
+
+async function testMaintenanceWindows() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  // Frequency limits on the test element
+  const limitResponse = await axios.post(`${API_URL}/limits`, {
+    scope: 'element',
+    element_id: testElementId,
+    metric: 'frequency',
+    low_alarm: 49.6,
+    high_alarm: 50.4,
+    unit: 'Hz'
+  }, { headers });
+  const limitId = limitResponse.data.data.id;
+
+  // A frequency excursion leaves an alarm open on the test element
+  await axios.post(`${API_URL}/measurements`, { element_id: testElementId, measurements: { frequency: 50.9 } }, { headers });
+
+  // Maintenance status opens a maintenance window: the open alarm is suppressed until it ends
+  await axios.put(`${API_URL}/elements/${testElementId}`, { status: 'maintenance' }, { headers });
+  const maintenanceResponse = await axios.get(`${API_URL}/events?element_id=${testElementId}&suppressed_by=maintenance`, { headers });
+  console.log('✅ Alarm suppressed during maintenance:', maintenanceResponse.data.pagination.total);
+
+  await axios.put(`${API_URL}/elements/${testElementId}`, { status: 'active' }, { headers });
+  console.log('✅ Maintenance ended');
+
+  // A downgrade window opening now also downgrades the alarm still open from the frequency excursion
+  const downgradeResponse = await axios.post(`${API_URL}/maintenance`, {
+    element_id: testElementId,
+    ends_at: new Date(Date.now() + 3600000).toISOString(),
+    alarm_action: 'downgrade',
+    reason: 'Relay testing'
+  }, { headers });
+  const downgradedResponse = await axios.get(
+    `${API_URL}/events?element_id=${testElementId}&category=maintenance&status=active`,
+    { headers }
+  );
+  const downgraded = downgradedResponse.data.data.find(event => event.metric === 'frequency');
+  if (downgraded && (downgraded.severity !== 'low' || !downgraded.parameters.original_severity)) {
+    throw new Error(`Open alarm not downgraded by the window: ${JSON.stringify(downgraded)}`);
+  }
+  console.log('✅ Open alarm downgraded by maintenance window:', downgraded?.parameters.original_severity, '->', downgraded?.severity);
+
+  await axios.delete(`${API_URL}/maintenance/${downgradeResponse.data.data.id}`, { headers });
+
+  // Scheduled window, cancelled before it starts
+  const windowResponse = await axios.post(`${API_URL}/maintenance`, {
+    element_id: testElementId,
+    starts_at: new Date(Date.now() + 3600000).toISOString(),
+    ends_at: new Date(Date.now() + 7200000).toISOString(),
+    alarm_action: 'downgrade',
+    reason: 'Transformer oil sampling'
+  }, { headers });
+  const windowsResponse = await axios.get(`${API_URL}/maintenance?state=scheduled`, { headers });
+  console.log('✅ Maintenance windows scheduled:', windowsResponse.data.data.length);
+
+  await axios.delete(`${API_URL}/maintenance/${windowResponse.data.data.id}`, { headers });
+  console.log('✅ Maintenance window cancelled');
+
+  await axios.delete(`${API_URL}/limits/${limitId}`, { headers });
+
+  return true;
+}
+
+// Deliveries go to the notification sink (npm run notify:sink); they are recorded either way
+async function testEscalation() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  // The test user is notified by webhook
+  await axios.put(`${API_URL}/users/${testUserId}`, {
+    preferences: {
+      notification_settings: { channels: ['webhook'], webhook_url: `${NOTIFY_SINK_URL}/webhook`, min_severity: 'high' }
+    }
+  }, { headers });
+  console.log('✅ Notification settings updated');
+
+  const createResponse = await axios.post(`${API_URL}/alarms/escalation-policies`, {
+    name: 'Test critical alarms',
+    severities: ['critical'],
+    tiers: [
+      { delay_minutes: 0, user_ids: [testUserId] },
+      { delay_minutes: 15, user_ids: [testUserId] }
+    ],
+    priority: 1
+  }, { headers });
+  const policyId = createResponse.data.data.id;
+  console.log('✅ Escalation policy created:', policyId);
+
+  // A critical alarm is escalated to the first tier by the next escalation run
+  const eventResponse = await axios.post(`${API_URL}/events`, {
+    element_id: testElementId,
+    event_type: 'alarm',
+    severity: 'critical',
+    description: 'Escalation test alarm'
+  }, { headers });
+  const eventId = eventResponse.data.data.id;
+  await new Promise(resolve => setTimeout(resolve, 11000));
+
+  const eventDetail = await axios.get(`${API_URL}/events/${eventId}`, { headers });
+  console.log('✅ Alarm escalation:', eventDetail.data.data.escalation?.policy_name, 'tier', eventDetail.data.data.escalation?.tier);
+
+  const deliveriesResponse = await axios.get(`${API_URL}/alarms/notifications?event_id=${eventId}`, { headers });
+  console.log('✅ Notifications:', deliveriesResponse.data.data.map(delivery => `${delivery.channel} ${delivery.status}`).join(', ') || 'none yet');
+
+  // Acknowledging ends the escalation
+  await axios.put(`${API_URL}/events/${eventId}`, { action: 'acknowledge' }, { headers });
+  console.log('✅ Escalated alarm acknowledged');
+
+  const testResponse = await axios.post(`${API_URL}/alarms/notifications/test`, {}, { headers });
+  console.log('✅ Test notification:', testResponse.data.data.map(delivery => `${delivery.channel} ${delivery.status}`).join(', ') || testResponse.data.message);
+
+  await axios.delete(`${API_URL}/alarms/escalation-policies/${policyId}`, { headers });
+  console.log('✅ Escalation policy deleted');
+
+  return true;
+}
+
+// Groups alarms across the connection made in the topology test, when it was made
+async function testIncidents() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  const elementResponse = await axios.get(`${API_URL}/elements/${testElementId}`, { headers });
+  const connected = elementResponse.data.data.connections?.find(connection => connection.connected_element_id);
+
+  // Alarms raised together on connected elements form one incident under the upstream one
+  const eventIds = [];
+  for (const elementId of [testElementId, connected?.connected_element_id].filter(Boolean)) {
+    const eventResponse = await axios.post(`${API_URL}/events`, {
+      element_id: elementId,
+      event_type: 'alarm',
+      severity: 'high',
+      description: 'Incident test alarm'
+    }, { headers });
+    eventIds.push(eventResponse.data.data.id);
+  }
+
+  const eventDetail = await axios.get(`${API_URL}/events/${eventIds[eventIds.length - 1]}`, { headers });
+  const incident = eventDetail.data.data.incident;
+  console.log('✅ Alarm incident:', incident ? `${incident.id} (${incident.alarm_count} alarms, root ${incident.root_event_id})` : 'not grouped');
+
+  if (incident) {
+    const incidentResponse = await axios.get(`${API_URL}/alarms/incidents/${incident.id}`, { headers });
+    console.log('✅ Incident retrieved:', incidentResponse.data.data.child_alarms.length, 'child alarms');
+
+    const rootsResponse = await axios.get(`${API_URL}/events?status=active&consequential=false`, { headers });
+    console.log('✅ Active alarms by root:', rootsResponse.data.pagination.total);
+  }
+
+  // Two loads on one bus that raises no alarm of its own are grouped as siblings
+  const busResponse = await axios.post(`${API_URL}/elements`, {
+    type: 'bus',
+    name: `Incident Test Bus ${Date.now()}`,
+    bus_properties: { voltage_level: 11 }
+  }, { headers });
+  const busId = busResponse.data.data.id;
+  const siblingIds = [];
+  for (const suffix of ['A', 'B']) {
+    const loadResponse = await axios.post(`${API_URL}/elements`, {
+      type: 'load',
+      name: `Incident Test Load ${suffix} ${Date.now()}`,
+      load_properties: {
+        load_type: 'residential',
+        connection_type: 'three_phase',
+        rated_power: 1,
+        power_factor: 0.95,
+        voltage_level: 11,
+        connections: { bus_id: busId }
+      }
+    }, { headers });
+    siblingIds.push(loadResponse.data.data.id);
+    await axios.post(`${API_URL}/topology`, { from_element_id: busId, to_element_id: loadResponse.data.data.id }, { headers });
+  }
+
+  const siblingEventIds = [];
+  for (const elementId of siblingIds) {
+    const eventResponse = await axios.post(`${API_URL}/events`, {
+      element_id: elementId,
+      event_type: 'alarm',
+      severity: 'high',
+      description: 'Undervoltage after bus trip'
+    }, { headers });
+    siblingEventIds.push(eventResponse.data.data.id);
+  }
+  const siblingDetail = await axios.get(`${API_URL}/events/${siblingEventIds[1]}`, { headers });
+  const siblingIncident = siblingDetail.data.data.incident;
+  if (!siblingIncident || siblingIncident.alarm_count !== 2) {
+    throw new Error(`Sibling alarms under one bus not grouped: ${JSON.stringify(siblingIncident)}`);
+  }
+  console.log('✅ Sibling alarms grouped:', siblingIncident.id, `(${siblingIncident.alarm_count} alarms)`);
+
+  for (const eventId of siblingEventIds) {
+    await axios.put(`${API_URL}/events/${eventId}`, { action: 'resolve' }, { headers });
+  }
+  for (const elementId of [...siblingIds, busId]) {
+    await axios.delete(`${API_URL}/elements/${elementId}`, { headers });
+  }
+
+  const incidentsResponse = await axios.get(`${API_URL}/alarms/incidents`, { headers });
+  console.log('✅ Open incidents:', incidentsResponse.data.data.length);
+
+  const floodResponse = await axios.get(`${API_URL}/alarms/flood`, { headers });
+  const flood = floodResponse.data.data;
+  console.log('✅ Alarm rate:', `${flood.alarm_count}/${flood.threshold} in ${flood.window_minutes} min`, flood.flooding ? '(flooding)' : '');
+
+  for (const eventId of eventIds) {
+    await axios.put(`${API_URL}/events/${eventId}`, { action: 'resolve' }, { headers });
+  }
+  console.log('✅ Incident alarms resolved');
+
+  return true;
+}
+
+// Deliveries go to the notification sink (npm run notify:sink); they are recorded either way
+async function testWebhooks() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  const createResponse = await axios.post(`${API_URL}/webhooks`, {
+    name: 'Test subscriber',
+    url: `${NOTIFY_SINK_URL}/webhook`,
+    event_types: ['element.updated', 'alarm.raised']
+  }, { headers });
+  const subscriptionId = createResponse.data.data.id;
+  console.log('✅ Webhook subscription created:', subscriptionId, createResponse.data.data.secret ? '(secret returned)' : '');
+
+  // An element change is delivered by the next webhook run
+  await axios.put(`${API_URL}/elements/${testElementId}`, { description: 'Webhook test' }, { headers });
+  await new Promise(resolve => setTimeout(resolve, 3000));
+
+  const deliveriesResponse = await axios.get(`${API_URL}/webhooks/deliveries?subscription_id=${subscriptionId}`, { headers });
+  const deliveries = deliveriesResponse.data.data;
+  console.log('✅ Webhook deliveries:', deliveries.map(delivery => `${delivery.event_type} ${delivery.status}`).join(', ') || 'none yet');
+
+  if (deliveries.length > 0) {
+    const detailResponse = await axios.get(`${API_URL}/webhooks/deliveries/${deliveries[0].id}`, { headers });
+    console.log('✅ Delivery attempts:', detailResponse.data.data.attempt_log.length);
+
+    if (detailResponse.data.data.status !== 'pending') {
+      await axios.post(`${API_URL}/webhooks/deliveries/${deliveries[0].id}/redeliver`, {}, { headers });
+      console.log('✅ Delivery queued again');
+    }
+  }
+
+  const rotateResponse = await axios.put(`${API_URL}/webhooks/${subscriptionId}`, { rotate_secret: true }, { headers });
+  console.log('✅ Webhook secret rotated:', rotateResponse.data.data.secret !== createResponse.data.data.secret);
+
+  const redeliverResponse = await axios.post(`${API_URL}/webhooks/${subscriptionId}/redeliver`, {}, { headers });
+  console.log('✅ Dead deliveries queued:', redeliverResponse.data.data.queued);
+
+  await axios.delete(`${API_URL}/webhooks/${subscriptionId}`, { headers });
+  console.log('✅ Webhook subscription deleted');
+
+  return true;
+}
+
+// Expects the simulator on port 5020 (npm run modbus:sim); polling is reported either way
+async function testModbus() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  const createResponse = await axios.post(`${API_URL}/modbus/devices`, {
+    name: 'Test Meter',
+    host: '127.0.0.1',
+    port: 5020,
+    unit_id: 1,
+    poll_interval_ms: 5000,
+    register_map: [
+      { element_id: testElementId, field: 'voltage', address: 0, data_type: 'float32' },
+      { element_id: testElementId, field: 'frequency', address: 8, scale: 0.01 }
+    ]
+  }, { headers });
+  const deviceId = createResponse.data.data.id;
+  console.log('✅ Modbus device created:', deviceId);
+
+  // The background poller picks up a new device on its next tick, not at its periodic reload
+  let polledDevice = null;
+  for (let attempt = 0; attempt < 20 && !polledDevice?.last_poll_at; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, 500));
+    polledDevice = (await axios.get(`${API_URL}/modbus/devices/${deviceId}`, { headers })).data.data;
+  }
+  if (!polledDevice?.last_poll_at) {
+    throw new Error('New Modbus device was not polled by the background poller');
+  }
+  console.log('✅ Modbus device polled in the background:', polledDevice.comms_status);
+
+  const pollResponse = await axios.post(`${API_URL}/modbus/devices/${deviceId}/poll?dry_run=true`, {}, { headers });
+  console.log('✅ Modbus device polled:', pollResponse.data.data.comms_status, pollResponse.data.data.values.length, 'values');
+
+  // Moving another device onto the same address is a conflict
+  const otherResponse = await axios.post(`${API_URL}/modbus/devices`, {
+    name: 'Test Meter 2',
+    host: '127.0.0.1',
+    port: 5020,
+    unit_id: 2,
+    enabled: false,
+    register_map: [{ element_id: testElementId, field: 'current', address: 0 }]
+  }, { headers });
+  const otherId = otherResponse.data.data.id;
+  try {
+    await axios.put(`${API_URL}/modbus/devices/${otherId}`, { unit_id: 1 }, { headers });
+    throw new Error('Modbus device update onto an existing address was accepted');
+  } catch (error) {
+    if (error.response?.status !== 409) throw error;
+    console.log('✅ Modbus device address conflict rejected:', error.response.status);
+  }
+  await axios.delete(`${API_URL}/modbus/devices/${otherId}`, { headers });
+
+  await axios.delete(`${API_URL}/modbus/devices/${deviceId}`, { headers });
+  console.log('✅ Modbus device deleted');
+
+  return true;
+}
+
+async function testMqtt() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  const createResponse = await axios.post(`${API_URL}/mqtt/mappings`, {
+    name: 'Test Gateway',
+    topic_filter: 'gateways/+/meters/+/data',
+    element_segment: 3,
+    fields: [
+      { field: 'voltage', path: 'v' },
+      { field: 'current', path: 'i' }
+    ],
+    timestamp_path: 'ts'
+  }, { headers });
+  const mappingId = createResponse.data.data.id;
+  console.log('✅ MQTT mapping created:', mappingId);
+
+  const testResponse = await axios.post(`${API_URL}/mqtt/mappings/${mappingId}/test`, {
+    topic: `gateways/gw1/meters/${testElementId}/data`,
+    payload: { ts: Date.now(), v: 11.02, i: 148 }
+  }, { headers });
+  console.log('✅ MQTT mapping tested:', testResponse.data.data.records.length, 'records');
+
+  const statusResponse = await axios.get(`${API_URL}/mqtt/status`, { headers });
+  console.log('✅ MQTT bridge status:', statusResponse.data.data.running ? 'running' : 'not running');
+
+  await axios.delete(`${API_URL}/mqtt/mappings/${mappingId}`, { headers });
+  console.log('✅ MQTT mapping deleted');
+
+  return true;
+}
+
+async function testIec104() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  // Points match scripts/iec104-simulator.js
+  const createResponse = await axios.post(`${API_URL}/iec104/connections`, {
+    name: 'Test Outstation',
+    host: '127.0.0.1',
+    port: 2404,
+    common_address: 1,
+    point_map: [
+      { ioa: 1001, element_id: testElementId, field: 'voltage' },
+      { ioa: 1002, element_id: testElementId, field: 'current' },
+      { ioa: 2001, element_id: testElementId, point_type: 'status' }
+    ],
+    enabled: false
+  }, { headers });
+  const connectionId = createResponse.data.data.id;
+  console.log('✅ IEC 104 connection created:', connectionId);
+
+  await axios.put(`${API_URL}/iec104/connections/${connectionId}`, { enabled: true }, { headers });
+  const interrogateResponse = await axios.post(`${API_URL}/iec104/connections/${connectionId}/interrogate`, {}, { headers });
+  console.log('✅ IEC 104 interrogation requested:', interrogateResponse.data.data.comms_status);
+
+  await axios.delete(`${API_URL}/iec104/connections/${connectionId}`, { headers });
+  console.log('✅ IEC 104 connection deleted');
+
+  return true;
+}
+
+async function testCalculated() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  const createResponse = await axios.post(`${API_URL}/calculated-points`, {
+    name: 'Test Apparent Power',
+    element_id: testElementId,
+    field: 'apparent_power_calc',
+    formula: 'sqrt(p^2 + q^2)',
+    inputs: [
+      { name: 'p', field: 'active_power' },
+      { name: 'q', field: 'reactive_power' }
+    ],
+    unit: 'MVA'
+  }, { headers });
+  const pointId = createResponse.data.data.id;
+  console.log('✅ Calculated point created:', pointId);
+
+  const evaluateResponse = await axios.post(`${API_URL}/calculated-points/${pointId}/evaluate`, {}, { headers });
+  const [result] = evaluateResponse.data.data.results;
+  console.log('✅ Calculated point evaluated:', result.error || result.value);
+
+  await axios.delete(`${API_URL}/calculated-points/${pointId}`, { headers });
+  console.log('✅ Calculated point deleted');
+
+  return true;
+}
+
+async function testSoe() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  // A protection operation: pickup, trip and breaker opening a few milliseconds apart
+  const base = Date.now() - 60000;
+  const sequence = [
+    { element_id: testElementId, event_type: 'relay_pickup', protection_function: '51', source_time: new Date(base).toISOString() },
+    { element_id: testElementId, event_type: 'relay_trip', protection_function: '51', source_time: new Date(base + 42).toISOString() },
+    { element_id: testElementId, event_type: 'breaker_open', source_time: new Date(base + 87).toISOString() }
+  ];
+  const recordResponse = await axios.post(`${API_URL}/soe`, sequence, { headers });
+  console.log('✅ SOE events recorded:', recordResponse.data.data.recorded);
+
+  // Resending the batch records nothing new
+  const resendResponse = await axios.post(`${API_URL}/soe`, sequence, { headers });
+  console.log('✅ SOE resend duplicates:', resendResponse.data.data.duplicates);
+
+  // Reconstruct the disturbance around the trip
+  const viewResponse = await axios.get(
+    `${API_URL}/soe?around=${encodeURIComponent(sequence[1].source_time)}&window_ms=1000&element_ids=${testElementId}`,
+    { headers }
+  );
+  const events = viewResponse.data.data.events;
+  console.log('✅ SOE sequence:', events.map(event => `${event.event_type}@${event.offset_ms}ms`).join(', '));
+
+  return events.length === 3 && events[0].event_type === 'relay_pickup';
+}
+
+async function testSimulator() {
+  const headers = { Authorization: `Bearer ${authToken}` };
+
+  // Replay the last ten minutes at 60x, then continue in real time
+  const startResponse = await axios.post(`${API_URL}/simulator`, {
+    start_time: new Date(Date.now() - 10 * 60000).toISOString(),
+    speed: 60,
+    interval_s: 10
+  }, { headers });
+  console.log('✅ Simulator started:', startResponse.data.data.start_time);
+
+  const faultResponse = await axios.post(`${API_URL}/simulator/faults`, {
+    type: 'overload',
+    magnitude: 1.3,
+    duration_s: 120
+  }, { headers });
+  console.log('✅ Fault injected:', faultResponse.data.data.type, 'until', faultResponse.data.data.end);
+
+  await new Promise(resolve => setTimeout(resolve, 3000));
+  const statusResponse = await axios.get(`${API_URL}/simulator`, { headers });
+  console.log('✅ Simulator status:', statusResponse.data.data.samples, 'samples, clock', statusResponse.data.data.clock);
+
+  await axios.delete(`${API_URL}/simulator`, { headers });
+  console.log('✅ Simulator stopped');
+
+  return true;
+}
+
 async function testImport() {
   const headers = { Authorization: `Bearer ${authToken}` };
 
@@ -0,0 +1,118 @@
+// src/app/api/alarms/escalation-policies/[id]/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware, adminOnly } from '@/lib/auth/middleware';
+import { checkEscalationPolicy } from '@/lib/alarms/escalation';
+import { validate, updateEscalationPolicySchema, hasActiveHours } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError, ValidationError } from '@/lib/utils/errors';
+
+// GET /api/alarms/escalation-policies/[id] - Get escalation policy
+export const GET = authMiddleware(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(`
+    SELECT
+      p.*,
+      g.name as group_name,
+      u.name as created_by_name
+    FROM escalation_policies p
+    LEFT JOIN element_groups g ON p.group_id = g.id
+    LEFT JOIN users u ON p.created_by = u.id
+    WHERE p.id = $1
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Escalation policy');
+  }
+
+  return successResponse(result.rows[0]);
+}));
+
+// PUT /api/alarms/escalation-policies/[id] - Update escalation policy; alarms already escalating
+// continue with the updated tiers
+export const PUT = adminOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+  const body = await request.json();
+  const validated = await validate(updateEscalationPolicySchema)(body);
+
+  const current = await query('SELECT * FROM escalation_policies WHERE id = $1', [id]);
+  if (current.rows.length === 0) {
+    throw new NotFoundError('Escalation policy');
+  }
+
+  // Check active hours, users and group against the policy as it will be stored
+  const merged = { ...current.rows[0] };
+  for (const [key, value] of Object.entries(validated)) {
+    if (value !== undefined) merged[key] = value;
+  }
+  if (!hasActiveHours(merged)) {
+    throw new ValidationError([{ path: 'active_to', message: 'Set both active_from and active_to, or neither' }]);
+  }
+  await checkEscalationPolicy(merged);
+
+  const updateFields = [];
+  const updateValues = [];
+  let paramCount = 1;
+
+  for (const [key, value] of Object.entries(validated)) {
+    if (value !== undefined) {
+      updateFields.push(`${key} = $${++paramCount}`);
+      updateValues.push(key === 'tiers' ? JSON.stringify(value) : value);
+    }
+  }
+
+  if (updateFields.length === 0) {
+    return successResponse(current.rows[0], 'No changes made');
+  }
+
+  const result = await query(`
+    UPDATE escalation_policies
+    SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...updateValues]);
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values, new_values)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    request.auth.userId,
+    'update_escalation_policy',
+    'escalation_policies',
+    id,
+    JSON.stringify(current.rows[0]),
+    JSON.stringify(result.rows[0])
+  ]);
+
+  return successResponse(result.rows[0], 'Escalation policy updated successfully');
+}));
+
+// DELETE /api/alarms/escalation-policies/[id] - Remove escalation policy; its escalations end and
+// its delivery history is kept
+export const DELETE = adminOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(
+    'DELETE FROM escalation_policies WHERE id = $1 RETURNING *',
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Escalation policy');
+  }
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'delete_escalation_policy',
+    'escalation_policies',
+    id,
+    JSON.stringify(result.rows[0])
+  ]);
+
+  return successResponse({ id, name: result.rows[0].name }, 'Escalation policy deleted successfully');
+}));
@@ -0,0 +1,68 @@
+// src/app/api/alarms/escalation-policies/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware, adminOnly } from '@/lib/auth/middleware';
+import { checkEscalationPolicy } from '@/lib/alarms/escalation';
+import { validate, escalationPolicySchema } from '@/lib/validation/schemas';
+import { successResponse, createdResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/alarms/escalation-policies - List escalation policies in the order they are matched
+export const GET = authMiddleware(asyncHandler(async () => {
+  const result = await query(`
+    SELECT
+      p.*,
+      g.name as group_name,
+      u.name as created_by_name
+    FROM escalation_policies p
+    LEFT JOIN element_groups g ON p.group_id = g.id
+    LEFT JOIN users u ON p.created_by = u.id
+    ORDER BY p.priority, p.created_at
+  `);
+
+  return successResponse(result.rows);
+}));
+
+// POST /api/alarms/escalation-policies - Define an escalation policy
+export const POST = adminOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(escalationPolicySchema)(body);
+
+  await checkEscalationPolicy(validated);
+
+  const result = await query(`
+    INSERT INTO escalation_policies (
+      name, description, severities, group_id, days_of_week, active_from, active_to,
+      timezone, tiers, priority, enabled, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING *
+  `, [
+    validated.name,
+    validated.description || null,
+    validated.severities,
+    validated.group_id || null,
+    validated.days_of_week,
+    validated.active_from || null,
+    validated.active_to || null,
+    validated.timezone,
+    JSON.stringify(validated.tiers),
+    validated.priority,
+    validated.enabled,
+    request.auth.userId
+  ]);
+
+  const policy = result.rows[0];
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, new_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'create_escalation_policy',
+    'escalation_policies',
+    policy.id,
+    JSON.stringify(policy)
+  ]);
+
+  return createdResponse(policy, 'Escalation policy created successfully');
+}));
@@ -0,0 +1,11 @@
+// src/app/api/alarms/flood/route.js
+import { authMiddleware } from '@/lib/auth/middleware';
+import { getAlarmFloodStatus } from '@/lib/alarms/flood';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/alarms/flood - Alarm rate against the flood threshold, with the open flood alarm and
+// the alarms raised per minute
+export const GET = authMiddleware(asyncHandler(async () => {
+  return successResponse(await getAlarmFloodStatus());
+}));
@@ -0,0 +1,12 @@
+// src/app/api/alarms/incidents/[id]/route.js
+import { authMiddleware } from '@/lib/auth/middleware';
+import { getAlarmIncident } from '@/lib/alarms/incidents';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/alarms/incidents/[id] - Alarm incident with its root alarm and child alarms
+export const GET = authMiddleware(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  return successResponse(await getAlarmIncident(id));
+}));
@@ -0,0 +1,15 @@
+// src/app/api/alarms/incidents/route.js
+import { authMiddleware } from '@/lib/auth/middleware';
+import { listAlarmIncidents } from '@/lib/alarms/incidents';
+import { validate, alarmIncidentQuerySchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/alarms/incidents - Alarm incidents (status=open, the default, closed or all), newest
+// first, each with its root alarm and alarm counts
+export const GET = authMiddleware(asyncHandler(async (request) => {
+  const { searchParams } = new URL(request.url);
+  const validated = await validate(alarmIncidentQuerySchema)(Object.fromEntries(searchParams));
+
+  return successResponse(await listAlarmIncidents(validated));
+}));
@@ -0,0 +1,19 @@
+// src/app/api/alarms/notifications/route.js
+import { authMiddleware } from '@/lib/auth/middleware';
+import { listDeliveries } from '@/lib/notifications/delivery';
+import { validate, notificationQuerySchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/alarms/notifications - Notification deliveries with their attempts and last error,
+// newest first; non-admins see their own
+export const GET = authMiddleware(asyncHandler(async (request) => {
+  const { searchParams } = new URL(request.url);
+  const validated = await validate(notificationQuerySchema)(Object.fromEntries(searchParams));
+
+  if (request.auth.role !== 'admin') {
+    validated.user_id = request.auth.userId;
+  }
+
+  return successResponse(await listDeliveries(validated));
+}));
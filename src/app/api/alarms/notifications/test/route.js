@@ -0,0 +1,15 @@
+// src/app/api/alarms/notifications/test/route.js
+import { authMiddleware } from '@/lib/auth/middleware';
+import { sendTestNotification } from '@/lib/notifications/delivery';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// POST /api/alarms/notifications/test - Send a test notification to the caller on each channel of
+// their notification settings, and report how each delivery went
+export const POST = authMiddleware(asyncHandler(async (request) => {
+  const deliveries = await sendTestNotification(request.auth.userId);
+
+  return successResponse(deliveries, deliveries.length > 0
+    ? 'Test notification sent'
+    : 'No notification channel is enabled for this user');
+}));
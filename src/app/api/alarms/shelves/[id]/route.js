@@ -0,0 +1,14 @@
+// src/app/api/alarms/shelves/[id]/route.js
+import { operatorOnly } from '@/lib/auth/middleware';
+import { unshelveAlarm } from '@/lib/alarms/shelving';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// DELETE /api/alarms/shelves/[id] - Unshelve before the shelf expires
+export const DELETE = operatorOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const shelf = await unshelveAlarm(id, request.auth.userId);
+
+  return successResponse(shelf, 'Alarm unshelved');
+}));
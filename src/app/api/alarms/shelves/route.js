@@ -0,0 +1,24 @@
+// src/app/api/alarms/shelves/route.js
+import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
+import { listShelvedAlarms, shelveAlarm } from '@/lib/alarms/shelving';
+import { validate, shelveAlarmSchema, shelfQuerySchema } from '@/lib/validation/schemas';
+import { successResponse, createdResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/alarms/shelves - Currently shelved alarm conditions, who shelved them, why and until when
+export const GET = authMiddleware(asyncHandler(async (request) => {
+  const { searchParams } = new URL(request.url);
+  const validated = await validate(shelfQuerySchema)(Object.fromEntries(searchParams));
+
+  return successResponse(await listShelvedAlarms(validated));
+}));
+
+// POST /api/alarms/shelves - Shelve an element+metric alarm condition for a fixed time
+export const POST = operatorOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(shelveAlarmSchema)(body);
+
+  const shelf = await shelveAlarm(validated, request.auth.userId);
+
+  return createdResponse(shelf, 'Alarm shelved');
+}));
@@ -1,12 +1,15 @@
 // src/app/api/analytics/route.js
 import { NextResponse } from 'next/server';
 import { query } from '@/lib/db/postgres';
-import { queryMeasurements, getInfluxAPIs } from '@/lib/db/influx';
+import { queryMeasurements, queryMeasurementSeries, getInfluxAPIs, STORAGE_TIERS } from '@/lib/db/influx';
+import { measurementSource, windowAggregate, parseDurationMs } from '@/lib/db/flux';
 import { cache } from '@/lib/db/redis';
 import { authMiddleware } from '@/lib/auth/middleware';
 import { successResponse } from '@/lib/utils/response';
 import { asyncHandler, ValidationError } from '@/lib/utils/errors';
 
+const RAW_BUCKET = STORAGE_TIERS[0].bucket;
+
 export const GET = authMiddleware(asyncHandler(async (request) => {
   const { searchParams } = new URL(request.url);
   const type = searchParams.get('type');
@@ -14,6 +17,11 @@ export const GET = authMiddleware(asyncHandler(async (request) => {
   const groupBy = searchParams.get('groupBy');
   const elementIds = searchParams.get('elements')?.split(',').filter(Boolean);
 
+  // Period ends up in Flux range starts, so only a positive duration is accepted
+  if (!(parseDurationMs(period) > 0)) {
+    throw new ValidationError([{ path: 'period', message: 'period must be a positive duration such as 24h' }]);
+  }
+
   switch (type) {
     case 'system_summary':
       return getSystemSummary();
@@ -104,9 +112,7 @@ async function getSystemSummary() {
   
   try {
     const flux = `
-      from(bucket: "${process.env.INFLUXDB_BUCKET}")
-        |> range(start: -5m)
-        |> filter(fn: (r) => r._measurement == "grid_measurements")
+      ${measurementSource({ bucket: RAW_BUCKET, start: '-5m' })}
         |> group(columns: ["_field"])
         |> last()
         |> group()
@@ -120,6 +126,24 @@ async function getSystemSummary() {
     console.error('InfluxDB query error:', error);
   }
 
+  // Count recent values by data quality (untagged points are good)
+  const dataQuality = {};
+  try {
+    const flux = `
+      ${measurementSource({ bucket: RAW_BUCKET, start: '-5m', includeSuspect: true })}
+        |> map(fn: (r) => ({ r with quality: if exists r.quality then r.quality else "good" }))
+        |> group(columns: ["quality"])
+        |> count()
+    `;
+
+    await queryApi.collectRows(flux, (row, tableMeta) => {
+      const obj = tableMeta.toObject(row);
+      dataQuality[obj.quality] = (dataQuality[obj.quality] || 0) + (obj._value || 0);
+    });
+  } catch (error) {
+    console.error('InfluxDB query error:', error);
+  }
+
   // Calculate current totals
   const currentLoad = currentMetrics
     .filter(m => m._field === 'active_power' && m.element_type === 'load')
@@ -175,6 +199,10 @@ async function getSystemSummary() {
       renewable_percentage: capacity.rows[0].total_generation_capacity > 0 
         ? (capacity.rows[0].renewable_capacity / capacity.rows[0].total_generation_capacity * 100) 
         : 0
+    },
+    data_quality: {
+      ...dataQuality,
+      total: Object.values(dataQuality).reduce((sum, count) => sum + count, 0)
     }
   };
 
@@ -193,19 +221,16 @@ async function getLoadProfile(period, elementIds) {
 
   const { queryApi } = getInfluxAPIs();
   const window = getAggregationWindow(period);
-  
-  let filter = 'r.element_type == "load"';
-  if (elementIds && elementIds.length > 0) {
-    const ids = elementIds.map(id => `r.element_id == "${id}"`).join(' or ');
-    filter = `(${filter}) and (${ids})`;
-  }
 
   const flux = `
-    from(bucket: "${process.env.INFLUXDB_BUCKET}")
-      |> range(start: -${period})
-      |> filter(fn: (r) => r._measurement == "grid_measurements" and r._field == "active_power")
-      |> filter(fn: (r) => ${filter})
-      |> aggregateWindow(every: ${window}, fn: mean, createEmpty: false)
+    ${measurementSource({
+      bucket: RAW_BUCKET,
+      start: `-${period}`,
+      elementType: 'load',
+      elementIds: elementIds?.length ? elementIds : undefined,
+      fields: ['active_power']
+    })}
+      ${windowAggregate(window, 'mean')}
       |> group(columns: ["_time"])
       |> sum()
       |> yield(name: "load_profile")
@@ -290,13 +315,7 @@ async function getGenerationMix() {
   const currentGen = {};
   
   const flux = `
-    from(bucket: "${process.env.INFLUXDB_BUCKET}")
-      |> range(start: -5m)
-      |> filter(fn: (r) => 
-        r._measurement == "grid_measurements" and 
-        r._field == "active_power" and 
-        r.element_type == "generator"
-      )
+    ${measurementSource({ bucket: RAW_BUCKET, start: '-5m', elementType: 'generator', fields: ['active_power'] })}
       |> last()
       |> group(columns: ["element_id"])
   `;
@@ -382,26 +401,14 @@ async function getNetworkLosses(period) {
 
   // Get generation and load data
   const flux = `
-    genPower = from(bucket: "${process.env.INFLUXDB_BUCKET}")
-      |> range(start: -${period})
-      |> filter(fn: (r) => 
-        r._measurement == "grid_measurements" and 
-        r._field == "active_power" and 
-        r.element_type == "generator"
-      )
-      |> aggregateWindow(every: ${window}, fn: sum, createEmpty: false)
+    genPower = ${measurementSource({ bucket: RAW_BUCKET, start: `-${period}`, elementType: 'generator', fields: ['active_power'] })}
+      ${windowAggregate(window, 'sum')}
       |> group(columns: ["_time"])
       |> sum()
       |> yield(name: "generation")
 
-    loadPower = from(bucket: "${process.env.INFLUXDB_BUCKET}")
-      |> range(start: -${period})
-      |> filter(fn: (r) => 
-        r._measurement == "grid_measurements" and 
-        r._field == "active_power" and 
-        r.element_type == "load"
-      )
-      |> aggregateWindow(every: ${window}, fn: sum, createEmpty: false)
+    loadPower = ${measurementSource({ bucket: RAW_BUCKET, start: `-${period}`, elementType: 'load', fields: ['active_power'] })}
+      ${windowAggregate(window, 'sum')}
       |> group(columns: ["_time"])
       |> sum()
       |> yield(name: "load")
@@ -622,33 +629,43 @@ async function getEnergyConsumption(period, groupBy = 'hour') {
     return successResponse(cached);
   }
 
-  const { queryApi } = getInfluxAPIs();
   const window = groupBy === 'hour' ? '1h' : groupBy === 'day' ? '1d' : '1h';
+  const hours = parseWindowToHours(window);
+
+  // Windows a load did not report are interpolated between its neighbouring windows, so comms
+  // outages do not read as a drop in consumption; windows before the first or after the last
+  // report of a load stay missing
+  const loads = await query(
+    "SELECT id FROM grid_elements WHERE element_type = 'load' AND deleted_at IS NULL"
+  );
+  const points = loads.rows.length > 0
+    ? await queryMeasurementSeries(
+      loads.rows.map(row => row.id), ['active_power'], `-${period}`, 'now()', 'mean', window, { fill: 'linear' }
+    )
+    : [];
 
-  // Get energy consumption data
-  const flux = `
-    from(bucket: "${process.env.INFLUXDB_BUCKET}")
-      |> range(start: -${period})
-      |> filter(fn: (r) => 
-        r._measurement == "grid_measurements" and 
-        r._field == "active_power" and 
-        r.element_type == "load"
-      )
-      |> aggregateWindow(every: ${window}, fn: mean, createEmpty: false)
-      |> map(fn: (r) => ({ r with _value: r._value * ${parseWindowToHours(window)} }))
-      |> group(columns: ["_time"])
-      |> sum()
-      |> yield(name: "energy")
-  `;
+  const byTime = new Map();
+  const completeness = { expected: 0, measured: 0, interpolated: 0, missing: 0 };
+  for (const point of points) {
+    if (!byTime.has(point.timestamp)) {
+      byTime.set(point.timestamp, { timestamp: point.timestamp, energy_kwh: 0, interpolated_kwh: 0 });
+    }
+    const entry = byTime.get(point.timestamp);
 
-  const data = [];
-  await queryApi.collectRows(flux, (row, tableMeta) => {
-    const obj = tableMeta.toObject(row);
-    data.push({
-      timestamp: obj._time,
-      energy_kwh: obj._value || 0
-    });
-  });
+    completeness.expected++;
+    if (point.value === null) {
+      completeness.missing++;
+      continue;
+    }
+    entry.energy_kwh += point.value * hours;
+    if (point.filled) {
+      entry.interpolated_kwh += point.value * hours;
+      completeness.interpolated++;
+    } else {
+      completeness.measured++;
+    }
+  }
+  const data = [...byTime.values()];
 
   // Get consumption by load type
   const byType = await query(`
@@ -664,6 +681,7 @@ async function getEnergyConsumption(period, groupBy = 'hour') {
 
   // Calculate totals and statistics
   const totalEnergy = data.reduce((sum, d) => sum + d.energy_kwh, 0);
+  const interpolatedEnergy = data.reduce((sum, d) => sum + d.interpolated_kwh, 0);
   const avgConsumption = data.length > 0 ? totalEnergy / data.length : 0;
   const peakConsumption = Math.max(...data.map(d => d.energy_kwh), 0);
 
@@ -681,6 +699,15 @@ async function getEnergyConsumption(period, groupBy = 'hour') {
       avg_consumption_kwh: avgConsumption,
       peak_consumption_kwh: peakConsumption,
       min_consumption_kwh: Math.min(...data.map(d => d.energy_kwh), 0)
+    },
+    interpolation: {
+      method: 'linear',
+      load_windows: completeness.expected,
+      measured_windows: completeness.measured,
+      interpolated_windows: completeness.interpolated,
+      missing_windows: completeness.missing,
+      interpolated_energy_kwh: interpolatedEnergy,
+      interpolated_percentage: totalEnergy > 0 ? (interpolatedEnergy / totalEnergy * 100) : 0
     }
   };
 
@@ -701,14 +728,8 @@ async function getPeakDemand(period) {
 
   // Get peak demand periods
   const flux = `
-    from(bucket: "${process.env.INFLUXDB_BUCKET}")
-      |> range(start: -${period})
-      |> filter(fn: (r) => 
-        r._measurement == "grid_measurements" and 
-        r._field == "active_power" and 
-        r.element_type == "load"
-      )
-      |> aggregateWindow(every: 15m, fn: sum, createEmpty: false)
+    ${measurementSource({ bucket: RAW_BUCKET, start: `-${period}`, elementType: 'load', fields: ['active_power'] })}
+      ${windowAggregate('15m', 'sum')}
       |> group()
       |> top(n: 10, columns: ["_value"])
   `;
@@ -757,26 +778,13 @@ async function getPowerQuality(period, elementIds) {
   }
 
   const { queryApi } = getInfluxAPIs();
-  
-  let filter = 'true';
-  if (elementIds && elementIds.length > 0) {
-    const ids = elementIds.map(id => `r.element_id == "${id}"`).join(' or ');
-    filter = `(${ids})`;
-  }
+  const selection = elementIds?.length ? elementIds : undefined;
 
-  // Get voltage quality metrics
+  // Get voltage quality metrics from the per-unit voltages stored at ingest, so elements of every
+  // voltage level are measured against their own nominal voltage
   const voltageFlux = `
-    from(bucket: "${process.env.INFLUXDB_BUCKET}")
-      |> range(start: -${period})
-      |> filter(fn: (r) => 
-        r._measurement == "grid_measurements" and 
-        r._field == "voltage" and ${filter}
-      )
-      |> map(fn: (r) => ({
-        r with
-        deviation: math.abs(x: (r._value - 11.0) / 11.0 * 100.0)
-      }))
-      |> aggregateWindow(every: 5m, fn: mean, createEmpty: false)
+    ${measurementSource({ bucket: RAW_BUCKET, start: `-${period}`, elementIds: selection, fields: ['voltage_pu'] })}
+      ${windowAggregate('5m', 'mean')}
   `;
 
   const voltageData = [];
@@ -785,24 +793,15 @@ async function getPowerQuality(period, elementIds) {
     voltageData.push({
       time: obj._time,
       element_id: obj.element_id,
-      voltage: obj._value,
-      deviation: obj.deviation
+      voltage_pu: obj._value,
+      deviation: Math.abs(obj._value - 1) * 100
     });
   });
 
   // Get frequency quality metrics
   const frequencyFlux = `
-    from(bucket: "${process.env.INFLUXDB_BUCKET}")
-      |> range(start: -${period})
-      |> filter(fn: (r) => 
-        r._measurement == "grid_measurements" and 
-        r._field == "frequency" and ${filter}
-      )
-      |> map(fn: (r) => ({
-        r with
-        deviation: math.abs(x: (r._value - 50.0) / 50.0 * 100.0)
-      }))
-      |> aggregateWindow(every: 5m, fn: mean, createEmpty: false)
+    ${measurementSource({ bucket: RAW_BUCKET, start: `-${period}`, elementIds: selection, fields: ['frequency'] })}
+      ${windowAggregate('5m', 'mean')}
   `;
 
   const frequencyData = [];
@@ -812,7 +811,7 @@ async function getPowerQuality(period, elementIds) {
       time: obj._time,
       element_id: obj.element_id,
       frequency: obj._value,
-      deviation: obj.deviation
+      deviation: Math.abs(obj._value - 50) / 50 * 100
     });
   });
 
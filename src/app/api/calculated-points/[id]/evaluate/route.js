@@ -0,0 +1,39 @@
+// src/app/api/calculated-points/[id]/evaluate/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware } from '@/lib/auth/middleware';
+import { computePoint, getPointTargets } from '@/lib/calculated/points';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError } from '@/lib/utils/errors';
+
+const MAX_TARGETS = 100;
+
+// POST /api/calculated-points/[id]/evaluate - Evaluate from the latest inputs without storing the result
+export const POST = authMiddleware(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query('SELECT * FROM calculated_points WHERE id = $1', [id]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Calculated point');
+  }
+
+  const point = result.rows[0];
+  const targets = await getPointTargets(point);
+  const results = [];
+
+  for (const targetId of targets.slice(0, MAX_TARGETS)) {
+    try {
+      const outcome = await computePoint(point, targetId);
+      results.push({ ...outcome, timestamp: outcome.timestamp.toISOString() });
+    } catch (error) {
+      results.push({ element_id: targetId, field: point.field, error: error.message });
+    }
+  }
+
+  return successResponse({
+    point_id: id,
+    field: point.field,
+    formula: point.formula,
+    targets: targets.length,
+    results
+  });
+}));
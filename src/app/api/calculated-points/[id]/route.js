@@ -0,0 +1,130 @@
+// src/app/api/calculated-points/[id]/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware, operatorOnly, adminOnly } from '@/lib/auth/middleware';
+import { checkCalculatedPoint, reloadCalculatedPoints } from '@/lib/calculated/points';
+import { validate, updateCalculatedPointSchema, hasCalculatedTarget } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError, ValidationError, ConflictError } from '@/lib/utils/errors';
+
+// GET /api/calculated-points/[id] - Get calculated point
+export const GET = authMiddleware(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(`
+    SELECT
+      p.*,
+      e.name as element_name,
+      g.name as group_name,
+      u.name as created_by_name
+    FROM calculated_points p
+    LEFT JOIN grid_elements e ON p.element_id = e.id
+    LEFT JOIN element_groups g ON p.group_id = g.id
+    LEFT JOIN users u ON p.created_by = u.id
+    WHERE p.id = $1
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Calculated point');
+  }
+
+  return successResponse(result.rows[0]);
+}));
+
+// PUT /api/calculated-points/[id] - Update calculated point
+export const PUT = operatorOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+  const body = await request.json();
+  const validated = await validate(updateCalculatedPointSchema)(body);
+
+  const current = await query('SELECT * FROM calculated_points WHERE id = $1', [id]);
+  if (current.rows.length === 0) {
+    throw new NotFoundError('Calculated point');
+  }
+
+  // Check target, formula and inputs against the point as it will be stored
+  const merged = { ...current.rows[0] };
+  for (const [key, value] of Object.entries(validated)) {
+    if (value !== undefined) merged[key] = value;
+  }
+  if (!hasCalculatedTarget(merged)) {
+    throw new ValidationError([{ path: 'element_id', message: 'Set exactly one of element_id or group_id' }]);
+  }
+  await checkCalculatedPoint(merged);
+
+  const existing = await query(
+    'SELECT id FROM calculated_points WHERE (element_id = $1 OR group_id = $2) AND field = $3 AND id != $4',
+    [merged.element_id || null, merged.group_id || null, merged.field, id]
+  );
+  if (existing.rows.length > 0) {
+    throw new ConflictError(`A calculated point for field ${merged.field} already exists on this ${merged.element_id ? 'element' : 'group'}`);
+  }
+
+  const updateFields = [];
+  const updateValues = [];
+  let paramCount = 1;
+
+  for (const [key, value] of Object.entries(validated)) {
+    if (value !== undefined) {
+      updateFields.push(`${key} = $${++paramCount}`);
+      updateValues.push(key === 'inputs' ? JSON.stringify(value) : value);
+    }
+  }
+
+  if (updateFields.length === 0) {
+    return successResponse(current.rows[0], 'No changes made');
+  }
+
+  const result = await query(`
+    UPDATE calculated_points
+    SET ${updateFields.join(', ')}
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...updateValues]);
+
+  await reloadCalculatedPoints();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values, new_values)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    request.auth.userId,
+    'update_calculated_point',
+    'calculated_points',
+    id,
+    JSON.stringify(current.rows[0]),
+    JSON.stringify(result.rows[0])
+  ]);
+
+  return successResponse(result.rows[0], 'Calculated point updated successfully');
+}));
+
+// DELETE /api/calculated-points/[id] - Remove calculated point; stored values are kept
+export const DELETE = adminOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(
+    'DELETE FROM calculated_points WHERE id = $1 RETURNING *',
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Calculated point');
+  }
+
+  await reloadCalculatedPoints();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'delete_calculated_point',
+    'calculated_points',
+    id,
+    JSON.stringify(result.rows[0])
+  ]);
+
+  return successResponse({ id, name: result.rows[0].name }, 'Calculated point deleted successfully');
+}));
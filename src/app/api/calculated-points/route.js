@@ -0,0 +1,92 @@
+// src/app/api/calculated-points/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
+import { checkCalculatedPoint, reloadCalculatedPoints } from '@/lib/calculated/points';
+import { validate, calculatedPointSchema } from '@/lib/validation/schemas';
+import { successResponse, createdResponse } from '@/lib/utils/response';
+import { asyncHandler, ConflictError } from '@/lib/utils/errors';
+
+// GET /api/calculated-points - List calculated points, optionally for one element or group
+export const GET = authMiddleware(asyncHandler(async (request) => {
+  const { searchParams } = new URL(request.url);
+  const conditions = [];
+  const values = [];
+
+  for (const key of ['element_id', 'group_id']) {
+    if (searchParams.get(key)) {
+      values.push(searchParams.get(key));
+      conditions.push(`p.${key} = $${values.length}`);
+    }
+  }
+
+  const result = await query(`
+    SELECT
+      p.*,
+      e.name as element_name,
+      g.name as group_name,
+      u.name as created_by_name
+    FROM calculated_points p
+    LEFT JOIN grid_elements e ON p.element_id = e.id
+    LEFT JOIN element_groups g ON p.group_id = g.id
+    LEFT JOIN users u ON p.created_by = u.id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY p.name
+  `, values);
+
+  return successResponse(result.rows);
+}));
+
+// POST /api/calculated-points - Define a calculated point
+export const POST = operatorOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(calculatedPointSchema)(body);
+
+  await checkCalculatedPoint(validated);
+
+  const existing = await query(
+    'SELECT id FROM calculated_points WHERE (element_id = $1 OR group_id = $2) AND field = $3',
+    [validated.element_id || null, validated.group_id || null, validated.field]
+  );
+  if (existing.rows.length > 0) {
+    throw new ConflictError(`A calculated point for field ${validated.field} already exists on this ${validated.element_id ? 'element' : 'group'}`);
+  }
+
+  const result = await query(`
+    INSERT INTO calculated_points (
+      name, description, element_id, group_id, field, formula, inputs,
+      evaluate_on, interval_s, unit, enabled, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING *
+  `, [
+    validated.name,
+    validated.description || null,
+    validated.element_id || null,
+    validated.group_id || null,
+    validated.field,
+    validated.formula,
+    JSON.stringify(validated.inputs),
+    validated.evaluate_on,
+    validated.interval_s,
+    validated.unit || null,
+    validated.enabled,
+    request.auth.userId
+  ]);
+
+  const point = result.rows[0];
+
+  await reloadCalculatedPoints();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, new_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'create_calculated_point',
+    'calculated_points',
+    point.id,
+    JSON.stringify(point)
+  ]);
+
+  return createdResponse(point, 'Calculated point created successfully');
+}));
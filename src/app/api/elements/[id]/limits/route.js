@@ -0,0 +1,30 @@
+// src/app/api/elements/[id]/limits/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware } from '@/lib/auth/middleware';
+import { getElementLimits } from '@/lib/alarms/limits';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError } from '@/lib/utils/errors';
+
+// GET /api/elements/[id]/limits - Effective alarm limits for an element
+export const GET = authMiddleware(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const elementResult = await query(
+    'SELECT id, name, element_type FROM grid_elements WHERE id = $1 AND deleted_at IS NULL',
+    [id]
+  );
+
+  if (elementResult.rows.length === 0) {
+    throw new NotFoundError('Element');
+  }
+
+  const element = elementResult.rows[0];
+  const limits = await getElementLimits(element);
+
+  return successResponse({
+    element_id: element.id,
+    element_name: element.name,
+    element_type: element.element_type,
+    limits: Object.values(limits)
+  });
+}));
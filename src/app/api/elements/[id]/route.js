@@ -2,6 +2,12 @@
 import { NextResponse } from 'next/server';
 import { query, withTransaction } from '@/lib/db/postgres';
 import { cache } from '@/lib/db/redis';
+import { publishTopologyChange } from '@/lib/realtime/hub';
+import { emitPlatformEvent } from '@/lib/webhooks/dispatcher';
+import { invalidateLimits } from '@/lib/alarms/limits';
+import { syncMaintenanceStatus } from '@/lib/alarms/maintenance';
+import { forgetIngestElement } from '@/lib/measurements/ingest';
+import { queryElementBases } from '@/lib/measurements/perunit';
 import { authMiddleware, operatorOnly, adminOnly } from '@/lib/auth/middleware';
 import { successResponse } from '@/lib/utils/response';
 import { asyncHandler, NotFoundError } from '@/lib/utils/errors';
@@ -122,6 +128,7 @@ export const GET = authMiddleware(asyncHandler(async (request, { params }) => {
   }
 
   const element = result.rows[0];
+  element.per_unit_bases = (await queryElementBases([id])).get(id) || null;
   
   // Cache for 5 minutes
   await cache.set(cacheKey, element, 300);
@@ -259,6 +266,22 @@ export const PUT = operatorOnly(asyncHandler(async (request, { params }) => {
   // Invalidate cache
   await cache.delete(`element:${id}`);
   await cache.invalidatePattern('elements:*');
+  await invalidateLimits();
+  forgetIngestElement(id);
+  // Entering or leaving maintenance status opens or ends the element's maintenance window
+  await syncMaintenanceStatus(id, result.old.status, result.new.status, request.auth.userId);
+  await publishTopologyChange('element_updated', {
+    element_ids: [result.new.id],
+    element: {
+      id: result.new.id,
+      element_type: result.new.element_type,
+      name: result.new.name,
+      status: result.new.status,
+      latitude: result.new.latitude,
+      longitude: result.new.longitude
+    }
+  });
+  await emitPlatformEvent('element.updated', { element: result.new, previous: result.old });
 
   // Log audit
   await query(`
@@ -286,7 +309,7 @@ export const DELETE = adminOnly(asyncHandler(async (request, { params }) => {
     UPDATE grid_elements
     SET deleted_at = CURRENT_TIMESTAMP
     WHERE id = $1 AND deleted_at IS NULL
-    RETURNING id, name
+    RETURNING id, name, element_type
   `, [id]);
 
   if (result.rows.length === 0) {
@@ -296,6 +319,12 @@ export const DELETE = adminOnly(asyncHandler(async (request, { params }) => {
   // Invalidate cache
   await cache.delete(`element:${id}`);
   await cache.invalidatePattern('elements:*');
+  forgetIngestElement(id);
+  await publishTopologyChange('element_removed', {
+    element_ids: [id],
+    element: { id, element_type: result.rows[0].element_type, name: result.rows[0].name }
+  });
+  await emitPlatformEvent('element.deleted', { element: { id, ...result.rows[0] } });
 
   // Log audit
   await query(`
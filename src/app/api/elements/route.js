@@ -2,6 +2,9 @@
 import { NextResponse } from 'next/server';
 import { query, withTransaction } from '@/lib/db/postgres';
 import { cache } from '@/lib/db/redis';
+import { publishTopologyChange } from '@/lib/realtime/hub';
+import { emitPlatformEvent } from '@/lib/webhooks/dispatcher';
+import { forgetIngestElement } from '@/lib/measurements/ingest';
 import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
 import { validate, createElementSchema, elementQuerySchema } from '@/lib/validation/schemas';
 import { paginatedResponse, createdResponse } from '@/lib/utils/response';
@@ -374,8 +377,21 @@ export const POST = operatorOnly(asyncHandler(async (request) => {
     return { ...element, properties };
   });
 
-  // Invalidate cache
+  // Invalidate cache; samples sent before the element existed leave a cached miss for its id
   await cache.invalidatePattern('elements:*');
+  forgetIngestElement(result.id);
+  await publishTopologyChange('element_added', {
+    element_ids: [result.id],
+    element: {
+      id: result.id,
+      element_type: result.element_type,
+      name: result.name,
+      status: result.status,
+      latitude: result.latitude,
+      longitude: result.longitude
+    }
+  });
+  await emitPlatformEvent('element.created', { element: result });
 
   // Log audit
   await query(`
@@ -3,8 +3,14 @@ import { NextResponse } from 'next/server';
 import { query } from '@/lib/db/postgres';
 import { cache } from '@/lib/db/redis';
 import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
+import { forgetAlarmState, publishAlarmChange, alarmSummary, OPEN_ALARM_STATUSES } from '@/lib/alarms/engine';
+import { shelveAlarm } from '@/lib/alarms/shelving';
+import { getEscalation } from '@/lib/alarms/escalation';
+import { getIncidentOfAlarm } from '@/lib/alarms/incidents';
+import { emitPlatformEvent } from '@/lib/webhooks/dispatcher';
+import { validate, shelveEventSchema } from '@/lib/validation/schemas';
 import { successResponse } from '@/lib/utils/response';
-import { asyncHandler, NotFoundError } from '@/lib/utils/errors';
+import { asyncHandler, NotFoundError, ValidationError, ConflictError } from '@/lib/utils/errors';
 
 // GET /api/events/[id] - Get event details
 export const GET = authMiddleware(asyncHandler(async (request, { params }) => {
@@ -18,9 +24,9 @@ export const GET = authMiddleware(asyncHandler(async (request, { params }) => {
       e.status as element_status,
       u1.name as acknowledged_by_name,
       u2.name as resolved_by_name,
-      EXTRACT(EPOCH FROM (COALESCE(ev.resolved_at, NOW()) - ev.created_at))/60 as duration_minutes
+      EXTRACT(EPOCH FROM (COALESCE(ev.cleared_at, ev.resolved_at, NOW()) - COALESCE(ev.raised_at, ev.created_at)))/60 as duration_minutes
     FROM events ev
-    JOIN grid_elements e ON ev.element_id = e.id
+    LEFT JOIN grid_elements e ON ev.element_id = e.id
     LEFT JOIN users u1 ON ev.acknowledged_by = u1.id
     LEFT JOIN users u2 ON ev.resolved_by = u2.id
     WHERE ev.id = $1
@@ -30,10 +36,14 @@ export const GET = authMiddleware(asyncHandler(async (request, { params }) => {
     throw new NotFoundError('Event');
   }
 
-  return successResponse(result.rows[0]);
+  return successResponse({
+    ...result.rows[0],
+    escalation: await getEscalation(id),
+    incident: await getIncidentOfAlarm(id)
+  });
 }));
 
-// PUT /api/events/[id] - Update event (acknowledge/resolve)
+// PUT /api/events/[id] - Update event (acknowledge/resolve/shelve)
 export const PUT = operatorOnly(asyncHandler(async (request, { params }) => {
   const { id } = await params;
   const body = await request.json();
@@ -49,19 +59,44 @@ export const PUT = operatorOnly(asyncHandler(async (request, { params }) => {
   }
 
   const currentEvent = current.rows[0];
+
+  // Shelve the alarm's condition for a while; new occurrences are recorded but not annunciated
+  if (body.action === 'shelve') {
+    if (!currentEvent.metric) {
+      throw new ValidationError([{ path: 'action', message: 'Only limit alarms can be shelved' }]);
+    }
+    const { duration_minutes, reason } = await validate(shelveEventSchema)(body);
+    const shelf = await shelveAlarm({
+      element_id: currentEvent.element_id,
+      metric: currentEvent.metric,
+      duration_minutes,
+      reason
+    }, request.auth.userId);
+
+    return successResponse(shelf, 'Alarm shelved');
+  }
+
   let updateFields = [];
   const updateValues = [];
   let paramCount = 1;
 
-  // Handle acknowledgment
+  // Handle acknowledgment; an alarm that already returned to normal is resolved by it
   if (body.action === 'acknowledge' && !currentEvent.acknowledged_at) {
     updateFields.push(`acknowledged_at = CURRENT_TIMESTAMP`);
     updateFields.push(`acknowledged_by = $${++paramCount}`);
     updateValues.push(request.auth.userId);
+
+    if (currentEvent.status === 'returned') {
+      updateFields.push(`status = 'resolved'`);
+      updateFields.push(`resolved_at = CURRENT_TIMESTAMP`);
+      updateFields.push(`resolved_by = $${paramCount}`);
+    } else if (currentEvent.status === 'active') {
+      updateFields.push(`status = 'acknowledged'`);
+    }
   }
 
   // Handle resolution
-  if (body.action === 'resolve' && currentEvent.status === 'active') {
+  if (body.action === 'resolve' && OPEN_ALARM_STATUSES.includes(currentEvent.status)) {
     updateFields.push(`status = 'resolved'`);
     updateFields.push(`resolved_at = CURRENT_TIMESTAMP`);
     updateFields.push(`resolved_by = $${++paramCount}`);
@@ -73,15 +108,25 @@ export const PUT = operatorOnly(asyncHandler(async (request, { params }) => {
     }
   }
 
-  // Handle status update
+  // Handle status update; a closed limit alarm cannot reopen while its condition has a newer alarm open
+  if (body.status && ['active', 'acknowledged'].includes(body.status) &&
+      currentEvent.metric && !OPEN_ALARM_STATUSES.includes(currentEvent.status)) {
+    const open = await query(
+      'SELECT id FROM events WHERE element_id = $1 AND metric = $2 AND status = ANY($3) AND id != $4',
+      [currentEvent.element_id, currentEvent.metric, OPEN_ALARM_STATUSES, id]
+    );
+    if (open.rows.length > 0) {
+      throw new ConflictError(`Another ${currentEvent.metric} alarm is already open on this element`);
+    }
+  }
   if (body.status && ['active', 'acknowledged', 'resolved'].includes(body.status)) {
-    updateFields.push(`status = ${++paramCount}`);
+    updateFields.push(`status = $${++paramCount}`);
     updateValues.push(body.status);
   }
 
   // Handle severity update
   if (body.severity && ['critical', 'high', 'medium', 'low'].includes(body.severity)) {
-    updateFields.push(`severity = ${++paramCount}`);
+    updateFields.push(`severity = $${++paramCount}`);
     updateValues.push(body.severity);
   }
 
@@ -99,6 +144,20 @@ export const PUT = operatorOnly(asyncHandler(async (request, { params }) => {
 
   const updatedEvent = result.rows[0];
 
+  // Alarm condition state is rebuilt from the updated row on the next sample
+  await forgetAlarmState(updatedEvent.element_id, updatedEvent.metric);
+  if (updatedEvent.metric && !OPEN_ALARM_STATUSES.includes(updatedEvent.status)) {
+    await cache.delete(`alarm:${updatedEvent.element_id}:${updatedEvent.metric}`);
+  }
+
+  const changed = updatedEvent.status !== currentEvent.status && ['acknowledged', 'resolved'].includes(updatedEvent.status);
+  if (updatedEvent.metric) {
+    await publishAlarmChange(changed ? updatedEvent.status : 'updated', updatedEvent);
+  } else if (changed && updatedEvent.event_type === 'alarm') {
+    // Alarms recorded through the API are not published to realtime subscribers, only to webhooks
+    await emitPlatformEvent(`alarm.${updatedEvent.status}`, alarmSummary(updatedEvent));
+  }
+
   // Update or remove from Redis cache
   if (updatedEvent.status === 'resolved') {
     await cache.delete(`event:active:${id}`);
@@ -133,7 +192,7 @@ export const PUT = operatorOnly(asyncHandler(async (request, { params }) => {
       u1.name as acknowledged_by_name,
       u2.name as resolved_by_name
     FROM events ev
-    JOIN grid_elements e ON ev.element_id = e.id
+    LEFT JOIN grid_elements e ON ev.element_id = e.id
     LEFT JOIN users u1 ON ev.acknowledged_by = u1.id
     LEFT JOIN users u2 ON ev.resolved_by = u2.id
     WHERE ev.id = $1
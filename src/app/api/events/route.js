@@ -6,6 +6,10 @@ import { cache } from '@/lib/db/redis';
 import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
 import { paginatedResponse, successResponse } from '@/lib/utils/response';
 import { asyncHandler } from '@/lib/utils/errors';
+import { idempotent } from '@/lib/utils/idempotency';
+import { alarmSummary } from '@/lib/alarms/engine';
+import { groupAlarm, isConsequential } from '@/lib/alarms/incidents';
+import { emitPlatformEvent } from '@/lib/webhooks/dispatcher';
 
 // GET /api/events - List events/alarms
 export const GET = authMiddleware(asyncHandler(async (request) => {
@@ -15,7 +19,13 @@ export const GET = authMiddleware(asyncHandler(async (request) => {
   const status = searchParams.get('status');
   const severity = searchParams.get('severity');
   const eventType = searchParams.get('event_type');
+  const category = searchParams.get('category');
+  // shelved or maintenance, or none for alarms that were annunciated
+  const suppressedBy = searchParams.get('suppressed_by');
   const elementId = searchParams.get('element_id');
+  const incidentId = searchParams.get('incident_id');
+  // false leaves out the consequential alarms of incidents, showing each incident by its root
+  const consequential = searchParams.get('consequential');
   const startDate = searchParams.get('start_date');
   const endDate = searchParams.get('end_date');
   const offset = (page - 1) * limit;
@@ -40,11 +50,34 @@ export const GET = authMiddleware(asyncHandler(async (request) => {
     whereConditions.push(`ev.event_type = $${++paramCount}`);
   }
 
+  if (category) {
+    params.push(category);
+    whereConditions.push(`ev.category = $${++paramCount}`);
+  }
+
+  if (suppressedBy === 'none') {
+    whereConditions.push('ev.suppressed_by IS NULL');
+  } else if (suppressedBy) {
+    params.push(suppressedBy);
+    whereConditions.push(`ev.suppressed_by = $${++paramCount}`);
+  }
+
   if (elementId) {
     params.push(elementId);
     whereConditions.push(`ev.element_id = $${++paramCount}`);
   }
 
+  if (incidentId) {
+    params.push(incidentId);
+    whereConditions.push(`ev.id IN (SELECT event_id FROM alarm_incident_members WHERE incident_id = $${++paramCount})`);
+  }
+
+  if (consequential === 'true') {
+    whereConditions.push(isConsequential('ev'));
+  } else if (consequential === 'false') {
+    whereConditions.push(`NOT ${isConsequential('ev')}`);
+  }
+
   if (startDate) {
     params.push(startDate);
     whereConditions.push(`ev.created_at >= $${++paramCount}`);
@@ -77,14 +110,19 @@ export const GET = authMiddleware(asyncHandler(async (request) => {
       e.element_type,
       u1.name as acknowledged_by_name,
       u2.name as resolved_by_name,
-      EXTRACT(EPOCH FROM (COALESCE(ev.resolved_at, NOW()) - ev.created_at))/60 as duration_minutes
+      EXTRACT(EPOCH FROM (COALESCE(ev.cleared_at, ev.resolved_at, NOW()) - COALESCE(ev.raised_at, ev.created_at)))/60 as duration_minutes
     FROM events ev
-    JOIN grid_elements e ON ev.element_id = e.id
+    LEFT JOIN grid_elements e ON ev.element_id = e.id
     LEFT JOIN users u1 ON ev.acknowledged_by = u1.id
     LEFT JOIN users u2 ON ev.resolved_by = u2.id
     ${whereClause}
     ORDER BY 
-      CASE WHEN ev.status = 'active' THEN 0 ELSE 1 END,
+      CASE ev.status
+        WHEN 'active' THEN 0
+        WHEN 'acknowledged' THEN 1
+        WHEN 'returned' THEN 2
+        ELSE 3
+      END,
       CASE ev.severity 
         WHEN 'critical' THEN 0 
         WHEN 'high' THEN 1 
@@ -98,8 +136,9 @@ export const GET = authMiddleware(asyncHandler(async (request) => {
   return paginatedResponse(result.rows, { page, limit, total });
 }));
 
-// POST /api/events - Create new event (usually automated)
-export const POST = operatorOnly(asyncHandler(async (request) => {
+// POST /api/events - Create new event (usually automated); a resent request with the same
+// Idempotency-Key returns the event created the first time
+export const POST = operatorOnly(asyncHandler(idempotent('events', async (request) => {
   const body = await request.json();
   
   const result = await query(`
@@ -138,6 +177,11 @@ export const POST = operatorOnly(asyncHandler(async (request) => {
     );
   }
 
+  if (event.event_type === 'alarm') {
+    await emitPlatformEvent('alarm.raised', alarmSummary(event));
+    await groupAlarm(event);
+  }
+
   // Get element details for response
   const elementResult = await query(
     'SELECT name, element_type FROM grid_elements WHERE id = $1',
@@ -149,4 +193,4 @@ export const POST = operatorOnly(asyncHandler(async (request) => {
     element_name: elementResult.rows[0]?.name,
     element_type: elementResult.rows[0]?.element_type
   }, 'Event created successfully');
-}));
\ No newline at end of file
+})));
\ No newline at end of file
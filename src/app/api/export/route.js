@@ -192,14 +192,19 @@ async function exportMeasurements(elementIds, startDate, endDate) {
 
     const measurements = await queryMeasurements(elementId, start, stop, 'mean', '5m');
     
-    measurements.forEach(m => {
-      allData.push({
+    measurements.forEach(({ quality, ...m }) => {
+      const row = {
         element_id: elementId,
         element_name: element.name,
         element_type: element.element_type,
         timestamp: m.timestamp,
         ...m
+      };
+      // Flatten per-field quality codes
+      Object.entries(quality || {}).forEach(([field, code]) => {
+        row[`quality_${field}`] = code;
       });
+      allData.push(row);
     });
   }
 
@@ -3,6 +3,7 @@ import { NextResponse } from 'next/server';
 import { checkConnection as checkPostgres } from '@/lib/db/postgres';
 import { checkConnection as checkRedis } from '@/lib/db/redis';
 import { checkConnection as checkInflux } from '@/lib/db/influx';
+import { getSpoolStatus } from '@/lib/measurements/spool';
 import { publicEndpoint } from '@/lib/auth/middleware';
 
 export const GET = publicEndpoint(async (request) => {
@@ -38,6 +39,13 @@ export const GET = publicEndpoint(async (request) => {
       services.influxdb = { connected: false, error: error.message };
     }
 
+    // Measurements waiting to be written to InfluxDB
+    try {
+      services.influxdb.spool = await getSpoolStatus();
+    } catch (error) {
+      services.influxdb.spool = { error: error.message };
+    }
+
     const response = {
       status: allHealthy ? 'healthy' : 'degraded',
       timestamp: new Date().toISOString(),
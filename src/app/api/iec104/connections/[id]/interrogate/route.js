@@ -0,0 +1,30 @@
+// src/app/api/iec104/connections/[id]/interrogate/route.js
+import { query } from '@/lib/db/postgres';
+import { operatorOnly } from '@/lib/auth/middleware';
+import { requestInterrogation } from '@/lib/iec104/adapter';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError, ConflictError } from '@/lib/utils/errors';
+
+// POST /api/iec104/connections/[id]/interrogate - Request a general interrogation from the outstation
+export const POST = operatorOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query('SELECT id, name, enabled, comms_status FROM iec104_connections WHERE id = $1', [id]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('IEC 104 connection');
+  }
+
+  const connection = result.rows[0];
+  if (!connection.enabled) {
+    throw new ConflictError('IEC 104 connection is disabled');
+  }
+
+  // Picked up by the instance holding the connection on its next tick
+  await requestInterrogation(id);
+
+  return successResponse({
+    connection_id: id,
+    comms_status: connection.comms_status,
+    requested_at: new Date().toISOString()
+  }, 'General interrogation requested');
+}));
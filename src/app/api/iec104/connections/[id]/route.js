@@ -0,0 +1,112 @@
+// src/app/api/iec104/connections/[id]/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware, operatorOnly, adminOnly } from '@/lib/auth/middleware';
+import { checkPointMap, reloadIec104Connections } from '@/lib/iec104/adapter';
+import { validate, updateIec104ConnectionSchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError } from '@/lib/utils/errors';
+
+// GET /api/iec104/connections/[id] - Get IEC 104 connection
+export const GET = authMiddleware(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(`
+    SELECT
+      c.*,
+      u.name as created_by_name
+    FROM iec104_connections c
+    LEFT JOIN users u ON c.created_by = u.id
+    WHERE c.id = $1
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('IEC 104 connection');
+  }
+
+  return successResponse(result.rows[0]);
+}));
+
+// PUT /api/iec104/connections/[id] - Update IEC 104 connection
+export const PUT = operatorOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+  const body = await request.json();
+  const validated = await validate(updateIec104ConnectionSchema)(body);
+
+  const current = await query('SELECT * FROM iec104_connections WHERE id = $1', [id]);
+  if (current.rows.length === 0) {
+    throw new NotFoundError('IEC 104 connection');
+  }
+
+  if (validated.point_map) {
+    await checkPointMap(validated.point_map);
+  }
+
+  const updateFields = [];
+  const updateValues = [];
+  let paramCount = 1;
+
+  for (const [key, value] of Object.entries(validated)) {
+    if (value !== undefined) {
+      updateFields.push(`${key} = $${++paramCount}`);
+      updateValues.push(key === 'point_map' ? JSON.stringify(value) : value);
+    }
+  }
+
+  if (updateFields.length === 0) {
+    return successResponse(current.rows[0], 'No changes made');
+  }
+
+  const result = await query(`
+    UPDATE iec104_connections
+    SET ${updateFields.join(', ')}
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...updateValues]);
+
+  await reloadIec104Connections();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values, new_values)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    request.auth.userId,
+    'update_iec104_connection',
+    'iec104_connections',
+    id,
+    JSON.stringify(current.rows[0]),
+    JSON.stringify(result.rows[0])
+  ]);
+
+  return successResponse(result.rows[0], 'IEC 104 connection updated successfully');
+}));
+
+// DELETE /api/iec104/connections/[id] - Remove IEC 104 connection
+export const DELETE = adminOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(
+    'DELETE FROM iec104_connections WHERE id = $1 RETURNING *',
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('IEC 104 connection');
+  }
+
+  await reloadIec104Connections();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'delete_iec104_connection',
+    'iec104_connections',
+    id,
+    JSON.stringify(result.rows[0])
+  ]);
+
+  return successResponse({ id, name: result.rows[0].name }, 'IEC 104 connection deleted successfully');
+}));
@@ -0,0 +1,77 @@
+// src/app/api/iec104/connections/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
+import { checkPointMap, reloadIec104Connections } from '@/lib/iec104/adapter';
+import { validate, iec104ConnectionSchema } from '@/lib/validation/schemas';
+import { successResponse, createdResponse } from '@/lib/utils/response';
+import { asyncHandler, ConflictError } from '@/lib/utils/errors';
+
+// GET /api/iec104/connections - List IEC 104 connections with comms health
+export const GET = authMiddleware(asyncHandler(async () => {
+  const result = await query(`
+    SELECT
+      c.*,
+      jsonb_array_length(c.point_map) as point_count,
+      u.name as created_by_name
+    FROM iec104_connections c
+    LEFT JOIN users u ON c.created_by = u.id
+    ORDER BY c.name
+  `);
+
+  return successResponse(result.rows);
+}));
+
+// POST /api/iec104/connections - Configure an IEC 104 outstation connection
+export const POST = operatorOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(iec104ConnectionSchema)(body);
+
+  await checkPointMap(validated.point_map);
+
+  const existing = await query(
+    'SELECT id FROM iec104_connections WHERE host = $1 AND port = $2 AND common_address = $3',
+    [validated.host, validated.port, validated.common_address]
+  );
+  if (existing.rows.length > 0) {
+    throw new ConflictError(
+      `A connection to ${validated.host}:${validated.port} common address ${validated.common_address} already exists`
+    );
+  }
+
+  const result = await query(`
+    INSERT INTO iec104_connections (
+      name, host, port, common_address, originator_address, time_zone,
+      interrogation_interval_s, point_map, enabled, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING *
+  `, [
+    validated.name,
+    validated.host,
+    validated.port,
+    validated.common_address,
+    validated.originator_address,
+    validated.time_zone,
+    validated.interrogation_interval_s,
+    JSON.stringify(validated.point_map),
+    validated.enabled,
+    request.auth.userId
+  ]);
+
+  const connection = result.rows[0];
+
+  await reloadIec104Connections();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, new_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'create_iec104_connection',
+    'iec104_connections',
+    connection.id,
+    JSON.stringify(connection)
+  ]);
+
+  return createdResponse(connection, 'IEC 104 connection created successfully');
+}));
@@ -3,14 +3,31 @@ import { NextResponse } from 'next/server';
 import { parse } from 'csv-parse';
 import * as XLSX from 'xlsx';
 import { query, withTransaction } from '@/lib/db/postgres';
-import { writeBatchMeasurements } from '@/lib/db/influx';
+import { storeSamples } from '@/lib/measurements/spool';
+import { forgetIngestElement } from '@/lib/measurements/ingest';
+import { refreshRollups } from '@/lib/measurements/rollups';
 import { operatorOnly } from '@/lib/auth/middleware';
 import { validate, importConfigSchema } from '@/lib/validation/schemas';
 import { successResponse, paginatedResponse } from '@/lib/utils/response';
 import { asyncHandler, ValidationError } from '@/lib/utils/errors';
-
-// POST /api/import - Import data from file
-export const POST = operatorOnly(asyncHandler(async (request) => {
+import { idempotent } from '@/lib/utils/idempotency';
+import { emitPlatformEvent } from '@/lib/webhooks/dispatcher';
+
+// An import is identified by its file contents and options; multipart boundaries differ between
+// otherwise identical uploads
+const importFingerprint = async (request) => {
+  const formData = await request.clone().formData();
+  const file = formData.get('file');
+  return [
+    file && typeof file !== 'string' ? Buffer.from(await file.arrayBuffer()) : null,
+    formData.get('type'),
+    formData.get('mapping')
+  ];
+};
+
+// POST /api/import - Import data from file; re-uploading with the same Idempotency-Key returns the
+// original import instead of importing the rows again
+export const POST = operatorOnly(asyncHandler(idempotent('import', async (request) => {
   try {
     const formData = await request.formData();
     const file = formData.get('file');
@@ -80,6 +97,17 @@ export const POST = operatorOnly(asyncHandler(async (request) => {
       }]);
     }
 
+    await emitPlatformEvent('import.completed', {
+      import_id: importId,
+      import_type: importType,
+      filename: file.name,
+      status: result.records_failed === 0 ? 'completed' : 'completed_with_errors',
+      records_processed: result.records_processed,
+      records_imported: result.records_imported,
+      records_failed: result.records_failed,
+      imported_by: request.auth.userId
+    });
+
     return successResponse({
       import_id: importId,
       ...result
@@ -88,7 +116,7 @@ export const POST = operatorOnly(asyncHandler(async (request) => {
     console.error('Import error:', error);
     throw error;
   }
-}));
+}, { fingerprint: importFingerprint })));
 
 // GET /api/import - Get import history
 export const GET = operatorOnly(asyncHandler(async (request) => {
@@ -194,6 +222,9 @@ async function importMeasurements(importId, buffer, fileType, config) {
   let importedCount = 0;
   let errors = [];
   const measurements = [];
+  // Time range written, for the rollup tiers already covering it
+  let earliest = null;
+  let latest = null;
 
   for (let i = 0; i < data.length; i += batchSize) {
     const batch = data.slice(i, i + batchSize);
@@ -282,10 +313,14 @@ async function importMeasurements(importId, buffer, fileType, config) {
       processedCount++;
     }
 
-    // Write batch to InfluxDB
+    // Write batch to InfluxDB, spooled for a later write while it is unavailable
     if (measurements.length > 0) {
       try {
-        await writeBatchMeasurements(measurements);
+        await storeSamples(measurements);
+        for (const { timestamp } of measurements) {
+          if (!earliest || timestamp < earliest) earliest = timestamp;
+          if (!latest || timestamp > latest) latest = timestamp;
+        }
         measurements.length = 0; // Clear array
       } catch (error) {
         console.error('InfluxDB write error:', error);
@@ -307,6 +342,10 @@ async function importMeasurements(importId, buffer, fileType, config) {
     `, [importId, processedCount, importedCount, errors.length]);
   }
 
+  if (earliest) {
+    await refreshRollups(earliest, latest);
+  }
+
   // Finalize import
   await query(`
     UPDATE data_imports
@@ -354,6 +393,7 @@ async function importElements(importId, buffer, fileType, config) {
   let processedCount = 0;
   let importedCount = 0;
   let errors = [];
+  const importedIds = [];
 
   await withTransaction(async (client) => {
     for (const row of data) {
@@ -408,6 +448,7 @@ async function importElements(importId, buffer, fileType, config) {
           await insertElementProperties(client, elementId, element);
         }
 
+        importedIds.push(elementId);
         importedCount++;
       } catch (error) {
         errors.push({
@@ -419,6 +460,9 @@ async function importElements(importId, buffer, fileType, config) {
     }
   });
 
+  // Samples sent before an element existed leave a cached miss for its id
+  importedIds.forEach(forgetIngestElement);
+
   // Finalize import
   await query(`
     UPDATE data_imports
@@ -0,0 +1,128 @@
+// src/app/api/limits/[id]/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
+import { invalidateLimits, LIMIT_COLUMNS } from '@/lib/alarms/limits';
+import { validate, updateLimitSchema, hasOrderedLimits } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError, ValidationError } from '@/lib/utils/errors';
+
+// GET /api/limits/[id] - Get alarm limit
+export const GET = authMiddleware(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(`
+    SELECT
+      al.*,
+      e.name as element_name,
+      u.name as created_by_name
+    FROM alarm_limits al
+    LEFT JOIN grid_elements e ON al.element_id = e.id
+    LEFT JOIN users u ON al.created_by = u.id
+    WHERE al.id = $1
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Alarm limit');
+  }
+
+  return successResponse(result.rows[0]);
+}));
+
+// PUT /api/limits/[id] - Update alarm limit
+export const PUT = operatorOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+  const body = await request.json();
+  const validated = await validate(updateLimitSchema)(body);
+
+  const current = await query('SELECT * FROM alarm_limits WHERE id = $1', [id]);
+  if (current.rows.length === 0) {
+    throw new NotFoundError('Alarm limit');
+  }
+
+  const currentLimit = current.rows[0];
+
+  // Check ordering against the limit as it will be stored
+  const merged = {};
+  for (const column of LIMIT_COLUMNS) {
+    const value = validated[column] !== undefined ? validated[column] : currentLimit[column];
+    merged[column] = value === null ? null : parseFloat(value);
+  }
+  if (!hasOrderedLimits(merged)) {
+    throw new ValidationError([{
+      path: 'limits',
+      message: 'Limits must be ordered low_trip <= low_alarm <= low_warning <= high_warning <= high_alarm <= high_trip'
+    }]);
+  }
+
+  const updateFields = [];
+  const updateValues = [];
+  let paramCount = 1;
+
+  for (const [key, value] of Object.entries(validated)) {
+    if (value !== undefined) {
+      updateFields.push(`${key} = $${++paramCount}`);
+      updateValues.push(value);
+    }
+  }
+
+  if (updateFields.length === 0) {
+    return successResponse(currentLimit, 'No changes made');
+  }
+
+  const result = await query(`
+    UPDATE alarm_limits
+    SET ${updateFields.join(', ')}
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...updateValues]);
+
+  await invalidateLimits();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values, new_values)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    request.auth.userId,
+    'update_limit',
+    'alarm_limits',
+    id,
+    JSON.stringify(currentLimit),
+    JSON.stringify(result.rows[0])
+  ]);
+
+  return successResponse(result.rows[0], 'Alarm limit updated successfully');
+}));
+
+// DELETE /api/limits/[id] - Delete alarm limit
+export const DELETE = operatorOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(
+    'DELETE FROM alarm_limits WHERE id = $1 RETURNING *',
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Alarm limit');
+  }
+
+  await invalidateLimits();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'delete_limit',
+    'alarm_limits',
+    id,
+    JSON.stringify(result.rows[0])
+  ]);
+
+  return successResponse({
+    id,
+    message: 'Alarm limit deleted successfully'
+  });
+}));
@@ -0,0 +1,128 @@
+// src/app/api/limits/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
+import { invalidateLimits } from '@/lib/alarms/limits';
+import { validate, limitSchema, limitQuerySchema } from '@/lib/validation/schemas';
+import { successResponse, createdResponse } from '@/lib/utils/response';
+import { asyncHandler, ConflictError, NotFoundError } from '@/lib/utils/errors';
+
+// GET /api/limits - List configured alarm limits
+export const GET = authMiddleware(asyncHandler(async (request) => {
+  const { searchParams } = new URL(request.url);
+  const params = Object.fromEntries(searchParams);
+  const { scope, element_type, element_id, metric } = await validate(limitQuerySchema)(params);
+
+  let whereConditions = [];
+  const queryParams = [];
+  let paramCount = 0;
+
+  if (scope) {
+    queryParams.push(scope);
+    whereConditions.push(`al.scope = $${++paramCount}`);
+  }
+
+  if (element_type) {
+    queryParams.push(element_type);
+    whereConditions.push(`(al.element_type = $${++paramCount} OR e.element_type = $${paramCount})`);
+  }
+
+  if (element_id) {
+    queryParams.push(element_id);
+    whereConditions.push(`al.element_id = $${++paramCount}`);
+  }
+
+  if (metric) {
+    queryParams.push(metric);
+    whereConditions.push(`al.metric = $${++paramCount}`);
+  }
+
+  const whereClause = whereConditions.length > 0
+    ? 'WHERE ' + whereConditions.join(' AND ')
+    : '';
+
+  const result = await query(`
+    SELECT
+      al.*,
+      e.name as element_name,
+      u.name as created_by_name
+    FROM alarm_limits al
+    LEFT JOIN grid_elements e ON al.element_id = e.id
+    LEFT JOIN users u ON al.created_by = u.id
+    ${whereClause}
+    ORDER BY al.scope, COALESCE(al.element_type::text, e.element_type::text), e.name, al.metric
+  `, queryParams);
+
+  return successResponse(result.rows);
+}));
+
+// POST /api/limits - Create type default or element override
+export const POST = operatorOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(limitSchema)(body);
+
+  if (validated.scope === 'element') {
+    const element = await query(
+      'SELECT element_type FROM grid_elements WHERE id = $1 AND deleted_at IS NULL',
+      [validated.element_id]
+    );
+    if (element.rows.length === 0) {
+      throw new NotFoundError('Element');
+    }
+  }
+
+  const existing = await query(`
+    SELECT id FROM alarm_limits
+    WHERE scope = $1 AND metric = $2
+      AND (($1 = 'type' AND element_type = $3) OR ($1 = 'element' AND element_id = $4))
+  `, [validated.scope, validated.metric, validated.element_type || null, validated.element_id || null]);
+
+  if (existing.rows.length > 0) {
+    throw new ConflictError(`A ${validated.scope} limit for ${validated.metric} already exists`);
+  }
+
+  const result = await query(`
+    INSERT INTO alarm_limits (
+      scope, element_type, element_id, metric,
+      low_trip, low_alarm, low_warning,
+      high_warning, high_alarm, high_trip,
+      deadband, on_delay_seconds,
+      unit, description, enabled, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+    RETURNING *
+  `, [
+    validated.scope,
+    validated.scope === 'type' ? validated.element_type : null,
+    validated.scope === 'element' ? validated.element_id : null,
+    validated.metric,
+    validated.low_trip ?? null,
+    validated.low_alarm ?? null,
+    validated.low_warning ?? null,
+    validated.high_warning ?? null,
+    validated.high_alarm ?? null,
+    validated.high_trip ?? null,
+    validated.deadband ?? 0,
+    validated.on_delay_seconds ?? 0,
+    validated.unit,
+    validated.description,
+    validated.enabled ?? true,
+    request.auth.userId
+  ]);
+
+  const limit = result.rows[0];
+
+  await invalidateLimits();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, new_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'create_limit',
+    'alarm_limits',
+    limit.id,
+    JSON.stringify(limit)
+  ]);
+
+  return createdResponse(limit, 'Alarm limit created successfully');
+}));
@@ -0,0 +1,15 @@
+// src/app/api/maintenance/[id]/route.js
+import { operatorOnly } from '@/lib/auth/middleware';
+import { endMaintenanceWindow } from '@/lib/alarms/maintenance';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// DELETE /api/maintenance/[id] - End a scheduled maintenance window early, or cancel it before it
+// starts
+export const DELETE = operatorOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const window = await endMaintenanceWindow(id, request.auth.userId);
+
+  return successResponse(window, window.opened_at ? 'Maintenance window ended' : 'Maintenance window cancelled');
+}));
@@ -0,0 +1,26 @@
+// src/app/api/maintenance/route.js
+import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
+import { listMaintenanceWindows, scheduleMaintenance } from '@/lib/alarms/maintenance';
+import { validate, maintenanceWindowSchema, maintenanceQuerySchema } from '@/lib/validation/schemas';
+import { successResponse, createdResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/maintenance - Maintenance windows that are open or scheduled (state=current, the
+// default), open, scheduled or ended
+export const GET = authMiddleware(asyncHandler(async (request) => {
+  const { searchParams } = new URL(request.url);
+  const validated = await validate(maintenanceQuerySchema)(Object.fromEntries(searchParams));
+
+  return successResponse(await listMaintenanceWindows(validated));
+}));
+
+// POST /api/maintenance - Schedule a maintenance window for an element; alarms it raises while
+// the window is open are suppressed or downgraded
+export const POST = operatorOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(maintenanceWindowSchema)(body);
+
+  const window = await scheduleMaintenance(validated, request.auth.userId);
+
+  return createdResponse(window, 'Maintenance window scheduled');
+}));
@@ -0,0 +1,27 @@
+// src/app/api/measurements/gaps/route.js
+import { resolveSeriesElements } from '@/lib/measurements/series';
+import { detectGaps } from '@/lib/measurements/gaps';
+import { authMiddleware } from '@/lib/auth/middleware';
+import { validate, gapQuerySchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/measurements/gaps - Intervals in which elements sent no data for too long
+export const GET = authMiddleware(asyncHandler(async (request) => {
+  const { searchParams } = new URL(request.url);
+  const params = Object.fromEntries(searchParams);
+
+  const validated = await validate(gapQuerySchema)(params);
+  const { start, stop, factor } = validated;
+
+  const elements = await resolveSeriesElements(validated);
+  const gaps = await detectGaps(elements, start, stop, factor);
+
+  return successResponse({
+    start,
+    stop,
+    factor,
+    elements_with_gaps: gaps.filter(element => element.gap_count > 0).length,
+    elements: gaps
+  });
+}));
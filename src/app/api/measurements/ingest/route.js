@@ -0,0 +1,56 @@
+// src/app/api/measurements/ingest/route.js
+import { authMiddleware } from '@/lib/auth/middleware';
+import { ingestBatch } from '@/lib/measurements/ingest';
+import { parseLineProtocol, parseNdjson } from '@/lib/measurements/formats';
+import { validate, bulkIngestQuerySchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, ValidationError } from '@/lib/utils/errors';
+import { idempotent } from '@/lib/utils/idempotency';
+
+const MAX_LINES = parseInt(process.env.BULK_INGEST_MAX_LINES || '50000');
+const MAX_REPORTED_ERRORS = 100;
+
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/json'];
+
+// POST /api/measurements/ingest - Bulk ingest in InfluxDB line protocol or NDJSON; gateways
+// resending a batch after a timeout send the same Idempotency-Key to get the original result
+export const POST = authMiddleware(asyncHandler(idempotent('measurements-ingest', async (request) => {
+  const { searchParams } = new URL(request.url);
+  const { format, precision } = await validate(bulkIngestQuerySchema)(Object.fromEntries(searchParams));
+
+  const contentType = (request.headers.get('content-type') || '').split(';')[0].trim();
+  const isNdjson = format ? format === 'ndjson' : NDJSON_TYPES.includes(contentType);
+
+  const body = await request.text();
+  const lineCount = body.split('\n').length;
+  if (lineCount > MAX_LINES) {
+    throw new ValidationError([{
+      path: 'body',
+      message: `Request has ${lineCount} lines, maximum is ${MAX_LINES}`
+    }]);
+  }
+
+  const parsed = isNdjson ? parseNdjson(body) : parseLineProtocol(body, precision);
+
+  if (parsed.records.length === 0 && parsed.errors.length === 0) {
+    throw new ValidationError([{ path: 'body', message: 'No measurements in request body' }]);
+  }
+
+  const outcome = parsed.records.length > 0
+    ? await ingestBatch(parsed.records)
+    : { accepted: 0, buffered: 0, late: 0, duplicates: 0, errors: [], alarms: [] };
+
+  const errors = [...parsed.errors, ...outcome.errors].sort((a, b) => a.line - b.line);
+
+  return successResponse({
+    message: 'Measurements ingested',
+    format: isNdjson ? 'ndjson' : 'line',
+    accepted: outcome.accepted,
+    buffered: outcome.buffered,
+    rejected: errors.length,
+    late: outcome.late,
+    duplicates: outcome.duplicates,
+    alarms: outcome.alarms.length,
+    errors: errors.slice(0, MAX_REPORTED_ERRORS)
+  });
+})));
@@ -0,0 +1,31 @@
+// src/app/api/measurements/rollups/route.js
+import { authMiddleware, adminOnly } from '@/lib/auth/middleware';
+import { getRollupStatus, requestRollupRebuild } from '@/lib/measurements/rollups';
+import { validate, rollupRebuildSchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, ValidationError } from '@/lib/utils/errors';
+
+// GET /api/measurements/rollups - Storage tiers with retention and rollup coverage
+export const GET = authMiddleware(asyncHandler(async () => {
+  return successResponse(await getRollupStatus());
+}));
+
+// POST /api/measurements/rollups - Rebuild rollups from raw data, e.g. after a historical backfill
+export const POST = adminOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(rollupRebuildSchema)(body);
+
+  const now = new Date();
+  const start = new Date(validated.start);
+  const stop = validated.stop ? new Date(validated.stop) : now;
+  if (stop > now) {
+    throw new ValidationError([{ path: 'stop', message: 'stop cannot be in the future' }]);
+  }
+
+  const rebuild = await requestRollupRebuild(start, stop);
+
+  return successResponse({
+    start: new Date(rebuild.start).toISOString(),
+    stop: new Date(rebuild.stop).toISOString()
+  }, 'Rollup rebuild queued');
+}));
@@ -0,0 +1,44 @@
+// src/app/api/measurements/series/route.js
+import { cache } from '@/lib/db/redis';
+import { querySeriesTable } from '@/lib/measurements/series';
+import { authMiddleware } from '@/lib/auth/middleware';
+import { validate, seriesQuerySchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/measurements/series - Selected fields of many elements as one time-aligned table
+export const GET = authMiddleware(asyncHandler(async (request) => {
+  const { searchParams } = new URL(request.url);
+  const params = Object.fromEntries(searchParams);
+
+  const validated = await validate(seriesQuerySchema)(params);
+  const { start, stop, aggregation, window, format, include_suspect, fill, units } = validated;
+
+  const cacheKey = `measurements:series:${JSON.stringify(validated)}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return successResponse(cached);
+  }
+
+  const table = await querySeriesTable(validated);
+
+  const response = {
+    start,
+    stop,
+    aggregation,
+    window,
+    format,
+    include_suspect,
+    fill,
+    units,
+    points: table.series.reduce((total, series) => total + series.points, 0),
+    series: table.series,
+    data: table.data
+  };
+
+  // Queries ending now change with every window; historical ranges can be kept longer
+  const cacheTTL = stop === 'now()' ? 60 : 300;
+  await cache.set(cacheKey, response, cacheTTL);
+
+  return successResponse(response);
+}));
@@ -1,101 +1,108 @@
 // src/app/api/measurements/stream/route.js
 import { authMiddleware } from '@/lib/auth/middleware';
-import { cache } from '@/lib/db/redis';
+import { isEventId } from '@/lib/realtime/hub';
+import { openFeed } from '@/lib/realtime/feed';
+import { createSubscription, measurementEntry } from '@/lib/realtime/subscription';
+import { validate, streamQuerySchema } from '@/lib/validation/schemas';
 import { streamResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
 
-// Server-Sent Events for real-time data
-export const GET = authMiddleware(async (request) => {
+const HEARTBEAT_MS = 15000;
+const RETRY_MS = 5000;
+
+// Server-Sent Events for real-time data: a snapshot of the selected elements, then only changed
+// values and alarm changes as they are published. Every event carries an id, so a reconnecting
+// client (Last-Event-ID header, or last_event_id) receives what it missed instead of a snapshot.
+export const GET = authMiddleware(asyncHandler(async (request) => {
   const { searchParams } = new URL(request.url);
-  const elementIds = searchParams.get('elements')?.split(',').filter(Boolean) || [];
-  
-  if (elementIds.length === 0) {
-    return new Response('No element IDs provided', { status: 400 });
-  }
-  
-  // Validate element IDs (max 10 for performance)
-  if (elementIds.length > 10) {
-    return new Response('Maximum 10 elements allowed for streaming', { status: 400 });
-  }
+  const params = Object.fromEntries(searchParams);
+
+  const validated = await validate(streamQuerySchema)(params);
+  const header = request.headers.get('last-event-id');
+  const lastEventId = isEventId(header) ? header : validated.last_event_id;
+
+  const subscription = await createSubscription(validated);
 
   const encoder = new TextEncoder();
-  let intervalId;
-  
+  let closed = false;
+  let stopFeed = null;
+  let heartbeatId = null;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    stopFeed?.();
+    clearInterval(heartbeatId);
+  };
+
   const stream = new ReadableStream({
     async start(controller) {
-      // Send initial connection message
-      controller.enqueue(
-        encoder.encode(`event: connected\ndata: ${JSON.stringify({ 
-          message: 'Connected to measurement stream',
-          elements: elementIds 
-        })}\n\n`)
-      );
-      
-      // Set up interval to send updates
-      intervalId = setInterval(async () => {
-        try {
-          const data = {};
-          const alarms = [];
-          
-          // Get latest measurements and alarms for each element
-          for (const elementId of elementIds) {
-            // Get measurements
-            const measurements = await cache.get(`measurements:${elementId}:latest`);
-            if (measurements) {
-              data[elementId] = measurements;
-            }
-            
-            // Check for active alarms
-            const keys = await cache.keys(`alarm:${elementId}:*`);
-            for (const key of keys) {
-              const alarm = await cache.get(key);
-              if (alarm) {
-                alarms.push(alarm);
-              }
+      const write = (event, data, id = null) => {
+        if (closed) return;
+        controller.enqueue(encoder.encode(
+          `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`
+        ));
+      };
+
+      request.signal.addEventListener('abort', () => {
+        close();
+        controller.close();
+      });
+
+      controller.enqueue(encoder.encode(`retry: ${RETRY_MS}\n\n`));
+      write('connected', {
+        message: 'Connected to measurement stream',
+        elements: subscription.elementIds.size,
+        resumed_from: lastEventId || null
+      });
+
+      try {
+        stopFeed = await openFeed(subscription, {
+          lastEventId,
+          send: (kind, payload, id) => {
+            if (kind === 'reset') {
+              write('reset', payload);
+            } else if (kind === 'snapshot') {
+              write('measurements', Object.fromEntries(
+                payload.measurements.map(entry => [entry.element_id, measurementEntry(entry)])
+              ));
+              write('alarms', payload.alarms, id);
+            } else if (payload.type === 'measurement') {
+              write('measurements', { [payload.element_id]: measurementEntry(payload) }, id);
+            } else {
+              write('alarms', [{ ...payload.alarm, action: payload.action }], id);
             }
           }
-          
-          // Send measurement data
-          if (Object.keys(data).length > 0) {
-            const event = `event: measurements\ndata: ${JSON.stringify(data)}\n\n`;
-            controller.enqueue(encoder.encode(event));
-          }
-          
-          // Send alarms if any
-          if (alarms.length > 0) {
-            const event = `event: alarms\ndata: ${JSON.stringify(alarms)}\n\n`;
-            controller.enqueue(encoder.encode(event));
-          }
-          
-          // Send heartbeat
-          const heartbeat = `event: heartbeat\ndata: ${JSON.stringify({ 
-            timestamp: new Date().toISOString() 
-          })}\n\n`;
-          controller.enqueue(encoder.encode(heartbeat));
-          
+        });
+      } catch (error) {
+        console.error('Stream error:', error);
+        write('error', { error: 'Stream error occurred' });
+        close();
+        controller.close();
+        return;
+      }
+
+      // Aborted while the snapshot was being read
+      if (closed) {
+        stopFeed();
+        return;
+      }
+
+      // Heartbeats keep proxies from closing an idle stream and let clients detect a dead one
+      heartbeatId = setInterval(async () => {
+        try {
+          await subscription.refresh();
+          write('heartbeat', { timestamp: new Date().toISOString(), elements: subscription.elementIds.size });
         } catch (error) {
-          console.error('Stream error:', error);
-          const errorEvent = `event: error\ndata: ${JSON.stringify({ 
-            error: 'Stream error occurred' 
-          })}\n\n`;
-          controller.enqueue(encoder.encode(errorEvent));
-        }
-      }, 1000); // Send updates every second
-      
-      // Cleanup on close
-      request.signal.addEventListener('abort', () => {
-        if (intervalId) {
-          clearInterval(intervalId);
+          console.error('Stream heartbeat error:', error);
         }
-        controller.close();
-      });
+      }, HEARTBEAT_MS);
     },
-    
+
     cancel() {
-      if (intervalId) {
-        clearInterval(intervalId);
-      }
+      close();
     }
   });
 
   return streamResponse(stream);
-});
\ No newline at end of file
+}));
@@ -0,0 +1,59 @@
+// src/app/api/measurements/substitute/route.js
+import { query } from '@/lib/db/postgres';
+import { operatorOnly } from '@/lib/auth/middleware';
+import { getIngestElement, substituteMeasurement } from '@/lib/measurements/ingest';
+import { refreshRollups } from '@/lib/measurements/rollups';
+import { validate, substitutionSchema } from '@/lib/validation/schemas';
+import { createdResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError } from '@/lib/utils/errors';
+
+// POST /api/measurements/substitute - Enter a substituted or manual value, replacing the value
+// stored for the field at that time
+export const POST = operatorOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(substitutionSchema)(body);
+
+  const element = await getIngestElement(validated.element_id);
+  if (!element) {
+    throw new NotFoundError('Element');
+  }
+
+  const outcome = await substituteMeasurement(
+    element,
+    validated.measurements,
+    validated.timestamp,
+    validated.quality
+  );
+
+  // Rollups of the replaced value's windows are computed again
+  if (outcome.replaced > 0) {
+    const sampleTime = new Date(outcome.timestamp);
+    await refreshRollups(sampleTime, sampleTime);
+  }
+
+  // Every operator-entered value is traceable to a user and a reason
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, new_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    validated.quality === 'manual' ? 'manual_measurement' : 'substitute_measurement',
+    'measurements',
+    element.id,
+    JSON.stringify({
+      timestamp: outcome.timestamp,
+      quality: validated.quality,
+      reason: validated.reason,
+      measurements: validated.measurements
+    })
+  ]);
+
+  return createdResponse({
+    element_id: element.id,
+    timestamp: outcome.timestamp,
+    quality: outcome.quality,
+    late: outcome.late,
+    replaced: outcome.replaced,
+    measurements: validated.measurements
+  }, 'Measurement substituted successfully');
+}));
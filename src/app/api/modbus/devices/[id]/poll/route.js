@@ -0,0 +1,30 @@
+// src/app/api/modbus/devices/[id]/poll/route.js
+import { query } from '@/lib/db/postgres';
+import { operatorOnly } from '@/lib/auth/middleware';
+import { pollDevice } from '@/lib/modbus/poller';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError } from '@/lib/utils/errors';
+
+// POST /api/modbus/devices/[id]/poll - Poll a device now; ?dry_run=true reads without ingesting
+export const POST = operatorOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+  const { searchParams } = new URL(request.url);
+  const dryRun = searchParams.get('dry_run') === 'true';
+
+  const result = await query('SELECT * FROM modbus_devices WHERE id = $1', [id]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Modbus device');
+  }
+
+  const outcome = await pollDevice(result.rows[0], { ingest: !dryRun });
+
+  return successResponse({
+    device_id: id,
+    comms_status: outcome.device?.comms_status,
+    timestamp: outcome.timestamp,
+    dry_run: dryRun,
+    error: outcome.error,
+    values: outcome.values,
+    errors: outcome.errors
+  }, outcome.error ? 'Poll failed' : 'Poll completed');
+}));
@@ -0,0 +1,130 @@
+// src/app/api/modbus/devices/[id]/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware, operatorOnly, adminOnly } from '@/lib/auth/middleware';
+import { checkRegisterMap, reloadModbusDevices, disconnectDevice } from '@/lib/modbus/poller';
+import { validate, updateModbusDeviceSchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { resolveCommsFailure } from '@/lib/alarms/comms';
+import { asyncHandler, NotFoundError, ConflictError } from '@/lib/utils/errors';
+
+// GET /api/modbus/devices/[id] - Get Modbus device
+export const GET = authMiddleware(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(`
+    SELECT
+      d.*,
+      u.name as created_by_name
+    FROM modbus_devices d
+    LEFT JOIN users u ON d.created_by = u.id
+    WHERE d.id = $1
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Modbus device');
+  }
+
+  return successResponse(result.rows[0]);
+}));
+
+// PUT /api/modbus/devices/[id] - Update Modbus device
+export const PUT = operatorOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+  const body = await request.json();
+  const validated = await validate(updateModbusDeviceSchema)(body);
+
+  const current = await query('SELECT * FROM modbus_devices WHERE id = $1', [id]);
+  if (current.rows.length === 0) {
+    throw new NotFoundError('Modbus device');
+  }
+
+  if (validated.register_map) {
+    await checkRegisterMap(validated.register_map);
+  }
+
+  const merged = { ...current.rows[0] };
+  for (const [key, value] of Object.entries(validated)) {
+    if (value !== undefined) merged[key] = value;
+  }
+  const existing = await query(
+    'SELECT id FROM modbus_devices WHERE host = $1 AND port = $2 AND unit_id = $3 AND id != $4',
+    [merged.host, merged.port, merged.unit_id, id]
+  );
+  if (existing.rows.length > 0) {
+    throw new ConflictError(`A device at ${merged.host}:${merged.port} unit ${merged.unit_id} already exists`);
+  }
+
+  const updateFields = [];
+  const updateValues = [];
+  let paramCount = 1;
+
+  for (const [key, value] of Object.entries(validated)) {
+    if (value !== undefined) {
+      updateFields.push(`${key} = $${++paramCount}`);
+      updateValues.push(key === 'register_map' ? JSON.stringify(value) : value);
+    }
+  }
+
+  if (updateFields.length === 0) {
+    return successResponse(current.rows[0], 'No changes made');
+  }
+
+  const result = await query(`
+    UPDATE modbus_devices
+    SET ${updateFields.join(', ')}
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...updateValues]);
+
+  await reloadModbusDevices();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values, new_values)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    request.auth.userId,
+    'update_modbus_device',
+    'modbus_devices',
+    id,
+    JSON.stringify(current.rows[0]),
+    JSON.stringify(result.rows[0])
+  ]);
+
+  return successResponse(result.rows[0], 'Modbus device updated successfully');
+}));
+
+// DELETE /api/modbus/devices/[id] - Remove Modbus device
+export const DELETE = adminOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(
+    'DELETE FROM modbus_devices WHERE id = $1 RETURNING *',
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Modbus device');
+  }
+
+  disconnectDevice(id);
+  await reloadModbusDevices();
+
+  if (result.rows[0].comms_event_id) {
+    await resolveCommsFailure(result.rows[0].comms_event_id);
+  }
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'delete_modbus_device',
+    'modbus_devices',
+    id,
+    JSON.stringify(result.rows[0])
+  ]);
+
+  return successResponse({ id, name: result.rows[0].name }, 'Modbus device deleted successfully');
+}));
@@ -0,0 +1,74 @@
+// src/app/api/modbus/devices/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
+import { checkRegisterMap, reloadModbusDevices } from '@/lib/modbus/poller';
+import { validate, modbusDeviceSchema } from '@/lib/validation/schemas';
+import { successResponse, createdResponse } from '@/lib/utils/response';
+import { asyncHandler, ConflictError } from '@/lib/utils/errors';
+
+// GET /api/modbus/devices - List Modbus devices with comms health
+export const GET = authMiddleware(asyncHandler(async () => {
+  const result = await query(`
+    SELECT
+      d.*,
+      jsonb_array_length(d.register_map) as register_count,
+      u.name as created_by_name
+    FROM modbus_devices d
+    LEFT JOIN users u ON d.created_by = u.id
+    ORDER BY d.name
+  `);
+
+  return successResponse(result.rows);
+}));
+
+// POST /api/modbus/devices - Configure a Modbus device
+export const POST = operatorOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(modbusDeviceSchema)(body);
+
+  await checkRegisterMap(validated.register_map);
+
+  const existing = await query(
+    'SELECT id FROM modbus_devices WHERE host = $1 AND port = $2 AND unit_id = $3',
+    [validated.host, validated.port, validated.unit_id]
+  );
+  if (existing.rows.length > 0) {
+    throw new ConflictError(`A device at ${validated.host}:${validated.port} unit ${validated.unit_id} already exists`);
+  }
+
+  const result = await query(`
+    INSERT INTO modbus_devices (
+      name, host, port, unit_id, poll_interval_ms, timeout_ms,
+      register_map, enabled, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [
+    validated.name,
+    validated.host,
+    validated.port,
+    validated.unit_id,
+    validated.poll_interval_ms,
+    validated.timeout_ms,
+    JSON.stringify(validated.register_map),
+    validated.enabled,
+    request.auth.userId
+  ]);
+
+  const device = result.rows[0];
+
+  await reloadModbusDevices();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, new_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'create_modbus_device',
+    'modbus_devices',
+    device.id,
+    JSON.stringify(device)
+  ]);
+
+  return createdResponse(device, 'Modbus device created successfully');
+}));
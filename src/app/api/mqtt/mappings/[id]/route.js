@@ -0,0 +1,122 @@
+// src/app/api/mqtt/mappings/[id]/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
+import { notifyMqttMappingsChanged } from '@/lib/mqtt/bridge';
+import { validate, updateMqttMappingSchema, hasValidMqttSources } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError, ValidationError } from '@/lib/utils/errors';
+
+// GET /api/mqtt/mappings/[id] - Get MQTT topic mapping
+export const GET = authMiddleware(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(`
+    SELECT
+      m.*,
+      e.name as element_name,
+      u.name as created_by_name
+    FROM mqtt_mappings m
+    LEFT JOIN grid_elements e ON m.element_id = e.id
+    LEFT JOIN users u ON m.created_by = u.id
+    WHERE m.id = $1
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('MQTT mapping');
+  }
+
+  return successResponse(result.rows[0]);
+}));
+
+// PUT /api/mqtt/mappings/[id] - Update MQTT topic mapping
+export const PUT = operatorOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+  const body = await request.json();
+  const validated = await validate(updateMqttMappingSchema)(body);
+
+  const current = await query('SELECT * FROM mqtt_mappings WHERE id = $1', [id]);
+  if (current.rows.length === 0) {
+    throw new NotFoundError('MQTT mapping');
+  }
+
+  // Check element and field sources against the mapping as it will be stored
+  const merged = { ...current.rows[0] };
+  for (const [key, value] of Object.entries(validated)) {
+    if (value !== undefined) merged[key] = value;
+  }
+  if (!hasValidMqttSources(merged)) {
+    throw new ValidationError([{
+      path: 'element_id',
+      message: 'Set exactly one of element_id, element_segment or element_path, and either fields or field_segment'
+    }]);
+  }
+
+  const updateFields = [];
+  const updateValues = [];
+  let paramCount = 1;
+
+  for (const [key, value] of Object.entries(validated)) {
+    if (value !== undefined) {
+      updateFields.push(`${key} = $${++paramCount}`);
+      updateValues.push(key === 'fields' ? JSON.stringify(value) : value);
+    }
+  }
+
+  if (updateFields.length === 0) {
+    return successResponse(current.rows[0], 'No changes made');
+  }
+
+  const result = await query(`
+    UPDATE mqtt_mappings
+    SET ${updateFields.join(', ')}
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...updateValues]);
+
+  await notifyMqttMappingsChanged();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values, new_values)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    request.auth.userId,
+    'update_mqtt_mapping',
+    'mqtt_mappings',
+    id,
+    JSON.stringify(current.rows[0]),
+    JSON.stringify(result.rows[0])
+  ]);
+
+  return successResponse(result.rows[0], 'MQTT mapping updated successfully');
+}));
+
+// DELETE /api/mqtt/mappings/[id] - Delete MQTT topic mapping
+export const DELETE = operatorOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(
+    'DELETE FROM mqtt_mappings WHERE id = $1 RETURNING *',
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('MQTT mapping');
+  }
+
+  await notifyMqttMappingsChanged();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'delete_mqtt_mapping',
+    'mqtt_mappings',
+    id,
+    JSON.stringify(result.rows[0])
+  ]);
+
+  return successResponse({ id, name: result.rows[0].name }, 'MQTT mapping deleted successfully');
+}));
@@ -0,0 +1,40 @@
+// src/app/api/mqtt/mappings/[id]/test/route.js
+import { query } from '@/lib/db/postgres';
+import { operatorOnly } from '@/lib/auth/middleware';
+import { matchTopic, applyMapping } from '@/lib/mqtt/mapping';
+import { validate, mqttMappingTestSchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError } from '@/lib/utils/errors';
+
+// POST /api/mqtt/mappings/[id]/test - Show the records a sample message would produce, without ingesting
+export const POST = operatorOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+  const body = await request.json();
+  const { topic, payload } = await validate(mqttMappingTestSchema)(body);
+
+  const result = await query('SELECT * FROM mqtt_mappings WHERE id = $1', [id]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('MQTT mapping');
+  }
+
+  const mapping = result.rows[0];
+  const matches = matchTopic(mapping.topic_filter, topic);
+
+  let elementsByName = new Map();
+  if (matches && mapping.element_match === 'name') {
+    const elements = await query('SELECT id, name FROM grid_elements WHERE deleted_at IS NULL');
+    elementsByName = new Map(elements.rows.map(row => [row.name, row.id]));
+  }
+
+  const { records, errors } = matches
+    ? applyMapping(mapping, topic, payload, elementsByName)
+    : { records: [], errors: [] };
+
+  return successResponse({
+    mapping_id: id,
+    topic,
+    matches,
+    records,
+    errors
+  });
+}));
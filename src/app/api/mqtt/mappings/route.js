@@ -0,0 +1,80 @@
+// src/app/api/mqtt/mappings/route.js
+import { query } from '@/lib/db/postgres';
+import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
+import { notifyMqttMappingsChanged } from '@/lib/mqtt/bridge';
+import { validate, mqttMappingSchema } from '@/lib/validation/schemas';
+import { successResponse, createdResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError } from '@/lib/utils/errors';
+
+// GET /api/mqtt/mappings - List MQTT topic mappings with message statistics
+export const GET = authMiddleware(asyncHandler(async () => {
+  const result = await query(`
+    SELECT
+      m.*,
+      e.name as element_name,
+      u.name as created_by_name
+    FROM mqtt_mappings m
+    LEFT JOIN grid_elements e ON m.element_id = e.id
+    LEFT JOIN users u ON m.created_by = u.id
+    ORDER BY m.name
+  `);
+
+  return successResponse(result.rows);
+}));
+
+// POST /api/mqtt/mappings - Create MQTT topic mapping
+export const POST = operatorOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(mqttMappingSchema)(body);
+
+  if (validated.element_id) {
+    const element = await query(
+      'SELECT id FROM grid_elements WHERE id = $1 AND deleted_at IS NULL',
+      [validated.element_id]
+    );
+    if (element.rows.length === 0) {
+      throw new NotFoundError('Element');
+    }
+  }
+
+  const result = await query(`
+    INSERT INTO mqtt_mappings (
+      name, topic_filter, qos, element_id, element_segment, element_path, element_match,
+      fields, field_segment, value_path, timestamp_path, quality_path, enabled, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    RETURNING *
+  `, [
+    validated.name,
+    validated.topic_filter,
+    validated.qos,
+    validated.element_id ?? null,
+    validated.element_segment ?? null,
+    validated.element_path ?? null,
+    validated.element_match,
+    JSON.stringify(validated.fields),
+    validated.field_segment ?? null,
+    validated.value_path ?? null,
+    validated.timestamp_path ?? null,
+    validated.quality_path ?? null,
+    validated.enabled,
+    request.auth.userId
+  ]);
+
+  const mapping = result.rows[0];
+
+  await notifyMqttMappingsChanged();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, new_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'create_mqtt_mapping',
+    'mqtt_mappings',
+    mapping.id,
+    JSON.stringify(mapping)
+  ]);
+
+  return createdResponse(mapping, 'MQTT mapping created successfully');
+}));
@@ -0,0 +1,10 @@
+// src/app/api/mqtt/status/route.js
+import { authMiddleware } from '@/lib/auth/middleware';
+import { getMqttBridgeStatus } from '@/lib/mqtt/bridge';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/mqtt/status - MQTT bridge connection and subscription status
+export const GET = authMiddleware(asyncHandler(async () => {
+  return successResponse(await getMqttBridgeStatus());
+}));
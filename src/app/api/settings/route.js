@@ -1,7 +1,9 @@
 // src/app/api/settings/route.js
 import { NextResponse } from 'next/server';
-import { query } from '@/lib/db/postgres';
+import { query, withTransaction } from '@/lib/db/postgres';
 import { cache } from '@/lib/db/redis';
+import { invalidateLimits } from '@/lib/alarms/limits';
+import { validate, limitSchema } from '@/lib/validation/schemas';
 import { adminOnly, authMiddleware } from '@/lib/auth/middleware';
 import { successResponse } from '@/lib/utils/response';
 import { asyncHandler } from '@/lib/utils/errors';
@@ -15,7 +17,7 @@ export const GET = authMiddleware(asyncHandler(async (request) => {
   }
 
   // Get system statistics
-  const [elements, users, measurements, events] = await Promise.all([
+  const [elements, users, measurements, events, limits] = await Promise.all([
     query(`
       SELECT 
         COUNT(*) as total,
@@ -50,6 +52,13 @@ export const GET = authMiddleware(asyncHandler(async (request) => {
         COUNT(CASE WHEN severity = 'high' THEN 1 END) as high
       FROM events
       WHERE created_at > NOW() - INTERVAL '7 days'
+    `),
+    query(`
+      SELECT element_type, metric, low_trip, low_alarm, low_warning,
+        high_warning, high_alarm, high_trip, deadband, on_delay_seconds, unit, enabled
+      FROM alarm_limits
+      WHERE scope = 'type'
+      ORDER BY element_type, metric
     `)
   ]);
 
@@ -91,23 +100,12 @@ export const GET = authMiddleware(asyncHandler(async (request) => {
         }
       }
     },
-    thresholds: {
-      voltage: {
-        min_deviation: 0.95,
-        max_deviation: 1.05,
-        unit: 'pu'
-      },
-      frequency: {
-        min: 49.5,
-        max: 50.5,
-        unit: 'Hz'
-      },
-      temperature: {
-        warning: 75,
-        critical: 85,
-        unit: '°C'
-      }
-    },
+    thresholds: limits.rows.reduce((acc, row) => {
+      const { element_type, metric, ...levels } = row;
+      if (!acc[element_type]) acc[element_type] = {};
+      acc[element_type][metric] = levels;
+      return acc;
+    }, {}),
     rate_limits: {
       default: {
         window: 60000,
@@ -137,21 +135,80 @@ export const GET = authMiddleware(asyncHandler(async (request) => {
 export const PUT = adminOnly(asyncHandler(async (request) => {
   const body = await request.json();
 
-  // For now, only support updating thresholds
+  // For now, only support updating thresholds (type default alarm limits)
   if (body.thresholds) {
-    // Store in cache (in production, store in database)
-    await cache.set('system:thresholds', body.thresholds, 0); // No expiry
-    
-    // Log audit
-    await query(`
-      INSERT INTO audit_log (user_id, action, table_name, new_values)
-      VALUES ($1, $2, $3, $4)
-    `, [
-      request.auth.userId,
-      'update_settings',
-      'system',
-      JSON.stringify({ thresholds: body.thresholds })
-    ]);
+    const limits = [];
+    for (const [elementType, metrics] of Object.entries(body.thresholds)) {
+      for (const [metric, levels] of Object.entries(metrics)) {
+        limits.push(await validate(limitSchema)({
+          ...levels,
+          scope: 'type',
+          element_type: elementType,
+          metric
+        }));
+      }
+    }
+
+    await withTransaction(async (client) => {
+      for (const limit of limits) {
+        const current = await client.query(
+          `SELECT * FROM alarm_limits WHERE scope = 'type' AND element_type = $1 AND metric = $2`,
+          [limit.element_type, limit.metric]
+        );
+
+        const result = await client.query(`
+          INSERT INTO alarm_limits (
+            scope, element_type, metric,
+            low_trip, low_alarm, low_warning,
+            high_warning, high_alarm, high_trip,
+            deadband, on_delay_seconds,
+            unit, enabled, created_by
+          ) VALUES ('type', $1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, 0), COALESCE($10, 0), $11, $12, $13)
+          ON CONFLICT (element_type, metric) WHERE scope = 'type'
+          DO UPDATE SET
+            low_trip = EXCLUDED.low_trip,
+            low_alarm = EXCLUDED.low_alarm,
+            low_warning = EXCLUDED.low_warning,
+            high_warning = EXCLUDED.high_warning,
+            high_alarm = EXCLUDED.high_alarm,
+            high_trip = EXCLUDED.high_trip,
+            deadband = COALESCE($9, alarm_limits.deadband),
+            on_delay_seconds = COALESCE($10, alarm_limits.on_delay_seconds),
+            unit = COALESCE(EXCLUDED.unit, alarm_limits.unit),
+            enabled = EXCLUDED.enabled
+          RETURNING *
+        `, [
+          limit.element_type,
+          limit.metric,
+          limit.low_trip ?? null,
+          limit.low_alarm ?? null,
+          limit.low_warning ?? null,
+          limit.high_warning ?? null,
+          limit.high_alarm ?? null,
+          limit.high_trip ?? null,
+          limit.deadband ?? null,
+          limit.on_delay_seconds ?? null,
+          limit.unit,
+          limit.enabled ?? true,
+          request.auth.userId
+        ]);
+
+        // Log audit
+        await client.query(`
+          INSERT INTO audit_log (user_id, action, table_name, record_id, old_values, new_values)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `, [
+          request.auth.userId,
+          'update_settings',
+          'alarm_limits',
+          result.rows[0].id,
+          current.rows[0] ? JSON.stringify(current.rows[0]) : null,
+          JSON.stringify(result.rows[0])
+        ]);
+      }
+    });
+
+    await invalidateLimits();
   }
 
   // Clear settings cache
@@ -0,0 +1,23 @@
+// src/app/api/simulator/faults/route.js
+import { adminOnly } from '@/lib/auth/middleware';
+import { injectFault, clearFaults } from '@/lib/simulator/engine';
+import { validate, simulatorFaultSchema } from '@/lib/validation/schemas';
+import { createdResponse, successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// POST /api/simulator/faults - Inject a fault into the running simulation
+export const POST = adminOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(simulatorFaultSchema)(body);
+
+  const fault = await injectFault(validated);
+
+  return createdResponse(fault, 'Fault injected');
+}));
+
+// DELETE /api/simulator/faults - Clear all injected faults
+export const DELETE = adminOnly(asyncHandler(async () => {
+  const cleared = await clearFaults();
+
+  return successResponse({ cleared }, 'Faults cleared');
+}));
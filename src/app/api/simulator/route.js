@@ -0,0 +1,28 @@
+// src/app/api/simulator/route.js
+import { authMiddleware, adminOnly } from '@/lib/auth/middleware';
+import { getSimulatorStatus, startSimulator, stopSimulator } from '@/lib/simulator/engine';
+import { validate, simulatorStartSchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/simulator - Simulation settings, simulated clock, active faults and progress
+export const GET = authMiddleware(asyncHandler(async () => {
+  return successResponse(await getSimulatorStatus());
+}));
+
+// POST /api/simulator - Start (or restart) synthetic data for the stored network model
+export const POST = adminOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(simulatorStartSchema)(body);
+
+  const config = await startSimulator(validated);
+
+  return successResponse(config, 'Simulator started');
+}));
+
+// DELETE /api/simulator - Stop the simulation
+export const DELETE = adminOnly(asyncHandler(async () => {
+  const stopped = await stopSimulator();
+
+  return successResponse({ stopped }, stopped ? 'Simulator stopped' : 'Simulator was not running');
+}));
@@ -0,0 +1,37 @@
+// src/app/api/soe/route.js
+import { authMiddleware } from '@/lib/auth/middleware';
+import { recordSoeEvents, querySoe } from '@/lib/soe/recorder';
+import { validate, soeEventSchema, soeBatchSchema, soeQuerySchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+import { idempotent } from '@/lib/utils/idempotency';
+
+const MAX_REPORTED_ERRORS = 100;
+
+// GET /api/soe - Sequence of events viewer: digital events of the selected elements or groups
+// (e.g. substations) in device time order, between start and stop or around a moment
+export const GET = authMiddleware(asyncHandler(async (request) => {
+  const { searchParams } = new URL(request.url);
+  const validated = await validate(soeQuerySchema)(Object.fromEntries(searchParams));
+
+  return successResponse(await querySoe(validated));
+}));
+
+// POST /api/soe - Record one or many millisecond-stamped digital events; resent events are
+// recognised by element, type, function and source time
+export const POST = authMiddleware(asyncHandler(idempotent('soe', async (request) => {
+  const body = await request.json();
+  const events = await validate(Array.isArray(body) ? soeBatchSchema : soeEventSchema)(body);
+
+  const outcome = await recordSoeEvents(Array.isArray(events) ? events : [events], {
+    source: 'api',
+    userId: request.auth.userId
+  });
+
+  return successResponse({
+    recorded: outcome.recorded,
+    duplicates: outcome.duplicates,
+    rejected: outcome.errors.length,
+    errors: outcome.errors.slice(0, MAX_REPORTED_ERRORS)
+  }, 'Events recorded');
+})));
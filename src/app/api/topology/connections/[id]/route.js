@@ -1,6 +1,8 @@
 // src/app/api/topology/connections/[id]/route.js
 import { query } from '@/lib/db/postgres';
 import { cache } from '@/lib/db/redis';
+import { publishTopologyChange } from '@/lib/realtime/hub';
+import { emitPlatformEvent } from '@/lib/webhooks/dispatcher';
 import { operatorOnly } from '@/lib/auth/middleware';
 import { successResponse } from '@/lib/utils/response';
 import { asyncHandler, NotFoundError } from '@/lib/utils/errors';
@@ -22,6 +24,11 @@ export const DELETE = operatorOnly(asyncHandler(async (request, { params }) => {
 
   // Invalidate topology cache
   await cache.invalidatePattern('topology:*');
+  await publishTopologyChange('connection_removed', {
+    element_ids: [result.rows[0].from_element_id, result.rows[0].to_element_id],
+    connection: result.rows[0]
+  });
+  await emitPlatformEvent('connection.changed', { action: 'disconnected', connection: result.rows[0] });
 
   // Log audit
   await query(`
@@ -2,6 +2,8 @@
 import { NextResponse } from 'next/server';
 import { query, withTransaction } from '@/lib/db/postgres';
 import { cache } from '@/lib/db/redis';
+import { publishTopologyChange } from '@/lib/realtime/hub';
+import { emitPlatformEvent } from '@/lib/webhooks/dispatcher';
 import { authMiddleware, operatorOnly } from '@/lib/auth/middleware';
 import { validate, connectionSchema } from '@/lib/validation/schemas';
 import { successResponse, createdResponse } from '@/lib/utils/response';
@@ -232,6 +234,14 @@ export const POST = operatorOnly(asyncHandler(async (request) => {
 
   // Invalidate topology cache
   await cache.invalidatePattern('topology:*');
+  await publishTopologyChange('connection_changed', {
+    element_ids: [result.from_element_id, result.to_element_id],
+    connection: result
+  });
+  await emitPlatformEvent('connection.changed', {
+    action: result.is_connected === false ? 'disconnected' : 'connected',
+    connection: result
+  });
 
   // Log audit
   await query(`
@@ -269,6 +279,11 @@ export const DELETE = operatorOnly(asyncHandler(async (request, { params }) => {
 
   // Invalidate topology cache
   await cache.invalidatePattern('topology:*');
+  await publishTopologyChange('connection_removed', {
+    element_ids: [result.rows[0].from_element_id, result.rows[0].to_element_id],
+    connection: result.rows[0]
+  });
+  await emitPlatformEvent('connection.changed', { action: 'disconnected', connection: result.rows[0] });
 
   // Log audit
   await query(`
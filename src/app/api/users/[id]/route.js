@@ -4,7 +4,7 @@ import bcrypt from 'bcryptjs';
 import { query, withTransaction } from '@/lib/db/postgres';
 import { cache } from '@/lib/db/redis';
 import { authMiddleware, adminOnly } from '@/lib/auth/middleware';
-import { validate, updateUserSchema } from '@/lib/validation/schemas';
+import { validate, updateUserSchema, notificationSettingsSchema } from '@/lib/validation/schemas';
 import { successResponse } from '@/lib/utils/response';
 import { asyncHandler, NotFoundError, AuthorizationError } from '@/lib/utils/errors';
 
@@ -58,6 +58,9 @@ export const PUT = authMiddleware(asyncHandler(async (request, { params }) => {
 
   // Validate update data
   const validated = await validate(updateUserSchema)(body);
+  const notificationSettings = body.preferences?.notification_settings !== undefined
+    ? await validate(notificationSettingsSchema)(body.preferences.notification_settings)
+    : undefined;
 
   // Non-admins can only update their own name and preferences
   if (!isAdmin) {
@@ -147,9 +150,9 @@ export const PUT = authMiddleware(asyncHandler(async (request, { params }) => {
         prefValues.push(JSON.stringify(body.preferences.map_preferences));
       }
 
-      if (body.preferences.notification_settings !== undefined) {
+      if (notificationSettings !== undefined) {
         prefFields.push(`notification_settings = $${++prefParamCount}`);
-        prefValues.push(JSON.stringify(body.preferences.notification_settings));
+        prefValues.push(JSON.stringify(notificationSettings));
       }
 
       if (prefFields.length > 0) {
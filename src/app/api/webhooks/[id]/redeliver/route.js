@@ -0,0 +1,20 @@
+// src/app/api/webhooks/[id]/redeliver/route.js
+import { query } from '@/lib/db/postgres';
+import { adminOnly } from '@/lib/auth/middleware';
+import { redeliverDeadWebhooks } from '@/lib/webhooks/dispatcher';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError } from '@/lib/utils/errors';
+
+// POST /api/webhooks/[id]/redeliver - Send every dead-lettered delivery of a subscription again
+export const POST = adminOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const subscription = await query('SELECT id FROM webhook_subscriptions WHERE id = $1', [id]);
+  if (subscription.rows.length === 0) {
+    throw new NotFoundError('Webhook subscription');
+  }
+
+  const queued = await redeliverDeadWebhooks(id);
+
+  return successResponse({ subscription_id: id, queued }, `${queued} deliveries queued for redelivery`);
+}));
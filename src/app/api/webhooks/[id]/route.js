@@ -0,0 +1,116 @@
+// src/app/api/webhooks/[id]/route.js
+import { query } from '@/lib/db/postgres';
+import { adminOnly } from '@/lib/auth/middleware';
+import { generateWebhookSecret, invalidateWebhookSubscriptions } from '@/lib/webhooks/dispatcher';
+import { validate, updateWebhookSubscriptionSchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler, NotFoundError } from '@/lib/utils/errors';
+
+const withoutSecret = ({ secret: _secret, ...subscription }) => subscription;
+
+// GET /api/webhooks/[id] - Get webhook subscription
+export const GET = adminOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(`
+    SELECT s.*, u.name as created_by_name
+    FROM webhook_subscriptions s
+    LEFT JOIN users u ON s.created_by = u.id
+    WHERE s.id = $1
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Webhook subscription');
+  }
+
+  return successResponse(withoutSecret(result.rows[0]));
+}));
+
+// PUT /api/webhooks/[id] - Update webhook subscription; rotate_secret replaces the signing secret
+// and returns the new one
+export const PUT = adminOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+  const body = await request.json();
+  const { rotate_secret: rotateSecret, ...validated } = await validate(updateWebhookSubscriptionSchema)(body);
+
+  const current = await query('SELECT * FROM webhook_subscriptions WHERE id = $1', [id]);
+  if (current.rows.length === 0) {
+    throw new NotFoundError('Webhook subscription');
+  }
+
+  const updateFields = [];
+  const updateValues = [];
+  let paramCount = 1;
+
+  for (const [key, value] of Object.entries(validated)) {
+    if (value !== undefined) {
+      updateFields.push(`${key} = $${++paramCount}`);
+      updateValues.push(value);
+    }
+  }
+  if (rotateSecret) {
+    updateFields.push(`secret = $${++paramCount}`);
+    updateValues.push(generateWebhookSecret());
+  }
+
+  if (updateFields.length === 0) {
+    return successResponse(withoutSecret(current.rows[0]), 'No changes made');
+  }
+
+  const result = await query(`
+    UPDATE webhook_subscriptions
+    SET ${updateFields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *
+  `, [id, ...updateValues]);
+
+  invalidateWebhookSubscriptions();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values, new_values)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [
+    request.auth.userId,
+    rotateSecret ? 'rotate_webhook_secret' : 'update_webhook',
+    'webhook_subscriptions',
+    id,
+    JSON.stringify(withoutSecret(current.rows[0])),
+    JSON.stringify(withoutSecret(result.rows[0]))
+  ]);
+
+  return successResponse(
+    rotateSecret ? result.rows[0] : withoutSecret(result.rows[0]),
+    'Webhook subscription updated successfully'
+  );
+}));
+
+// DELETE /api/webhooks/[id] - Remove webhook subscription with its deliveries
+export const DELETE = adminOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const result = await query(
+    'DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING *',
+    [id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Webhook subscription');
+  }
+
+  invalidateWebhookSubscriptions();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, old_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'delete_webhook',
+    'webhook_subscriptions',
+    id,
+    JSON.stringify(withoutSecret(result.rows[0]))
+  ]);
+
+  return successResponse({ id, name: result.rows[0].name }, 'Webhook subscription deleted successfully');
+}));
@@ -0,0 +1,14 @@
+// src/app/api/webhooks/deliveries/[id]/redeliver/route.js
+import { adminOnly } from '@/lib/auth/middleware';
+import { redeliverWebhook } from '@/lib/webhooks/dispatcher';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// POST /api/webhooks/deliveries/[id]/redeliver - Send a delivery again, dead-lettered or not
+export const POST = adminOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  const delivery = await redeliverWebhook(id);
+
+  return successResponse(delivery, 'Delivery queued for redelivery');
+}));
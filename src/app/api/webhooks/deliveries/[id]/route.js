@@ -0,0 +1,12 @@
+// src/app/api/webhooks/deliveries/[id]/route.js
+import { adminOnly } from '@/lib/auth/middleware';
+import { getWebhookDelivery } from '@/lib/webhooks/dispatcher';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/webhooks/deliveries/[id] - Webhook delivery with its payload and every attempt
+export const GET = adminOnly(asyncHandler(async (request, { params }) => {
+  const { id } = await params;
+
+  return successResponse(await getWebhookDelivery(id));
+}));
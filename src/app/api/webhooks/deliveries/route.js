@@ -0,0 +1,15 @@
+// src/app/api/webhooks/deliveries/route.js
+import { adminOnly } from '@/lib/auth/middleware';
+import { listWebhookDeliveries } from '@/lib/webhooks/dispatcher';
+import { validate, webhookDeliveryQuerySchema } from '@/lib/validation/schemas';
+import { successResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/webhooks/deliveries - Webhook delivery log, newest first; status=dead is the
+// dead-letter list
+export const GET = adminOnly(asyncHandler(async (request) => {
+  const { searchParams } = new URL(request.url);
+  const validated = await validate(webhookDeliveryQuerySchema)(Object.fromEntries(searchParams));
+
+  return successResponse(await listWebhookDeliveries(validated));
+}));
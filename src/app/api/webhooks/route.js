@@ -0,0 +1,67 @@
+// src/app/api/webhooks/route.js
+import { query } from '@/lib/db/postgres';
+import { adminOnly } from '@/lib/auth/middleware';
+import { generateWebhookSecret, invalidateWebhookSubscriptions } from '@/lib/webhooks/dispatcher';
+import { validate, webhookSubscriptionSchema } from '@/lib/validation/schemas';
+import { successResponse, createdResponse } from '@/lib/utils/response';
+import { asyncHandler } from '@/lib/utils/errors';
+
+// GET /api/webhooks - List webhook subscriptions with their delivery counts; secrets are not shown
+export const GET = adminOnly(asyncHandler(async () => {
+  const result = await query(`
+    SELECT
+      s.id, s.name, s.description, s.url, s.event_types, s.enabled, s.created_at, s.updated_at,
+      u.name as created_by_name,
+      COUNT(d.id) FILTER (WHERE d.status = 'pending') as pending_count,
+      COUNT(d.id) FILTER (WHERE d.status = 'dead') as dead_count,
+      MAX(d.delivered_at) as last_delivered_at
+    FROM webhook_subscriptions s
+    LEFT JOIN users u ON s.created_by = u.id
+    LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+    GROUP BY s.id, u.name
+    ORDER BY s.name
+  `);
+
+  return successResponse(result.rows.map(row => ({
+    ...row,
+    pending_count: parseInt(row.pending_count),
+    dead_count: parseInt(row.dead_count)
+  })));
+}));
+
+// POST /api/webhooks - Subscribe a URL to platform events; the signing secret is returned only here
+export const POST = adminOnly(asyncHandler(async (request) => {
+  const body = await request.json();
+  const validated = await validate(webhookSubscriptionSchema)(body);
+
+  const result = await query(`
+    INSERT INTO webhook_subscriptions (name, description, url, event_types, secret, enabled, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [
+    validated.name,
+    validated.description || null,
+    validated.url,
+    validated.event_types,
+    generateWebhookSecret(),
+    validated.enabled,
+    request.auth.userId
+  ]);
+
+  const { secret, ...subscription } = result.rows[0];
+  invalidateWebhookSubscriptions();
+
+  // Log audit
+  await query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, new_values)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [
+    request.auth.userId,
+    'create_webhook',
+    'webhook_subscriptions',
+    subscription.id,
+    JSON.stringify(subscription)
+  ]);
+
+  return createdResponse({ ...subscription, secret }, 'Webhook subscription created. Store the secret securely, it will not be shown again');
+}));
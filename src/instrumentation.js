@@ -0,0 +1,15 @@
+// src/instrumentation.js
+// Runs once per server start; background jobs and the realtime WebSocket only run in the
+// Node.js runtime
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+
+  if (process.env.BACKGROUND_JOBS !== 'false') {
+    const { startBackgroundJobs } = await import('./lib/jobs');
+    startBackgroundJobs();
+  }
+  if (process.env.REALTIME_WS !== 'false') {
+    const { startRealtimeSocket } = await import('./lib/realtime/socket');
+    startRealtimeSocket();
+  }
+}
@@ -0,0 +1,61 @@
+// src/lib/alarms/comms.js
+import { query } from '../db/postgres.js';
+
+// Consecutive failed polls before a device is reported offline
+export const COMMS_FAILURE_THRESHOLD = parseInt(process.env.COMMS_FAILURE_THRESHOLD || '3');
+
+// Raise a communication failure event for a field device; source is { protocol, id, name, address }
+export const raiseCommsFailure = async (source, error) => {
+    const result = await query(`
+        INSERT INTO events (
+            element_id, event_type, severity, category,
+            description, parameters, status, raised_at
+        ) VALUES (NULL, 'communication', 'high', 'comms_failure', $1, $2, 'active', NOW())
+        RETURNING *
+    `, [
+        `${source.protocol} device ${source.name} (${source.address}) is not responding`,
+        JSON.stringify({
+            protocol: source.protocol,
+            device_id: source.id,
+            device_name: source.name,
+            address: source.address,
+            error
+        })
+    ]);
+
+    return result.rows[0];
+};
+
+// Comms restored: unacknowledged failures return to normal, acknowledged ones resolve
+export const clearCommsFailure = async (eventId) => {
+    const result = await query(`
+        UPDATE events
+        SET cleared_at = NOW(),
+            status = CASE WHEN acknowledged_at IS NOT NULL THEN 'resolved' ELSE 'returned' END,
+            resolved_at = CASE WHEN acknowledged_at IS NOT NULL THEN NOW() ELSE resolved_at END,
+            parameters = parameters || jsonb_build_object(
+                'duration_seconds', EXTRACT(EPOCH FROM (NOW() - COALESCE(raised_at, created_at)))
+            )
+        WHERE id = $1 AND cleared_at IS NULL
+        RETURNING *
+    `, [eventId]);
+
+    return result.rows[0] || null;
+};
+
+// Device removed: its failure can no longer clear, so resolve it outright
+export const resolveCommsFailure = async (eventId) => {
+    const result = await query(`
+        UPDATE events
+        SET cleared_at = COALESCE(cleared_at, NOW()),
+            status = 'resolved',
+            resolved_at = NOW(),
+            parameters = parameters || jsonb_build_object(
+                'duration_seconds', EXTRACT(EPOCH FROM (COALESCE(cleared_at, NOW()) - COALESCE(raised_at, created_at)))
+            )
+        WHERE id = $1 AND resolved_at IS NULL
+        RETURNING *
+    `, [eventId]);
+
+    return result.rows[0] || null;
+};
@@ -0,0 +1,487 @@
+// src/lib/alarms/engine.js
+import { query } from '../db/postgres.js';
+import { cache } from '../db/redis.js';
+import { getElementLimits, evaluateLimits, LIMIT_LEVELS } from './limits.js';
+import { publishChange } from '../realtime/hub.js';
+import { emitPlatformEvent } from '../webhooks/dispatcher.js';
+import { groupAlarm } from './incidents.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const STATE_TTL = 3600; // 1 hour, rebuilt from the events table on a miss
+const ALARM_TTL = 3600;
+
+// Open alarm statuses: one per element+metric condition
+export const OPEN_ALARM_STATUSES = ['active', 'acknowledged', 'returned'];
+
+const stateKey = (elementId, metric) => `alarm:state:${elementId}:${metric}`;
+const alarmKey = (elementId, metric) => `alarm:${elementId}:${metric}`;
+
+const levelRank = (level) => LIMIT_LEVELS.length - LIMIT_LEVELS.indexOf(level);
+
+const worstValue = (a, b, direction) => {
+    if (a === null || a === undefined) return b;
+    return direction === 'high' ? Math.max(a, b) : Math.min(a, b);
+};
+
+// Least severe configured limit in a direction; the alarm clears once back inside it
+const clearLimit = (limit, direction) => {
+    for (const level of [...LIMIT_LEVELS].reverse()) {
+        const value = limit[`${direction}_${level}`];
+        if (value !== null && value !== undefined) return value;
+    }
+    return null;
+};
+
+const isBackToNormal = (limit, direction, value) => {
+    const boundary = clearLimit(limit, direction);
+    if (boundary === null) return true;
+
+    const deadband = limit.deadband || 0;
+    return direction === 'high'
+        ? value <= boundary - deadband
+        : value >= boundary + deadband;
+};
+
+// Load condition state from Redis, falling back to the open alarm in Postgres
+const loadState = async (elementId, metric) => {
+    const cached = await cache.get(stateKey(elementId, metric));
+    if (cached) return cached;
+
+    const result = await query(`
+        SELECT id, status, alarm_level, peak_value, raised_at, cleared_at, parameters->>'direction' as direction
+        FROM events
+        WHERE element_id = $1 AND metric = $2 AND status = ANY($3)
+        LIMIT 1
+    `, [elementId, metric, OPEN_ALARM_STATUSES]);
+
+    const open = result.rows[0];
+    if (!open) return { state: 'normal' };
+
+    if (open.status === 'returned') {
+        return { state: 'normal', returned_event_id: open.id };
+    }
+
+    return {
+        state: 'raised',
+        event_id: open.id,
+        direction: open.direction,
+        level: open.alarm_level,
+        peak: open.peak_value === null ? null : parseFloat(open.peak_value),
+        since: open.raised_at
+    };
+};
+
+const saveState = (elementId, metric, state) => cache.set(stateKey(elementId, metric), state, STATE_TTL);
+
+// How alarms of a condition are treated now: suppressedBy is why they are recorded without being
+// annunciated ('shelved' or 'maintenance', or null), and maintenance the open maintenance window
+// of the element, { id, alarm_action }, whose alarms fall in the maintenance category
+const alarmTreatment = async (elementId, metric) => {
+    const result = await query(`
+        SELECT
+            EXISTS (
+                SELECT 1 FROM alarm_shelves
+                WHERE element_id = $1 AND metric = $2 AND ended_at IS NULL AND expires_at > NOW()
+            ) AS shelved,
+            (
+                SELECT json_build_object('id', id, 'alarm_action', alarm_action)
+                FROM maintenance_windows
+                WHERE element_id = $1 AND ended_at IS NULL AND starts_at <= NOW() AND (ends_at IS NULL OR ends_at > NOW())
+                ORDER BY alarm_action = 'suppress' DESC, starts_at
+                LIMIT 1
+            ) AS maintenance
+    `, [elementId, metric]);
+
+    const { shelved, maintenance } = result.rows[0];
+    return {
+        suppressedBy: shelved ? 'shelved' : maintenance?.alarm_action === 'suppress' ? 'maintenance' : null,
+        maintenance
+    };
+};
+
+// Alarm as cached for displays and sent to realtime subscribers
+export const alarmSummary = (event) => ({
+    event_id: event.id,
+    element_id: event.element_id,
+    metric: event.metric,
+    value: event.last_value === null ? null : parseFloat(event.last_value),
+    peak_value: event.peak_value === null ? null : parseFloat(event.peak_value),
+    level: event.alarm_level,
+    severity: event.severity,
+    category: event.category,
+    status: event.status,
+    description: event.description,
+    raised_at: event.raised_at,
+    cleared_at: event.cleared_at || null,
+    suppressed_by: event.suppressed_by || null,
+    timestamp: new Date().toISOString()
+});
+
+// Tell realtime subscribers about an alarm change: raised, updated, escalated, cleared,
+// acknowledged or resolved; webhook subscribers get the alarm.* events among them
+export const publishAlarmChange = async (action, event) => {
+    const alarm = alarmSummary(event);
+    await publishChange({ type: 'alarm', action, element_id: event.element_id, alarm });
+    await emitPlatformEvent(`alarm.${action}`, alarm);
+};
+
+// Suppressed alarms are recorded but neither cached for displays nor published
+const publishAlarm = async (event, action) => {
+    if (event.suppressed_by) return;
+    await cache.set(alarmKey(event.element_id, event.metric), alarmSummary(event), ALARM_TTL);
+    await publishAlarmChange(action, event);
+};
+
+const raiseAlarm = async (element, limit, violation, state, timestamp) => {
+    const parameters = {
+        metric: violation.metric,
+        value: violation.value,
+        level: violation.level,
+        direction: violation.direction,
+        limit: violation.limit,
+        limit_source: violation.source,
+        unit: violation.unit,
+        deadband: limit.deadband,
+        on_delay_seconds: limit.on_delay_seconds,
+        first_violation_at: state.since || timestamp.toISOString()
+    };
+    const peak = worstValue(state.peak, violation.value, violation.direction);
+    const { suppressedBy, maintenance } = await alarmTreatment(element.id, violation.metric);
+    const downgraded = maintenance?.alarm_action === 'downgrade';
+    const severity = downgraded ? 'low' : violation.severity;
+    const category = maintenance ? 'maintenance' : 'threshold_violation';
+    if (maintenance) {
+        parameters.maintenance_window_id = maintenance.id;
+        parameters.maintenance_action = maintenance.alarm_action;
+        if (downgraded) parameters.original_severity = violation.severity;
+    }
+
+    let event = null;
+
+    // A condition that returned to normal but was never acknowledged is re-raised in place
+    if (state.returned_event_id) {
+        const reactivated = await query(`
+            UPDATE events
+            SET status = 'active',
+                severity = $2,
+                alarm_level = $3,
+                description = $4,
+                parameters = (parameters - 'maintenance_window_id' - 'maintenance_action' - 'original_severity') || $5,
+                category = $10,
+                peak_value = $6,
+                last_value = $7,
+                raised_at = $8,
+                cleared_at = NULL,
+                suppressed_by = $9,
+                occurrence_count = occurrence_count + 1
+            WHERE id = $1 AND status = 'returned'
+            RETURNING *
+        `, [
+            state.returned_event_id,
+            severity,
+            violation.level,
+            violation.description,
+            JSON.stringify(parameters),
+            peak,
+            violation.value,
+            timestamp,
+            suppressedBy,
+            category
+        ]);
+        event = reactivated.rows[0] || null;
+    }
+
+    if (!event) {
+        const inserted = await query(`
+            INSERT INTO events (
+                element_id, event_type, severity, category,
+                description, parameters, status,
+                metric, alarm_level, peak_value, last_value, raised_at, suppressed_by
+            ) VALUES ($1, 'alarm', $2, $11, $3, $4, 'active', $5, $6, $7, $8, $9, $10)
+            ON CONFLICT (element_id, metric) WHERE metric IS NOT NULL AND status IN ('active', 'acknowledged', 'returned')
+            DO NOTHING
+            RETURNING *
+        `, [
+            element.id,
+            severity,
+            violation.description,
+            JSON.stringify(parameters),
+            violation.metric,
+            violation.level,
+            peak,
+            violation.value,
+            timestamp,
+            suppressedBy,
+            category
+        ]);
+        event = inserted.rows[0] || null;
+    }
+
+    // Another writer raised the same condition first
+    if (!event) {
+        await cache.delete(stateKey(element.id, violation.metric));
+        return null;
+    }
+
+    await saveState(element.id, violation.metric, {
+        state: 'raised',
+        event_id: event.id,
+        direction: violation.direction,
+        level: violation.level,
+        peak,
+        since: timestamp.toISOString()
+    });
+    await publishAlarm(event, 'raised');
+    await groupAlarm(event);
+
+    return { action: 'raised', event };
+};
+
+const updateRaisedAlarm = async (element, violation, state) => {
+    const peak = worstValue(state.peak, violation.value, violation.direction);
+    const escalated = levelRank(violation.level) > levelRank(state.level);
+
+    if (peak === state.peak && !escalated) return null;
+
+    const result = await query(`
+        UPDATE events
+        SET peak_value = $2,
+            last_value = $3,
+            -- Alarms downgraded for maintenance keep their low severity
+            severity = CASE WHEN $4 AND parameters->>'maintenance_action' IS DISTINCT FROM 'downgrade' THEN $5 ELSE severity END,
+            alarm_level = CASE WHEN $4 THEN $6 ELSE alarm_level END,
+            description = CASE WHEN $4 THEN $7 ELSE description END
+        WHERE id = $1
+        RETURNING *
+    `, [
+        state.event_id,
+        peak,
+        violation.value,
+        escalated,
+        violation.severity,
+        violation.level,
+        violation.description
+    ]);
+
+    const event = result.rows[0];
+    if (!event) {
+        await cache.delete(stateKey(element.id, violation.metric));
+        return null;
+    }
+
+    await saveState(element.id, violation.metric, {
+        ...state,
+        level: escalated ? violation.level : state.level,
+        peak
+    });
+    await publishAlarm(event, escalated ? 'escalated' : 'updated');
+
+    return escalated ? { action: 'escalated', event } : null;
+};
+
+const clearAlarm = async (element, metric, value, state, timestamp) => {
+    const result = await query(`
+        UPDATE events
+        SET cleared_at = $2,
+            last_value = $3,
+            status = CASE WHEN acknowledged_at IS NOT NULL THEN 'resolved' ELSE 'returned' END,
+            resolved_at = CASE WHEN acknowledged_at IS NOT NULL THEN $2 ELSE resolved_at END,
+            parameters = parameters || jsonb_build_object(
+                'duration_seconds', EXTRACT(EPOCH FROM ($2::timestamptz - COALESCE(raised_at, created_at)))
+            )
+        WHERE id = $1 AND cleared_at IS NULL
+        RETURNING *
+    `, [state.event_id, timestamp, value]);
+
+    const event = result.rows[0];
+
+    await cache.delete(alarmKey(element.id, metric));
+    if (event && !event.suppressed_by) await publishAlarmChange('cleared', event);
+    await saveState(element.id, metric, event?.status === 'returned'
+        ? { state: 'normal', returned_event_id: event.id }
+        : { state: 'normal' });
+
+    return event ? { action: 'cleared', event } : null;
+};
+
+// Advance the alarm condition for one metric of an element
+const updateCondition = async (element, limit, value, violation, timestamp) => {
+    let state = await loadState(element.id, limit.metric);
+
+    if (state.state === 'raised') {
+        if (violation && violation.direction === state.direction) {
+            return updateRaisedAlarm(element, violation, state);
+        }
+
+        if (violation || isBackToNormal(limit, state.direction, value)) {
+            const cleared = await clearAlarm(element, limit.metric, value, state, timestamp);
+            if (!violation) return cleared;
+            state = await loadState(element.id, limit.metric);
+        } else {
+            // Inside the deadband: still in alarm
+            return null;
+        }
+    }
+
+    if (!violation) {
+        if (state.state === 'pending') {
+            await saveState(element.id, limit.metric, { state: 'normal', returned_event_id: state.returned_event_id });
+        }
+        return null;
+    }
+
+    const pending = state.state === 'pending' && state.direction === violation.direction;
+    const since = pending ? new Date(state.since) : timestamp;
+    const peak = worstValue(pending ? state.peak : null, violation.value, violation.direction);
+
+    if (timestamp - since >= (limit.on_delay_seconds || 0) * 1000) {
+        return raiseAlarm(element, limit, violation, { ...state, since: since.toISOString(), peak }, timestamp);
+    }
+
+    await saveState(element.id, limit.metric, {
+        state: 'pending',
+        direction: violation.direction,
+        since: since.toISOString(),
+        peak,
+        returned_event_id: state.returned_event_id
+    });
+    return null;
+};
+
+// Evaluate a sample against an element's limits and advance its alarm conditions
+export const processAlarms = async (element, measurements, timestamp = new Date(), limits = null) => {
+    limits = limits || await getElementLimits(element);
+    const violations = evaluateLimits(limits, measurements);
+    const violationByMetric = Object.fromEntries(violations.map(v => [v.metric, v]));
+    const changes = [];
+
+    for (const [metric, value] of Object.entries(measurements)) {
+        const limit = limits[metric];
+        if (!limit || typeof value !== 'number') continue;
+
+        const change = await updateCondition(element, limit, value, violationByMetric[metric] || null, timestamp);
+        if (change) changes.push(change);
+    }
+
+    return changes;
+};
+
+// Acknowledge an event for a user, as PUT /api/events/[id] does; an alarm that already returned
+// to normal is resolved by it. Returns the event, unchanged if it was already acknowledged.
+export const acknowledgeEvent = async (eventId, userId) => {
+    const result = await query(`
+        UPDATE events
+        SET acknowledged_at = CURRENT_TIMESTAMP,
+            acknowledged_by = $2,
+            status = CASE status WHEN 'returned' THEN 'resolved' WHEN 'active' THEN 'acknowledged' ELSE status END,
+            resolved_at = CASE WHEN status = 'returned' THEN CURRENT_TIMESTAMP ELSE resolved_at END,
+            resolved_by = CASE WHEN status = 'returned' THEN $2 ELSE resolved_by END
+        WHERE id = $1 AND acknowledged_at IS NULL
+        RETURNING *
+    `, [eventId, userId]);
+
+    const event = result.rows[0];
+    if (!event) {
+        const existing = await query('SELECT * FROM events WHERE id = $1', [eventId]);
+        if (existing.rows.length === 0) throw new NotFoundError('Event');
+        return existing.rows[0];
+    }
+
+    if (event.metric) {
+        await forgetAlarmState(event.element_id, event.metric);
+        if (!OPEN_ALARM_STATUSES.includes(event.status)) await cache.delete(alarmKey(event.element_id, event.metric));
+        await publishAlarmChange(event.status === 'resolved' ? 'resolved' : 'acknowledged', event);
+    }
+    if (event.status === 'resolved') {
+        await cache.delete(`event:active:${event.id}`);
+    } else if (event.severity === 'critical' || event.severity === 'high') {
+        await cache.set(`event:active:${event.id}`, event, 3600);
+    }
+
+    await query(`
+        INSERT INTO audit_log (user_id, action, table_name, record_id, new_values)
+        VALUES ($1, $2, $3, $4, $5)
+    `, [userId, 'acknowledge', 'events', event.id, JSON.stringify(event)]);
+
+    return event;
+};
+
+// Suppress or release the open alarms of an element (of one metric, or all) to match its shelves
+// and maintenance windows, after one starts or ends. Alarms raised before a window opened move into
+// the maintenance category, downgraded as raiseAlarm does for a downgrade window. Displays and
+// realtime subscribers see an alarm leave ('suppressed'), come back ('released') or change
+// ('updated'). Returns the alarms that changed.
+export const refreshAlarmSuppression = async (elementId, metric = null) => {
+    const open = await query(`
+        SELECT id, metric, severity, category, suppressed_by FROM events
+        WHERE element_id = $1 AND metric IS NOT NULL AND ($2::varchar IS NULL OR metric = $2) AND status = ANY($3)
+    `, [elementId, metric, OPEN_ALARM_STATUSES]);
+
+    const changed = [];
+    for (const alarm of open.rows) {
+        const { suppressedBy, maintenance } = await alarmTreatment(elementId, alarm.metric);
+        const intoMaintenance = Boolean(maintenance) && alarm.category !== 'maintenance';
+        if (suppressedBy === alarm.suppressed_by && !intoMaintenance) continue;
+
+        const downgraded = intoMaintenance && maintenance.alarm_action === 'downgrade';
+        const parameters = intoMaintenance ? {
+            maintenance_window_id: maintenance.id,
+            maintenance_action: maintenance.alarm_action,
+            ...(downgraded ? { original_severity: alarm.severity } : {})
+        } : {};
+
+        const result = await query(`
+            UPDATE events
+            SET suppressed_by = $3, category = $4, severity = $5, parameters = parameters || $6
+            WHERE id = $1 AND status = ANY($2)
+            RETURNING *
+        `, [
+            alarm.id,
+            OPEN_ALARM_STATUSES,
+            suppressedBy,
+            intoMaintenance ? 'maintenance' : alarm.category,
+            downgraded ? 'low' : alarm.severity,
+            JSON.stringify(parameters)
+        ]);
+        const event = result.rows[0];
+        if (!event) continue;
+
+        const action = suppressedBy === alarm.suppressed_by ? 'updated' : 'released';
+        if (suppressedBy && suppressedBy !== alarm.suppressed_by) {
+            await cache.delete(alarmKey(elementId, alarm.metric));
+            await publishAlarmChange('suppressed', event);
+        } else if (event.status === 'returned') {
+            if (!suppressedBy) await publishAlarmChange(action, event);
+        } else {
+            await publishAlarm(event, action);
+        }
+        changed.push(event);
+    }
+    return changed;
+};
+
+// Resolve the open alarms an element raised in the maintenance category once its maintenance is
+// over; a violation still present is raised again as a normal alarm when next evaluated
+export const resolveMaintenanceAlarms = async (elementId) => {
+    const result = await query(`
+        UPDATE events
+        SET status = 'resolved',
+            resolved_at = NOW(),
+            parameters = parameters || '{"resolution_notes": "Maintenance window closed"}'
+        WHERE element_id = $1 AND metric IS NOT NULL AND category = 'maintenance' AND status = ANY($2)
+        RETURNING *
+    `, [elementId, OPEN_ALARM_STATUSES]);
+
+    for (const event of result.rows) {
+        await cache.delete(alarmKey(elementId, event.metric));
+        await cache.delete(stateKey(elementId, event.metric));
+        if (!event.suppressed_by) await publishAlarmChange('resolved', event);
+    }
+    return result.rows;
+};
+
+// Drop cached condition state after an operator changes an alarm
+export const forgetAlarmState = async (elementId, metric) => {
+    if (!metric) return;
+    await cache.delete(stateKey(elementId, metric));
+};
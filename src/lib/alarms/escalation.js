@@ -0,0 +1,172 @@
+// src/lib/alarms/escalation.js
+// Alarm escalation. An alarm raised and not suppressed is matched once against the escalation
+// policies; the first matching policy notifies its tiers in turn, each after its delay, for as long
+// as the alarm stays unacknowledged. Acknowledging, resolving or deleting the alarm, or disabling
+// the policy, ends the escalation; suppression pauses it. Consequential alarms of an incident are
+// not escalated, only its root alarm, and events other than alarms (status changes, comms
+// failures, operator entries) never are.
+import { query } from '../db/postgres.js';
+import { queueNotifications } from '../notifications/delivery.js';
+import { isConsequential } from './incidents.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Alarms raised longer ago than this when first seen are not escalated, e.g. after enabling
+// escalation on a system with old open alarms
+const LOOKBACK_MINUTES = parseInt(process.env.ESCALATION_LOOKBACK_MINUTES || '60');
+const ESCALATING_STATUSES = ['active', 'returned'];
+
+// Policies matching the alarm ev at the time it was raised, in their own time zone
+const MATCHING_POLICIES = `
+    SELECT p.*
+    FROM escalation_policies p
+    CROSS JOIN LATERAL (SELECT COALESCE(ev.raised_at, ev.created_at) AT TIME ZONE p.timezone AS t) raised
+    WHERE p.enabled
+        AND (cardinality(p.severities) = 0 OR ev.severity = ANY(p.severities))
+        AND (p.group_id IS NULL OR EXISTS (
+            SELECT 1 FROM element_group_members m WHERE m.group_id = p.group_id AND m.element_id = ev.element_id
+        ))
+        AND (cardinality(p.days_of_week) = 0 OR EXTRACT(ISODOW FROM raised.t)::int = ANY(p.days_of_week))
+        AND (p.active_from IS NULL OR CASE
+            WHEN p.active_from <= p.active_to THEN raised.t::time >= p.active_from AND raised.t::time < p.active_to
+            ELSE raised.t::time >= p.active_from OR raised.t::time < p.active_to
+        END)
+    ORDER BY p.priority, p.created_at
+    LIMIT 1
+`;
+
+// Check the users and group a policy refers to
+export const checkEscalationPolicy = async (policy) => {
+    const userIds = [...new Set(policy.tiers.flatMap(tier => tier.user_ids))];
+    const users = await query('SELECT id FROM users WHERE id = ANY($1) AND is_active = true', [userIds]);
+    const known = new Set(users.rows.map(user => user.id));
+    const unknown = userIds.filter(id => !known.has(id));
+    if (unknown.length > 0) {
+        throw new ValidationError([{ path: 'tiers', message: `Unknown or inactive users: ${unknown.join(', ')}` }]);
+    }
+
+    if (policy.group_id) {
+        const group = await query('SELECT id FROM element_groups WHERE id = $1', [policy.group_id]);
+        if (group.rows.length === 0) {
+            throw new ValidationError([{ path: 'group_id', message: 'Element group not found' }]);
+        }
+    }
+};
+
+const alarmMessage = (event, policyName, tier) => {
+    const value = event.last_value === null || event.last_value === undefined ? null : parseFloat(event.last_value);
+    const subject = `[${event.severity.toUpperCase()}] ${event.element_name || 'System'}: ${event.description || event.event_type}`;
+
+    return {
+        subject,
+        text: [
+            subject,
+            '',
+            `Element: ${event.element_name || '-'}${event.element_type ? ` (${event.element_type})` : ''}`,
+            ...(event.metric ? [`Metric: ${event.metric} = ${value ?? '-'}`] : []),
+            `Raised: ${new Date(event.raised_at || event.created_at).toISOString()}`,
+            `Status: ${event.status}`,
+            `Escalation: ${policyName}, tier ${tier}`,
+            `Event: ${event.id}`,
+            '',
+            'Acknowledge the alarm to stop further escalation.'
+        ].join('\n'),
+        alarm: {
+            event_id: event.id,
+            element_id: event.element_id,
+            element_name: event.element_name || null,
+            metric: event.metric,
+            value,
+            severity: event.severity,
+            status: event.status,
+            raised_at: event.raised_at || event.created_at,
+            policy: policyName,
+            tier
+        }
+    };
+};
+
+// Background job: end escalations of alarms that no longer need one, start escalations of new
+// alarms and notify the tiers that are due
+export const runEscalations = async () => {
+    // An alarm grouped under a root raised later, further upstream, stops escalating
+    await query(`
+        UPDATE alarm_escalations a
+        SET ended_at = NOW(), end_reason = 'grouped'
+        FROM events ev
+        WHERE ev.id = a.event_id AND a.ended_at IS NULL AND ${isConsequential('ev')}
+    `);
+
+    await query(`
+        UPDATE alarm_escalations a
+        SET ended_at = NOW(),
+            end_reason = CASE WHEN ev.acknowledged_at IS NOT NULL THEN 'acknowledged' ELSE 'closed' END
+        FROM events ev
+        WHERE ev.id = a.event_id AND a.ended_at IS NULL AND (
+            ev.status <> ALL($1)
+            OR NOT EXISTS (SELECT 1 FROM escalation_policies p WHERE p.id = a.policy_id AND p.enabled)
+        )
+    `, [ESCALATING_STATUSES]);
+
+    await query(`
+        INSERT INTO alarm_escalations (event_id, policy_id, next_tier_at, ended_at, end_reason)
+        SELECT
+            ev.id,
+            p.id,
+            COALESCE(ev.raised_at, ev.created_at) + make_interval(mins => (p.tiers->0->>'delay_minutes')::int),
+            CASE WHEN p.id IS NULL THEN NOW() END,
+            CASE WHEN p.id IS NULL THEN 'no_policy' END
+        FROM events ev
+        LEFT JOIN LATERAL (${MATCHING_POLICIES}) p ON true
+        WHERE ev.event_type = 'alarm' AND ev.status = ANY($1) AND ev.suppressed_by IS NULL
+            AND NOT ${isConsequential('ev')}
+            AND COALESCE(ev.raised_at, ev.created_at) > NOW() - make_interval(mins => $2)
+            AND NOT EXISTS (SELECT 1 FROM alarm_escalations a WHERE a.event_id = ev.id)
+        ON CONFLICT (event_id) DO NOTHING
+    `, [ESCALATING_STATUSES, LOOKBACK_MINUTES]);
+
+    // Advancing in one statement keeps a tier from being notified twice
+    const due = await query(`
+        UPDATE alarm_escalations a
+        SET tier = a.tier + 1,
+            next_tier_at = NOW() + make_interval(mins => (p.tiers->(a.tier + 1)->>'delay_minutes')::int),
+            ended_at = CASE WHEN jsonb_array_length(p.tiers) <= a.tier + 1 THEN NOW() END,
+            end_reason = CASE WHEN jsonb_array_length(p.tiers) <= a.tier + 1 THEN 'exhausted' END
+        FROM escalation_policies p, events ev
+        WHERE p.id = a.policy_id AND ev.id = a.event_id
+            AND a.ended_at IS NULL AND a.next_tier_at <= NOW()
+            AND ev.status = ANY($1) AND ev.suppressed_by IS NULL
+        RETURNING a.event_id, a.policy_id, a.tier, p.name AS policy_name, p.tiers->(a.tier - 1) AS notified
+    `, [ESCALATING_STATUSES]);
+
+    for (const escalation of due.rows) {
+        if (!escalation.notified) continue;
+
+        const result = await query(`
+            SELECT ev.*, e.name AS element_name, e.element_type
+            FROM events ev
+            LEFT JOIN grid_elements e ON e.id = ev.element_id
+            WHERE ev.id = $1
+        `, [escalation.event_id]);
+        const event = result.rows[0];
+        if (!event) continue;
+
+        await queueNotifications(
+            escalation.notified.user_ids,
+            alarmMessage(event, escalation.policy_name, escalation.tier),
+            { eventId: event.id, policyId: escalation.policy_id, tier: escalation.tier, severity: event.severity }
+        );
+    }
+
+    return due.rows.length;
+};
+
+// Escalation state of an alarm, or null if it was never escalated
+export const getEscalation = async (eventId) => {
+    const result = await query(`
+        SELECT a.*, p.name AS policy_name, jsonb_array_length(p.tiers) AS tier_count
+        FROM alarm_escalations a
+        LEFT JOIN escalation_policies p ON p.id = a.policy_id
+        WHERE a.event_id = $1
+    `, [eventId]);
+    return result.rows[0] || null;
+};
@@ -0,0 +1,124 @@
+// src/lib/alarms/flood.js
+// Alarm flood detection. More annunciated alarms raised within the flood window than the threshold
+// (ISA-18.2 takes 10 in 10 minutes per operator) is a flood. It is raised as a system alarm in the
+// 'alarm_flood' category with the alarm count as its value, and returns to normal once the count
+// is back at or under the threshold.
+import { query } from '../db/postgres.js';
+import { publishAlarmChange, OPEN_ALARM_STATUSES } from './engine.js';
+import { isConsequential } from './incidents.js';
+
+export const FLOOD_THRESHOLD = parseInt(process.env.ALARM_FLOOD_THRESHOLD || '10');
+export const FLOOD_WINDOW_MINUTES = parseInt(process.env.ALARM_FLOOD_WINDOW_MINUTES || '10');
+const FLOOD_CATEGORY = 'alarm_flood';
+
+// SQL condition for the alarms counted, of the events table aliased as ev
+const COUNTED_ALARMS = `ev.event_type = 'alarm' AND ev.category IS DISTINCT FROM '${FLOOD_CATEGORY}' AND ev.suppressed_by IS NULL`;
+
+// Alarms raised within the window; grouped_count counts each incident once, by its root
+const alarmRate = async () => {
+    const result = await query(`
+        SELECT
+            COUNT(*)::int AS alarm_count,
+            (COUNT(*) FILTER (WHERE NOT ${isConsequential('ev')}))::int AS grouped_count
+        FROM events ev
+        WHERE ${COUNTED_ALARMS} AND COALESCE(ev.raised_at, ev.created_at) > NOW() - make_interval(mins => $1)
+    `, [FLOOD_WINDOW_MINUTES]);
+    return result.rows[0];
+};
+
+const openFlood = async () => {
+    const result = await query(`
+        SELECT * FROM events
+        WHERE category = $1 AND cleared_at IS NULL AND status = ANY($2)
+        ORDER BY raised_at DESC
+        LIMIT 1
+    `, [FLOOD_CATEGORY, OPEN_ALARM_STATUSES]);
+    return result.rows[0] || null;
+};
+
+// Background job: raise a flood alarm when the alarm count goes over the threshold, follow its
+// peak while it lasts and clear it when the count is back down
+export const detectAlarmFlood = async () => {
+    const { alarm_count: count } = await alarmRate();
+    const flood = await openFlood();
+
+    if (!flood) {
+        if (count <= FLOOD_THRESHOLD) return null;
+
+        const raised = await query(`
+            INSERT INTO events (
+                element_id, event_type, severity, category,
+                description, parameters, status, last_value, peak_value, raised_at
+            ) VALUES (NULL, 'alarm', 'high', $1, $2, $3, 'active', $4, $4, NOW())
+            RETURNING *
+        `, [
+            FLOOD_CATEGORY,
+            `Alarm flood: ${count} alarms in ${FLOOD_WINDOW_MINUTES} minutes (threshold ${FLOOD_THRESHOLD})`,
+            JSON.stringify({ threshold: FLOOD_THRESHOLD, window_minutes: FLOOD_WINDOW_MINUTES }),
+            count
+        ]);
+        await publishAlarmChange('raised', raised.rows[0]);
+        return raised.rows[0];
+    }
+
+    if (count > FLOOD_THRESHOLD) {
+        const updated = await query(`
+            UPDATE events
+            SET last_value = $2, peak_value = GREATEST(peak_value, $2)
+            WHERE id = $1
+            RETURNING *
+        `, [flood.id, count]);
+        const event = updated.rows[0];
+        if (event && parseFloat(event.peak_value) > parseFloat(flood.peak_value)) {
+            await publishAlarmChange('updated', event);
+        }
+        return event;
+    }
+
+    const cleared = await query(`
+        UPDATE events
+        SET cleared_at = NOW(),
+            last_value = $2,
+            status = CASE WHEN acknowledged_at IS NOT NULL THEN 'resolved' ELSE 'returned' END,
+            resolved_at = CASE WHEN acknowledged_at IS NOT NULL THEN NOW() ELSE resolved_at END,
+            parameters = parameters || jsonb_build_object(
+                'duration_seconds', EXTRACT(EPOCH FROM (NOW() - raised_at))
+            )
+        WHERE id = $1 AND cleared_at IS NULL
+        RETURNING *
+    `, [flood.id, count]);
+    const event = cleared.rows[0];
+    if (event) await publishAlarmChange('cleared', event);
+    return event || null;
+};
+
+// Current alarm rate against the flood threshold, the open flood alarm if any, and the alarms
+// raised in each minute of the window
+export const getAlarmFloodStatus = async () => {
+    const [rate, flood, perMinute] = await Promise.all([
+        alarmRate(),
+        openFlood(),
+        query(`
+            SELECT minute, COUNT(ev.id)::int AS alarm_count
+            FROM generate_series(
+                date_trunc('minute', NOW()) - make_interval(mins => $1 - 1),
+                date_trunc('minute', NOW()),
+                interval '1 minute'
+            ) AS minute
+            LEFT JOIN events ev ON ${COUNTED_ALARMS}
+                AND COALESCE(ev.raised_at, ev.created_at) >= minute
+                AND COALESCE(ev.raised_at, ev.created_at) < minute + interval '1 minute'
+            GROUP BY minute
+            ORDER BY minute
+        `, [FLOOD_WINDOW_MINUTES])
+    ]);
+
+    return {
+        flooding: Boolean(flood),
+        threshold: FLOOD_THRESHOLD,
+        window_minutes: FLOOD_WINDOW_MINUTES,
+        ...rate,
+        flood_alarm: flood,
+        per_minute: perMinute.rows
+    };
+};
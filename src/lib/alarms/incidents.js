@@ -0,0 +1,255 @@
+// src/lib/alarms/incidents.js
+// Root-cause grouping. A trip upstream makes every element it feeds raise its own alarm. An alarm
+// raised within the correlation window of open alarms on elements upstream or downstream of its
+// element, or fed from the same upstream element (following network_connections from the feeding
+// to the fed element), is grouped with them in one incident, whose root is the alarm of the most
+// upstream element. The feeding element need not raise an alarm itself: loads on a tripped bus
+// without measurements of its own are grouped all the same. The other alarms are its
+// consequential alarms; they are recorded and shown as usual but not escalated.
+import { query, withTransaction } from '../db/postgres.js';
+import { publishChange } from '../realtime/hub.js';
+import { alarmSummary, OPEN_ALARM_STATUSES } from './engine.js';
+import { NotFoundError } from '../utils/errors.js';
+
+const WINDOW_SECONDS = parseInt(process.env.ALARM_CORRELATION_WINDOW_SECONDS || '30');
+// Connections followed from the alarmed element, up and then down again
+const MAX_DEPTH = parseInt(process.env.ALARM_CORRELATION_DEPTH || '10');
+// Grouping runs one alarm at a time, so alarms raised together cannot open separate incidents
+const GROUPING_LOCK = 'alarm-incidents';
+
+// SQL condition for alarms of the table aliased as alias that are consequential alarms of an
+// incident, i.e. grouped under another alarm
+export const isConsequential = (alias = 'events') => `EXISTS (
+    SELECT 1 FROM alarm_incident_members im
+    JOIN alarm_incidents inc ON inc.id = im.incident_id
+    WHERE im.event_id = ${alias}.id AND inc.root_event_id <> ${alias}.id
+)`;
+
+// Open, annunciated alarms raised within the window on the element and the elements connected to
+// it: its upstream elements and everything they feed, within $2 connections. Each comes with the
+// upstream distance of its element (levels up less levels down: positive upstream, negative
+// downstream, 0 for the element itself and its siblings) and its open incident.
+const CORRELATED_ALARMS = `
+    WITH RECURSIVE upstream(element_id, depth) AS (
+        SELECT $1::uuid, 0
+        UNION
+        SELECT c.from_element_id, u.depth + 1
+        FROM upstream u
+        JOIN network_connections c ON c.to_element_id = u.element_id AND c.is_connected
+        WHERE u.depth < $2
+    ), fed(element_id, up, down) AS (
+        SELECT element_id, depth, 0 FROM upstream
+        UNION
+        SELECT c.to_element_id, f.up, f.down + 1
+        FROM fed f
+        JOIN network_connections c ON c.from_element_id = f.element_id AND c.is_connected
+        WHERE f.up + f.down < $2
+    ), related AS (
+        SELECT element_id, MAX(up - down) AS distance
+        FROM fed
+        GROUP BY element_id
+    )
+    SELECT ev.*, r.distance, i.id AS incident_id, i.root_event_id
+    FROM related r
+    JOIN events ev ON ev.element_id = r.element_id
+    LEFT JOIN alarm_incident_members m ON m.event_id = ev.id
+    LEFT JOIN alarm_incidents i ON i.id = m.incident_id AND i.status = 'open'
+    WHERE ev.event_type = 'alarm' AND ev.status = ANY($3) AND ev.suppressed_by IS NULL
+        AND COALESCE(ev.raised_at, ev.created_at)
+            BETWEEN $4::timestamptz - make_interval(secs => $5) AND $4::timestamptz + make_interval(secs => $5)
+`;
+
+const raisedAt = (alarm) => new Date(alarm.raised_at || alarm.created_at);
+
+// Most upstream first; of equally upstream alarms, the one raised first
+const upstreamFirst = (a, b) => b.distance - a.distance || raisedAt(a) - raisedAt(b);
+
+// Group the alarms correlated with a newly raised alarm into one incident, within a transaction
+const groupCorrelated = (event) => withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [GROUPING_LOCK]);
+
+    const correlated = await client.query(CORRELATED_ALARMS, [
+        event.element_id,
+        MAX_DEPTH,
+        OPEN_ALARM_STATUSES,
+        raisedAt(event),
+        WINDOW_SECONDS
+    ]);
+    const alarms = correlated.rows.sort(upstreamFirst);
+    if (alarms.length < 2) return null;
+
+    // The incident of the most upstream grouped alarm takes in the alarms of any other
+    const grouped = alarms.find(alarm => alarm.incident_id);
+    let incidentId = grouped?.incident_id;
+    let root = alarms[0];
+
+    if (!incidentId) {
+        const created = await client.query(`
+            INSERT INTO alarm_incidents (root_event_id, root_element_id)
+            VALUES ($1, $2)
+            RETURNING id
+        `, [root.id, root.element_id]);
+        incidentId = created.rows[0].id;
+    } else {
+        const merged = [...new Set(alarms.map(alarm => alarm.incident_id).filter(id => id && id !== incidentId))];
+        if (merged.length > 0) {
+            await client.query('UPDATE alarm_incident_members SET incident_id = $1 WHERE incident_id = ANY($2)', [incidentId, merged]);
+            await client.query('DELETE FROM alarm_incidents WHERE id = ANY($1)', [merged]);
+        }
+
+        // A root on a branch this alarm is not on stays the root
+        const currentRoot = grouped.root_event_id;
+        if (currentRoot && !alarms.some(alarm => alarm.id === currentRoot)) {
+            root = { id: currentRoot };
+        }
+    }
+
+    const incident = await client.query(`
+        UPDATE alarm_incidents
+        SET root_event_id = $2,
+            root_element_id = COALESCE((SELECT element_id FROM events WHERE id = $2), root_element_id),
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING *, (root_event_id IS DISTINCT FROM $3) AS root_changed
+    `, [incidentId, root.id, grouped?.root_event_id || null]);
+
+    const added = await client.query(`
+        INSERT INTO alarm_incident_members (event_id, incident_id)
+        SELECT unnest($1::uuid[]), $2
+        ON CONFLICT (event_id) DO UPDATE SET incident_id = EXCLUDED.incident_id, added_at = NOW()
+            WHERE alarm_incident_members.incident_id <> EXCLUDED.incident_id
+        RETURNING event_id
+    `, [alarms.map(alarm => alarm.id), incidentId]);
+
+    const { root_changed: rootChanged, ...current } = incident.rows[0];
+    const addedIds = new Set(added.rows.map(row => row.event_id));
+    return {
+        incident: current,
+        // Every alarm's role changes with the root; otherwise only the alarms that joined
+        changed: rootChanged ? alarms : alarms.filter(alarm => addedIds.has(alarm.id))
+    };
+});
+
+// Group a newly raised alarm with the open alarms it correlates with, and tell realtime subscribers
+// about the alarms that joined an incident or whose root changed ('grouped'). Failures are logged,
+// never thrown, so grouping cannot fail raising the alarm. Returns the incident, or null.
+export const groupAlarm = async (event) => {
+    if (!event.element_id || event.event_type !== 'alarm' || event.suppressed_by) return null;
+
+    let grouping;
+    try {
+        grouping = await groupCorrelated(event);
+    } catch (error) {
+        console.error(`Alarm ${event.id} not grouped:`, error.message);
+        return null;
+    }
+    if (!grouping) return null;
+
+    const { incident, changed } = grouping;
+    for (const alarm of changed) {
+        await publishChange({
+            type: 'alarm',
+            action: 'grouped',
+            element_id: alarm.element_id,
+            alarm: { ...alarmSummary(alarm), incident_id: incident.id, root_event_id: incident.root_event_id }
+        });
+    }
+    return incident;
+};
+
+// Background job: close incidents none of whose alarms is open any more
+export const closeAlarmIncidents = async () => {
+    const result = await query(`
+        UPDATE alarm_incidents i
+        SET status = 'closed', closed_at = NOW(), updated_at = NOW()
+        WHERE i.status = 'open' AND NOT EXISTS (
+            SELECT 1 FROM alarm_incident_members m
+            JOIN events ev ON ev.id = m.event_id
+            WHERE m.incident_id = i.id AND ev.status = ANY($1)
+        )
+    `, [OPEN_ALARM_STATUSES]);
+    return result.rowCount;
+};
+
+// Incidents, newest first, with their root alarm and alarm counts; optionally only those with an
+// alarm of one element
+export const listAlarmIncidents = async ({ status, element_id: elementId, limit }) => {
+    const params = [OPEN_ALARM_STATUSES];
+    const conditions = [];
+
+    if (status !== 'all') {
+        params.push(status);
+        conditions.push(`i.status = $${params.length}`);
+    }
+    if (elementId) {
+        params.push(elementId);
+        conditions.push(`EXISTS (
+            SELECT 1 FROM alarm_incident_members em
+            JOIN events element_alarm ON element_alarm.id = em.event_id
+            WHERE em.incident_id = i.id AND element_alarm.element_id = $${params.length}
+        )`);
+    }
+
+    params.push(limit);
+    const result = await query(`
+        SELECT
+            i.*,
+            e.name AS root_element_name,
+            e.element_type AS root_element_type,
+            root.severity,
+            root.description,
+            root.metric AS root_metric,
+            root.status AS root_status,
+            COUNT(m.event_id)::int AS alarm_count,
+            (COUNT(m.event_id) FILTER (WHERE ev.status = ANY($1)))::int AS open_alarm_count,
+            MIN(COALESCE(ev.raised_at, ev.created_at)) AS first_raised_at,
+            MAX(COALESCE(ev.raised_at, ev.created_at)) AS last_raised_at
+        FROM alarm_incidents i
+        LEFT JOIN grid_elements e ON e.id = i.root_element_id
+        LEFT JOIN events root ON root.id = i.root_event_id
+        LEFT JOIN alarm_incident_members m ON m.incident_id = i.id
+        LEFT JOIN events ev ON ev.id = m.event_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        GROUP BY i.id, e.id, root.id
+        ORDER BY i.opened_at DESC
+        LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+};
+
+// An incident with its root alarm and child (consequential) alarms, in the order they were raised
+export const getAlarmIncident = async (incidentId) => {
+    const incident = await query('SELECT * FROM alarm_incidents WHERE id = $1', [incidentId]);
+    if (incident.rows.length === 0) throw new NotFoundError('Alarm incident');
+
+    const alarms = await query(`
+        SELECT ev.*, e.name AS element_name, e.element_type, m.added_at
+        FROM alarm_incident_members m
+        JOIN events ev ON ev.id = m.event_id
+        LEFT JOIN grid_elements e ON e.id = ev.element_id
+        WHERE m.incident_id = $1
+        ORDER BY COALESCE(ev.raised_at, ev.created_at), ev.id
+    `, [incidentId]);
+
+    const { root_event_id: rootEventId } = incident.rows[0];
+    return {
+        ...incident.rows[0],
+        root_alarm: alarms.rows.find(alarm => alarm.id === rootEventId) || null,
+        child_alarms: alarms.rows.filter(alarm => alarm.id !== rootEventId)
+    };
+};
+
+// The incident an alarm belongs to, with whether it is the root, or null
+export const getIncidentOfAlarm = async (eventId) => {
+    const result = await query(`
+        SELECT
+            i.id, i.status, i.root_event_id, i.root_element_id, i.opened_at, i.closed_at,
+            i.root_event_id = m.event_id AS is_root,
+            (SELECT COUNT(*)::int FROM alarm_incident_members c WHERE c.incident_id = i.id) AS alarm_count
+        FROM alarm_incident_members m
+        JOIN alarm_incidents i ON i.id = m.incident_id
+        WHERE m.event_id = $1
+    `, [eventId]);
+    return result.rows[0] || null;
+};
@@ -0,0 +1,148 @@
+// src/lib/alarms/limits.js
+import { query } from '../db/postgres.js';
+import { cache } from '../db/redis.js';
+
+// Limit columns ordered from the most to the least severe, per direction
+export const LIMIT_LEVELS = ['trip', 'alarm', 'warning'];
+export const LIMIT_COLUMNS = [
+    'low_trip', 'low_alarm', 'low_warning',
+    'high_warning', 'high_alarm', 'high_trip'
+];
+
+// Event severity raised for each limit level
+export const LEVEL_SEVERITY = {
+    trip: 'critical',
+    alarm: 'high',
+    warning: 'medium'
+};
+
+const CACHE_TTL = 300; // 5 minutes
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// Overlay non-null limit columns from a row onto the effective limit for a metric
+const applyLimitRow = (effective, row, source) => {
+    const current = effective[row.metric] || {
+        metric: row.metric,
+        unit: null,
+        deadband: 0,
+        on_delay_seconds: 0,
+        sources: {}
+    };
+
+    for (const column of LIMIT_COLUMNS) {
+        const value = toNumber(row[column]);
+        if (value !== null) {
+            current[column] = value;
+            current.sources[column] = source;
+        } else if (current[column] === undefined) {
+            current[column] = null;
+        }
+    }
+
+    if (row.deadband !== null && row.deadband !== undefined) current.deadband = parseFloat(row.deadband);
+    if (row.on_delay_seconds !== null && row.on_delay_seconds !== undefined) current.on_delay_seconds = row.on_delay_seconds;
+    if (row.unit) current.unit = row.unit;
+    effective[row.metric] = current;
+};
+
+// Voltage limits derived from the tolerance band of the bus an element sits on
+const getBusVoltageLimits = async (elementId) => {
+    const result = await query(`
+        SELECT
+            b.id,
+            COALESCE(b.nominal_voltage, b.voltage_level) as base_voltage,
+            b.voltage_tolerance_min,
+            b.voltage_tolerance_max
+        FROM buses b
+        WHERE b.id = $1
+            OR b.id = (SELECT bus_id FROM loads WHERE id = $1)
+            OR b.id = (SELECT bus_id FROM generators WHERE id = $1)
+        ORDER BY (b.id = $1) DESC
+        LIMIT 1
+    `, [elementId]);
+
+    const bus = result.rows[0];
+    if (!bus || !bus.base_voltage) return null;
+
+    const base = parseFloat(bus.base_voltage);
+    return {
+        bus_id: bus.id,
+        metric: 'voltage',
+        unit: 'kV',
+        low_alarm: base * parseFloat(bus.voltage_tolerance_min ?? 0.95),
+        high_alarm: base * parseFloat(bus.voltage_tolerance_max ?? 1.05)
+    };
+};
+
+// Resolve effective limits for an element: type default < bus tolerance < element override.
+// Limits on per-unit metrics (voltage_pu, current_pu, ...) hold for elements of any rating.
+export const getElementLimits = async (element) => {
+    const cacheKey = `limits:element:${element.id}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return cached;
+
+    const [rows, busLimits] = await Promise.all([
+        query(`
+            SELECT *
+            FROM alarm_limits
+            WHERE enabled = true
+                AND ((scope = 'type' AND element_type = $2) OR (scope = 'element' AND element_id = $1))
+            ORDER BY CASE scope WHEN 'type' THEN 0 ELSE 1 END
+        `, [element.id, element.element_type]),
+        getBusVoltageLimits(element.id)
+    ]);
+
+    const effective = {};
+    const typeRows = rows.rows.filter(row => row.scope === 'type');
+    const elementRows = rows.rows.filter(row => row.scope === 'element');
+
+    typeRows.forEach(row => applyLimitRow(effective, row, 'type'));
+    if (busLimits) applyLimitRow(effective, busLimits, 'bus');
+    elementRows.forEach(row => applyLimitRow(effective, row, 'element'));
+
+    await cache.set(cacheKey, effective, CACHE_TTL);
+    return effective;
+};
+
+// Compare measured values against effective limits, returning the worst violation per metric
+export const evaluateLimits = (limits, measurements) => {
+    const violations = [];
+
+    for (const [metric, value] of Object.entries(measurements)) {
+        const limit = limits[metric];
+        if (!limit || typeof value !== 'number') continue;
+
+        for (const level of LIMIT_LEVELS) {
+            const high = limit[`high_${level}`];
+            const low = limit[`low_${level}`];
+            let violation = null;
+
+            if (high !== null && high !== undefined && value > high) {
+                violation = { direction: 'high', limit: high };
+            } else if (low !== null && low !== undefined && value < low) {
+                violation = { direction: 'low', limit: low };
+            }
+
+            if (violation) {
+                violations.push({
+                    metric,
+                    value,
+                    level,
+                    severity: LEVEL_SEVERITY[level],
+                    ...violation,
+                    unit: limit.unit,
+                    source: limit.sources[`${violation.direction}_${level}`],
+                    description: `${metric} ${violation.direction === 'high' ? 'above' : 'below'} ${level} limit: ` +
+                        `${value} ${violation.direction === 'high' ? '>' : '<'} ${violation.limit}`
+                });
+                break;
+            }
+        }
+    }
+
+    return violations;
+};
+
+// Drop cached effective limits after any limit or element change
+export const invalidateLimits = () => cache.invalidatePattern('limits:*');
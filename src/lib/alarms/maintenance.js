@@ -0,0 +1,188 @@
+// src/lib/alarms/maintenance.js
+// Maintenance windows: while an element is worked on, the alarms it raises are recorded in the
+// 'maintenance' category and either suppressed or downgraded to low severity, as are its alarms
+// already open when the window opens. A window is either scheduled (starts_at to ends_at) or
+// follows the element's maintenance status. When the last window of an element closes, its
+// maintenance alarms are resolved and its latest values are evaluated again, so a violation still
+// present is raised as a normal alarm.
+import { query } from '../db/postgres.js';
+import { cache } from '../db/redis.js';
+import { processAlarms, refreshAlarmSuppression, resolveMaintenanceAlarms } from './engine.js';
+import { getIngestElement } from '../measurements/ingest.js';
+import { latestKey, withStaleness, ALARMABLE_QUALITIES } from '../measurements/quality.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+
+// What a status window does with alarms: suppress or downgrade
+const STATUS_ALARM_ACTION = process.env.MAINTENANCE_STATUS_ALARM_ACTION === 'downgrade' ? 'downgrade' : 'suppress';
+
+// SQL condition for windows in effect now, of the table aliased as alias
+const isOpen = (alias = 'maintenance_windows') =>
+    `${alias}.ended_at IS NULL AND ${alias}.starts_at <= NOW() AND (${alias}.ends_at IS NULL OR ${alias}.ends_at > NOW())`;
+
+const audit = (userId, action, window) => query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, new_values)
+    VALUES ($1, $2, $3, $4, $5)
+`, [userId, action, 'maintenance_windows', window.id, JSON.stringify(window)]);
+
+// Evaluate the latest alarmable values of an element again, as if they had just arrived
+const reevaluateElement = async (elementId) => {
+    const element = await getIngestElement(elementId);
+    const latest = withStaleness(await cache.get(latestKey(elementId)));
+    if (!element || !latest?.timestamp) return;
+
+    const values = Object.fromEntries(Object.entries(latest).filter(([field, value]) =>
+        typeof value === 'number' && ALARMABLE_QUALITIES.includes(latest.quality?.[field])));
+    if (Object.keys(values).length > 0) await processAlarms(element, values, new Date());
+};
+
+// A window of the element opened or closed: bring its alarms in line, and once no window is open
+// any more, resolve the maintenance alarms and re-evaluate what is still violating
+const windowsChanged = async (elementId) => {
+    const open = await query(`SELECT 1 FROM maintenance_windows WHERE element_id = $1 AND ${isOpen()}`, [elementId]);
+
+    if (open.rows.length === 0) {
+        await resolveMaintenanceAlarms(elementId);
+        await refreshAlarmSuppression(elementId);
+        await reevaluateElement(elementId);
+    } else {
+        await refreshAlarmSuppression(elementId);
+    }
+};
+
+// Schedule a window { element_id, starts_at, ends_at, alarm_action, reason }; one starting now
+// takes effect at once
+export const scheduleMaintenance = async ({
+    element_id: elementId, starts_at: startsAt, ends_at: endsAt, alarm_action: alarmAction, reason
+}, userId) => {
+    const element = await query('SELECT id FROM grid_elements WHERE id = $1 AND deleted_at IS NULL', [elementId]);
+    if (element.rows.length === 0) throw new NotFoundError('Element');
+
+    const result = await query(`
+        INSERT INTO maintenance_windows (element_id, source, alarm_action, reason, starts_at, ends_at, opened_at, created_by)
+        VALUES ($1, 'scheduled', $2, $3, COALESCE($4, NOW()), $5,
+            CASE WHEN COALESCE($4, NOW()) <= NOW() THEN NOW() END, $6)
+        RETURNING *
+    `, [elementId, alarmAction, reason || null, startsAt || null, endsAt, userId]);
+
+    const window = result.rows[0];
+    if (window.opened_at) await windowsChanged(elementId);
+    await audit(userId, 'schedule_maintenance', window);
+
+    return window;
+};
+
+// Open or end the status window of an element after its status changed
+export const syncMaintenanceStatus = async (elementId, oldStatus, newStatus, userId) => {
+    if (oldStatus === newStatus || (oldStatus !== 'maintenance' && newStatus !== 'maintenance')) return null;
+
+    const result = newStatus === 'maintenance'
+        ? await query(`
+            INSERT INTO maintenance_windows (element_id, source, alarm_action, reason, opened_at, created_by)
+            VALUES ($1, 'status', $2, 'Element status set to maintenance', NOW(), $3)
+            ON CONFLICT (element_id) WHERE source = 'status' AND ended_at IS NULL DO NOTHING
+            RETURNING *
+        `, [elementId, STATUS_ALARM_ACTION, userId])
+        : await query(`
+            UPDATE maintenance_windows
+            SET ended_at = NOW(), ended_by = $2
+            WHERE element_id = $1 AND source = 'status' AND ended_at IS NULL
+            RETURNING *
+        `, [elementId, userId]);
+
+    const window = result.rows[0];
+    if (!window) return null;
+
+    await windowsChanged(elementId);
+    await audit(userId, newStatus === 'maintenance' ? 'start_maintenance' : 'end_maintenance', window);
+
+    return window;
+};
+
+// End a scheduled window early, or cancel one that has not started. A status window ends when
+// the element leaves maintenance status.
+export const endMaintenanceWindow = async (windowId, userId) => {
+    const existing = await query('SELECT * FROM maintenance_windows WHERE id = $1', [windowId]);
+    const current = existing.rows[0];
+    if (!current) throw new NotFoundError('Maintenance window');
+    if (current.source === 'status') {
+        throw new ConflictError('This window ends when the element leaves maintenance status');
+    }
+
+    const result = await query(`
+        UPDATE maintenance_windows
+        SET ended_at = NOW(), ended_by = $2
+        WHERE id = $1 AND ended_at IS NULL AND (ends_at IS NULL OR ends_at > NOW())
+        RETURNING *
+    `, [windowId, userId]);
+
+    const window = result.rows[0];
+    if (!window) throw new ConflictError('This maintenance window has already ended');
+
+    if (window.opened_at) await windowsChanged(window.element_id);
+    await audit(userId, window.opened_at ? 'end_maintenance' : 'cancel_maintenance', window);
+
+    return window;
+};
+
+// Windows that are open now, scheduled to start or (with state=ended) already over, with the
+// element and who created them
+export const listMaintenanceWindows = async ({ element_id: elementId, state, limit }) => {
+    const params = [];
+    const conditions = [{
+        open: isOpen('w'),
+        scheduled: 'w.ended_at IS NULL AND w.starts_at > NOW()',
+        ended: '(w.ended_at IS NOT NULL OR w.ends_at <= NOW())',
+        current: 'w.ended_at IS NULL AND (w.ends_at IS NULL OR w.ends_at > NOW())'
+    }[state]];
+
+    if (elementId) {
+        params.push(elementId);
+        conditions.push(`w.element_id = $${params.length}`);
+    }
+
+    params.push(limit);
+    const result = await query(`
+        SELECT
+            w.*,
+            e.name AS element_name,
+            e.element_type,
+            e.status AS element_status,
+            u.name AS created_by_name,
+            ${isOpen('w')} AS is_open,
+            (
+                SELECT COUNT(*)::int FROM events ev
+                WHERE ev.element_id = w.element_id AND ev.category = 'maintenance'
+                    AND ev.parameters->>'maintenance_window_id' = w.id::text
+            ) AS alarm_count
+        FROM maintenance_windows w
+        JOIN grid_elements e ON e.id = w.element_id
+        LEFT JOIN users u ON u.id = w.created_by
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY w.starts_at ${state === 'ended' ? 'DESC' : ''}
+        LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+};
+
+// Background job: open scheduled windows whose start has come and close those whose end has
+export const applyMaintenanceWindows = async () => {
+    const opened = await query(`
+        UPDATE maintenance_windows
+        SET opened_at = NOW()
+        WHERE opened_at IS NULL AND ${isOpen()}
+        RETURNING element_id
+    `);
+    const closed = await query(`
+        UPDATE maintenance_windows
+        SET ended_at = ends_at
+        WHERE ended_at IS NULL AND ends_at <= NOW()
+        RETURNING element_id
+    `);
+
+    const elementIds = new Set([...opened.rows, ...closed.rows].map(row => row.element_id));
+    for (const elementId of elementIds) {
+        await windowsChanged(elementId);
+    }
+    return elementIds.size;
+};
@@ -0,0 +1,106 @@
+// src/lib/alarms/shelving.js
+// Alarm shelving: an operator silences one element+metric condition for a fixed time, giving a
+// reason. Alarms the condition raises meanwhile are still recorded, but suppressed. A shelf ends
+// when it expires or is removed, and an alarm still open then is annunciated again.
+import { query } from '../db/postgres.js';
+import { refreshAlarmSuppression, OPEN_ALARM_STATUSES } from './engine.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+
+const audit = (userId, action, shelf) => query(`
+    INSERT INTO audit_log (user_id, action, table_name, record_id, new_values)
+    VALUES ($1, $2, $3, $4, $5)
+`, [userId, action, 'alarm_shelves', shelf.id, JSON.stringify(shelf)]);
+
+// End shelves whose time is up, releasing their conditions
+export const expireShelves = async () => {
+    const result = await query(`
+        UPDATE alarm_shelves
+        SET ended_at = expires_at, end_reason = 'expired'
+        WHERE ended_at IS NULL AND expires_at <= NOW()
+        RETURNING *
+    `);
+
+    for (const shelf of result.rows) {
+        await refreshAlarmSuppression(shelf.element_id, shelf.metric);
+    }
+    return result.rows.length;
+};
+
+// Shelve the condition { element_id, metric } for duration_minutes; its open alarm, if any, is
+// suppressed at once
+export const shelveAlarm = async ({ element_id: elementId, metric, duration_minutes: minutes, reason }, userId) => {
+    const element = await query('SELECT id FROM grid_elements WHERE id = $1 AND deleted_at IS NULL', [elementId]);
+    if (element.rows.length === 0) throw new NotFoundError('Element');
+
+    // A shelf that expired but was not yet ended by the job must not block a new one
+    await expireShelves();
+
+    const result = await query(`
+        INSERT INTO alarm_shelves (element_id, metric, reason, shelved_by, expires_at)
+        VALUES ($1, $2, $3, $4, NOW() + make_interval(mins => $5))
+        ON CONFLICT (element_id, metric) WHERE ended_at IS NULL DO NOTHING
+        RETURNING *
+    `, [elementId, metric, reason, userId, minutes]);
+
+    const shelf = result.rows[0];
+    if (!shelf) throw new ConflictError('This alarm condition is already shelved');
+
+    const [event] = await refreshAlarmSuppression(elementId, metric);
+    await audit(userId, 'shelve', shelf);
+
+    return { ...shelf, event_id: event?.id || null };
+};
+
+// End a shelf before it expires
+export const unshelveAlarm = async (shelfId, userId) => {
+    const result = await query(`
+        UPDATE alarm_shelves
+        SET ended_at = NOW(), ended_by = $2, end_reason = 'unshelved'
+        WHERE id = $1 AND ended_at IS NULL
+        RETURNING *
+    `, [shelfId, userId]);
+
+    const shelf = result.rows[0];
+    if (!shelf) {
+        const existing = await query('SELECT id FROM alarm_shelves WHERE id = $1', [shelfId]);
+        if (existing.rows.length === 0) throw new NotFoundError('Shelved alarm');
+        throw new ConflictError('This shelf has already ended');
+    }
+
+    await refreshAlarmSuppression(shelf.element_id, shelf.metric);
+    await audit(userId, 'unshelve', shelf);
+
+    return shelf;
+};
+
+// Conditions shelved now, soonest to expire first, with who shelved them and the open alarm
+export const listShelvedAlarms = async ({ element_id: elementId } = {}) => {
+    const params = [OPEN_ALARM_STATUSES];
+    let elementCondition = '';
+    if (elementId) {
+        params.push(elementId);
+        elementCondition = `AND s.element_id = $${params.length}`;
+    }
+
+    const result = await query(`
+        SELECT
+            s.*,
+            e.name AS element_name,
+            e.element_type,
+            u.name AS shelved_by_name,
+            u.email AS shelved_by_email,
+            ev.id AS event_id,
+            ev.status AS event_status,
+            ev.severity AS event_severity,
+            EXTRACT(EPOCH FROM (s.expires_at - NOW()))::int AS remaining_seconds
+        FROM alarm_shelves s
+        JOIN grid_elements e ON e.id = s.element_id
+        LEFT JOIN users u ON u.id = s.shelved_by
+        LEFT JOIN events ev ON ev.element_id = s.element_id AND ev.metric = s.metric
+            AND ev.status = ANY($1)
+        WHERE s.ended_at IS NULL AND s.expires_at > NOW() ${elementCondition}
+        ORDER BY s.expires_at
+    `, params);
+
+    return result.rows;
+};
@@ -53,38 +53,66 @@ export const authMiddleware = (handler, options = {}) => {
     };
 };
 
+// Active API key with its owner's role
+const findApiKey = async (apiKey) => {
+    // Check cache first
+    const cacheKey = `api_key:${hashApiKey(apiKey)}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) return cached;
+
+    // Query database
+    const result = await query(
+        `SELECT ak.*, u.email, u.role 
+        FROM api_keys ak 
+        JOIN users u ON ak.user_id = u.id 
+        WHERE ak.key_hash = $1 AND ak.is_active = true 
+        AND (ak.expires_at IS NULL OR ak.expires_at > NOW())`,
+        [hashApiKey(apiKey)]
+    );
+    if (result.rows.length === 0) return null;
+
+    // Cache for 5 minutes
+    await cache.set(cacheKey, result.rows[0], 300);
+    return result.rows[0];
+};
+
+// Authenticate credentials presented outside a route handler (a WebSocket upgrade); returns the
+// auth data route handlers find on request.auth, or null
+export const authenticateCredentials = async ({ token, apiKey }) => {
+    if (apiKey) {
+        const apiKeyData = await findApiKey(apiKey);
+        return apiKeyData && {
+            type: 'api_key',
+            apiKey: apiKeyData,
+            userId: apiKeyData.user_id,
+            role: apiKeyData.role
+        };
+    }
+
+    const decoded = token ? verifyToken(token) : null;
+    if (!decoded || await cache.get(`blacklist:${token}`)) return null;
+
+    return {
+        type: 'jwt',
+        user: decoded,
+        userId: decoded.id,
+        role: decoded.role
+    };
+};
+
 // Handle API Key authentication
 async function handleApiKeyAuth(request, context, handler, options) {
     const { apiKey, roles, rateLimit, rateLimitMax } = options;
     
     try {
-        // Check cache first
-        const cacheKey = `api_key:${hashApiKey(apiKey)}`;
-        let apiKeyData = await cache.get(cacheKey);
-
+        const apiKeyData = await findApiKey(apiKey);
         if (!apiKeyData) {
-        // Query database
-        const result = await query(
-            `SELECT ak.*, u.email, u.role 
-            FROM api_keys ak 
-            JOIN users u ON ak.user_id = u.id 
-            WHERE ak.key_hash = $1 AND ak.is_active = true 
-            AND (ak.expires_at IS NULL OR ak.expires_at > NOW())`,
-            [hashApiKey(apiKey)]
-        );
-
-        if (result.rows.length === 0) {
             return NextResponse.json(
             { error: 'Invalid API key' },
             { status: 401 }
             );
         }
 
-        apiKeyData = result.rows[0];
-        // Cache for 5 minutes
-        await cache.set(cacheKey, apiKeyData, 300);
-        }
-
         // Check rate limit
         if (rateLimit) {
         const rateLimitKey = `${apiKeyData.id}:${Math.floor(Date.now() / 60000)}`;
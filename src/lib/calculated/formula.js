@@ -0,0 +1,215 @@
+// src/lib/calculated/formula.js
+// Arithmetic formulas for calculated points, parsed into a tree and evaluated without eval()
+
+const FUNCTIONS = {
+    abs: { arity: [1, 1], fn: Math.abs },
+    sqrt: { arity: [1, 1], fn: Math.sqrt },
+    exp: { arity: [1, 1], fn: Math.exp },
+    ln: { arity: [1, 1], fn: Math.log },
+    log10: { arity: [1, 1], fn: Math.log10 },
+    round: { arity: [1, 2], fn: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits },
+    pow: { arity: [2, 2], fn: Math.pow },
+    min: { arity: [1, Infinity], fn: Math.min },
+    max: { arity: [1, Infinity], fn: Math.max },
+    sum: { arity: [1, Infinity], fn: (...values) => values.reduce((total, value) => total + value, 0) },
+    avg: { arity: [1, Infinity], fn: (...values) => values.reduce((total, value) => total + value, 0) / values.length }
+};
+
+export const CONSTANTS = { pi: Math.PI };
+
+const MAX_FORMULA_LENGTH = 1000;
+
+export class FormulaError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} at position ${position + 1}`);
+        this.name = 'FormulaError';
+    }
+}
+
+const tokenize = (source) => {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|(\*\*|[-+*/^(),%]))/y;
+    let position = 0;
+
+    while (position < source.length) {
+        if (/^\s*$/.test(source.slice(position))) break;
+
+        pattern.lastIndex = position;
+        const match = pattern.exec(source);
+        if (!match) {
+            const at = position + source.slice(position).search(/\S/);
+            throw new FormulaError(`Unexpected character '${source[at]}'`, at);
+        }
+
+        const start = position + match[0].length - (match[1] || match[2] || match[3]).length;
+        if (match[1]) tokens.push({ type: 'number', value: parseFloat(match[1]), position: start });
+        else if (match[2]) tokens.push({ type: 'name', value: match[2], position: start });
+        else tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3], position: start });
+
+        position = pattern.lastIndex;
+    }
+
+    return tokens;
+};
+
+// Recursive descent: expression := term (('+'|'-') term)*, term := unary (('*'|'/'|'%') unary)*,
+// unary := '-' unary | power, power := primary ('^' unary)?
+const parse = (tokens) => {
+    let index = 0;
+    const peek = () => tokens[index];
+    const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+
+    const expect = (value) => {
+        if (!isOp(value)) {
+            const token = peek();
+            throw new FormulaError(`Expected '${value}'`, token?.position);
+        }
+        index++;
+    };
+
+    const primary = () => {
+        const token = peek();
+        if (!token) throw new FormulaError('Unexpected end of formula');
+        index++;
+
+        if (token.type === 'number') return { type: 'number', value: token.value };
+
+        if (token.type === 'name') {
+            if (isOp('(')) {
+                const definition = Object.hasOwn(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+                if (!definition) throw new FormulaError(`Unknown function '${token.value}'`, token.position);
+
+                index++;
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(expression());
+                    while (isOp(',')) {
+                        index++;
+                        args.push(expression());
+                    }
+                }
+                expect(')');
+
+                const [minArgs, maxArgs] = definition.arity;
+                if (args.length < minArgs || args.length > maxArgs) {
+                    throw new FormulaError(`Wrong number of arguments to '${token.value}'`, token.position);
+                }
+                return { type: 'call', name: token.value, args };
+            }
+            if (Object.hasOwn(CONSTANTS, token.value)) return { type: 'number', value: CONSTANTS[token.value] };
+            return { type: 'variable', name: token.value };
+        }
+
+        if (token.value === '(') {
+            const inner = expression();
+            expect(')');
+            return inner;
+        }
+
+        throw new FormulaError(`Unexpected '${token.value}'`, token.position);
+    };
+
+    const power = () => {
+        const base = primary();
+        if (isOp('^')) {
+            index++;
+            return { type: 'binary', op: '^', left: base, right: unary() };
+        }
+        return base;
+    };
+
+    const unary = () => {
+        if (isOp('-') || isOp('+')) {
+            const op = peek().value;
+            index++;
+            const operand = unary();
+            return op === '-' ? { type: 'negate', operand } : operand;
+        }
+        return power();
+    };
+
+    const term = () => {
+        let node = unary();
+        while (isOp('*') || isOp('/') || isOp('%')) {
+            const op = peek().value;
+            index++;
+            node = { type: 'binary', op, left: node, right: unary() };
+        }
+        return node;
+    };
+
+    const expression = () => {
+        let node = term();
+        while (isOp('+') || isOp('-')) {
+            const op = peek().value;
+            index++;
+            node = { type: 'binary', op, left: node, right: term() };
+        }
+        return node;
+    };
+
+    const tree = expression();
+    if (index < tokens.length) {
+        throw new FormulaError(`Unexpected '${tokens[index].value}'`, tokens[index].position);
+    }
+    return tree;
+};
+
+const collectVariables = (node, names = new Set()) => {
+    if (node.type === 'variable') names.add(node.name);
+    if (node.type === 'negate') collectVariables(node.operand, names);
+    if (node.type === 'binary') {
+        collectVariables(node.left, names);
+        collectVariables(node.right, names);
+    }
+    if (node.type === 'call') node.args.forEach(arg => collectVariables(arg, names));
+    return names;
+};
+
+const evaluateNode = (node, scope) => {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+        case 'variable':
+            if (!Object.hasOwn(scope, node.name)) throw new FormulaError(`No value for '${node.name}'`);
+            return scope[node.name];
+        case 'negate':
+            return -evaluateNode(node.operand, scope);
+        case 'call':
+            return FUNCTIONS[node.name].fn(...node.args.map(arg => evaluateNode(arg, scope)));
+        case 'binary': {
+            const left = evaluateNode(node.left, scope);
+            const right = evaluateNode(node.right, scope);
+            switch (node.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '%': return left % right;
+                case '^': return left ** right;
+            }
+        }
+    }
+    throw new FormulaError(`Invalid formula node '${node.type}'`);
+};
+
+// Parse a formula once; the result lists its variables and evaluates against a scope of numbers
+export const compileFormula = (source) => {
+    if (typeof source !== 'string' || source.trim() === '') {
+        throw new FormulaError('Formula is empty');
+    }
+    if (source.length > MAX_FORMULA_LENGTH) {
+        throw new FormulaError(`Formula is longer than ${MAX_FORMULA_LENGTH} characters`);
+    }
+
+    const tree = parse(tokenize(source));
+
+    return {
+        variables: [...collectVariables(tree)],
+        evaluate: (scope) => {
+            const value = evaluateNode(tree, scope);
+            if (!Number.isFinite(value)) throw new FormulaError('Result is not a finite number');
+            return value;
+        }
+    };
+};
@@ -0,0 +1,385 @@
+// src/lib/calculated/points.js
+import { query } from '../db/postgres.js';
+import redis, { cache } from '../db/redis.js';
+import { markConfigChanged, watchConfig } from '../jobs/config.js';
+import { latestKey, withStaleness, worstQuality } from '../measurements/quality.js';
+import { ValidationError } from '../utils/errors.js';
+import { compileFormula, FormulaError, CONSTANTS } from './formula.js';
+
+const DEFINITION_REFRESH_MS = 30000;
+const CONFIG_CHECK_MS = 1000;
+const ATTRIBUTE_CACHE_TTL_MS = 60000;
+const STATUS_PERSIST_MS = 5000;
+
+// Calculated points feeding other calculated points are followed this many levels deep
+export const MAX_CHAIN_DEPTH = 3;
+
+// Element tables whose numeric columns can be used as static formula inputs
+const ATTRIBUTE_TABLES = {
+    bus: 'buses',
+    load: 'loads',
+    generator: 'generators',
+    transformer: 'transformers',
+    line: 'transmission_lines'
+};
+
+const AGGREGATES = {
+    sum: values => values.reduce((total, value) => total + value, 0),
+    avg: values => values.reduce((total, value) => total + value, 0) / values.length,
+    min: values => Math.min(...values),
+    max: values => Math.max(...values),
+    count: values => values.length
+};
+
+let points = [];
+// element id -> field -> [{ point, targetId }] for points evaluated on ingest
+let dependents = new Map();
+let groupMembers = new Map();
+let loadedAt = 0;
+let checkedAt = 0;
+let loading = null;
+const definitionsChanged = watchConfig('calculated');
+const attributeCache = new Map();
+const pendingStatus = new Map();
+const persistedAt = new Map();
+
+// Signal every instance to reload calculated point definitions
+export const reloadCalculatedPoints = () => markConfigChanged('calculated');
+
+// Elements a point produces values for: its element, or every member of its group
+const targetsOf = (point) => (point.element_id ? [point.element_id] : groupMembers.get(point.group_id) || []);
+
+const noteStatus = (point, status) => {
+    pendingStatus.set(point.id, { ...status, at: new Date() });
+};
+
+const addDependent = (elementId, field, dependent) => {
+    if (!dependents.has(elementId)) dependents.set(elementId, new Map());
+    const byField = dependents.get(elementId);
+    if (!byField.has(field)) byField.set(field, []);
+    byField.get(field).push(dependent);
+};
+
+const loadDefinitions = async () => {
+    const result = await query('SELECT * FROM calculated_points WHERE enabled = true ORDER BY created_at');
+
+    const groupIds = new Set();
+    for (const row of result.rows) {
+        if (row.group_id) groupIds.add(row.group_id);
+        for (const input of row.inputs) {
+            if (input.group_id) groupIds.add(input.group_id);
+        }
+    }
+
+    const members = await query(`
+        SELECT m.group_id, m.element_id
+        FROM element_group_members m
+        JOIN grid_elements e ON m.element_id = e.id
+        WHERE m.group_id = ANY($1) AND e.deleted_at IS NULL
+    `, [[...groupIds]]);
+
+    groupMembers = new Map();
+    for (const row of members.rows) {
+        if (!groupMembers.has(row.group_id)) groupMembers.set(row.group_id, []);
+        groupMembers.get(row.group_id).push(row.element_id);
+    }
+
+    points = [];
+    dependents = new Map();
+
+    for (const row of result.rows) {
+        let compiled;
+        try {
+            compiled = compileFormula(row.formula);
+        } catch (error) {
+            noteStatus(row, { error: error.message });
+            continue;
+        }
+
+        const point = { ...row, compiled };
+        points.push(point);
+        if (point.evaluate_on !== 'ingest') continue;
+
+        // A fresh value of any measured input re-evaluates the point for the targets it feeds
+        for (const targetId of targetsOf(point)) {
+            for (const input of point.inputs) {
+                if (input.source === 'measurement') {
+                    addDependent(input.element_id || targetId, input.field, { point, targetId });
+                } else if (input.source === 'group') {
+                    for (const memberId of groupMembers.get(input.group_id) || []) {
+                        addDependent(memberId, input.field, { point, targetId });
+                    }
+                }
+            }
+        }
+    }
+
+    loadedAt = Date.now();
+};
+
+const ensureLoaded = async () => {
+    const now = Date.now();
+    if (now - checkedAt < CONFIG_CHECK_MS && loadedAt > 0) return;
+    checkedAt = now;
+
+    if (await definitionsChanged() || now - loadedAt > DEFINITION_REFRESH_MS) {
+        loading = loading || loadDefinitions().finally(() => {
+            loading = null;
+        });
+        await loading;
+    }
+};
+
+// Numeric columns of the element's type table, e.g. rated_power or resistance
+const elementAttributes = async (elementId) => {
+    const cached = attributeCache.get(elementId);
+    if (cached && cached.expires > Date.now()) return cached.attributes;
+
+    const element = await query(
+        'SELECT element_type FROM grid_elements WHERE id = $1 AND deleted_at IS NULL',
+        [elementId]
+    );
+    const table = ATTRIBUTE_TABLES[element.rows[0]?.element_type];
+    const attributes = {};
+
+    if (table) {
+        const result = await query(`SELECT * FROM ${table} WHERE id = $1`, [elementId]);
+        for (const [key, value] of Object.entries(result.rows[0] || {})) {
+            const number = typeof value === 'number' ? value : typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+            if (Number.isFinite(number)) attributes[key] = number;
+        }
+    }
+
+    attributeCache.set(elementId, { attributes, expires: Date.now() + ATTRIBUTE_CACHE_TTL_MS });
+    return attributes;
+};
+
+const queryMembers = async (groupId) => {
+    const result = await query(`
+        SELECT m.element_id
+        FROM element_group_members m
+        JOIN grid_elements e ON m.element_id = e.id
+        WHERE m.group_id = $1 AND e.deleted_at IS NULL
+        ORDER BY m.added_at
+    `, [groupId]);
+    return result.rows.map(row => row.element_id);
+};
+
+// Loaded definitions carry their group members; dry runs of other points look them up
+const membersOf = async (groupId) => groupMembers.get(groupId) || queryMembers(groupId);
+
+const readLatest = async (elementId, now) => withStaleness(await cache.get(latestKey(elementId)), now);
+
+const resolveInput = async (input, targetId, now) => {
+    if (input.source === 'attribute') {
+        const attributes = await elementAttributes(input.element_id || targetId);
+        if (!Object.hasOwn(attributes, input.attribute)) {
+            throw new FormulaError(`No attribute '${input.attribute}' for input '${input.name}'`);
+        }
+        return { value: attributes[input.attribute], quality: 'good', timestamp: null };
+    }
+
+    if (input.source === 'group') {
+        const samples = [];
+        for (const memberId of await membersOf(input.group_id)) {
+            const latest = await readLatest(memberId, now);
+            if (typeof latest?.[input.field] === 'number') samples.push(latest);
+        }
+        if (samples.length === 0 && input.aggregate !== 'count') {
+            throw new FormulaError(`No current '${input.field}' values in the group of input '${input.name}'`);
+        }
+
+        return {
+            value: AGGREGATES[input.aggregate || 'sum'](samples.map(sample => sample[input.field])),
+            quality: worstQuality(samples.map(sample => sample.quality?.[input.field] || 'good')),
+            timestamp: samples.reduce((newest, sample) => (!newest || sample.timestamp > newest ? sample.timestamp : newest), null)
+        };
+    }
+
+    const latest = await readLatest(input.element_id || targetId, now);
+    if (typeof latest?.[input.field] !== 'number') {
+        throw new FormulaError(`No current '${input.field}' value for input '${input.name}'`);
+    }
+    return {
+        value: latest[input.field],
+        quality: latest.quality?.[input.field] || 'good',
+        timestamp: latest.timestamp
+    };
+};
+
+// Evaluate a point for one target element from the latest input values; the result carries the
+// worst input quality and the time of the newest measured input
+export const computePoint = async (point, targetId, now = new Date()) => {
+    const compiled = point.compiled || compileFormula(point.formula);
+    const inputs = {};
+    const qualities = [];
+    let newest = null;
+
+    for (const input of point.inputs) {
+        const resolved = await resolveInput(input, targetId, now);
+        inputs[input.name] = resolved.value;
+        qualities.push(resolved.quality);
+        if (resolved.timestamp && (!newest || resolved.timestamp > newest)) newest = resolved.timestamp;
+    }
+
+    return {
+        point_id: point.id,
+        element_id: targetId,
+        field: point.field,
+        value: compiled.evaluate(inputs),
+        quality: worstQuality(qualities),
+        timestamp: newest ? new Date(newest) : now,
+        inputs
+    };
+};
+
+// Write evaluation results back to the definitions, at most every few seconds per point
+const persistStatus = async () => {
+    const now = Date.now();
+
+    for (const [id, status] of pendingStatus) {
+        if (now - (persistedAt.get(id) || 0) < STATUS_PERSIST_MS) continue;
+        pendingStatus.delete(id);
+        persistedAt.set(id, now);
+
+        await query(`
+            UPDATE calculated_points
+            SET last_value = COALESCE($2, last_value),
+                last_quality = COALESCE($3, last_quality),
+                last_evaluated_at = $4,
+                last_error = $5
+            WHERE id = $1
+        `, [id, status.value ?? null, status.quality ?? null, status.at, status.error ?? null])
+            .catch(error => console.error('Calculated point status error:', error));
+    }
+};
+
+const evaluateAll = async (evaluations, now) => {
+    const results = [];
+
+    for (const { point, targetId } of evaluations) {
+        try {
+            const result = await computePoint(point, targetId, now);
+            noteStatus(point, { value: result.value, quality: result.quality });
+            results.push(result);
+        } catch (error) {
+            if (!(error instanceof FormulaError)) {
+                console.error(`Calculated point ${point.name} failed:`, error);
+            }
+            noteStatus(point, { error: error.message });
+        }
+    }
+
+    await persistStatus();
+    return results;
+};
+
+// Points evaluated on ingest whose measured inputs are among the changed element fields;
+// changes are [{ elementId, fields }]
+export const calculateDependents = async (changes) => {
+    await ensureLoaded();
+    if (dependents.size === 0) return [];
+
+    const evaluations = new Map();
+    for (const { elementId, fields } of changes) {
+        const byField = dependents.get(elementId);
+        if (!byField) continue;
+
+        for (const field of fields) {
+            for (const dependent of byField.get(field) || []) {
+                evaluations.set(`${dependent.point.id}|${dependent.targetId}`, dependent);
+            }
+        }
+    }
+
+    return evaluateAll(evaluations.values(), new Date());
+};
+
+// Scheduled points whose interval has elapsed, evaluated for all their targets at the current time;
+// a per-point lock keeps each point to one evaluation per interval across instances
+export const calculateScheduled = async () => {
+    await ensureLoaded();
+
+    const now = new Date();
+    const evaluations = [];
+
+    for (const point of points) {
+        if (point.evaluate_on !== 'schedule') continue;
+
+        const due = await redis.set(`calculated:run:${point.id}`, process.pid, 'PX', point.interval_s * 1000, 'NX');
+        if (!due) continue;
+
+        for (const targetId of targetsOf(point)) {
+            evaluations.push({ point, targetId });
+        }
+    }
+
+    const results = await evaluateAll(evaluations, now);
+    return results.map(result => ({ ...result, timestamp: now }));
+};
+
+// Elements a point produces values for, for dry runs through the API
+export const getPointTargets = async (point) => (point.element_id ? [point.element_id] : queryMembers(point.group_id));
+
+// Check formula, inputs and referenced elements and groups of a point definition
+export const checkCalculatedPoint = async (definition) => {
+    const errors = [];
+    let compiled = null;
+
+    try {
+        compiled = compileFormula(definition.formula);
+    } catch (error) {
+        errors.push({ path: 'formula', message: error.message });
+    }
+
+    const names = new Set();
+    definition.inputs.forEach((input, index) => {
+        if (names.has(input.name)) {
+            errors.push({ path: `inputs.${index}.name`, message: `Input '${input.name}' is defined twice` });
+        }
+        if (Object.hasOwn(CONSTANTS, input.name)) {
+            errors.push({ path: `inputs.${index}.name`, message: `'${input.name}' is a reserved constant` });
+        }
+        names.add(input.name);
+
+        // A point must not feed itself
+        if (input.source === 'measurement' && input.field === definition.field &&
+            (!input.element_id || input.element_id === definition.element_id)) {
+            errors.push({ path: `inputs.${index}`, message: 'An input cannot read the output of the point itself' });
+        }
+    });
+
+    for (const variable of compiled?.variables || []) {
+        if (!names.has(variable)) {
+            errors.push({ path: 'formula', message: `Unknown variable '${variable}'; define it as an input` });
+        }
+    }
+
+    const elementIds = [definition.element_id, ...definition.inputs.map(input => input.element_id)].filter(Boolean);
+    const groupIds = [definition.group_id, ...definition.inputs.map(input => input.group_id)].filter(Boolean);
+
+    const elements = await query(
+        'SELECT id FROM grid_elements WHERE id = ANY($1) AND deleted_at IS NULL',
+        [[...new Set(elementIds)]]
+    );
+    const groups = await query('SELECT id FROM element_groups WHERE id = ANY($1)', [[...new Set(groupIds)]]);
+    const found = new Set([...elements.rows, ...groups.rows].map(row => row.id));
+
+    if (definition.element_id && !found.has(definition.element_id)) {
+        errors.push({ path: 'element_id', message: 'Element not found' });
+    }
+    if (definition.group_id && !found.has(definition.group_id)) {
+        errors.push({ path: 'group_id', message: 'Group not found' });
+    }
+    definition.inputs.forEach((input, index) => {
+        for (const key of ['element_id', 'group_id']) {
+            if (input[key] && !found.has(input[key])) {
+                errors.push({ path: `inputs.${index}.${key}`, message: `${key === 'group_id' ? 'Group' : 'Element'} not found` });
+            }
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+};
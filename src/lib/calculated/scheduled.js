@@ -0,0 +1,19 @@
+// src/lib/calculated/scheduled.js
+import { getIngestElements, ingestMeasurement } from '../measurements/ingest.js';
+import { calculateScheduled } from './points.js';
+
+// Background job: evaluate scheduled calculated points and store their values like measurements
+export const evaluateScheduledPoints = async () => {
+    const results = await calculateScheduled();
+    if (results.length === 0) return;
+
+    const elements = await getIngestElements(results.map(result => result.element_id));
+
+    for (const result of results) {
+        const element = elements.get(result.element_id);
+        if (!element) continue;
+
+        await ingestMeasurement(element, { [result.field]: result.value }, result.timestamp, result.quality, { depth: 1 })
+            .catch(error => console.error(`Calculated point ${result.point_id} write failed:`, error.message));
+    }
+};
@@ -0,0 +1,129 @@
+// src/lib/db/flux.js
+// Flux query building blocks. Every value that can come from a request is validated and rendered
+// as a literal here, so input fills in values but can never change the structure of a query.
+import { ValidationError } from '../utils/errors.js';
+
+const DURATION_MS = {
+    ns: 1e-6, us: 1e-3, ms: 1, s: 1000, m: 60000, h: 3600000,
+    d: 86400000, w: 604800000, mo: 2592000000, y: 31536000000
+};
+const DURATION_PATTERN = /^(-)?((?:\d+(?:ns|us|ms|mo|s|m|h|d|w|y))+)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FIELD_PATTERN = /^[a-z][a-z0-9_]*$/;
+const COLUMN_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Aggregate functions a caller may pass through to aggregateWindow
+export const FLUX_AGGREGATES = ['mean', 'median', 'sum', 'min', 'max', 'first', 'last', 'count'];
+
+const invalid = (path, message) => new ValidationError([{ path, message }]);
+
+// Flux duration literal ('90d', '-1h30m') in milliseconds, or null if it is not one
+export const parseDurationMs = (value) => {
+    const match = DURATION_PATTERN.exec(String(value).trim());
+    if (!match) return null;
+
+    let total = 0;
+    for (const [, amount, unit] of match[2].matchAll(/(\d+)(ns|us|ms|mo|s|m|h|d|w|y)/g)) {
+        total += parseInt(amount) * DURATION_MS[unit];
+    }
+    return match[1] ? -total : total;
+};
+
+// Resolve a Flux range bound (now(), relative duration or RFC3339 time) to a Date, or null
+export const parseFluxTime = (value, now = new Date()) => {
+    if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+    if (value === 'now()') return now;
+
+    const offset = parseDurationMs(value);
+    if (offset !== null) return new Date(now.getTime() + offset);
+
+    if (!DATE_PATTERN.test(String(value))) return null;
+    const time = new Date(value);
+    return isNaN(time.getTime()) ? null : time;
+};
+
+// String literal with Flux escapes for backslashes, quotes, interpolation and line breaks
+export const fluxString = (value) => `"${String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\$\{/g, '\\${')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '\\r')
+    .replace(/\t/g, '\\t')}"`;
+
+export const fluxFloat = (value, path = 'value') => {
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw invalid(path, 'Must be a finite number');
+    return Number.isInteger(number) ? number.toFixed(1) : String(number);
+};
+
+export const fluxInteger = (value, path = 'value') => {
+    const number = Number(value);
+    if (!Number.isSafeInteger(number)) throw invalid(path, 'Must be an integer');
+    return String(number);
+};
+
+export const fluxDuration = (value, path = 'window') => {
+    if (parseDurationMs(value) === null) throw invalid(path, `Invalid duration '${value}'`);
+    return String(value).trim();
+};
+
+// Range bound: now(), a relative duration or an absolute time rendered as RFC3339
+export const fluxTime = (value, path = 'start') => {
+    if (value === 'now()') return value;
+    if (typeof value === 'string' && parseDurationMs(value) !== null) return value.trim();
+
+    const time = parseFluxTime(value);
+    if (!time) throw invalid(path, `Invalid time '${value}'`);
+    return time.toISOString();
+};
+
+export const fluxElementId = (value, path = 'element_id') => {
+    if (!UUID_PATTERN.test(String(value))) throw invalid(path, `Invalid element id '${value}'`);
+    return fluxString(value);
+};
+
+export const fluxField = (value, path = 'field') => {
+    if (!FIELD_PATTERN.test(String(value))) throw invalid(path, `Invalid field name '${value}'`);
+    return fluxString(value);
+};
+
+export const fluxAggregate = (value, path = 'aggregation') => {
+    if (!FLUX_AGGREGATES.includes(value)) {
+        throw invalid(path, `Invalid aggregate '${value}'. Valid aggregates: ${FLUX_AGGREGATES.join(', ')}`);
+    }
+    return value;
+};
+
+// Predicate matching a column against any of the given literals
+export const fluxAnyOf = (column, literals) => {
+    if (!COLUMN_PATTERN.test(column)) throw new Error(`Invalid Flux column '${column}'`);
+    if (literals.length === 0) return 'false';
+    return `(${literals.map(literal => `r["${column}"] == ${literal}`).join(' or ')})`;
+};
+
+// Flux predicate excluding suspect samples from aggregates
+export const NOT_SUSPECT = '(not exists r.quality or r.quality != "suspect")';
+
+// from() |> range() |> filter() over grid measurements, narrowed to elements, an element type,
+// fields and (for rollup buckets) one statistic; suspect samples are dropped unless included
+export const measurementSource = ({
+    bucket, start, stop = 'now()', elementIds, elementType, fields, stat, includeSuspect = false
+}) => {
+    const filters = ['r._measurement == "grid_measurements"'];
+    if (elementIds) filters.push(fluxAnyOf('element_id', elementIds.map(id => fluxElementId(id, 'element_ids'))));
+    if (elementType) filters.push(`r.element_type == ${fluxString(elementType)}`);
+    if (fields) filters.push(fluxAnyOf('_field', fields.map(field => fluxField(field, 'fields'))));
+    if (stat) filters.push(`r.stat == ${fluxString(stat)}`);
+
+    return `from(bucket: ${fluxString(bucket)})
+            |> range(start: ${fluxTime(start, 'start')}, stop: ${fluxTime(stop, 'stop')})
+            |> filter(fn: (r) => ${filters.join(' and ')})${includeSuspect ? '' : `
+            |> filter(fn: (r) => ${NOT_SUSPECT})`}`;
+};
+
+// aggregateWindow() step with a validated window and aggregate function
+export const windowAggregate = (every, fn, { createEmpty = false, timeSrc } = {}) =>
+    `|> aggregateWindow(every: ${fluxDuration(every)}, fn: ${fluxAggregate(fn)}, createEmpty: ${createEmpty}` +
+    `${timeSrc ? `, timeSrc: ${fluxString(timeSrc)}` : ''})`;
@@ -1,5 +1,11 @@
 // src/lib/db/influx.js
 import { InfluxDB, Point } from '@influxdata/influxdb-client';
+import redis from './redis.js';
+import {
+    parseDurationMs, parseFluxTime, measurementSource, windowAggregate, fluxAggregate, fluxDuration, fluxTime, fluxInteger,
+    fluxString
+} from './flux.js';
+import { windowTimes, fillSeries } from '../measurements/fill.js';
 
 const token = process.env.INFLUXDB_TOKEN || 'development-token';
 const org = process.env.INFLUXDB_ORG || 'grid-monitoring';
@@ -8,8 +14,25 @@ const url = process.env.INFLUXDB_URL || 'http://localhost:8086';
 
 let influxClient = null;
 let writeApi = null;
+let bulkWriteApi = null;
 let queryApi = null;
 
+// Write options for high-volume ingest: points are buffered and sent in large batches
+const BULK_WRITE_OPTIONS = {
+    batchSize: parseInt(process.env.INFLUXDB_BATCH_SIZE || '5000'),
+    flushInterval: parseInt(process.env.INFLUXDB_FLUSH_INTERVAL_MS || '1000'),
+    maxBufferLines: 100000,
+    maxRetries: 3
+};
+
+// Single-request writes: no timed flushes and no client-side retries, so a failure reaches the
+// caller together with the points it concerned
+const ONCE_WRITE_OPTIONS = {
+    batchSize: 1000000,
+    flushInterval: 0,
+    maxRetries: 0
+};
+
 // Initialize InfluxDB connection
 const initInflux = () => {
     if (!influxClient) {
@@ -23,18 +46,21 @@ const initInflux = () => {
     return { writeApi, queryApi };
 };
 
-// Write measurement helper
-export const writeMeasurement = async (elementId, elementType, measurements) => {
-    try {
-        const { writeApi } = initInflux();
-        
-        const point = new Point('grid_measurements')
-            .tag('element_id', elementId)
-            .tag('element_type', elementType)
-            .timestamp(new Date());
+// Build one point per quality code, since quality is stored as a tag
+const buildMeasurementPoints = (elementId, elementType, data, timestamp, quality = 'good') => {
+    const points = {};
+
+    Object.entries(data).forEach(([field, value]) => {
+        const code = (typeof quality === 'string' ? quality : quality[field]) || 'good';
+        if (!points[code]) {
+            points[code] = new Point('grid_measurements')
+                .tag('element_id', elementId)
+                .tag('element_type', elementType)
+                .tag('quality', code)
+                .timestamp(timestamp);
+        }
 
-        // Add measurement fields
-        Object.entries(measurements).forEach(([field, value]) => {
+        const point = points[code];
         if (typeof value === 'number') {
             point.floatField(field, value);
         } else if (typeof value === 'boolean') {
@@ -42,9 +68,17 @@ export const writeMeasurement = async (elementId, elementType, measurements) =>
         } else {
             point.stringField(field, value.toString());
         }
-        });
+    });
 
-        writeApi.writePoint(point);
+    return Object.values(points);
+};
+
+// Write measurement helper (timestamp is the source time of the sample)
+export const writeMeasurement = async (elementId, elementType, measurements, timestamp = new Date(), quality = 'good') => {
+    try {
+        const { writeApi } = initInflux();
+        
+        writeApi.writePoints(buildMeasurementPoints(elementId, elementType, measurements, timestamp, quality));
         await writeApi.flush();
         
         return true;
@@ -54,28 +88,112 @@ export const writeMeasurement = async (elementId, elementType, measurements) =>
     }
 };
 
+// Bulk ingest: buffer points on the batching write API; flush waits for the buffer to drain
+export const writeBulkMeasurements = async (measurements, { flush = true } = {}) => {
+    try {
+        initInflux();
+        if (!bulkWriteApi) {
+            bulkWriteApi = influxClient.getWriteApi(org, bucket, 'ns', BULK_WRITE_OPTIONS);
+            bulkWriteApi.useDefaultTags({ source: 'grid-monitoring-api' });
+        }
+
+        measurements.forEach(({ elementId, elementType, data, timestamp, quality }) => {
+            bulkWriteApi.writePoints(buildMeasurementPoints(elementId, elementType, data, timestamp || new Date(), quality));
+        });
+
+        if (flush) {
+            await bulkWriteApi.flush();
+        }
+        return true;
+    } catch (error) {
+        console.error('InfluxDB bulk write error:', error);
+        throw error;
+    }
+};
+
+// Write measurements in one request on a writer of their own, for ingest: failed points are kept
+// and retried by the ingest spool rather than by the client library's in-memory retry buffer
+export const writeMeasurementsOnce = async (measurements) => {
+    initInflux();
+    const onceWriteApi = influxClient.getWriteApi(org, bucket, 'ns', ONCE_WRITE_OPTIONS);
+    onceWriteApi.useDefaultTags({ source: 'grid-monitoring-api' });
+
+    measurements.forEach(({ elementId, elementType, data, timestamp, quality }) => {
+        onceWriteApi.writePoints(buildMeasurementPoints(elementId, elementType, data, timestamp || new Date(), quality));
+    });
+
+    await onceWriteApi.close();
+    return true;
+};
+
+// Remove fields of an element's sample at one time, whatever quality they were stored with, so a
+// value written next with another quality replaces them instead of standing beside them. InfluxDB
+// deletes whole points, so the other fields stored at that time are written back with their
+// quality. Returns the number of fields removed.
+export const deleteMeasurementFields = async (elementId, elementType, timestamp, fields) => {
+    const { queryApi } = initInflux();
+    const time = timestamp.toISOString();
+    const nextMs = new Date(timestamp.getTime() + 1);
+
+    const rows = await queryApi.collectRows(`
+        ${measurementSource({ bucket, start: time, stop: nextMs, elementIds: [elementId], includeSuspect: true })}
+            |> filter(fn: (r) => r._time == time(v: ${fluxString(time)}))
+    `);
+    const removed = rows.filter(row => fields.includes(row._field));
+    if (removed.length === 0) return 0;
+
+    await influxApi(`/delete?org=${encodeURIComponent(org)}&bucket=${encodeURIComponent(bucket)}`, {
+        method: 'POST',
+        body: JSON.stringify({
+            start: time,
+            // Points are stored with millisecond times; 1ns past the instant takes no other point
+            stop: time.replace('Z', '000001Z'),
+            predicate: `_measurement="grid_measurements" AND element_id=${JSON.stringify(elementId)}`
+        })
+    });
+
+    const kept = rows.filter(row => !fields.includes(row._field));
+    if (kept.length > 0) {
+        await writeMeasurement(
+            elementId,
+            elementType,
+            Object.fromEntries(kept.map(row => [row._field, row._value])),
+            timestamp,
+            Object.fromEntries(kept.map(row => [row._field, row.quality || 'good']))
+        );
+    }
+    return removed.length;
+};
+
+// Values stored at the times of samples ([{ elementId, timestamp }]), keyed by
+// `<element_id>|<time ms>|<field>|<quality>`
+export const queryStoredValues = async (samples) => {
+    const stored = new Map();
+    if (samples.length === 0) return stored;
+
+    const { queryApi } = initInflux();
+    const times = [...new Set(samples.map(sample => sample.timestamp.getTime()))];
+    const start = new Date(times.reduce((min, time) => Math.min(min, time)));
+    const stop = new Date(times.reduce((max, time) => Math.max(max, time)) + 1);
+
+    const rows = await queryApi.collectRows(`
+        ${measurementSource({ bucket, start, stop, elementIds: [...new Set(samples.map(sample => sample.elementId))], includeSuspect: true })}
+            |> filter(fn: (r) => contains(value: int(v: r._time), set: [${times.map(time => `${BigInt(time) * 1000000n}`).join(', ')}]))
+            |> keep(columns: ["_time", "_field", "_value", "element_id", "quality"])
+    `);
+    for (const row of rows) {
+        stored.set(`${row.element_id}|${Date.parse(row._time)}|${row._field}|${row.quality || 'good'}`, row._value);
+    }
+    return stored;
+};
+
 // Write batch measurements
 export const writeBatchMeasurements = async (measurements) => {
     try {
         const { writeApi } = initInflux();
         
-        measurements.forEach(({ elementId, elementType, data, timestamp }) => {
-        const point = new Point('grid_measurements')
-            .tag('element_id', elementId)
-            .tag('element_type', elementType)
-            .timestamp(timestamp || new Date());
-
-        Object.entries(data).forEach(([field, value]) => {
-            if (typeof value === 'number') {
-                point.floatField(field, value);
-            } else if (typeof value === 'boolean') {
-                point.booleanField(field, value);
-            } else {
-                point.stringField(field, value.toString());
-            }
-        });
-
-        writeApi.writePoint(point);
+        measurements.forEach(({ elementId, elementType, data, timestamp, quality }) => {
+            writeApi.writePoints(buildMeasurementPoints(elementId, elementType, data, timestamp || new Date(), quality));
         });
 
         await writeApi.flush();
@@ -86,59 +204,315 @@ export const writeBatchMeasurements = async (measurements) => {
     }
 };
 
-// Query measurements
-export const queryMeasurements = async (elementId, start = '-1h', stop = 'now()', aggregation = 'mean', window = '5m') => {
-    try {
-        const { queryApi } = initInflux();
-        
-        const query = `
-        from(bucket: "${bucket}")
-            |> range(start: ${start}, stop: ${stop})
-            |> filter(fn: (r) => r["element_id"] == "${elementId}")
-            |> aggregateWindow(every: ${window}, fn: ${aggregation}, createEmpty: false)
-            |> yield(name: "result")
+// Quality codes from best to worst; points without a quality tag predate it and count as good
+export const QUALITY_CODES = ['good', 'manual', 'substituted', 'stale', 'suspect'];
+
+// Flux expression mapping the quality tag to its rank, so max() gives the worst quality in a window
+export const QUALITY_RANK_EXPR = QUALITY_CODES
+    .slice(1)
+    .reduceRight(
+        (expr, code, i) => `if r.quality == "${code}" then ${i + 1}.0 else ${expr}`,
+        '0.0'
+    );
+
+const retentionMs = (value) => (!value || value === '0' || value === 'infinite' ? 0 : parseDurationMs(value) || 0);
+
+// Storage tiers: raw samples plus rollups keeping mean, min, max, count, sum, last and the worst
+// quality rank of each window for every element field; retention 0 keeps data forever
+export const STORAGE_TIERS = [
+    { name: 'raw', bucket, windowMs: 0, retentionMs: retentionMs(process.env.INFLUXDB_RETENTION_RAW) },
+    { name: '1m', bucket: `${bucket}_1m`, every: '1m', windowMs: 60000, retentionMs: retentionMs(process.env.INFLUXDB_RETENTION_1M || '90d') },
+    { name: '15m', bucket: `${bucket}_15m`, every: '15m', windowMs: 900000, retentionMs: retentionMs(process.env.INFLUXDB_RETENTION_15M || '730d') },
+    { name: '1h', bucket: `${bucket}_1h`, every: '1h', windowMs: 3600000, retentionMs: retentionMs(process.env.INFLUXDB_RETENTION_1H || '0') }
+];
+
+export const ROLLUP_STATS = ['mean', 'min', 'max', 'count', 'sum', 'last', 'quality'];
+// Aggregations a rollup tier can answer; median and first need the raw samples
+const ROLLUP_AGGREGATIONS = ['mean', 'min', 'max', 'count', 'sum', 'last'];
+
+const COVERAGE_KEY = 'rollup:coverage';
+
+// Time range each rollup tier has been computed for: { since, until } in epoch ms
+export const getRollupCoverage = async () => {
+    const entries = await redis.hgetall(COVERAGE_KEY);
+    return Object.fromEntries(Object.entries(entries).map(([tier, value]) => [tier, JSON.parse(value)]));
+};
+
+export const setRollupCoverage = (tier, coverage) => redis.hset(COVERAGE_KEY, tier, JSON.stringify(coverage));
+
+// Coarsest tier whose windows divide the requested window and whose data reaches back to the start
+const selectTier = async (startTime, windowMs, now) => {
+    const raw = STORAGE_TIERS[0];
+    if (!startTime || !windowMs) return { tier: raw };
+
+    const coverage = await getRollupCoverage();
+    const candidates = STORAGE_TIERS.slice(1)
+        .filter(tier => tier.windowMs <= windowMs && windowMs % tier.windowMs === 0 && coverage[tier.name])
+        .reverse();
+
+    for (const tier of candidates) {
+        const { since, until } = coverage[tier.name];
+        const expiredBefore = tier.retentionMs ? now.getTime() - tier.retentionMs : 0;
+        if (startTime.getTime() >= Math.max(since, expiredBefore) && until > startTime.getTime()) {
+            return { tier, until };
+        }
+    }
+
+    return { tier: raw };
+};
+
+// Flux over the raw bucket for the selected series, aggregated into windows per element and field
+const rawMeasurementFlux = (selection, start, stop, aggregation, window, includeSuspect, suffix = '') => `
+        data${suffix} = ${measurementSource({ bucket, start, stop, ...selection, includeSuspect })}
+
+        data${suffix}
+            |> group(columns: ["element_id", "_field"])
+            ${windowAggregate(window, aggregation)}
+            |> yield(name: "values${suffix}")
+
+        data${suffix}
+            |> map(fn: (r) => ({ r with _value: if not exists r.quality then 0.0 else ${QUALITY_RANK_EXPR} }))
+            |> group(columns: ["element_id", "_field"])
+            ${windowAggregate(window, 'max')}
+            |> yield(name: "quality${suffix}")
         `;
 
-        const data = [];
-        
-        await new Promise((resolve, reject) => {
-            queryApi.queryRows(query, {
-                next(row, tableMeta) {
+// Flux over a rollup bucket for the selected series; means are recombined from sums and counts,
+// and counts are the sum of the stored counts
+const rollupMeasurementFlux = (tier, selection, start, stop, aggregation, window) => {
+    const values = aggregation === 'mean'
+        ? `rollup
+            |> filter(fn: (r) => r.stat == "sum" or r.stat == "count")
+            |> group(columns: ["element_id", "_field", "stat"])
+            ${windowAggregate(window, 'sum')}
+            |> group(columns: ["element_id", "_field"])
+            |> pivot(rowKey: ["_time"], columnKey: ["stat"], valueColumn: "_value")
+            |> filter(fn: (r) => r.count > 0.0)
+            |> map(fn: (r) => ({ _time: r._time, element_id: r.element_id, _field: r._field, _value: r.sum / r.count }))`
+        : `rollup
+            |> filter(fn: (r) => r.stat == "${fluxAggregate(aggregation)}")
+            |> group(columns: ["element_id", "_field"])
+            ${windowAggregate(window, aggregation === 'count' ? 'sum' : aggregation)}`;
+
+    return `
+        rollup = ${measurementSource({ bucket: tier.bucket, start, stop, ...selection, includeSuspect: true })}
+
+        ${values}
+            |> yield(name: "values")
+
+        rollup
+            |> filter(fn: (r) => r.stat == "quality")
+            |> group(columns: ["element_id", "_field"])
+            ${windowAggregate(window, 'max')}
+            |> yield(name: "quality")
+        `;
+};
+
+// Run a windowed query from the coarsest storage tier that serves the range and window; windows
+// not yet rolled up are read from raw data. Suspect values are only kept in the raw tier, and
+// aggregations without a rollup stat are always read from it.
+// Selection is { elementIds, fields }. The range is resolved to absolute times once, so window
+// timestamps line up with the fill grid; returns the rows (one per element, field, window and
+// result) together with the resolved range.
+const runMeasurementQuery = async (selection, start, stop, aggregation, window, includeSuspect) => {
+    const { queryApi } = initInflux();
+
+    const now = new Date();
+    const windowMs = parseDurationMs(fluxDuration(window));
+    const startTime = parseFluxTime(fluxTime(start, 'start'), now);
+    const stopTime = parseFluxTime(fluxTime(stop, 'stop'), now);
+    const rangeStart = startTime.toISOString();
+    const rangeStop = stopTime.toISOString();
+    const { tier, until } = includeSuspect || !(windowMs > 0) || !ROLLUP_AGGREGATIONS.includes(aggregation)
+        ? { tier: STORAGE_TIERS[0] }
+        : await selectTier(startTime, windowMs, now);
+
+    let query;
+    if (tier.name === 'raw') {
+        query = rawMeasurementFlux(selection, rangeStart, rangeStop, aggregation, window, includeSuspect);
+    } else {
+        // Split on a window boundary so no window mixes rollups and raw data
+        const split = Math.floor(Math.min(until, stopTime.getTime()) / windowMs) * windowMs;
+        const splitTime = new Date(split).toISOString();
+
+        query = rollupMeasurementFlux(tier, selection, rangeStart, splitTime, aggregation, window);
+        if (split < stopTime.getTime()) {
+            query += rawMeasurementFlux(selection, splitTime, rangeStop, aggregation, window, false, '_recent');
+        }
+    }
+
+    const rows = [];
+    await new Promise((resolve, reject) => {
+        queryApi.queryRows(query, {
+            next(row, tableMeta) {
                 const o = tableMeta.toObject(row);
-                data.push({
-                    time: o._time,
+                rows.push({
+                    quality: o.result.startsWith('quality'),
+                    element_id: o.element_id,
+                    time: new Date(o._time).toISOString(),
                     field: o._field,
-                    value: o._value,
-                    elementId: o.element_id,
-                    elementType: o.element_type
+                    value: o._value
                 });
-                },
-                error(error) {
-                    reject(error);
-                },
-                complete() {
-                    resolve();
-                },
-            });
+            },
+            error(error) {
+                reject(error);
+            },
+            complete() {
+                resolve();
+            },
         });
+    });
+    return { rows, startTime, stopTime, windowMs };
+};
 
-        // Transform data for easier consumption
-        const transformed = data.reduce((acc, item) => {
-        const time = new Date(item.time).toISOString();
-        if (!acc[time]) {
-            acc[time] = { timestamp: time };
+// Value rows grouped into one map of window time (ms) to value per element field
+const seriesValues = (rows) => {
+    const series = new Map();
+    for (const row of rows) {
+        if (row.quality) continue;
+
+        const key = `${row.element_id}|${row.field}`;
+        if (!series.has(key)) {
+            series.set(key, { element_id: row.element_id, field: row.field, values: new Map() });
         }
-        acc[time][item.field] = item.value;
-        return acc;
+        series.get(key).values.set(Date.parse(row.time), row.value);
+    }
+    return [...series.values()];
+};
+
+// Query measurements of one element, one entry per window with every field and its worst quality
+// With a fill mode other than none every window is returned and filled fields are listed per entry
+export const queryMeasurements = async (elementId, start = '-1h', stop = 'now()', aggregation = 'mean', window = '5m', options = {}) => {
+    try {
+        const { includeSuspect = false, fill = 'none' } = options;
+        const { rows, startTime, stopTime, windowMs } = await runMeasurementQuery(
+            { elementIds: [elementId] }, start, stop, aggregation, window, includeSuspect
+        );
+
+        // Transform data for easier consumption
+        const transformed = rows.reduce((acc, item) => {
+            if (!acc[item.time]) {
+                acc[item.time] = { timestamp: item.time, quality: {} };
+            }
+            if (item.quality) {
+                acc[item.time].quality[item.field] = QUALITY_CODES[item.value] || 'good';
+            } else {
+                acc[item.time][item.field] = item.value;
+            }
+            return acc;
         }, {});
 
-        return Object.values(transformed);
+        if (fill === 'none') {
+            return Object.values(transformed);
+        }
+
+        const times = windowTimes(startTime.getTime(), stopTime.getTime(), windowMs);
+        const entries = new Map(times.map(time => {
+            const timestamp = new Date(time).toISOString();
+            return [time, { timestamp, quality: transformed[timestamp]?.quality || {}, filled: [] }];
+        }));
+        for (const series of seriesValues(rows)) {
+            for (const point of fillSeries(series.values, times, fill)) {
+                const entry = entries.get(point.time);
+                entry[series.field] = point.value;
+                if (point.filled) entry.filled.push(series.field);
+            }
+        }
+
+        return [...entries.values()];
     } catch (error) {
         console.error('InfluxDB query error:', error);
         throw error;
     }
 };
 
+// Query selected fields of several elements; one row per element, field and window in time order.
+// Fill modes apply to series with at least one value in the range; filled rows have no quality.
+export const queryMeasurementSeries = async (elementIds, fields, start = '-1h', stop = 'now()', aggregation = 'mean', window = '5m', options = {}) => {
+    try {
+        const { includeSuspect = false, fill = 'none' } = options;
+        const { rows, startTime, stopTime, windowMs } = await runMeasurementQuery(
+            { elementIds, fields }, start, stop, aggregation, window, includeSuspect
+        );
+
+        const quality = new Map(rows
+            .filter(row => row.quality)
+            .map(row => [`${row.element_id}|${row.field}|${row.time}`, QUALITY_CODES[row.value] || 'good']));
+        const times = fill === 'none' ? null : windowTimes(startTime.getTime(), stopTime.getTime(), windowMs);
+
+        const points = [];
+        for (const series of seriesValues(rows)) {
+            const filled = times
+                ? fillSeries(series.values, times, fill)
+                : [...series.values].map(([time, value]) => ({ time, value, filled: false }));
+
+            for (const point of filled) {
+                const timestamp = new Date(point.time).toISOString();
+                points.push({
+                    element_id: series.element_id,
+                    field: series.field,
+                    timestamp,
+                    value: point.value,
+                    quality: point.filled || point.value === null
+                        ? null
+                        : quality.get(`${series.element_id}|${series.field}|${timestamp}`) || 'good',
+                    filled: point.filled
+                });
+            }
+        }
+
+        return points.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    } catch (error) {
+        console.error('InfluxDB series query error:', error);
+        throw error;
+    }
+};
+
+// Intervals without any sample of each element longer than minGapMs, plus the first and last
+// sample time of every element that has data in the range
+export const querySampleGaps = async (elementIds, start, stop, minGapMs) => {
+    try {
+        const { queryApi } = initInflux();
+        const query = `
+        data = ${measurementSource({ bucket, start, stop, elementIds, includeSuspect: true })}
+            |> keep(columns: ["_time", "element_id"])
+            |> group(columns: ["element_id"])
+            |> unique(column: "_time")
+            |> sort(columns: ["_time"])
+
+        data
+            |> elapsed(unit: 1ms)
+            |> filter(fn: (r) => r.elapsed > ${fluxInteger(minGapMs, 'min_gap')})
+            |> yield(name: "gaps")
+
+        data |> first(column: "_time") |> yield(name: "first")
+        data |> last(column: "_time") |> yield(name: "last")
+        `;
+
+        const elements = new Map();
+        const entry = (elementId) => {
+            if (!elements.has(elementId)) {
+                elements.set(elementId, { first: null, last: null, gaps: [] });
+            }
+            return elements.get(elementId);
+        };
+
+        for (const row of await queryApi.collectRows(query)) {
+            const time = Date.parse(row._time);
+            if (row.result === 'gaps') {
+                entry(row.element_id).gaps.push({ start: time - row.elapsed, end: time });
+            } else {
+                entry(row.element_id)[row.result] = time;
+            }
+        }
+
+        return elements;
+    } catch (error) {
+        console.error('InfluxDB gap query error:', error);
+        throw error;
+    }
+};
+
 // Write event
 export const writeEvent = async (elementId, eventType, severity, description, parameters = {}) => {
     try {
@@ -162,6 +536,44 @@ export const writeEvent = async (elementId, eventType, severity, description, pa
     }
 };
 
+// InfluxDB HTTP API, for bucket management that the client library does not cover
+const influxApi = async (path, options = {}) => {
+    const response = await fetch(`${url}/api/v2${path}`, {
+        ...options,
+        headers: { Authorization: `Token ${token}`, 'Content-Type': 'application/json' }
+    });
+    if (!response.ok) {
+        throw new Error(`InfluxDB ${options.method || 'GET'} ${path} failed with ${response.status}: ${await response.text()}`);
+    }
+    return response.status === 204 ? null : response.json();
+};
+
+// Create a bucket or bring its retention in line; retention 0 keeps data forever
+export const ensureBucket = async (name, retentionMs) => {
+    const orgs = await influxApi(`/orgs?org=${encodeURIComponent(org)}`);
+    const orgId = orgs.orgs?.[0]?.id;
+    if (!orgId) {
+        throw new Error(`InfluxDB organization ${org} not found`);
+    }
+
+    const everySeconds = Math.round(retentionMs / 1000);
+    const retentionRules = everySeconds > 0 ? [{ type: 'expire', everySeconds }] : [];
+    const found = await influxApi(`/buckets?orgID=${orgId}&name=${encodeURIComponent(name)}`);
+    const existing = found.buckets?.[0];
+
+    if (!existing) {
+        await influxApi('/buckets', { method: 'POST', body: JSON.stringify({ orgID: orgId, name, retentionRules }) });
+        return 'created';
+    }
+    if ((existing.retentionRules?.[0]?.everySeconds || 0) !== everySeconds) {
+        await influxApi(`/buckets/${existing.id}`, { method: 'PATCH', body: JSON.stringify({ retentionRules }) });
+        return 'updated';
+    }
+    return 'unchanged';
+};
+
+export const getInfluxOrg = () => org;
+
 // Check InfluxDB connection
 export const checkConnection = async () => {
     try {
@@ -0,0 +1,406 @@
+// src/lib/iec104/adapter.js
+import { randomUUID } from 'crypto';
+import { query } from '../db/postgres.js';
+import redis, { cache } from '../db/redis.js';
+import { ingestBatch, forgetIngestElement } from '../measurements/ingest.js';
+import { publishTopologyChange } from '../realtime/hub.js';
+import { emitPlatformEvent } from '../webhooks/dispatcher.js';
+import { recordSoeEvents } from '../soe/recorder.js';
+import { raiseCommsFailure, clearCommsFailure, COMMS_FAILURE_THRESHOLD } from '../alarms/comms.js';
+import { markConfigChanged, watchConfig } from '../jobs/config.js';
+import { ValidationError } from '../utils/errors.js';
+import { Iec104Client } from './client.js';
+import { CAUSES } from './asdu.js';
+
+const CONFIG_REFRESH_MS = 30000;
+const OWNER_TTL_MS = 15000;
+const RECONNECT_BASE_MS = 5000;
+const RECONNECT_MAX_MS = 60000;
+const ACTIVITY_UPDATE_MS = 5000;
+
+// Element status for each switch position unless a point overrides it
+const DEFAULT_STATUS_MAP = { on: 'active', off: 'inactive', intermediate: 'fault' };
+
+// Owner token of this process for connection locks
+const ownerId = `${process.pid}:${randomUUID()}`;
+const connections = new Map();
+const lastStatusAt = new Map();
+const configChanged = watchConfig('iec104');
+let configLoadedAt = 0;
+
+const interrogateKey = (connectionId) => `iec104:interrogate:${connectionId}`;
+const ownerKey = (connectionId) => `iec104:owner:${connectionId}`;
+
+// Signal adapters on every instance to reload connections after a configuration change
+export const reloadIec104Connections = () => markConfigChanged('iec104');
+
+// Ask whichever instance owns the connection to run a general interrogation
+export const requestInterrogation = (connectionId) => cache.set(interrogateKey(connectionId), true, 60);
+
+// Reject point maps with duplicate IOAs or unknown elements
+export const checkPointMap = async (pointMap) => {
+    const errors = [];
+    const seen = new Set();
+
+    pointMap.forEach((point, index) => {
+        if (seen.has(point.ioa)) {
+            errors.push({ path: `point_map.${index}.ioa`, message: `IOA ${point.ioa} is mapped twice` });
+        }
+        seen.add(point.ioa);
+    });
+
+    const ids = [...new Set(pointMap.map(point => point.element_id))];
+    const result = await query(
+        'SELECT id FROM grid_elements WHERE id = ANY($1) AND deleted_at IS NULL',
+        [ids]
+    );
+    const found = new Set(result.rows.map(row => row.id));
+
+    pointMap.forEach((point, index) => {
+        if (!found.has(point.element_id)) {
+            errors.push({ path: `point_map.${index}.element_id`, message: `Element ${point.element_id} not found` });
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+};
+
+const updateConnection = (id, fields) => {
+    const keys = Object.keys(fields);
+    return query(
+        `UPDATE iec104_connections SET ${keys.map((key, i) => `${key} = $${i + 2}`).join(', ')} WHERE id = $1 RETURNING *`,
+        [id, ...keys.map(key => fields[key])]
+    ).catch(error => console.error('IEC 104 connection update error:', error));
+};
+
+const positionOf = (object) => {
+    if (object.kind === 'single') return object.value ? 'on' : 'off';
+    if (object.value === 2) return 'on';
+    if (object.value === 1) return 'off';
+    return 'intermediate';
+};
+
+// SOE event type for each position of a status, pickup or trip point
+const SOE_TYPES = {
+    status: { on: 'breaker_close', off: 'breaker_open', intermediate: 'breaker_intermediate' },
+    pickup: { on: 'relay_pickup', off: 'relay_dropout' },
+    trip: { on: 'relay_trip', off: 'relay_reset' }
+};
+
+// Spontaneous change of a digital point as an SOE event; interrogation replies report state,
+// not changes, and are not recorded
+const soeEventOf = (entry, point, object, cause) => {
+    const eventType = SOE_TYPES[point.point_type]?.[positionOf(object)];
+    if (!eventType || cause === CAUSES.INTERROGATED) return null;
+
+    return {
+        element_id: point.element_id,
+        event_type: eventType,
+        source_time: object.timestamp || new Date(),
+        protection_function: point.protection_function,
+        time_quality: !object.timestamp ? 'received' : object.timeInvalid ? 'invalid' : 'source',
+        parameters: { connection_id: entry.config.id, ioa: point.ioa }
+    };
+};
+
+// Apply a switch position to the element status and log it as a status change event
+const applyStatusChange = async (entry, point, object, timestamp) => {
+    const position = positionOf(object);
+    const status = { ...DEFAULT_STATUS_MAP, ...(point.status_map || {}) }[position];
+
+    // Interrogation replies and replays must not undo a newer change
+    const previousAt = lastStatusAt.get(point.element_id);
+    if (previousAt && timestamp < previousAt) return;
+    lastStatusAt.set(point.element_id, timestamp);
+
+    const current = await query(
+        'SELECT * FROM grid_elements WHERE id = $1 AND deleted_at IS NULL',
+        [point.element_id]
+    );
+    const element = current.rows[0];
+    if (!element || element.status === status) return;
+
+    // Elements in maintenance keep their status; the switching is still logged. Otherwise the
+    // change reaches everything an edit through the elements API does.
+    if (element.status !== 'maintenance') {
+        const updated = await query(
+            'UPDATE grid_elements SET status = $2 WHERE id = $1 RETURNING *',
+            [element.id, status]
+        );
+        const changed = updated.rows[0];
+        await cache.delete(`element:${element.id}`);
+        await cache.invalidatePattern('elements:*');
+        forgetIngestElement(element.id);
+        await publishTopologyChange('element_updated', {
+            element_ids: [changed.id],
+            element: {
+                id: changed.id,
+                element_type: changed.element_type,
+                name: changed.name,
+                status: changed.status,
+                latitude: changed.latitude,
+                longitude: changed.longitude
+            }
+        });
+        await emitPlatformEvent('element.updated', { element: changed, previous: element });
+    }
+
+    const intermediate = position === 'intermediate';
+    await query(`
+        INSERT INTO events (
+            element_id, event_type, severity, category, description, parameters,
+            status, raised_at, resolved_at
+        ) VALUES ($1, 'status_change', $2, 'switching', $3, $4, $5, $6, $7)
+    `, [
+        element.id,
+        intermediate ? 'high' : 'low',
+        `${element.name} ${intermediate ? 'in intermediate position' : position === 'on' ? 'closed' : 'opened'}`,
+        JSON.stringify({
+            source: 'iec104',
+            connection_id: entry.config.id,
+            ioa: point.ioa,
+            position,
+            previous_status: element.status,
+            new_status: element.status === 'maintenance' ? 'maintenance' : status,
+            cause: object.cause === CAUSES.INTERROGATED ? 'interrogated' : 'spontaneous'
+        }),
+        intermediate ? 'active' : 'resolved',
+        timestamp,
+        intermediate ? null : timestamp
+    ]);
+};
+
+// Turn the information objects of an ASDU into measurement records, status changes and SOE events
+const handleAsdu = async (entry, asdu) => {
+    entry.lastMessageAt = Date.now();
+    if (!asdu.supported || asdu.commonAddress !== entry.config.common_address || asdu.objects.length === 0) return;
+
+    const samples = new Map();
+    const soeEvents = [];
+
+    for (const object of asdu.objects) {
+        const point = entry.pointsByIoa.get(object.ioa);
+        if (!point) continue;
+
+        const timestamp = object.timestamp || new Date();
+
+        if (point.point_type === 'status') {
+            await applyStatusChange(entry, point, { ...object, cause: asdu.cause }, timestamp);
+        }
+        const soeEvent = soeEventOf(entry, point, object, asdu.cause);
+        if (soeEvent) soeEvents.push(soeEvent);
+        if (!point.field) continue;
+
+        const key = `${point.element_id}|${timestamp.toISOString()}`;
+        if (!samples.has(key)) {
+            samples.set(key, { element_id: point.element_id, timestamp: timestamp.toISOString(), measurements: {}, quality: {} });
+        }
+        const sample = samples.get(key);
+        sample.measurements[point.field] = object.value * (point.scale ?? 1) + (point.offset ?? 0);
+        sample.quality[point.field] = object.quality;
+    }
+
+    if (soeEvents.length > 0) {
+        const outcome = await recordSoeEvents(soeEvents, { source: 'iec104' });
+        if (outcome.errors.length > 0) {
+            entry.lastError = outcome.errors[0].error;
+        }
+    }
+
+    if (samples.size > 0) {
+        const records = [...samples.values()].map((sample, i) => ({ line: i + 1, ...sample }));
+        const outcome = await ingestBatch(records);
+        if (outcome.errors.length > 0) {
+            entry.lastError = outcome.errors[0].error;
+        }
+    }
+};
+
+const interrogate = async (entry) => {
+    try {
+        entry.client.interrogate();
+        entry.lastInterrogation = Date.now();
+        await updateConnection(entry.config.id, { last_interrogation_at: new Date() });
+    } catch (error) {
+        console.error(`IEC 104 interrogation of ${entry.config.name} failed:`, error.message);
+    }
+};
+
+const onDisconnected = async (entry, error) => {
+    entry.failures++;
+    entry.reconnectAt = Date.now() + Math.min(RECONNECT_BASE_MS * 2 ** (entry.failures - 1), RECONNECT_MAX_MS);
+    entry.lastError = error?.message || 'Connection closed';
+
+    const fields = { last_error: entry.lastError };
+    if (entry.failures >= COMMS_FAILURE_THRESHOLD) {
+        fields.comms_status = 'offline';
+        if (!entry.config.comms_event_id) {
+            const event = await raiseCommsFailure({
+                protocol: 'IEC 104',
+                id: entry.config.id,
+                name: entry.config.name,
+                address: `${entry.config.host}:${entry.config.port}/${entry.config.common_address}`
+            }, entry.lastError);
+            entry.config.comms_event_id = event.id;
+            fields.comms_event_id = event.id;
+        }
+    }
+    await updateConnection(entry.config.id, fields);
+};
+
+const connect = async (entry) => {
+    const { config } = entry;
+    const client = new Iec104Client({
+        host: config.host,
+        port: config.port,
+        commonAddress: config.common_address,
+        originator: config.originator_address,
+        timeZone: config.time_zone
+    });
+
+    client.on('asdu', (asdu) => {
+        entry.queue = entry.queue
+            .then(() => handleAsdu(entry, asdu))
+            .catch(error => console.error(`IEC 104 data from ${config.name} failed:`, error));
+    });
+    client.on('error', (error) => {
+        entry.lastError = error.message;
+    });
+
+    entry.client = client;
+    entry.connecting = true;
+
+    try {
+        await client.connect();
+    } catch (error) {
+        entry.client = null;
+        entry.connecting = false;
+        await onDisconnected(entry, error);
+        return;
+    }
+
+    entry.connecting = false;
+    entry.failures = 0;
+    client.on('close', () => {
+        entry.client = null;
+        onDisconnected(entry, new Error(entry.lastError || 'Connection closed'))
+            .catch(error => console.error('IEC 104 disconnect handling error:', error));
+    });
+
+    if (config.comms_event_id) {
+        await clearCommsFailure(config.comms_event_id);
+        config.comms_event_id = null;
+    }
+    await updateConnection(config.id, {
+        comms_status: 'online',
+        connected_at: new Date(),
+        last_error: null,
+        comms_event_id: null
+    });
+
+    // General interrogation after every (re)connect to get a consistent picture
+    await interrogate(entry);
+};
+
+const disconnect = (entry) => {
+    if (entry.client) {
+        entry.client.removeAllListeners('close');
+        entry.client.close();
+        entry.client = null;
+    }
+};
+
+const loadConnections = async () => {
+    const result = await query('SELECT * FROM iec104_connections WHERE enabled = true');
+    configLoadedAt = Date.now();
+    const ids = new Set(result.rows.map(row => row.id));
+
+    for (const [id, entry] of connections) {
+        if (!ids.has(id)) {
+            disconnect(entry);
+            connections.delete(id);
+        }
+    }
+
+    for (const config of result.rows) {
+        const entry = connections.get(config.id);
+        const pointsByIoa = new Map(config.point_map.map(point => [point.ioa, point]));
+
+        // Reconnect if the endpoint changed; point map changes apply in place
+        if (entry && (entry.config.host !== config.host || entry.config.port !== config.port ||
+            entry.config.common_address !== config.common_address || entry.config.time_zone !== config.time_zone)) {
+            disconnect(entry);
+            connections.delete(config.id);
+        }
+
+        if (connections.has(config.id)) {
+            Object.assign(connections.get(config.id), { config, pointsByIoa });
+        } else {
+            connections.set(config.id, {
+                config,
+                pointsByIoa,
+                client: null,
+                connecting: false,
+                failures: 0,
+                reconnectAt: 0,
+                lastInterrogation: 0,
+                lastMessageAt: null,
+                lastActivityUpdate: 0,
+                lastError: null,
+                queue: Promise.resolve()
+            });
+        }
+    }
+};
+
+// Hold the connection lock so only one instance talks to each outstation
+const holdOwnership = async (connectionId) => {
+    const key = ownerKey(connectionId);
+    if (await redis.set(key, ownerId, 'PX', OWNER_TTL_MS, 'NX')) return true;
+    if (await redis.get(key) !== ownerId) return false;
+    await redis.pexpire(key, OWNER_TTL_MS);
+    return true;
+};
+
+// Background job tick: keep owned connections up, interrogate when due and record activity
+export const maintainIec104Connections = async () => {
+    if (await configChanged() || Date.now() - configLoadedAt > CONFIG_REFRESH_MS) {
+        await loadConnections();
+    }
+
+    const now = Date.now();
+    for (const entry of connections.values()) {
+        const { config } = entry;
+
+        if (!await holdOwnership(config.id)) {
+            disconnect(entry);
+            continue;
+        }
+
+        if (!entry.client && !entry.connecting && now >= entry.reconnectAt) {
+            connect(entry).catch(error => console.error(`IEC 104 connect to ${config.name} failed:`, error));
+            continue;
+        }
+        if (!entry.client?.connected) continue;
+
+        const requested = await redis.get(interrogateKey(config.id));
+        if (requested) {
+            await redis.del(interrogateKey(config.id));
+        }
+        const periodic = config.interrogation_interval_s > 0 &&
+            now - entry.lastInterrogation >= config.interrogation_interval_s * 1000;
+        if (requested || periodic) {
+            await interrogate(entry);
+        }
+
+        if (entry.lastMessageAt && now - entry.lastActivityUpdate >= ACTIVITY_UPDATE_MS) {
+            entry.lastActivityUpdate = now;
+            await updateConnection(config.id, {
+                last_message_at: new Date(entry.lastMessageAt),
+                last_error: entry.lastError
+            });
+        }
+    }
+};
@@ -0,0 +1,202 @@
+// src/lib/iec104/asdu.js
+// IEC 60870-5-104 frame encoding and decoding (APCI + ASDU) for the monitoring direction
+
+export const START_BYTE = 0x68;
+
+// U-format control functions
+export const U_FRAMES = {
+    STARTDT_ACT: 0x07,
+    STARTDT_CON: 0x0b,
+    STOPDT_ACT: 0x13,
+    STOPDT_CON: 0x23,
+    TESTFR_ACT: 0x43,
+    TESTFR_CON: 0x83
+};
+
+export const TYPE_IDS = {
+    M_SP_NA_1: 1,
+    M_DP_NA_1: 3,
+    M_ME_NA_1: 9,
+    M_ME_NB_1: 11,
+    M_ME_NC_1: 13,
+    M_SP_TB_1: 30,
+    M_DP_TB_1: 31,
+    M_ME_TD_1: 34,
+    M_ME_TE_1: 35,
+    M_ME_TF_1: 36,
+    C_IC_NA_1: 100
+};
+
+export const CAUSES = {
+    PERIODIC: 1,
+    SPONTANEOUS: 3,
+    ACTIVATION: 6,
+    ACTIVATION_CON: 7,
+    ACTIVATION_TERM: 10,
+    INTERROGATED: 20
+};
+
+// Station interrogation qualifier
+export const QOI_STATION = 20;
+
+// Information element layout per monitored type: value kind, element size, time tag
+const TYPE_LAYOUT = {
+    [TYPE_IDS.M_SP_NA_1]: { kind: 'single', size: 1, time: false },
+    [TYPE_IDS.M_DP_NA_1]: { kind: 'double', size: 1, time: false },
+    [TYPE_IDS.M_ME_NA_1]: { kind: 'normalized', size: 3, time: false },
+    [TYPE_IDS.M_ME_NB_1]: { kind: 'scaled', size: 3, time: false },
+    [TYPE_IDS.M_ME_NC_1]: { kind: 'float', size: 5, time: false },
+    [TYPE_IDS.M_SP_TB_1]: { kind: 'single', size: 1, time: true },
+    [TYPE_IDS.M_DP_TB_1]: { kind: 'double', size: 1, time: true },
+    [TYPE_IDS.M_ME_TD_1]: { kind: 'normalized', size: 3, time: true },
+    [TYPE_IDS.M_ME_TE_1]: { kind: 'scaled', size: 3, time: true },
+    [TYPE_IDS.M_ME_TF_1]: { kind: 'float', size: 5, time: true },
+    [TYPE_IDS.C_IC_NA_1]: { kind: 'command', size: 1, time: false }
+};
+
+// Quality descriptor bits (QDS, SIQ and DIQ share the upper bits)
+const QUALITY_BITS = { OV: 0x01, BL: 0x10, SB: 0x20, NT: 0x40, IV: 0x80 };
+
+// Map an IEC 104 quality descriptor to the measurement quality codes
+export const qualityCode = (descriptor, kind) => {
+    if (descriptor & QUALITY_BITS.IV) return 'suspect';
+    if (kind !== 'single' && kind !== 'double' && descriptor & QUALITY_BITS.OV) return 'suspect';
+    if (descriptor & QUALITY_BITS.BL) return 'suspect';
+    if (descriptor & QUALITY_BITS.SB) return 'substituted';
+    if (descriptor & QUALITY_BITS.NT) return 'stale';
+    return 'good';
+};
+
+// CP56Time2a: 7 octets, milliseconds (incl. seconds), minutes, hours, day, month, year
+export const decodeCP56 = (buffer, offset, timeZone = 'utc') => {
+    const milliseconds = buffer.readUInt16LE(offset);
+    const minute = buffer[offset + 2] & 0x3f;
+    const invalid = Boolean(buffer[offset + 2] & 0x80);
+    const hour = buffer[offset + 3] & 0x1f;
+    const day = buffer[offset + 4] & 0x1f;
+    const month = (buffer[offset + 5] & 0x0f) - 1;
+    const year = 2000 + (buffer[offset + 6] & 0x7f);
+
+    const date = timeZone === 'local'
+        ? new Date(year, month, day, hour, minute, 0, milliseconds)
+        : new Date(Date.UTC(year, month, day, hour, minute, 0, milliseconds));
+
+    return { date, invalid };
+};
+
+export const encodeCP56 = (date) => {
+    const buffer = Buffer.alloc(7);
+    buffer.writeUInt16LE(date.getUTCSeconds() * 1000 + date.getUTCMilliseconds(), 0);
+    buffer[2] = date.getUTCMinutes();
+    buffer[3] = date.getUTCHours();
+    buffer[4] = date.getUTCDate() | (((date.getUTCDay() || 7) & 0x07) << 5);
+    buffer[5] = date.getUTCMonth() + 1;
+    buffer[6] = date.getUTCFullYear() - 2000;
+    return buffer;
+};
+
+const readIoa = (buffer, offset) => buffer[offset] | (buffer[offset + 1] << 8) | (buffer[offset + 2] << 16);
+
+const decodeElement = (layout, buffer, offset) => {
+    switch (layout.kind) {
+        case 'single':
+            return { value: buffer[offset] & 0x01, descriptor: buffer[offset] };
+        case 'double':
+            return { value: buffer[offset] & 0x03, descriptor: buffer[offset] };
+        case 'normalized':
+            return { value: buffer.readInt16LE(offset) / 32768, descriptor: buffer[offset + 2] };
+        case 'scaled':
+            return { value: buffer.readInt16LE(offset), descriptor: buffer[offset + 2] };
+        case 'float':
+            return { value: buffer.readFloatLE(offset), descriptor: buffer[offset + 4] };
+        case 'command':
+            return { value: buffer[offset], descriptor: 0 };
+    }
+};
+
+// Decode an ASDU into its header and information objects; unsupported types carry no objects
+export const decodeAsdu = (buffer, { timeZone = 'utc' } = {}) => {
+    const typeId = buffer[0];
+    const sequence = Boolean(buffer[1] & 0x80);
+    const count = buffer[1] & 0x7f;
+    const cause = buffer[2] & 0x3f;
+    const negative = Boolean(buffer[2] & 0x40);
+    const originator = buffer[3];
+    const commonAddress = buffer.readUInt16LE(4);
+    const layout = TYPE_LAYOUT[typeId];
+
+    const asdu = { typeId, cause, negative, originator, commonAddress, objects: [], supported: Boolean(layout) };
+    if (!layout) return asdu;
+
+    const objectSize = layout.size + (layout.time ? 7 : 0);
+    let offset = 6;
+    let ioa = 0;
+
+    for (let i = 0; i < count; i++) {
+        if (!sequence || i === 0) {
+            ioa = readIoa(buffer, offset);
+            offset += 3;
+        } else {
+            ioa++;
+        }
+        if (offset + objectSize > buffer.length) break;
+
+        const { value, descriptor } = decodeElement(layout, buffer, offset);
+        const object = { ioa, kind: layout.kind, value, quality: qualityCode(descriptor, layout.kind) };
+        if (layout.time) {
+            const time = decodeCP56(buffer, offset + layout.size, timeZone);
+            object.timestamp = time.date;
+            object.timeInvalid = time.invalid;
+            if (time.invalid) object.quality = 'suspect';
+        }
+
+        asdu.objects.push(object);
+        offset += objectSize;
+    }
+
+    return asdu;
+};
+
+export const uFrame = (fn) => Buffer.from([START_BYTE, 0x04, fn, 0x00, 0x00, 0x00]);
+
+export const sFrame = (receiveSeq) => Buffer.from([
+    START_BYTE, 0x04, 0x01, 0x00, (receiveSeq << 1) & 0xff, (receiveSeq >> 7) & 0xff
+]);
+
+export const iFrame = (sendSeq, receiveSeq, asdu) => Buffer.concat([
+    Buffer.from([
+        START_BYTE, asdu.length + 4,
+        (sendSeq << 1) & 0xff, (sendSeq >> 7) & 0xff,
+        (receiveSeq << 1) & 0xff, (receiveSeq >> 7) & 0xff
+    ]),
+    asdu
+]);
+
+// Build a general interrogation (C_IC_NA_1) activation ASDU
+export const interrogationAsdu = (commonAddress, originator = 0) => {
+    const asdu = Buffer.alloc(10);
+    asdu[0] = TYPE_IDS.C_IC_NA_1;
+    asdu[1] = 1;
+    asdu[2] = CAUSES.ACTIVATION;
+    asdu[3] = originator;
+    asdu.writeUInt16LE(commonAddress, 4);
+    // IOA 0 (3 octets) then the qualifier of interrogation
+    asdu[9] = QOI_STATION;
+    return asdu;
+};
+
+// Parse an APCI control field into its frame format and sequence numbers
+export const decodeControl = (frame) => {
+    const c1 = frame[2];
+    if ((c1 & 0x01) === 0) {
+        return {
+            format: 'I',
+            sendSeq: ((frame[3] << 8) | c1) >> 1,
+            receiveSeq: ((frame[5] << 8) | frame[4]) >> 1
+        };
+    }
+    if ((c1 & 0x03) === 0x01) {
+        return { format: 'S', receiveSeq: ((frame[5] << 8) | frame[4]) >> 1 };
+    }
+    return { format: 'U', fn: c1 };
+};
@@ -0,0 +1,191 @@
+// src/lib/iec104/client.js
+import net from 'net';
+import { EventEmitter } from 'events';
+import {
+    START_BYTE, U_FRAMES, uFrame, sFrame, iFrame, decodeControl, decodeAsdu, interrogationAsdu
+} from './asdu.js';
+
+// Protocol timers and window sizes, IEC 60870-5-104 defaults
+const DEFAULTS = {
+    t0: 30000, // connection establishment
+    t1: 15000, // acknowledgement of sent frames
+    t2: 10000, // acknowledgement of received I-frames when there is no data to send
+    t3: 20000, // test frame on idle link
+    w: 8       // acknowledge after this many received I-frames
+};
+
+const SEQUENCE_MODULO = 0x8000;
+
+// IEC 104 controlling station (client); emits 'connected', 'asdu', 'close' and 'error'
+export class Iec104Client extends EventEmitter {
+    constructor({ host, port = 2404, commonAddress = 1, originator = 0, timeZone = 'utc', ...timers }) {
+        super();
+        this.host = host;
+        this.port = port;
+        this.commonAddress = commonAddress;
+        this.originator = originator;
+        this.timeZone = timeZone;
+        this.timers = { ...DEFAULTS, ...timers };
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.sendSeq = 0;
+        this.receiveSeq = 0;
+        this.unacknowledged = 0;
+        this.started = false;
+        this.t1Timer = null;
+        this.t2Timer = null;
+        this.t3Timer = null;
+    }
+
+    get connected() {
+        return this.socket !== null && !this.socket.destroyed && this.started;
+    }
+
+    // Open the TCP connection and start data transfer (STARTDT)
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error(`Connection to ${this.host}:${this.port} timed out`));
+            }, this.timers.t0);
+
+            socket.once('connect', () => {
+                this.socket = socket;
+                this.send(uFrame(U_FRAMES.STARTDT_ACT));
+                this.armT1();
+            });
+            socket.once('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+
+            this.once('connected', () => {
+                clearTimeout(timer);
+                resolve();
+            });
+
+            socket.on('data', (chunk) => this.onData(chunk));
+            socket.on('error', (error) => this.emit('error', error));
+            socket.on('close', () => this.onClose());
+        });
+    }
+
+    send(frame) {
+        this.socket.write(frame);
+        this.armT3();
+    }
+
+    armT1() {
+        clearTimeout(this.t1Timer);
+        this.t1Timer = setTimeout(() => {
+            this.emit('error', new Error('No acknowledgement from server (t1 expired)'));
+            this.close();
+        }, this.timers.t1);
+    }
+
+    armT3() {
+        clearTimeout(this.t3Timer);
+        this.t3Timer = setTimeout(() => {
+            if (!this.socket) return;
+            this.send(uFrame(U_FRAMES.TESTFR_ACT));
+            this.armT1();
+        }, this.timers.t3);
+    }
+
+    acknowledge() {
+        clearTimeout(this.t2Timer);
+        this.t2Timer = null;
+        this.unacknowledged = 0;
+        this.send(sFrame(this.receiveSeq));
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        this.armT3();
+
+        while (this.buffer.length >= 2) {
+            if (this.buffer[0] !== START_BYTE) {
+                this.emit('error', new Error('Invalid start byte, resynchronising'));
+                this.close();
+                return;
+            }
+
+            const length = this.buffer[1] + 2;
+            if (this.buffer.length < length) return;
+
+            const frame = this.buffer.subarray(0, length);
+            this.buffer = this.buffer.subarray(length);
+            this.onFrame(frame);
+        }
+    }
+
+    onFrame(frame) {
+        const control = decodeControl(frame);
+
+        if (control.format === 'U') {
+            if (control.fn === U_FRAMES.STARTDT_CON) {
+                clearTimeout(this.t1Timer);
+                this.started = true;
+                this.emit('connected');
+            } else if (control.fn === U_FRAMES.TESTFR_CON) {
+                clearTimeout(this.t1Timer);
+            } else if (control.fn === U_FRAMES.TESTFR_ACT) {
+                this.send(uFrame(U_FRAMES.TESTFR_CON));
+            }
+            return;
+        }
+
+        if (control.format === 'S') {
+            clearTimeout(this.t1Timer);
+            return;
+        }
+
+        // I-format: track receive sequence and acknowledge every w frames or after t2
+        this.receiveSeq = (control.sendSeq + 1) % SEQUENCE_MODULO;
+        this.unacknowledged++;
+        clearTimeout(this.t1Timer);
+
+        if (this.unacknowledged >= this.timers.w) {
+            this.acknowledge();
+        } else if (!this.t2Timer) {
+            this.t2Timer = setTimeout(() => this.acknowledge(), this.timers.t2);
+        }
+
+        this.emit('asdu', decodeAsdu(frame.subarray(6), { timeZone: this.timeZone }));
+    }
+
+    // Send a station general interrogation
+    interrogate() {
+        if (!this.connected) throw new Error('Not connected');
+
+        this.send(iFrame(this.sendSeq, this.receiveSeq, interrogationAsdu(this.commonAddress, this.originator)));
+        this.sendSeq = (this.sendSeq + 1) % SEQUENCE_MODULO;
+        this.unacknowledged = 0;
+        clearTimeout(this.t2Timer);
+        this.t2Timer = null;
+        this.armT1();
+    }
+
+    onClose() {
+        const wasConnected = this.socket !== null;
+        this.clearTimers();
+        this.socket = null;
+        this.started = false;
+        this.buffer = Buffer.alloc(0);
+        if (wasConnected) this.emit('close');
+    }
+
+    clearTimers() {
+        clearTimeout(this.t1Timer);
+        clearTimeout(this.t2Timer);
+        clearTimeout(this.t3Timer);
+        this.t1Timer = this.t2Timer = this.t3Timer = null;
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.destroy();
+        }
+    }
+}
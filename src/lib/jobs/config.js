@@ -0,0 +1,22 @@
+// src/lib/jobs/config.js
+import redis from '../db/redis.js';
+
+// Background services run outside the route handlers (and on every instance), so configuration
+// changes made through the API are signalled with a version counter in Redis
+const versionKey = (name) => `config:version:${name}`;
+
+export const markConfigChanged = (name) => redis.incr(versionKey(name))
+    .catch(error => console.error(`Config change signal error for ${name}:`, error));
+
+// Returns a checker that resolves true once per change of the named configuration. The version
+// is null until the first change, so only the first check (undefined) is not compared.
+export const watchConfig = (name) => {
+    let seen;
+
+    return async () => {
+        const version = await redis.get(versionKey(name));
+        const changed = seen !== undefined && version !== seen;
+        seen = version;
+        return changed;
+    };
+};
@@ -0,0 +1,49 @@
+// src/lib/jobs/index.js
+import { registerJob, startJobs } from './scheduler.js';
+import { checkStaleElements } from '../measurements/quality.js';
+import { runRollups } from '../measurements/rollups.js';
+import { evaluateScheduledPoints } from '../calculated/scheduled.js';
+import { pollDueDevices } from '../modbus/poller.js';
+import { maintainIec104Connections } from '../iec104/adapter.js';
+import { startMqttBridge } from '../mqtt/bridge.js';
+import { runSimulator } from '../simulator/engine.js';
+import { drainSpool } from '../measurements/spool.js';
+import { expireShelves } from '../alarms/shelving.js';
+import { applyMaintenanceWindows } from '../alarms/maintenance.js';
+import { runEscalations } from '../alarms/escalation.js';
+import { closeAlarmIncidents } from '../alarms/incidents.js';
+import { detectAlarmFlood } from '../alarms/flood.js';
+import { deliverNotifications } from '../notifications/delivery.js';
+import { deliverWebhooks } from '../webhooks/dispatcher.js';
+
+// Register and start the background jobs of the API server
+export const startBackgroundJobs = () => {
+    registerJob('stale-data', 60000, checkStaleElements);
+    registerJob('calculated-points', 5000, evaluateScheduledPoints);
+    registerJob('rollups', 60000, runRollups);
+    // Writes measurements spooled while InfluxDB was unavailable
+    registerJob('ingest-spool', 1000, drainSpool);
+    // Ends alarm shelves whose time is up
+    registerJob('alarm-shelves', 10000, expireShelves);
+    // Opens and closes scheduled maintenance windows
+    registerJob('maintenance-windows', 15000, applyMaintenanceWindows);
+    // Closes incidents whose alarms are all closed, and raises and clears the alarm flood alarm
+    registerJob('alarm-incidents', 10000, closeAlarmIncidents);
+    registerJob('alarm-flood', 10000, detectAlarmFlood);
+    // Notifies escalation tiers of unacknowledged alarms, then sends and retries the notifications
+    registerJob('alarm-escalation', 5000, runEscalations);
+    registerJob('notifications', 5000, deliverNotifications);
+    // Sends and retries outbound webhook deliveries
+    registerJob('webhooks', 2000, deliverWebhooks);
+    // Per-device locks keep each device to one poll per interval across instances
+    registerJob('modbus-poll', 1000, pollDueDevices, { lock: false });
+    // Connection ownership locks keep each outstation on a single instance
+    registerJob('iec104', 2000, maintainIec104Connections, { lock: false });
+    // Idle unless a simulation was started through the API
+    registerJob('simulator', 1000, runSimulator);
+
+    startJobs();
+
+    // Long-lived subscriber, started only when MQTT_URL is configured
+    startMqttBridge().catch(error => console.error('MQTT bridge failed to start:', error));
+};
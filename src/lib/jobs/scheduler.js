@@ -0,0 +1,44 @@
+// src/lib/jobs/scheduler.js
+import redis from '../db/redis.js';
+
+const jobs = new Map();
+
+// Register a recurring background job; a Redis lock keeps one runner per interval across instances
+export const registerJob = (name, intervalMs, fn, options = {}) => {
+    const { lock = true } = options;
+    jobs.set(name, { name, intervalMs, fn, lock, timer: null, running: false });
+};
+
+const runJob = async (job) => {
+    if (job.running) return;
+    job.running = true;
+
+    try {
+        if (job.lock) {
+            const acquired = await redis.set(`job:lock:${job.name}`, process.pid, 'PX', job.intervalMs, 'NX');
+            if (!acquired) return;
+        }
+        await job.fn();
+    } catch (error) {
+        console.error(`Background job ${job.name} failed:`, error);
+    } finally {
+        job.running = false;
+    }
+};
+
+// Start all registered jobs
+export const startJobs = () => {
+    for (const job of jobs.values()) {
+        if (job.timer) continue;
+        job.timer = setInterval(() => runJob(job), job.intervalMs);
+        console.log(`Background job ${job.name} scheduled every ${job.intervalMs}ms`);
+    }
+};
+
+// Stop all registered jobs
+export const stopJobs = () => {
+    for (const job of jobs.values()) {
+        clearInterval(job.timer);
+        job.timer = null;
+    }
+};
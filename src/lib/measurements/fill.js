@@ -0,0 +1,66 @@
+// src/lib/measurements/fill.js
+// Filling of windows without data on the time grid that aggregateWindow produces
+import { ValidationError } from '../utils/errors.js';
+
+// none drops empty windows; null keeps them without a value; the others synthesise a value
+export const FILL_MODES = ['none', 'null', 'previous', 'linear', 'zero'];
+
+// Windows a filled series may span, so a small window over a long range cannot exhaust memory
+export const MAX_FILL_WINDOWS = 50000;
+
+// Timestamps of the windows covering [start, stop): each window's stop, the last one cut at the
+// range stop, matching aggregateWindow with epoch-aligned windows
+export const windowTimes = (startMs, stopMs, windowMs) => {
+    const first = Math.floor(startMs / windowMs);
+    const count = Math.ceil(stopMs / windowMs) - first;
+    if (count > MAX_FILL_WINDOWS) {
+        throw new ValidationError([{
+            path: 'fill',
+            message: `Filling would produce ${count} windows per series, more than ${MAX_FILL_WINDOWS}; use a larger window`
+        }]);
+    }
+
+    const times = [];
+    for (let k = first; k * windowMs < stopMs; k++) {
+        times.push(Math.min((k + 1) * windowMs, stopMs));
+    }
+    return times;
+};
+
+// Put one series on the window grid. values maps window time (ms) to value; returns
+// [{ time, value, filled }] where filled marks synthesised values. Linear interpolation is by
+// time between the neighbouring windows with data, so leading and trailing gaps stay empty.
+export const fillSeries = (values, times, mode) => {
+    if (mode === 'none') {
+        return times.filter(time => values.has(time)).map(time => ({ time, value: values.get(time), filled: false }));
+    }
+
+    const known = times.filter(time => values.has(time));
+    const result = [];
+    let before = -1;
+
+    for (const time of times) {
+        if (values.has(time)) {
+            result.push({ time, value: values.get(time), filled: false });
+            before++;
+            continue;
+        }
+
+        const previous = before >= 0 ? known[before] : null;
+        const next = before + 1 < known.length ? known[before + 1] : null;
+        let value = null;
+
+        if (mode === 'zero') {
+            value = 0;
+        } else if (mode === 'previous' && previous !== null) {
+            value = values.get(previous);
+        } else if (mode === 'linear' && previous !== null && next !== null) {
+            const from = values.get(previous);
+            value = from + (values.get(next) - from) * (time - previous) / (next - previous);
+        }
+
+        result.push({ time, value, filled: value !== null });
+    }
+
+    return result;
+};
@@ -0,0 +1,171 @@
+// src/lib/measurements/formats.js
+import { QUALITY_CODES } from '../db/influx.js';
+
+const MEASUREMENT_NAME = 'grid_measurements';
+const FIELD_NAME = /^[a-z][a-z0-9_]*$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Nanoseconds per unit of each line protocol timestamp precision
+const PRECISION_NS = { ns: 1n, us: 1000n, ms: 1000000n, s: 1000000000n };
+export const PRECISIONS = Object.keys(PRECISION_NS);
+
+// Split on a separator outside of backslash escapes and double quotes
+const splitUnescaped = (text, separator) => {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\' && i + 1 < text.length) {
+            current += char + text[++i];
+        } else if (char === '"') {
+            quoted = !quoted;
+            current += char;
+        } else if (char === separator && !quoted) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('Unterminated string field');
+    }
+    parts.push(current);
+    return parts;
+};
+
+const unescape = (text) => text.replace(/\\(.)/g, '$1');
+
+const splitPair = (text) => {
+    const [key, ...rest] = splitUnescaped(text, '=');
+    if (!key || rest.length === 0) {
+        throw new Error(`Invalid key=value pair: ${text}`);
+    }
+    return [unescape(key), rest.join('=')];
+};
+
+const parseFieldValue = (field, raw) => {
+    if (/^-?\d+[iu]$/.test(raw)) return parseInt(raw.slice(0, -1), 10);
+    if (raw.startsWith('"') || /^(t|true|f|false)$/i.test(raw)) {
+        throw new Error(`Field ${field} must be numeric`);
+    }
+
+    const value = Number(raw);
+    if (raw === '' || !Number.isFinite(value)) {
+        throw new Error(`Invalid value for field ${field}: ${raw}`);
+    }
+    return value;
+};
+
+const parseTimestamp = (raw, precision) => {
+    if (!/^-?\d+$/.test(raw)) {
+        throw new Error(`Invalid timestamp: ${raw}`);
+    }
+    const ms = BigInt(raw) * PRECISION_NS[precision] / 1000000n;
+    return new Date(Number(ms)).toISOString();
+};
+
+// Same rules as the measurement schema, for records that did not come through zod
+export const checkRecord = (record) => {
+    if (!UUID.test(record.element_id || '')) {
+        throw new Error('element_id must be a UUID');
+    }
+    const qualities = record.quality && typeof record.quality === 'object'
+        ? Object.values(record.quality)
+        : [record.quality];
+    for (const quality of qualities) {
+        if (quality !== undefined && !QUALITY_CODES.includes(quality)) {
+            throw new Error(`Invalid quality: ${quality}`);
+        }
+    }
+
+    const fields = Object.entries(record.measurements || {});
+    if (fields.length === 0) {
+        throw new Error('At least one measurement is required');
+    }
+    for (const [field, value] of fields) {
+        if (!FIELD_NAME.test(field)) {
+            throw new Error(`Invalid field name: ${field}`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`Field ${field} must be numeric`);
+        }
+    }
+    return record;
+};
+
+// grid_measurements,element_id=<uuid>[,quality=<code>] field=value[,field=value] [timestamp]
+const parseLine = (line, precision) => {
+    const parts = splitUnescaped(line, ' ').filter(Boolean);
+    if (parts.length < 2 || parts.length > 3) {
+        throw new Error('Expected measurement, fields and optional timestamp');
+    }
+
+    const [series, fieldSet, timestamp] = parts;
+    const [measurement, ...tags] = splitUnescaped(series, ',');
+    if (unescape(measurement) !== MEASUREMENT_NAME) {
+        throw new Error(`Unsupported measurement: ${unescape(measurement)}`);
+    }
+
+    const tagValues = Object.fromEntries(tags.map(tag => splitPair(tag)).map(([k, v]) => [k, unescape(v)]));
+    const measurements = {};
+    for (const field of splitUnescaped(fieldSet, ',')) {
+        const [key, raw] = splitPair(field);
+        measurements[key] = parseFieldValue(key, raw);
+    }
+
+    return checkRecord({
+        element_id: tagValues.element_id,
+        quality: tagValues.quality,
+        timestamp: timestamp ? parseTimestamp(timestamp, precision) : undefined,
+        measurements
+    });
+};
+
+// Parse a body line by line; each bad line is reported without failing the rest
+const parseLines = (body, parse) => {
+    const records = [];
+    const errors = [];
+
+    body.split('\n').forEach((text, index) => {
+        const line = text.trim();
+        if (!line || line.startsWith('#')) return;
+
+        try {
+            records.push({ line: index + 1, ...parse(line) });
+        } catch (error) {
+            errors.push({ line: index + 1, error: error.message });
+        }
+    });
+
+    return { records, errors };
+};
+
+// InfluxDB line protocol
+export const parseLineProtocol = (body, precision = 'ns') => parseLines(body, line => parseLine(line, precision));
+
+// Newline-delimited JSON, one measurement object per line
+export const parseNdjson = (body) => parseLines(body, (line) => {
+    let item;
+    try {
+        item = JSON.parse(line);
+    } catch {
+        throw new Error('Invalid JSON');
+    }
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        throw new Error('Expected a JSON object');
+    }
+    if (item.timestamp !== undefined && isNaN(new Date(item.timestamp).getTime())) {
+        throw new Error(`Invalid timestamp: ${item.timestamp}`);
+    }
+
+    return checkRecord({
+        element_id: item.element_id,
+        quality: item.quality,
+        timestamp: item.timestamp,
+        measurements: item.measurements
+    });
+});
@@ -0,0 +1,74 @@
+// src/lib/measurements/gaps.js
+import { querySampleGaps } from '../db/influx.js';
+import { parseFluxTime, fluxTime } from '../db/flux.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Sample interval assumed for elements without metadata.expected_interval_s
+export const DEFAULT_EXPECTED_INTERVAL_S = parseInt(process.env.EXPECTED_SAMPLE_SECONDS || '60');
+
+// Seconds between samples an element is expected to report at
+export const expectedIntervalOf = (element) => {
+    const configured = Number(element.metadata?.expected_interval_s);
+    return configured > 0 ? configured : DEFAULT_EXPECTED_INTERVAL_S;
+};
+
+const gapOf = (start, end, ongoing = false) => ({
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    duration_s: Math.round((end - start) / 1000),
+    ongoing
+});
+
+// Intervals in which each element sent nothing for longer than factor times its expected
+// interval, including the time before its first and after its last sample in the range
+export const detectGaps = async (elements, start, stop, factor) => {
+    const now = new Date();
+    const startTime = parseFluxTime(fluxTime(start, 'start'), now);
+    const stopTime = parseFluxTime(fluxTime(stop, 'stop'), now);
+    if (startTime >= stopTime) {
+        throw new ValidationError([{ path: 'start', message: 'start must be before stop' }]);
+    }
+    if (elements.length === 0) return [];
+
+    const thresholds = new Map(elements.map(element => [element.id, expectedIntervalOf(element) * factor * 1000]));
+    const samples = await querySampleGaps(
+        elements.map(element => element.id),
+        startTime.toISOString(),
+        stopTime.toISOString(),
+        Math.min(...thresholds.values())
+    );
+
+    const rangeStart = startTime.getTime();
+    const rangeStop = stopTime.getTime();
+    // A range ending now has a gap in progress rather than a closed one
+    const live = now.getTime() - rangeStop < 1000;
+
+    return elements.map(element => {
+        const threshold = thresholds.get(element.id);
+        const found = samples.get(element.id);
+        const gaps = [];
+
+        if (!found?.first) {
+            gaps.push(gapOf(rangeStart, rangeStop, live));
+        } else {
+            if (found.first - rangeStart > threshold) gaps.push(gapOf(rangeStart, found.first));
+            for (const gap of found.gaps) {
+                if (gap.end - gap.start > threshold) gaps.push(gapOf(gap.start, gap.end));
+            }
+            if (rangeStop - found.last > threshold) gaps.push(gapOf(found.last, rangeStop, live));
+        }
+
+        const gapSeconds = gaps.reduce((total, gap) => total + gap.duration_s, 0);
+        return {
+            element_id: element.id,
+            element_name: element.name,
+            element_type: element.element_type,
+            expected_interval_s: expectedIntervalOf(element),
+            threshold_s: threshold / 1000,
+            gap_count: gaps.length,
+            gap_seconds: gapSeconds,
+            coverage_percent: Math.max(0, 100 - gapSeconds / ((rangeStop - rangeStart) / 1000) * 100),
+            gaps
+        };
+    });
+};
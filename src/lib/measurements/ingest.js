@@ -0,0 +1,380 @@
+// src/lib/measurements/ingest.js
+import { query } from '../db/postgres.js';
+import { cache } from '../db/redis.js';
+import { processAlarms } from '../alarms/engine.js';
+import { normalizeQuality, recordLastSeen, latestKey, ALARMABLE_QUALITIES, LATE_THRESHOLD_SECONDS } from './quality.js';
+import { calculateDependents, MAX_CHAIN_DEPTH } from '../calculated/points.js';
+import { queryElementBases, withPerUnit } from './perunit.js';
+import { publishChange } from '../realtime/hub.js';
+import { storeSamples } from './spool.js';
+import { refreshRollups } from './rollups.js';
+import { deleteMeasurementFields, queryStoredValues } from '../db/influx.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Allowed clock skew for samples stamped in the future
+const FUTURE_TOLERANCE_SECONDS = parseInt(process.env.MEASUREMENT_FUTURE_TOLERANCE_SECONDS || '60');
+
+const LATEST_TTL = 86400; // 24 hours, flagged stale on read once the element stops reporting
+
+export { latestKey, LATE_THRESHOLD_SECONDS };
+
+// In-process element metadata cache, so steady ingest does not hit Postgres per sample
+const ELEMENT_CACHE_TTL_MS = parseInt(process.env.INGEST_ELEMENT_CACHE_TTL_MS || '30000');
+const elementCache = new Map();
+
+// Get element details for validation and tags, and the per-unit bases of each element, for many
+// elements at once
+export const getIngestElements = async (elementIds) => {
+    const now = Date.now();
+    const elements = new Map();
+    const missing = [];
+
+    for (const id of new Set(elementIds)) {
+        const cached = elementCache.get(id);
+        if (cached && cached.expires > now) {
+            elements.set(id, cached.element);
+        } else {
+            missing.push(id);
+        }
+    }
+
+    if (missing.length > 0) {
+        const result = await query(
+            'SELECT id, element_type, status FROM grid_elements WHERE id = ANY($1) AND deleted_at IS NULL',
+            [missing]
+        );
+        const bases = result.rows.length > 0 ? await queryElementBases(result.rows.map(row => row.id)) : new Map();
+        const found = new Map(result.rows.map(row => [row.id, { ...row, bases: bases.get(row.id) || null }]));
+
+        // Unknown ids are cached too, so a misconfigured sender does not hammer the database
+        for (const id of missing) {
+            const element = found.get(id) || null;
+            elementCache.set(id, { element, expires: now + ELEMENT_CACHE_TTL_MS });
+            elements.set(id, element);
+        }
+    }
+
+    return elements;
+};
+
+export const getIngestElement = async (elementId) => {
+    const elements = await getIngestElements([elementId]);
+    return elements.get(elementId) || null;
+};
+
+// Drop cached metadata after an element is changed or deleted
+export const forgetIngestElement = (elementId) => {
+    elementCache.delete(elementId);
+};
+
+// Resolve the source timestamp of a sample, rejecting clocks too far ahead
+export const resolveSampleTime = (timestamp, now = new Date()) => {
+    const sampleTime = timestamp ? new Date(timestamp) : now;
+
+    if (isNaN(sampleTime.getTime())) {
+        throw new ValidationError([{ path: 'timestamp', message: `Invalid timestamp: ${timestamp}` }]);
+    }
+
+    if (sampleTime - now > FUTURE_TOLERANCE_SECONDS * 1000) {
+        throw new ValidationError([{
+            path: 'timestamp',
+            message: `Timestamp ${sampleTime.toISOString()} is more than ${FUTURE_TOLERANCE_SECONDS}s in the future`
+        }]);
+    }
+
+    return sampleTime;
+};
+
+// Update the latest-value cache only if the sample is not older than what it holds, and publish the
+// sample to realtime subscribers. Fields of one element often arrive as separate samples for the
+// same instant (from several sources); those are current, not late, and are merged into the cached
+// value rather than replacing it.
+export const updateLatest = async (element, values, sampleTime, quality = {}) => {
+    const key = latestKey(element.id);
+    const current = await cache.get(key);
+    const currentTime = current?.timestamp ? new Date(current.timestamp) : null;
+
+    if (currentTime && currentTime > sampleTime) {
+        return false;
+    }
+
+    const sameInstant = currentTime?.getTime() === sampleTime.getTime();
+    const { timestamp: _timestamp, element_type: _type, status: _status, quality: currentQuality, ...currentValues } =
+        sameInstant ? current : {};
+
+    await cache.set(key, {
+        ...currentValues,
+        ...values,
+        quality: { ...currentQuality, ...quality },
+        timestamp: sampleTime.toISOString(),
+        element_type: element.element_type,
+        status: element.status
+    }, LATEST_TTL);
+
+    await publishChange({
+        type: 'measurement',
+        element_id: element.id,
+        element_type: element.element_type,
+        timestamp: sampleTime.toISOString(),
+        values,
+        quality
+    });
+
+    return true;
+};
+
+// A sample resent by a gateway: stamped with the time of the latest value and identical to it in
+// every field and quality. Running it again would only repeat alarm evaluation.
+const isResent = (current, values, sampleTime, quality) =>
+    current?.timestamp === sampleTime.toISOString() &&
+    Object.entries(values).every(([field, value]) => current[field] === value && current.quality?.[field] === quality[field]);
+
+// Split samples ({ element, values, sampleTime, quality }) into fresh ones and those resent by a
+// gateway: every field already stored at the sample time with the same value and quality. Only
+// samples not newer than the element's latest value can have been stored; while InfluxDB cannot
+// be read, only a resend of the latest value itself is recognised.
+const dropResent = async (samples) => {
+    const latest = new Map();
+    for (const elementId of new Set(samples.map(sample => sample.element.id))) {
+        latest.set(elementId, await cache.get(latestKey(elementId)));
+    }
+
+    const candidates = new Set(samples.filter(sample => {
+        const current = latest.get(sample.element.id);
+        return current?.timestamp && sample.sampleTime <= new Date(current.timestamp);
+    }));
+    if (candidates.size === 0) return { fresh: samples, duplicates: 0 };
+
+    let stored = null;
+    try {
+        stored = await queryStoredValues([...candidates].map(sample => ({ elementId: sample.element.id, timestamp: sample.sampleTime })));
+    } catch (error) {
+        console.error('Resent sample lookup error:', error.message);
+    }
+
+    const isDuplicate = (sample) =>
+        isResent(latest.get(sample.element.id), sample.values, sample.sampleTime, sample.quality) ||
+        (Boolean(stored) && Object.entries(sample.values).every(([field, value]) =>
+            stored.get(`${sample.element.id}|${sample.sampleTime.getTime()}|${field}|${sample.quality[field]}`) === value));
+
+    const fresh = samples.filter(sample => !candidates.has(sample) || !isDuplicate(sample));
+    return { fresh, duplicates: samples.length - fresh.length };
+};
+
+// Rolled-up windows are recomputed by the rollup job only up to the late threshold back; samples
+// older than that have the tiers already covering them rebuilt
+const refreshOlderRollups = async (sampleTimes, now) => {
+    const older = sampleTimes.filter(time => now - time > LATE_THRESHOLD_SECONDS * 1000);
+    if (older.length === 0) return;
+
+    await refreshRollups(
+        new Date(older.reduce((min, time) => Math.min(min, time), Infinity)),
+        new Date(older.reduce((max, time) => Math.max(max, time), -Infinity))
+    );
+};
+
+// Suspect and stale values must not raise or clear alarms
+const alarmableValues = (values, fieldQuality) => Object.fromEntries(
+    Object.entries(values).filter(([field]) => ALARMABLE_QUALITIES.includes(fieldQuality[field]))
+);
+
+// Evaluate calculated points fed by fresh samples and write their values through the pipeline;
+// changes are [{ elementId, fields }]
+const ingestCalculated = async (changes, depth) => {
+    if (changes.length === 0 || depth >= MAX_CHAIN_DEPTH) return;
+
+    try {
+        const results = await calculateDependents(changes);
+
+        // One sample per target element and time, so points sharing a target write together
+        const samples = new Map();
+        for (const result of results) {
+            const key = `${result.element_id}|${result.timestamp.toISOString()}`;
+            if (!samples.has(key)) {
+                samples.set(key, { elementId: result.element_id, timestamp: result.timestamp, values: {}, quality: {} });
+            }
+            const sample = samples.get(key);
+            sample.values[result.field] = result.value;
+            sample.quality[result.field] = result.quality;
+        }
+
+        for (const sample of samples.values()) {
+            const element = await getIngestElement(sample.elementId);
+            if (!element) continue;
+            await ingestMeasurement(element, sample.values, sample.timestamp, sample.quality, { depth: depth + 1 });
+        }
+    } catch (error) {
+        console.error('Calculated point ingest error:', error);
+    }
+};
+
+// Run one sample through the pipeline: per-unit values, InfluxDB write (spooled while InfluxDB is
+// unavailable), latest cache, alarm conditions and the calculated points it feeds
+export const ingestMeasurement = async (element, measurements, timestamp, quality = 'good', { depth = 0 } = {}) => {
+    const now = new Date();
+    const sampleTime = resolveSampleTime(timestamp, now);
+    const { values, quality: fieldQuality } = withPerUnit(element.bases, measurements, normalizeQuality(measurements, quality));
+
+    const { duplicates } = await dropResent([{ element, values, sampleTime, quality: fieldQuality }]);
+    if (duplicates > 0) {
+        return { timestamp: sampleTime.toISOString(), late: false, duplicate: true, buffered: false, quality: fieldQuality, alarms: [] };
+    }
+
+    const buffered = await storeSamples([{
+        elementId: element.id,
+        elementType: element.element_type,
+        data: values,
+        timestamp: sampleTime,
+        quality: fieldQuality
+    }]);
+    await refreshOlderRollups([sampleTime], now);
+
+    const isLatest = await updateLatest(element, values, sampleTime, fieldQuality);
+    const late = !isLatest || now - sampleTime > LATE_THRESHOLD_SECONDS * 1000;
+
+    if (isLatest) {
+        await recordLastSeen(element, sampleTime);
+    }
+
+    // Late data is stored for history but must not raise or clear alarms
+    const alarms = late ? [] : await processAlarms(element, alarmableValues(values, fieldQuality), sampleTime);
+
+    if (!late) {
+        await ingestCalculated([{ elementId: element.id, fields: Object.keys(values) }], depth);
+    }
+
+    return {
+        timestamp: sampleTime.toISOString(),
+        late,
+        duplicate: false,
+        buffered,
+        quality: fieldQuality,
+        alarms
+    };
+};
+
+// Enter operator values (substituted or manual) for a sample time through the pipeline, replacing
+// the values stored for those fields at that time; quality is a tag in InfluxDB, so the original
+// would otherwise stay beside its correction
+export const substituteMeasurement = async (element, measurements, timestamp, quality) => {
+    const sampleTime = resolveSampleTime(timestamp);
+    const { values, quality: fieldQuality } = withPerUnit(element.bases, measurements, normalizeQuality(measurements, quality));
+
+    const replaced = await deleteMeasurementFields(element.id, element.element_type, sampleTime, Object.keys(values));
+    const outcome = await ingestMeasurement(element, measurements, sampleTime, quality);
+
+    // A repeat of the latest value is not written again by ingest, but its point was just removed
+    if (outcome.duplicate) {
+        await storeSamples([{
+            elementId: element.id,
+            elementType: element.element_type,
+            data: values,
+            timestamp: sampleTime,
+            quality: fieldQuality
+        }]);
+    }
+    return { ...outcome, replaced };
+};
+
+// Run a batch of parsed records through the pipeline with one metadata lookup and one
+// InfluxDB write (or spool append); records are { line, element_id, timestamp, quality, measurements }
+export const ingestBatch = async (records) => {
+    const now = new Date();
+    const elements = await getIngestElements(records.map(record => record.element_id));
+    const errors = [];
+    const samples = [];
+
+    for (const record of records) {
+        const element = elements.get(record.element_id);
+        if (!element) {
+            errors.push({ line: record.line, error: 'Element not found' });
+            continue;
+        }
+
+        try {
+            const sampleTime = resolveSampleTime(record.timestamp, now);
+            const { values, quality } = withPerUnit(
+                element.bases, record.measurements, normalizeQuality(record.measurements, record.quality)
+            );
+            samples.push({ element, values, sampleTime, quality });
+        } catch (error) {
+            errors.push({ line: record.line, error: error.errors?.[0]?.message || error.message });
+        }
+    }
+
+    const { fresh, duplicates } = await dropResent(samples);
+
+    const buffered = await storeSamples(fresh.map(sample => ({
+        elementId: sample.element.id,
+        elementType: sample.element.element_type,
+        data: sample.values,
+        timestamp: sample.sampleTime,
+        quality: sample.quality
+    })));
+    await refreshOlderRollups(fresh.map(sample => sample.sampleTime), now);
+
+    // Latest cache and alarms per element, oldest sample first
+    const byElement = new Map();
+    for (const sample of fresh) {
+        if (!byElement.has(sample.element.id)) byElement.set(sample.element.id, []);
+        byElement.get(sample.element.id).push(sample);
+    }
+
+    let late = 0;
+    const alarms = [];
+    const changes = [];
+
+    for (const elementSamples of byElement.values()) {
+        elementSamples.sort((a, b) => a.sampleTime - b.sampleTime);
+
+        const newest = elementSamples[elementSamples.length - 1];
+        const current = await cache.get(latestKey(newest.element.id));
+        const latestTime = current?.timestamp ? new Date(current.timestamp) : null;
+
+        // Fields of the newest instant may arrive in separate records; the latest value holds them all
+        const newestValues = {};
+        const newestQuality = {};
+        for (const sample of elementSamples) {
+            if (sample.sampleTime.getTime() !== newest.sampleTime.getTime()) continue;
+            Object.assign(newestValues, sample.values);
+            Object.assign(newestQuality, sample.quality);
+        }
+
+        if (await updateLatest(newest.element, newestValues, newest.sampleTime, newestQuality)) {
+            await recordLastSeen(newest.element, newest.sampleTime);
+        }
+
+        const fields = new Set();
+        for (const sample of elementSamples) {
+            // Same instant as the latest value is current, as in updateLatest
+            if ((latestTime && sample.sampleTime < latestTime) ||
+                now - sample.sampleTime > LATE_THRESHOLD_SECONDS * 1000) {
+                late++;
+                continue;
+            }
+
+            const alarmChanges = await processAlarms(
+                sample.element,
+                alarmableValues(sample.values, sample.quality),
+                sample.sampleTime
+            );
+            alarms.push(...alarmChanges);
+            Object.keys(sample.values).forEach(field => fields.add(field));
+        }
+
+        if (fields.size > 0) {
+            changes.push({ elementId: newest.element.id, fields: [...fields] });
+        }
+    }
+
+    await ingestCalculated(changes, 0);
+
+    return {
+        accepted: samples.length,
+        buffered: buffered ? fresh.length : 0,
+        late,
+        duplicates,
+        errors,
+        alarms
+    };
+};
@@ -0,0 +1,146 @@
+// src/lib/measurements/perunit.js
+// Per-unit values against each element's nominal ratings. Voltages are in kV, currents in A and
+// powers in MW/MVAr/MVA, so the power base is taken in MVA.
+import { query } from '../db/postgres.js';
+
+export const PER_UNIT_SUFFIX = '_pu';
+
+// Base each convertible field is divided by; phase voltages are phase-to-neutral
+const FIELD_BASES = {
+    voltage: 'voltage',
+    voltage_a: 'phase_voltage',
+    voltage_b: 'phase_voltage',
+    voltage_c: 'phase_voltage',
+    current: 'current',
+    current_a: 'current',
+    current_b: 'current',
+    current_c: 'current',
+    active_power: 'power',
+    reactive_power: 'power',
+    apparent_power: 'power'
+};
+
+// Engineering units of the standard measurement fields
+export const FIELD_UNITS = {
+    voltage: 'kV', voltage_a: 'kV', voltage_b: 'kV', voltage_c: 'kV',
+    current: 'A', current_a: 'A', current_b: 'A', current_c: 'A',
+    active_power: 'MW', reactive_power: 'MVAr', apparent_power: 'MVA',
+    power_factor: null, frequency: 'Hz', temperature: '°C', humidity: '%',
+    energy_import: 'MWh', energy_export: 'MWh'
+};
+
+// Name of the per-unit field stored alongside a field, or null if it has no base
+export const perUnitField = (field) => (FIELD_BASES[field] ? `${field}${PER_UNIT_SUFFIX}` : null);
+
+export const unitOf = (field, units = 'engineering') =>
+    (units === 'pu' && perUnitField(field) ? 'pu' : FIELD_UNITS[field] ?? null);
+
+const positive = (value) => {
+    const number = parseFloat(value);
+    return number > 0 ? number : null;
+};
+
+// Complete a set of ratings: a missing current or power base follows from the other two
+const completeBases = ({ voltage_kv, power_mva, current_a }) => {
+    const bases = { voltage_kv, power_mva, current_a };
+    if (!bases.current_a && voltage_kv && power_mva) {
+        bases.current_a = power_mva * 1000 / (Math.sqrt(3) * voltage_kv);
+    }
+    if (!bases.power_mva && voltage_kv && current_a) {
+        bases.power_mva = Math.sqrt(3) * voltage_kv * current_a / 1000;
+    }
+    return bases;
+};
+
+// Base values of elements from their ratings: the nominal voltage of the bus they connect to
+// (own voltage level otherwise), load, generator and transformer ratings and line current ratings
+export const queryElementBases = async (elementIds) => {
+    const result = await query(`
+        SELECT
+            e.id,
+            CASE e.element_type
+                WHEN 'bus' THEN COALESCE(b.nominal_voltage, b.voltage_level)
+                WHEN 'load' THEN COALESCE(lb.nominal_voltage, lb.voltage_level, l.voltage_level)
+                WHEN 'generator' THEN COALESCE(gb.nominal_voltage, gb.voltage_level, g.voltage_level)
+                WHEN 'transformer' THEN COALESCE(tb.nominal_voltage, tb.voltage_level, t.primary_voltage)
+                WHEN 'line' THEN COALESCE(sb.nominal_voltage, sb.voltage_level, tl.voltage_level)
+            END as voltage_kv,
+            CASE e.element_type
+                WHEN 'load' THEN l.rated_power
+                WHEN 'generator' THEN g.rated_capacity
+                WHEN 'transformer' THEN t.rated_power
+            END as power_mva,
+            CASE WHEN e.element_type = 'line' THEN tl.rated_current END as current_a
+        FROM grid_elements e
+        LEFT JOIN buses b ON b.id = e.id
+        LEFT JOIN loads l ON l.id = e.id
+        LEFT JOIN buses lb ON lb.id = l.bus_id
+        LEFT JOIN generators g ON g.id = e.id
+        LEFT JOIN buses gb ON gb.id = g.bus_id
+        LEFT JOIN transformers t ON t.id = e.id
+        LEFT JOIN buses tb ON tb.id = t.primary_bus_id
+        LEFT JOIN transmission_lines tl ON tl.id = e.id
+        LEFT JOIN buses sb ON sb.id = tl.start_bus_id
+        WHERE e.id = ANY($1)
+    `, [elementIds]);
+
+    return new Map(result.rows.map(row => [row.id, completeBases({
+        voltage_kv: positive(row.voltage_kv),
+        power_mva: positive(row.power_mva),
+        current_a: positive(row.current_a)
+    })]));
+};
+
+const baseValue = (bases, kind) => {
+    if (!bases) return null;
+    if (kind === 'voltage') return bases.voltage_kv;
+    if (kind === 'phase_voltage') return bases.voltage_kv && bases.voltage_kv / Math.sqrt(3);
+    if (kind === 'current') return bases.current_a;
+    return bases.power_mva;
+};
+
+// Add the per-unit value of every numeric field the element has a base for, with the quality of
+// its source field; per-unit fields sent explicitly are kept as they are
+export const withPerUnit = (bases, values, fieldQuality) => {
+    const perUnit = {};
+    const quality = {};
+
+    for (const [field, value] of Object.entries(values)) {
+        const target = perUnitField(field);
+        const base = target && baseValue(bases, FIELD_BASES[field]);
+        if (!base || typeof value !== 'number' || values[target] !== undefined) continue;
+
+        perUnit[target] = value / base;
+        quality[target] = fieldQuality[field];
+    }
+
+    if (Object.keys(perUnit).length === 0) return { values, quality: fieldQuality };
+    return { values: { ...values, ...perUnit }, quality: { ...fieldQuality, ...quality } };
+};
+
+// Name a stored field is shown under in the requested units, or null if it is not shown
+const fieldIn = (field, units) => {
+    const source = field.endsWith(PER_UNIT_SUFFIX) ? field.slice(0, -PER_UNIT_SUFFIX.length) : null;
+    if (source && perUnitField(source) === field) return units === 'pu' ? source : null;
+    return units === 'pu' && perUnitField(field) ? null : field;
+};
+
+// Present a query entry ({ timestamp, quality, filled?, ...fields }) in engineering units or per
+// unit. Per unit shows the stored per-unit values under the field names and leaves out fields
+// that have none; engineering leaves out the per-unit fields.
+export const selectUnits = (entry, units) => {
+    const { timestamp, quality = {}, filled, ...values } = entry;
+    const result = { timestamp, quality: {} };
+
+    for (const [field, value] of Object.entries(values)) {
+        const name = fieldIn(field, units);
+        if (!name) continue;
+
+        result[name] = value;
+        if (quality[field] !== undefined) result.quality[name] = quality[field];
+    }
+    if (filled) {
+        result.filled = filled.map(field => fieldIn(field, units)).filter(Boolean);
+    }
+    return result;
+};
@@ -0,0 +1,88 @@
+// src/lib/measurements/quality.js
+import redis from '../db/redis.js';
+import { QUALITY_CODES } from '../db/influx.js';
+import { processAlarms } from '../alarms/engine.js';
+import { getElementLimits } from '../alarms/limits.js';
+
+export { QUALITY_CODES };
+
+// Qualities that may raise or clear alarms
+export const ALARMABLE_QUALITIES = ['good', 'manual', 'substituted'];
+
+// Samples older than this (or older than the cached latest value) are treated as late
+export const LATE_THRESHOLD_SECONDS = parseInt(process.env.MEASUREMENT_LATE_THRESHOLD_SECONDS || '300');
+
+// An element that has not reported for this long is stale
+export const STALE_DATA_SECONDS = parseInt(process.env.STALE_DATA_SECONDS || '300');
+
+const LAST_SEEN_KEY = 'measurements:last_seen';
+const FORGET_AFTER_SECONDS = 7 * 24 * 3600; // Stop tracking elements silent for a week
+
+// Latest sample of an element, written by the ingest pipeline
+export const latestKey = (elementId) => `measurements:${elementId}:latest`;
+
+// Expand a sample-level or per-field quality into a per-field map
+export const normalizeQuality = (values, quality = 'good') => {
+    const byField = {};
+    for (const field of Object.keys(values)) {
+        byField[field] = (typeof quality === 'string' ? quality : quality?.[field]) || 'good';
+    }
+    return byField;
+};
+
+export const worstQuality = (codes) => codes.reduce(
+    (worst, code) => (QUALITY_CODES.indexOf(code) > QUALITY_CODES.indexOf(worst) ? code : worst),
+    'good'
+);
+
+// Flag every field of a cached latest sample as stale once the element stops reporting
+export const withStaleness = (latest, now = new Date()) => {
+    if (!latest?.timestamp) return latest;
+
+    const age = (now - new Date(latest.timestamp)) / 1000;
+    if (age <= STALE_DATA_SECONDS) return latest;
+
+    const quality = {};
+    for (const field of Object.keys(latest.quality || {})) {
+        quality[field] = latest.quality[field] === 'suspect' ? 'suspect' : 'stale';
+    }
+    return { ...latest, quality, stale: true, age_seconds: Math.round(age) };
+};
+
+// Remember when an element last reported, for stale detection
+export const recordLastSeen = (element, sampleTime) => redis.hset(LAST_SEEN_KEY, element.id, JSON.stringify({
+    timestamp: sampleTime.toISOString(),
+    element_type: element.element_type,
+    status: element.status
+})).catch(error => console.error('Last seen update error:', error));
+
+// Background job: evaluate data age of every reporting element against its data_age limit
+export const checkStaleElements = async () => {
+    const entries = await redis.hgetall(LAST_SEEN_KEY);
+    const now = new Date();
+
+    for (const [elementId, value] of Object.entries(entries)) {
+        const seen = JSON.parse(value);
+        const age = Math.round((now - new Date(seen.timestamp)) / 1000);
+
+        if (age > FORGET_AFTER_SECONDS) {
+            await redis.hdel(LAST_SEEN_KEY, elementId);
+            continue;
+        }
+
+        const element = { id: elementId, element_type: seen.element_type, status: seen.status };
+        const limits = await getElementLimits(element);
+
+        await processAlarms(element, { data_age: age }, now, {
+            ...limits,
+            data_age: limits.data_age || {
+                metric: 'data_age',
+                unit: 's',
+                high_alarm: STALE_DATA_SECONDS,
+                deadband: 0,
+                on_delay_seconds: 0,
+                sources: { high_alarm: 'default' }
+            }
+        });
+    }
+};
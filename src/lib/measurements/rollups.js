@@ -0,0 +1,209 @@
+// src/lib/measurements/rollups.js
+import { cache } from '../db/redis.js';
+import {
+    getInfluxAPIs, getInfluxOrg, ensureBucket, getRollupCoverage, setRollupCoverage,
+    STORAGE_TIERS, ROLLUP_STATS, QUALITY_RANK_EXPR
+} from '../db/influx.js';
+import { measurementSource, fluxDuration, fluxAggregate, fluxString } from '../db/flux.js';
+import { LATE_THRESHOLD_SECONDS } from './quality.js';
+import { getSpoolStatus } from './spool.js';
+
+// Windows are rolled up once their samples have had time to arrive
+const SETTLE_MS = parseInt(process.env.ROLLUP_SETTLE_SECONDS || '120') * 1000;
+// Recently rolled windows are recomputed so late samples are included
+const LOOKBACK_MS = LATE_THRESHOLD_SECONDS * 1000;
+// How far back the first run starts when a tier has no coverage yet
+const INITIAL_BACKFILL_MS = parseInt(process.env.ROLLUP_INITIAL_BACKFILL_HOURS || '24') * 3600000;
+// Raw time range read by one rollup query
+const CHUNK_MS = 6 * 3600000;
+// Rebuilds stop taking chunks after this long so a run stays inside the job interval
+const REBUILD_BUDGET_MS = 30000;
+const BUCKET_CHECK_MS = 10 * 60000;
+const REBUILD_KEY = 'rollup:rebuild';
+const REBUILD_TTL = 7 * 86400;
+
+const ROLLUP_TIERS = STORAGE_TIERS.slice(1);
+let bucketsCheckedAt = 0;
+
+const floorTo = (time, ms) => Math.floor(time / ms) * ms;
+
+// Flux writing every statistic of a tier for [start, stop) from non-suspect raw float fields
+const rollupFlux = (tier, start, stop) => {
+    // Every statistic except quality is the Flux aggregate of the same name
+    const stats = ROLLUP_STATS.filter(stat => stat !== 'quality');
+
+    return `
+        import "types"
+
+        data = ${measurementSource({ bucket: STORAGE_TIERS[0].bucket, start, stop })}
+            |> filter(fn: (r) => types.isType(v: r._value, type: "float"))
+
+        rollup = (tables=<-, fn, stat) => tables
+            |> group(columns: ["element_id", "element_type", "_field"])
+            |> aggregateWindow(every: ${fluxDuration(tier.every)}, fn: fn, createEmpty: false, timeSrc: "_start")
+            |> toFloat()
+            |> set(key: "stat", value: stat)
+            |> set(key: "_measurement", value: "grid_measurements")
+            |> to(bucket: ${fluxString(tier.bucket)}, org: ${fluxString(getInfluxOrg())})
+            |> group()
+            |> count()
+
+        ${stats.map(stat => `data |> rollup(fn: ${fluxAggregate(stat)}, stat: ${fluxString(stat)}) |> yield(name: ${fluxString(stat)})`).join('\n        ')}
+
+        data
+            |> map(fn: (r) => ({ r with _value: if not exists r.quality then 0.0 else ${QUALITY_RANK_EXPR} }))
+            |> rollup(fn: max, stat: "quality")
+            |> yield(name: "quality")
+    `;
+};
+
+// Compute and store one tier for a time range; returns the number of rollup points written
+export const rollupRange = async (tier, start, stop) => {
+    const { queryApi } = getInfluxAPIs();
+    const rows = await queryApi.collectRows(
+        rollupFlux(tier, new Date(start).toISOString(), new Date(stop).toISOString())
+    );
+    return rows.reduce((total, row) => total + (row._value || 0), 0);
+};
+
+// Create the rollup buckets and apply configured retention, re-checked periodically
+const ensureTierBuckets = async () => {
+    if (Date.now() - bucketsCheckedAt < BUCKET_CHECK_MS) return;
+
+    for (const tier of STORAGE_TIERS) {
+        // Raw retention is only managed when explicitly configured
+        if (tier.name === 'raw' && !process.env.INFLUXDB_RETENTION_RAW) continue;
+
+        const outcome = await ensureBucket(tier.bucket, tier.retentionMs);
+        if (outcome !== 'unchanged') {
+            console.log(`InfluxDB bucket ${tier.bucket} ${outcome}`);
+        }
+    }
+    bucketsCheckedAt = Date.now();
+};
+
+// Queue a rebuild of all tiers from raw data, e.g. after a historical backfill
+export const requestRollupRebuild = async (start, stop) => {
+    const rebuild = {
+        start: floorTo(start.getTime(), ROLLUP_TIERS[ROLLUP_TIERS.length - 1].windowMs),
+        stop: stop.getTime(),
+        requested_at: new Date().toISOString()
+    };
+    rebuild.next = rebuild.start;
+    await cache.set(REBUILD_KEY, rebuild, REBUILD_TTL);
+    return rebuild;
+};
+
+// Queue the rolled-up windows from start to stop to be computed again after raw samples in them
+// changed, e.g. a substituted value. Windows the rollup job still recomputes by itself are left to
+// it, and a rebuild already queued is extended rather than replaced.
+export const refreshRollups = async (start, stop) => {
+    const coverage = await getRollupCoverage();
+    const stale = ROLLUP_TIERS.some(tier => {
+        const current = coverage[tier.name];
+        return current && stop.getTime() >= current.since &&
+            start.getTime() < floorTo(current.until - LOOKBACK_MS, tier.windowMs);
+    });
+    if (!stale) return null;
+
+    const coarsest = ROLLUP_TIERS[ROLLUP_TIERS.length - 1].windowMs;
+    const queued = await cache.get(REBUILD_KEY);
+    const rebuildStart = floorTo(start.getTime(), coarsest);
+    const rebuild = {
+        start: Math.min(rebuildStart, queued?.start ?? rebuildStart),
+        stop: Math.min(Math.max(floorTo(stop.getTime(), coarsest) + coarsest, queued?.stop ?? 0), Date.now()),
+        requested_at: queued?.requested_at || new Date().toISOString(),
+        next: Math.min(rebuildStart, queued?.next ?? rebuildStart)
+    };
+    await cache.set(REBUILD_KEY, rebuild, REBUILD_TTL);
+    return rebuild;
+};
+
+const continueRebuild = async (startedAt) => {
+    const rebuild = await cache.get(REBUILD_KEY);
+    if (!rebuild) return;
+
+    while (rebuild.next < rebuild.stop && Date.now() - startedAt < REBUILD_BUDGET_MS) {
+        const end = Math.min(rebuild.next + CHUNK_MS, rebuild.stop);
+        for (const tier of ROLLUP_TIERS) {
+            await rollupRange(tier, floorTo(rebuild.next, tier.windowMs), end);
+        }
+        rebuild.next = end;
+    }
+
+    if (rebuild.next < rebuild.stop) {
+        await cache.set(REBUILD_KEY, rebuild, REBUILD_TTL);
+        return;
+    }
+
+    // Rebuilt history joins the coverage once it connects to it
+    const coverage = await getRollupCoverage();
+    for (const tier of ROLLUP_TIERS) {
+        const current = coverage[tier.name];
+        if (current && rebuild.stop >= current.since && rebuild.start < current.since) {
+            await setRollupCoverage(tier.name, { ...current, since: rebuild.start });
+        }
+    }
+    await cache.delete(REBUILD_KEY);
+    console.log(`Rollup rebuild from ${new Date(rebuild.start).toISOString()} completed`);
+};
+
+// Background job: roll up newly settled windows of every tier, then continue a queued rebuild
+export const runRollups = async () => {
+    const startedAt = Date.now();
+    await ensureTierBuckets();
+
+    const coverage = await getRollupCoverage();
+    // Spooled samples reach InfluxDB with their source times, which coverage (or a queued rebuild)
+    // may already have passed by the time the spool drains; both wait until it has drained
+    const { batches: spooled } = await getSpoolStatus();
+    if (spooled > 0) return;
+
+    for (const tier of ROLLUP_TIERS) {
+
+        const current = coverage[tier.name];
+        const stop = floorTo(startedAt - SETTLE_MS, tier.windowMs);
+        const start = current
+            ? floorTo(current.until - LOOKBACK_MS, tier.windowMs)
+            : floorTo(stop - INITIAL_BACKFILL_MS, tier.windowMs);
+
+        // Nothing new has settled; late samples are picked up with the next window
+        if (current && stop <= current.until) continue;
+
+        // A job that fell behind catches up one chunk per run
+        const end = Math.min(stop, start + CHUNK_MS);
+        if (end <= start) continue;
+
+        await rollupRange(tier, start, end);
+        await setRollupCoverage(tier.name, {
+            since: current?.since ?? start,
+            until: Math.max(end, current?.until ?? 0)
+        });
+    }
+
+    await continueRebuild(startedAt);
+};
+
+export const getRollupStatus = async () => {
+    const coverage = await getRollupCoverage();
+    const rebuild = await cache.get(REBUILD_KEY);
+    const iso = (time) => (time ? new Date(time).toISOString() : null);
+
+    return {
+        tiers: STORAGE_TIERS.map(tier => ({
+            name: tier.name,
+            bucket: tier.bucket,
+            window: tier.every || null,
+            retention_days: tier.retentionMs ? tier.retentionMs / 86400000 : null,
+            stats: tier.name === 'raw' ? null : ROLLUP_STATS,
+            covered_since: iso(coverage[tier.name]?.since),
+            covered_until: iso(coverage[tier.name]?.until)
+        })),
+        rebuild: rebuild ? {
+            start: iso(rebuild.start),
+            stop: iso(rebuild.stop),
+            progress_until: iso(rebuild.next),
+            requested_at: rebuild.requested_at
+        } : null
+    };
+};
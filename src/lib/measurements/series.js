@@ -0,0 +1,160 @@
+// src/lib/measurements/series.js
+import { query } from '../db/postgres.js';
+import { queryMeasurementSeries } from '../db/influx.js';
+import { parseDurationMs, parseFluxTime } from '../db/flux.js';
+import { perUnitField, unitOf } from './perunit.js';
+import { ValidationError } from '../utils/errors.js';
+
+// Elements one query may span; the point cap bounds the result size
+export const MAX_SERIES_ELEMENTS = 200;
+
+// Elements selected by id, group membership, type or a [min_lon, min_lat, max_lon, max_lat]
+// bounding box; all given selectors must match
+export const resolveSeriesElements = async ({ element_ids, group_ids, element_type, bbox }, { max = MAX_SERIES_ELEMENTS } = {}) => {
+    const conditions = ['e.deleted_at IS NULL'];
+    const params = [];
+
+    if (element_ids?.length) {
+        params.push(element_ids);
+        conditions.push(`e.id = ANY($${params.length})`);
+    }
+    if (group_ids?.length) {
+        params.push(group_ids);
+        conditions.push(`e.id IN (SELECT element_id FROM element_group_members WHERE group_id = ANY($${params.length}))`);
+    }
+    if (element_type) {
+        params.push(element_type);
+        conditions.push(`e.element_type = $${params.length}`);
+    }
+    if (bbox) {
+        params.push(...bbox);
+        const at = params.length - 3;
+        conditions.push(`e.longitude BETWEEN $${at} AND $${at + 2} AND e.latitude BETWEEN $${at + 1} AND $${at + 3}`);
+    }
+
+    params.push(max + 1);
+    const result = await query(`
+        SELECT e.id, e.name, e.element_type, e.metadata
+        FROM grid_elements e
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY e.name, e.id
+        LIMIT $${params.length}
+    `, params);
+
+    if (result.rows.length > max) {
+        throw new ValidationError([{
+            path: 'element_ids',
+            message: `Selection matches more than ${max} elements`
+        }]);
+    }
+    return result.rows;
+};
+
+// Reject queries whose series and windows could exceed the point cap before running them
+const checkPointBudget = (seriesCount, start, stop, window, maxPoints) => {
+    const now = new Date();
+    const startTime = parseFluxTime(start, now);
+    const stopTime = parseFluxTime(stop, now);
+    const windowMs = parseDurationMs(window);
+
+    if (!startTime || !stopTime || startTime >= stopTime) {
+        throw new ValidationError([{ path: 'start', message: 'start and stop must be a valid range with start before stop' }]);
+    }
+    if (!windowMs || windowMs <= 0) {
+        throw new ValidationError([{ path: 'window', message: 'window must be a positive duration' }]);
+    }
+
+    const windows = Math.ceil((stopTime - startTime) / windowMs) + 1;
+    const estimate = seriesCount * windows;
+    if (estimate > maxPoints) {
+        const minWindowS = Math.ceil((stopTime - startTime) / (Math.floor(maxPoints / seriesCount) || 1) / 1000);
+        throw new ValidationError([{
+            path: 'max_points',
+            message: `Query may return ${estimate} points, more than the limit of ${maxPoints}; ` +
+                `use a window of at least ${minWindowS}s or fewer series`
+        }]);
+    }
+    return estimate;
+};
+
+// Summary over measured values; filled windows are only counted
+const summarize = (values, filled) => {
+    if (values.length === 0) return { points: 0, filled, min: null, max: null, avg: null };
+
+    let min = Infinity;
+    let max = -Infinity;
+    let total = 0;
+    for (const value of values) {
+        if (value < min) min = value;
+        if (value > max) max = value;
+        total += value;
+    }
+    return { points: values.length, filled, min, max, avg: total / values.length };
+};
+
+// Time-aligned values of the selected fields of several elements, with a summary per series.
+// Wide format has one row per timestamp with values in series order; long has one row per value.
+// Points count measured windows only; the windows a fill mode synthesised are counted as filled.
+// Per unit reads the per-unit field stored for each field that has one.
+export const querySeriesTable = async (options) => {
+    const { fields, start, stop, aggregation, window, format, include_suspect, fill, units, max_points } = options;
+
+    const elements = await resolveSeriesElements(options);
+    const series = elements.flatMap(element => fields.map(field => ({
+        key: `${element.id}:${field}`,
+        element_id: element.id,
+        element_name: element.name,
+        element_type: element.element_type,
+        field,
+        unit: unitOf(field, units)
+    })));
+
+    const table = { series: [], data: [] };
+    if (series.length === 0) return table;
+
+    checkPointBudget(series.length, start, stop, window, max_points);
+
+    const stored = new Map(fields.map(field => [(units === 'pu' && perUnitField(field)) || field, field]));
+    const points = (await queryMeasurementSeries(
+        elements.map(element => element.id), [...stored.keys()], start, stop, aggregation, window,
+        { includeSuspect: include_suspect, fill }
+    )).map(point => ({ ...point, field: stored.get(point.field) }));
+
+    const index = new Map(series.map((entry, i) => [entry.key, i]));
+    const values = series.map(() => []);
+    const filled = series.map(() => 0);
+    for (const point of points) {
+        const column = index.get(`${point.element_id}:${point.field}`);
+        if (column === undefined) continue;
+
+        if (point.filled) filled[column]++;
+        else if (point.value !== null) values[column].push(point.value);
+    }
+    table.series = series.map((entry, i) => ({ ...entry, ...summarize(values[i], filled[i]) }));
+
+    if (format === 'long') {
+        table.data = points;
+        return table;
+    }
+
+    const rows = new Map();
+    for (const point of points) {
+        const column = index.get(`${point.element_id}:${point.field}`);
+        if (column === undefined) continue;
+
+        if (!rows.has(point.timestamp)) {
+            rows.set(point.timestamp, {
+                timestamp: point.timestamp,
+                values: series.map(() => null),
+                quality: series.map(() => null),
+                filled: series.map(() => false)
+            });
+        }
+        const row = rows.get(point.timestamp);
+        row.values[column] = point.value;
+        row.quality[column] = point.quality;
+        row.filled[column] = point.filled;
+    }
+    table.data = [...rows.values()];
+    return table;
+};
@@ -0,0 +1,157 @@
+// src/lib/measurements/spool.js
+// Store-and-forward for measurement writes. Samples InfluxDB cannot take for now (unreachable,
+// 5xx, 429) are appended to a Redis stream and written by a background job, oldest first, with
+// exponential backoff between failed attempts; an entry is removed only after InfluxDB took it.
+// Writing a sample twice (a retry after an ambiguous failure) is harmless, as InfluxDB keeps one
+// point per series and time. Samples InfluxDB rejects outright (a field type conflict, a time
+// outside retention) would fail the same way on every retry and hold up everything behind them,
+// so they go to a capped dead-letter stream instead.
+import redis from '../db/redis.js';
+import { writeMeasurementsOnce } from '../db/influx.js';
+
+const SPOOL_KEY = 'ingest:spool';
+const SAMPLES_KEY = 'ingest:spool:samples';
+const RETRY_KEY = 'ingest:spool:retry';
+const DEAD_LETTER_KEY = 'ingest:spool:dead';
+const DEAD_LETTER_MAX = parseInt(process.env.INGEST_SPOOL_DEAD_LETTER_MAX || '1000');
+// Samples written per InfluxDB request while draining
+const DRAIN_BATCH_SAMPLES = parseInt(process.env.INGEST_SPOOL_BATCH || '10000');
+// Keeps one drain run inside the job interval
+const DRAIN_BUDGET_MS = 750;
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 60000;
+// After a failed write, ingest on this instance spools directly for a while instead of waiting on
+// an InfluxDB that is likely still down
+const BYPASS_MS = 5000;
+
+let bypassUntil = 0;
+
+// 4xx responses other than auth failures (fixed by configuration) and 408/429 (worth retrying)
+const isRejected = (error) => error.statusCode >= 400 && error.statusCode < 500 &&
+    ![401, 403, 408, 429].includes(error.statusCode);
+
+// Add samples InfluxDB rejected to the dead-letter stream of a pending transaction
+const deadLetter = (multi, samples, error) => multi.xadd(
+    DEAD_LETTER_KEY, 'MAXLEN', '~', DEAD_LETTER_MAX, '*',
+    'samples', JSON.stringify(samples), 'status', String(error.statusCode), 'error', error.message
+);
+
+const toSample = ({ elementId, elementType, data, timestamp, quality }) =>
+    ({ elementId, elementType, data, timestamp: new Date(timestamp), quality });
+
+// Append samples ({ elementId, elementType, data, timestamp, quality }) to the spool
+export const spoolSamples = async (samples) => {
+    await redis.multi()
+        .xadd(SPOOL_KEY, '*', 'samples', JSON.stringify(samples))
+        .incrby(SAMPLES_KEY, samples.length)
+        .exec();
+};
+
+// Write samples to InfluxDB, or spool them if it cannot take them for now. Returns true if they
+// were spooled; throws only if the spool (or dead-letter stream) cannot be written either.
+export const storeSamples = async (samples) => {
+    if (samples.length === 0) return false;
+
+    if (Date.now() >= bypassUntil) {
+        try {
+            await writeMeasurementsOnce(samples);
+            return false;
+        } catch (error) {
+            if (isRejected(error)) {
+                console.error(`InfluxDB rejected ${samples.length} samples, dead-lettered:`, error.message);
+                await deadLetter(redis.multi(), samples, error).exec();
+                return false;
+            }
+            console.error(`InfluxDB write failed, spooling ${samples.length} samples:`, error.message);
+            bypassUntil = Date.now() + BYPASS_MS;
+        }
+    }
+
+    await spoolSamples(samples);
+    return true;
+};
+
+// Background job: write spooled samples to InfluxDB in order, backing off while it is unavailable
+export const drainSpool = async () => {
+    const retry = await redis.hgetall(RETRY_KEY);
+    if (retry.next_attempt_at && Date.now() < parseInt(retry.next_attempt_at)) return;
+
+    const started = Date.now();
+    let drained = 0;
+
+    while (Date.now() - started < DRAIN_BUDGET_MS) {
+        const entries = await redis.xrange(SPOOL_KEY, '-', '+', 'COUNT', 100);
+        if (entries.length === 0) break;
+
+        // Whole entries up to the batch size, and at least one however large
+        const ids = [];
+        const samples = [];
+        for (const [id, fields] of entries) {
+            const entrySamples = JSON.parse(fields[1]);
+            if (ids.length > 0 && samples.length + entrySamples.length > DRAIN_BATCH_SAMPLES) break;
+            ids.push(id);
+            samples.push(...entrySamples.map(toSample));
+        }
+
+        try {
+            await writeMeasurementsOnce(samples);
+        } catch (error) {
+            if (isRejected(error)) {
+                await deadLetter(redis.multi(), samples, error)
+                    .xdel(SPOOL_KEY, ...ids)
+                    .decrby(SAMPLES_KEY, samples.length)
+                    .exec();
+                console.error(`Spool batch of ${samples.length} samples rejected by InfluxDB, dead-lettered:`, error.message);
+                continue;
+            }
+
+            const attempts = parseInt(retry.attempts || '0') + 1;
+            const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+            await redis.hset(RETRY_KEY, {
+                attempts,
+                next_attempt_at: Date.now() + delay,
+                last_error: error.message
+            });
+            console.error(`Spool drain failed (attempt ${attempts}), retrying in ${delay}ms:`, error.message);
+            return;
+        }
+
+        await redis.multi()
+            .xdel(SPOOL_KEY, ...ids)
+            .decrby(SAMPLES_KEY, samples.length)
+            .exec();
+        drained += samples.length;
+    }
+
+    if (drained > 0) {
+        await redis.del(RETRY_KEY);
+        bypassUntil = 0;
+        console.log(`Spool drained ${drained} samples to InfluxDB`);
+    }
+};
+
+// Spooled samples waiting for InfluxDB, how far behind the oldest one is, and the batches
+// dead-lettered
+export const getSpoolStatus = async () => {
+    const [batches, samples, oldest, retry, deadLettered] = await Promise.all([
+        redis.xlen(SPOOL_KEY),
+        redis.get(SAMPLES_KEY),
+        redis.xrange(SPOOL_KEY, '-', '+', 'COUNT', 1),
+        redis.hgetall(RETRY_KEY),
+        redis.xlen(DEAD_LETTER_KEY)
+    ]);
+
+    // Stream ids start with the time the entry was spooled
+    const oldestAt = oldest.length > 0 ? new Date(parseInt(oldest[0][0].split('-')[0])) : null;
+    return {
+        depth: batches > 0 ? Math.max(parseInt(samples || '0'), 0) : 0,
+        batches,
+        oldest_at: oldestAt?.toISOString() || null,
+        lag_seconds: oldestAt ? Math.round((Date.now() - oldestAt.getTime()) / 1000) : 0,
+        retry_attempts: parseInt(retry.attempts || '0'),
+        next_attempt_at: retry.next_attempt_at ? new Date(parseInt(retry.next_attempt_at)).toISOString() : null,
+        last_error: retry.last_error || null,
+        // Batches InfluxDB rejected, kept up to the cap
+        dead_letter_batches: deadLettered
+    };
+};
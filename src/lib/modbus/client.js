@@ -0,0 +1,149 @@
+// src/lib/modbus/client.js
+import net from 'net';
+
+export const FUNCTION_CODES = {
+    holding: 0x03,
+    input: 0x04
+};
+
+// Registers per read request allowed by the Modbus specification
+export const MAX_REGISTERS_PER_READ = 125;
+
+const EXCEPTIONS = {
+    1: 'Illegal function',
+    2: 'Illegal data address',
+    3: 'Illegal data value',
+    4: 'Server device failure',
+    5: 'Acknowledge',
+    6: 'Server device busy',
+    10: 'Gateway path unavailable',
+    11: 'Gateway target device failed to respond'
+};
+
+// Raised for Modbus exception responses: the device answered, so comms are fine
+export class ModbusException extends Error {
+    constructor(functionCode, exceptionCode) {
+        super(`Modbus exception ${exceptionCode} (${EXCEPTIONS[exceptionCode] || 'Unknown'}) for function ${functionCode}`);
+        this.exceptionCode = exceptionCode;
+    }
+}
+
+// Minimal Modbus TCP client for register reads over one persistent connection
+export class ModbusTcpClient {
+    constructor({ host, port = 502, unitId = 1, timeoutMs = 2000 }) {
+        this.host = host;
+        this.port = port;
+        this.unitId = unitId;
+        this.timeoutMs = timeoutMs;
+        this.socket = null;
+        this.buffer = Buffer.alloc(0);
+        this.pending = new Map();
+        this.transactionId = 0;
+    }
+
+    get connected() {
+        return this.socket !== null && !this.socket.destroyed;
+    }
+
+    connect() {
+        if (this.connected) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error(`Connection to ${this.host}:${this.port} timed out`));
+            }, this.timeoutMs);
+
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                this.socket = socket;
+                resolve();
+            });
+            socket.once('error', (error) => {
+                clearTimeout(timer);
+                reject(error);
+            });
+
+            socket.on('data', (chunk) => this.onData(chunk));
+            socket.on('close', () => this.failPending(new Error('Connection closed')));
+            socket.on('error', (error) => this.failPending(error));
+        });
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        // MBAP header: transaction id, protocol id, length (unit id + PDU), unit id
+        while (this.buffer.length >= 7) {
+            const length = this.buffer.readUInt16BE(4);
+            if (this.buffer.length < 6 + length) return;
+
+            const frame = this.buffer.subarray(0, 6 + length);
+            this.buffer = this.buffer.subarray(6 + length);
+
+            const request = this.pending.get(frame.readUInt16BE(0));
+            if (!request) continue;
+
+            this.pending.delete(frame.readUInt16BE(0));
+            clearTimeout(request.timer);
+
+            const functionCode = frame.readUInt8(7);
+            if (functionCode & 0x80) {
+                request.reject(new ModbusException(functionCode & 0x7f, frame.readUInt8(8)));
+                continue;
+            }
+
+            const byteCount = frame.readUInt8(8);
+            const registers = [];
+            for (let i = 0; i < byteCount / 2; i++) {
+                registers.push(frame.readUInt16BE(9 + i * 2));
+            }
+            request.resolve(registers);
+        }
+    }
+
+    failPending(error) {
+        for (const request of this.pending.values()) {
+            clearTimeout(request.timer);
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    // Read a block of holding (0x03) or input (0x04) registers
+    async readRegisters(functionCode, address, count) {
+        await this.connect();
+
+        this.transactionId = (this.transactionId + 1) % 0x10000;
+        const transactionId = this.transactionId;
+
+        const frame = Buffer.alloc(12);
+        frame.writeUInt16BE(transactionId, 0);
+        frame.writeUInt16BE(0, 2);
+        frame.writeUInt16BE(6, 4);
+        frame.writeUInt8(this.unitId, 6);
+        frame.writeUInt8(functionCode, 7);
+        frame.writeUInt16BE(address, 8);
+        frame.writeUInt16BE(count, 10);
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(transactionId);
+                reject(new Error(`Read of ${count} registers at ${address} timed out`));
+            }, this.timeoutMs);
+
+            this.pending.set(transactionId, { resolve, reject, timer });
+            this.socket.write(frame);
+        });
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.destroy();
+            this.socket = null;
+        }
+        this.buffer = Buffer.alloc(0);
+        this.failPending(new Error('Connection closed'));
+    }
+}
@@ -0,0 +1,219 @@
+// src/lib/modbus/poller.js
+import { query } from '../db/postgres.js';
+import redis from '../db/redis.js';
+import { ingestBatch } from '../measurements/ingest.js';
+import { raiseCommsFailure, clearCommsFailure, COMMS_FAILURE_THRESHOLD } from '../alarms/comms.js';
+import { ModbusTcpClient, ModbusException } from './client.js';
+import { planReads, decodeEntry } from './registers.js';
+import { markConfigChanged, watchConfig } from '../jobs/config.js';
+import { ValidationError } from '../utils/errors.js';
+
+const DEVICE_REFRESH_MS = 30000;
+
+let devices = [];
+let devicesLoadedAt = 0;
+const clients = new Map();
+const lastPolled = new Map();
+const busy = new Set();
+const devicesChanged = watchConfig('modbus');
+
+const loadDevices = async () => {
+    const result = await query('SELECT * FROM modbus_devices WHERE enabled = true');
+    devices = result.rows;
+    devicesLoadedAt = Date.now();
+
+    // Close connections of devices that were removed or disabled
+    const ids = new Set(devices.map(device => device.id));
+    for (const id of clients.keys()) {
+        if (!ids.has(id)) disconnectDevice(id);
+    }
+};
+
+// Reject register maps that feed unknown elements or the same field twice
+export const checkRegisterMap = async (registerMap) => {
+    const errors = [];
+    const seen = new Set();
+
+    registerMap.forEach((entry, index) => {
+        const key = `${entry.element_id}:${entry.field}`;
+        if (seen.has(key)) {
+            errors.push({ path: `register_map.${index}.field`, message: `Field ${entry.field} is mapped twice for element ${entry.element_id}` });
+        }
+        seen.add(key);
+    });
+
+    const ids = [...new Set(registerMap.map(entry => entry.element_id))];
+    const result = await query(
+        'SELECT id FROM grid_elements WHERE id = ANY($1) AND deleted_at IS NULL',
+        [ids]
+    );
+    const found = new Set(result.rows.map(row => row.id));
+
+    registerMap.forEach((entry, index) => {
+        if (!found.has(entry.element_id)) {
+            errors.push({ path: `register_map.${index}.element_id`, message: `Element ${entry.element_id} not found` });
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+};
+
+// Reload the device list on the next tick after a configuration change. The change is made by
+// whichever instance served the request, while every instance runs a poller, so it is signalled
+// through Redis rather than by resetting this instance's load time.
+export const reloadModbusDevices = () => markConfigChanged('modbus');
+
+export const disconnectDevice = (deviceId) => {
+    clients.get(deviceId)?.close();
+    clients.delete(deviceId);
+};
+
+const getClient = (device) => {
+    let client = clients.get(device.id);
+
+    // Reconnect with the new settings if the device was reconfigured
+    if (client && (client.host !== device.host || client.port !== device.port ||
+        client.unitId !== device.unit_id || client.timeoutMs !== device.timeout_ms)) {
+        disconnectDevice(device.id);
+        client = null;
+    }
+
+    if (!client) {
+        client = new ModbusTcpClient({
+            host: device.host,
+            port: device.port,
+            unitId: device.unit_id,
+            timeoutMs: device.timeout_ms
+        });
+        clients.set(device.id, client);
+    }
+    return client;
+};
+
+// Read and decode a device's register map; a Modbus exception fails only its block
+export const readDevice = async (device) => {
+    const client = getClient(device);
+    const values = [];
+    const errors = [];
+
+    for (const block of planReads(device.register_map)) {
+        let words;
+        try {
+            words = await client.readRegisters(block.functionCode, block.address, block.count);
+        } catch (error) {
+            if (!(error instanceof ModbusException)) {
+                disconnectDevice(device.id);
+                throw error;
+            }
+            errors.push({ address: block.address, count: block.count, error: error.message });
+            continue;
+        }
+
+        for (const entry of block.entries) {
+            values.push({ element_id: entry.element_id, field: entry.field, value: decodeEntry(entry, block, words) });
+        }
+    }
+
+    return { values, errors };
+};
+
+// Record the outcome of a poll; warnings are partial failures on a responding device
+const recordCommsResult = async (device, error, warnings = []) => {
+    const source = { protocol: 'Modbus', id: device.id, name: device.name, address: `${device.host}:${device.port}/${device.unit_id}` };
+
+    if (!error) {
+        if (device.comms_event_id) {
+            await clearCommsFailure(device.comms_event_id);
+        }
+        const result = await query(`
+            UPDATE modbus_devices
+            SET comms_status = 'online', consecutive_failures = 0, comms_event_id = NULL,
+                last_poll_at = NOW(), last_success_at = NOW(), last_error = $2
+            WHERE id = $1
+            RETURNING *
+        `, [device.id, warnings.length > 0 ? JSON.stringify(warnings) : null]);
+        return result.rows[0];
+    }
+
+    const failures = device.consecutive_failures + 1;
+    let eventId = device.comms_event_id;
+
+    if (failures >= COMMS_FAILURE_THRESHOLD && !eventId) {
+        const event = await raiseCommsFailure(source, error.message);
+        eventId = event.id;
+    }
+
+    const result = await query(`
+        UPDATE modbus_devices
+        SET comms_status = CASE WHEN $2 >= $3 THEN 'offline' ELSE comms_status END,
+            consecutive_failures = $2, comms_event_id = $4,
+            last_poll_at = NOW(), last_error = $5
+        WHERE id = $1
+        RETURNING *
+    `, [device.id, failures, COMMS_FAILURE_THRESHOLD, eventId, error.message]);
+    return result.rows[0];
+};
+
+// Poll one device and feed its values through the measurement pipeline
+export const pollDevice = async (device, { ingest = true } = {}) => {
+    const timestamp = new Date().toISOString();
+    let reading;
+
+    try {
+        reading = await readDevice(device);
+    } catch (error) {
+        const updated = await recordCommsResult(device, error);
+        return { device: updated, timestamp, error: error.message, values: [], errors: [] };
+    }
+
+    let outcome = null;
+    if (ingest && reading.values.length > 0) {
+        const byElement = {};
+        for (const { element_id, field, value } of reading.values) {
+            byElement[element_id] = byElement[element_id] || {};
+            byElement[element_id][field] = value;
+        }
+
+        const records = Object.entries(byElement).map(([elementId, measurements], i) => ({
+            line: i + 1,
+            element_id: elementId,
+            timestamp,
+            measurements
+        }));
+        outcome = await ingestBatch(records);
+        outcome.errors = outcome.errors.map(({ line, error }) => ({ element_id: records[line - 1].element_id, error }));
+    }
+
+    const errors = [...reading.errors, ...(outcome?.errors || [])];
+    const updated = await recordCommsResult(device, null, errors);
+
+    return { device: updated, timestamp, values: reading.values, errors };
+};
+
+// Background job tick: poll every device whose interval has elapsed
+export const pollDueDevices = async () => {
+    if (await devicesChanged() || Date.now() - devicesLoadedAt > DEVICE_REFRESH_MS) {
+        await loadDevices();
+    }
+
+    const now = Date.now();
+    for (const device of devices) {
+        if (busy.has(device.id) || now - (lastPolled.get(device.id) || 0) < device.poll_interval_ms) continue;
+
+        // One poll per interval across API instances
+        const acquired = await redis.set(`modbus:poll:${device.id}`, process.pid, 'PX', device.poll_interval_ms, 'NX');
+        lastPolled.set(device.id, now);
+        if (!acquired) continue;
+
+        busy.add(device.id);
+        pollDevice(device)
+            .then(({ device: updated }) => {
+                const index = devices.findIndex(d => d.id === device.id);
+                if (updated && index !== -1) devices[index] = updated;
+            })
+            .catch(error => console.error(`Modbus poll of ${device.name} failed:`, error))
+            .finally(() => busy.delete(device.id));
+    }
+};
@@ -0,0 +1,59 @@
+// src/lib/modbus/registers.js
+import { FUNCTION_CODES, MAX_REGISTERS_PER_READ } from './client.js';
+
+export const DATA_TYPES = {
+    int16: 1,
+    uint16: 1,
+    int32: 2,
+    uint32: 2,
+    float32: 2
+};
+
+export const registerCount = (entry) => DATA_TYPES[entry.data_type || 'uint16'];
+
+// Group register map entries into as few contiguous reads as possible
+export const planReads = (registerMap) => {
+    const blocks = [];
+    const sorted = [...registerMap].sort((a, b) =>
+        (a.register_type || 'holding').localeCompare(b.register_type || 'holding') || a.address - b.address
+    );
+
+    for (const entry of sorted) {
+        const functionCode = FUNCTION_CODES[entry.register_type || 'holding'];
+        const end = entry.address + registerCount(entry);
+        const block = blocks[blocks.length - 1];
+
+        if (block && block.functionCode === functionCode &&
+            entry.address <= block.address + block.count &&
+            end - block.address <= MAX_REGISTERS_PER_READ) {
+            block.count = Math.max(block.count, end - block.address);
+            block.entries.push(entry);
+        } else {
+            blocks.push({ functionCode, address: entry.address, count: end - entry.address, entries: [entry] });
+        }
+    }
+
+    return blocks;
+};
+
+// Decode one register map entry from the words of its block, applying scale and offset
+export const decodeEntry = (entry, block, words) => {
+    const start = entry.address - block.address;
+    const count = registerCount(entry);
+    const selected = words.slice(start, start + count);
+    if (entry.word_order === 'little') selected.reverse();
+
+    const buffer = Buffer.alloc(count * 2);
+    selected.forEach((word, i) => buffer.writeUInt16BE(word, i * 2));
+
+    let raw;
+    switch (entry.data_type || 'uint16') {
+        case 'int16': raw = buffer.readInt16BE(0); break;
+        case 'uint16': raw = buffer.readUInt16BE(0); break;
+        case 'int32': raw = buffer.readInt32BE(0); break;
+        case 'uint32': raw = buffer.readUInt32BE(0); break;
+        case 'float32': raw = buffer.readFloatBE(0); break;
+    }
+
+    return raw * (entry.scale ?? 1) + (entry.offset ?? 0);
+};
@@ -0,0 +1,252 @@
+// src/lib/mqtt/bridge.js
+import mqtt from 'mqtt';
+import { query } from '../db/postgres.js';
+import { cache } from '../db/redis.js';
+import { markConfigChanged, watchConfig } from '../jobs/config.js';
+import { ingestBatch } from '../measurements/ingest.js';
+import { raiseCommsFailure, clearCommsFailure } from '../alarms/comms.js';
+import { matchTopic, parsePayload, applyMapping } from './mapping.js';
+
+const BROKER_URL = process.env.MQTT_URL;
+// Shared subscription group so several API instances split messages instead of duplicating them
+const SHARED_GROUP = process.env.MQTT_SHARED_GROUP || 'grid-monitoring';
+const FLUSH_INTERVAL_MS = 250;
+const HOUSEKEEPING_INTERVAL_MS = 1000;
+const STATS_INTERVAL_MS = 5000;
+// Periodic reload also picks up renamed or new elements for name-matched mappings
+const MAPPING_REFRESH_MS = 30000;
+const STATUS_KEY = 'mqtt:bridge:status';
+const MAX_BUFFERED_RECORDS = 5000;
+// Broker outage longer than this raises a communication failure event
+const OFFLINE_ALARM_MS = parseInt(process.env.MQTT_OFFLINE_ALARM_MS || '30000');
+
+let client = null;
+let mappings = [];
+let elementsByName = new Map();
+let subscribed = new Map();
+let buffer = [];
+let stats = new Map();
+let flushTimer = null;
+let housekeepingTimer = null;
+let flushing = false;
+let statsPersistedAt = Date.now();
+let mappingsLoadedAt = 0;
+let offlineSince = null;
+let offlineEventId = null;
+let lastError = null;
+const mappingsChanged = watchConfig('mqtt');
+
+const subscriptionTopic = (filter) => (SHARED_GROUP ? `$share/${SHARED_GROUP}/${filter}` : filter);
+
+const mappingStats = (mappingId) => {
+    if (!stats.has(mappingId)) stats.set(mappingId, { messages: 0, errors: 0, lastError: null });
+    return stats.get(mappingId);
+};
+
+// Signal bridges on every instance to reload mappings after a configuration change
+export const notifyMqttMappingsChanged = () => markConfigChanged('mqtt');
+
+// Load enabled mappings and align subscriptions with their topic filters
+const reloadMqttMappings = async () => {
+    const result = await query('SELECT * FROM mqtt_mappings WHERE enabled = true ORDER BY created_at');
+    mappings = result.rows;
+    mappingsLoadedAt = Date.now();
+
+    if (mappings.some(mapping => mapping.element_match === 'name')) {
+        const elements = await query('SELECT id, name FROM grid_elements WHERE deleted_at IS NULL');
+        elementsByName = new Map(elements.rows.map(row => [row.name, row.id]));
+    }
+
+    if (!client) return;
+
+    const wanted = new Map();
+    for (const mapping of mappings) {
+        wanted.set(mapping.topic_filter, Math.max(wanted.get(mapping.topic_filter) ?? 0, mapping.qos));
+    }
+
+    for (const filter of subscribed.keys()) {
+        if (!wanted.has(filter)) {
+            client.unsubscribe(subscriptionTopic(filter));
+            subscribed.delete(filter);
+        }
+    }
+    for (const [filter, qos] of wanted) {
+        if (subscribed.get(filter) !== qos) {
+            client.subscribe(subscriptionTopic(filter), { qos });
+            subscribed.set(filter, qos);
+        }
+    }
+};
+
+const handleMessage = (topic, message) => {
+    let payload;
+    const matching = mappings.filter(mapping => matchTopic(mapping.topic_filter, topic));
+    if (matching.length === 0) return;
+
+    try {
+        payload = parsePayload(message);
+    } catch (error) {
+        for (const mapping of matching) {
+            const stat = mappingStats(mapping.id);
+            stat.messages++;
+            stat.errors++;
+            stat.lastError = `${topic}: ${error.message}`;
+        }
+        return;
+    }
+
+    for (const mapping of matching) {
+        const { records, errors } = applyMapping(mapping, topic, payload, elementsByName);
+        const stat = mappingStats(mapping.id);
+        stat.messages++;
+
+        if (errors.length > 0) {
+            stat.errors += errors.length;
+            stat.lastError = `${topic}: ${errors[0].error}`;
+        }
+        for (const record of records) {
+            buffer.push({ ...record, mappingId: mapping.id, topic });
+        }
+    }
+
+    if (buffer.length >= MAX_BUFFERED_RECORDS) {
+        flush().catch(error => console.error('MQTT bridge flush error:', error));
+    }
+};
+
+// Push buffered records through the measurement pipeline, one batch at a time
+const flush = async () => {
+    if (flushing || buffer.length === 0) return;
+    flushing = true;
+
+    const records = buffer;
+    buffer = [];
+
+    try {
+        const outcome = await ingestBatch(records.map((record, i) => ({ ...record, line: i + 1 })));
+        for (const { line, error } of outcome.errors) {
+            const record = records[line - 1];
+            const stat = mappingStats(record.mappingId);
+            stat.errors++;
+            stat.lastError = `${record.topic}: ${error}`;
+        }
+    } catch (error) {
+        console.error('MQTT bridge ingest error:', error);
+    } finally {
+        flushing = false;
+    }
+};
+
+const persistStats = async () => {
+    const flushedStats = stats;
+    stats = new Map();
+    statsPersistedAt = Date.now();
+
+    for (const [mappingId, stat] of flushedStats) {
+        await query(`
+            UPDATE mqtt_mappings
+            SET message_count = message_count + $2,
+                error_count = error_count + $3,
+                last_message_at = NOW(),
+                last_error = COALESCE($4, last_error)
+            WHERE id = $1
+        `, [mappingId, stat.messages, stat.errors, stat.lastError]).catch(error => console.error('MQTT stats error:', error));
+    }
+};
+
+const source = () => ({ protocol: 'MQTT', id: null, name: 'broker', address: BROKER_URL });
+
+const checkOffline = async () => {
+    if (offlineSince && !offlineEventId && Date.now() - offlineSince >= OFFLINE_ALARM_MS) {
+        const event = await raiseCommsFailure(source(), lastError || 'Broker unreachable');
+        offlineEventId = event.id;
+    }
+};
+
+// Connect to the broker and start bridging; a no-op when MQTT_URL is not configured
+export const startMqttBridge = async () => {
+    if (!BROKER_URL || client) return;
+
+    await reloadMqttMappings();
+
+    client = mqtt.connect(BROKER_URL, {
+        username: process.env.MQTT_USERNAME,
+        password: process.env.MQTT_PASSWORD,
+        clientId: process.env.MQTT_CLIENT_ID || `grid-monitoring-${process.pid}`,
+        reconnectPeriod: 5000
+    });
+    offlineSince = Date.now();
+
+    client.on('connect', async () => {
+        console.log(`MQTT bridge connected to ${BROKER_URL}`);
+        offlineSince = null;
+        lastError = null;
+        subscribed = new Map();
+        await reloadMqttMappings().catch(error => console.error('MQTT mapping load error:', error));
+
+        if (offlineEventId) {
+            await clearCommsFailure(offlineEventId).catch(error => console.error('MQTT comms event error:', error));
+            offlineEventId = null;
+        }
+    });
+
+    client.on('message', handleMessage);
+    client.on('error', (error) => {
+        lastError = error.message;
+        console.error('MQTT bridge error:', error.message);
+    });
+    client.on('offline', () => {
+        offlineSince = offlineSince || Date.now();
+    });
+
+    flushTimer = setInterval(() => {
+        flush().catch(error => console.error('MQTT bridge flush error:', error));
+    }, FLUSH_INTERVAL_MS);
+    housekeepingTimer = setInterval(() => {
+        housekeeping().catch(error => console.error('MQTT bridge housekeeping error:', error));
+    }, HOUSEKEEPING_INTERVAL_MS);
+};
+
+const housekeeping = async () => {
+    if (await mappingsChanged() || Date.now() - mappingsLoadedAt >= MAPPING_REFRESH_MS) {
+        await reloadMqttMappings();
+    }
+    if (Date.now() - statsPersistedAt >= STATS_INTERVAL_MS) {
+        await persistStats();
+    }
+    await checkOffline();
+
+    // Published for the status endpoint, which runs outside the bridge
+    await cache.set(STATUS_KEY, {
+        broker: BROKER_URL,
+        connected: Boolean(client?.connected),
+        offline_since: offlineSince ? new Date(offlineSince).toISOString() : null,
+        last_error: lastError,
+        subscriptions: [...subscribed.keys()],
+        mappings: mappings.length,
+        buffered: buffer.length,
+        updated_at: new Date().toISOString()
+    }, 10);
+};
+
+export const stopMqttBridge = async () => {
+    clearInterval(flushTimer);
+    clearInterval(housekeepingTimer);
+    flushTimer = null;
+    housekeepingTimer = null;
+    await flush();
+    await persistStats();
+    if (client) {
+        await client.endAsync();
+        client = null;
+    }
+};
+
+export const getMqttBridgeStatus = async () => {
+    const status = await cache.get(STATUS_KEY);
+    return {
+        configured: Boolean(BROKER_URL),
+        running: Boolean(status),
+        ...status
+    };
+};
@@ -0,0 +1,102 @@
+// src/lib/mqtt/mapping.js
+import { checkRecord } from '../measurements/formats.js';
+
+// Match an MQTT topic against a filter with + and # wildcards
+export const matchTopic = (filter, topic) => {
+    const filterLevels = filter.split('/');
+    const topicLevels = topic.split('/');
+
+    for (let i = 0; i < filterLevels.length; i++) {
+        if (filterLevels[i] === '#') return true;
+        if (i >= topicLevels.length) return false;
+        if (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i]) return false;
+    }
+    return filterLevels.length === topicLevels.length;
+};
+
+// Read a dot path such as "values.0.v_l1" from a payload
+export const getPath = (value, path) => {
+    if (!path) return value;
+    return path.split('.').reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), value);
+};
+
+export const parsePayload = (message) => {
+    const text = message.toString();
+    try {
+        return JSON.parse(text);
+    } catch {
+        const number = Number(text.trim());
+        if (text.trim() !== '' && Number.isFinite(number)) return number;
+        throw new Error('Payload is neither JSON nor a number');
+    }
+};
+
+const resolveElement = (mapping, levels, item, elementsByName) => {
+    let key = mapping.element_id;
+    if (mapping.element_segment !== null && mapping.element_segment !== undefined) {
+        key = levels[mapping.element_segment];
+    } else if (mapping.element_path) {
+        key = getPath(item, mapping.element_path);
+    }
+
+    if (key === undefined || key === null || key === '') {
+        throw new Error('Element could not be resolved from topic or payload');
+    }
+    if (mapping.element_match === 'name') {
+        const id = elementsByName.get(String(key));
+        if (!id) throw new Error(`No element named ${key}`);
+        return id;
+    }
+    return String(key);
+};
+
+const toNumber = (value, field) => {
+    const number = typeof value === 'string' ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`Value for ${field} is not numeric`);
+    }
+    return number;
+};
+
+// Turn one message into measurement records; an array payload yields one record per item
+export const applyMapping = (mapping, topic, payload, elementsByName = new Map()) => {
+    const levels = topic.split('/');
+    const items = Array.isArray(payload) ? payload : [payload];
+    const records = [];
+    const errors = [];
+
+    items.forEach((item, index) => {
+        try {
+            const measurements = {};
+
+            if (mapping.field_segment !== null && mapping.field_segment !== undefined) {
+                const field = levels[mapping.field_segment];
+                measurements[field] = toNumber(getPath(item, mapping.value_path), field);
+            } else {
+                for (const { field, path, scale = 1, offset = 0 } of mapping.fields) {
+                    const value = getPath(item, path);
+                    if (value === undefined || value === null) continue;
+                    measurements[field] = toNumber(value, field) * scale + offset;
+                }
+            }
+
+            if (Object.keys(measurements).length === 0) {
+                throw new Error('No mapped fields in payload');
+            }
+
+            const timestamp = mapping.timestamp_path ? getPath(item, mapping.timestamp_path) : undefined;
+            records.push(checkRecord({
+                line: index + 1,
+                element_id: resolveElement(mapping, levels, item, elementsByName),
+                // Numeric timestamps are taken as epoch milliseconds
+                timestamp: typeof timestamp === 'number' ? new Date(timestamp).toISOString() : timestamp,
+                quality: mapping.quality_path ? getPath(item, mapping.quality_path) : undefined,
+                measurements
+            }));
+        } catch (error) {
+            errors.push({ line: index + 1, error: error.message });
+        }
+    });
+
+    return { records, errors };
+};
@@ -0,0 +1,179 @@
+// src/lib/notifications/delivery.js
+// Notification deliveries: a message is queued per user and channel, following each user's
+// notification settings, and sent by a background job that retries failures with backoff. Every
+// delivery keeps its attempt count and last error.
+import { query } from '../db/postgres.js';
+import { sendNotification } from './channels.js';
+import { notificationSettingsSchema, SEVERITIES } from '../validation/schemas.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS || '5');
+const RETRY_BASE_SECONDS = 30;
+// A claimed delivery is left to its sender for this long, then retried
+const CLAIM_SECONDS = 120;
+const DELIVERY_BATCH = 50;
+// Keeps one delivery run near the job interval; a send in progress is not cut short
+const DELIVERY_BUDGET_MS = 4000;
+
+// Settings as stored, with defaults; settings that no longer validate fall back to email only
+export const notificationSettingsOf = (stored) => {
+    const parsed = notificationSettingsSchema.safeParse(stored || {});
+    return parsed.success ? parsed.data : notificationSettingsSchema.parse({});
+};
+
+const targetOf = (channel, user, settings) => ({
+    email: settings.email || user.email,
+    sms: settings.phone,
+    webhook: settings.webhook_url
+})[channel];
+
+// Queue a message ({ subject, text, alarm }) for users on the channels each chose. Users who turned
+// notifications off, or only want more severe alarms, are skipped. Returns the queued deliveries.
+export const queueNotifications = async (userIds, message, { eventId = null, policyId = null, tier = null, severity = null } = {}) => {
+    const users = await query(`
+        SELECT u.id, u.email, up.notification_settings
+        FROM users u
+        LEFT JOIN user_preferences up ON up.user_id = u.id
+        WHERE u.id = ANY($1) AND u.is_active = true
+    `, [userIds]);
+
+    const deliveries = [];
+    for (const user of users.rows) {
+        const settings = notificationSettingsOf(user.notification_settings);
+        if (!settings.enabled) continue;
+        if (severity && SEVERITIES.indexOf(severity) < SEVERITIES.indexOf(settings.min_severity)) continue;
+
+        for (const channel of settings.channels) {
+            const target = targetOf(channel, user, settings);
+            if (target) deliveries.push({ userId: user.id, channel, target });
+        }
+    }
+    if (deliveries.length === 0) return [];
+
+    const result = await query(`
+        INSERT INTO notification_deliveries (event_id, policy_id, tier, user_id, channel, target, message)
+        SELECT $1, $2, $3, t.user_id, t.channel, t.target, $7
+        FROM unnest($4::uuid[], $5::varchar[], $6::varchar[]) AS t(user_id, channel, target)
+        RETURNING *
+    `, [
+        eventId,
+        policyId,
+        tier,
+        deliveries.map(delivery => delivery.userId),
+        deliveries.map(delivery => delivery.channel),
+        deliveries.map(delivery => delivery.target),
+        JSON.stringify(message)
+    ]);
+
+    return result.rows;
+};
+
+// Take due deliveries (of ids, or any) for sending, so no other runner sends them meanwhile
+const claimDeliveries = async (ids = null) => {
+    const result = await query(`
+        UPDATE notification_deliveries
+        SET next_attempt_at = NOW() + make_interval(secs => $1)
+        WHERE id IN (
+            SELECT id FROM notification_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= NOW() AND ($3::uuid[] IS NULL OR id = ANY($3))
+            ORDER BY next_attempt_at
+            LIMIT $2
+            FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *
+    `, [CLAIM_SECONDS, DELIVERY_BATCH, ids]);
+    return result.rows;
+};
+
+// Send a claimed delivery; a failure is retried with exponential backoff until MAX_ATTEMPTS
+const attemptDelivery = async (delivery) => {
+    try {
+        await sendNotification(delivery.channel, delivery.target, delivery.message);
+    } catch (error) {
+        const attempts = delivery.attempts + 1;
+        const failed = await query(`
+            UPDATE notification_deliveries
+            SET attempts = $2,
+                last_error = $3,
+                status = CASE WHEN $2 >= $4 THEN 'failed' ELSE 'pending' END,
+                next_attempt_at = NOW() + make_interval(secs => $5)
+            WHERE id = $1
+            RETURNING *
+        `, [delivery.id, attempts, error.message, MAX_ATTEMPTS, RETRY_BASE_SECONDS * 2 ** (attempts - 1)]);
+        console.error(`Notification ${delivery.channel} to ${delivery.target} failed (attempt ${attempts}):`, error.message);
+        return failed.rows[0];
+    }
+
+    const sent = await query(`
+        UPDATE notification_deliveries
+        SET status = 'sent', attempts = attempts + 1, sent_at = NOW(), last_error = NULL
+        WHERE id = $1
+        RETURNING *
+    `, [delivery.id]);
+    return sent.rows[0];
+};
+
+// Background job: send due deliveries, oldest first
+export const deliverNotifications = async () => {
+    const started = Date.now();
+    const claimed = await claimDeliveries();
+
+    for (const [index, delivery] of claimed.entries()) {
+        if (Date.now() - started > DELIVERY_BUDGET_MS) {
+            // Hand the rest back for the next run
+            await query(`
+                UPDATE notification_deliveries SET next_attempt_at = NOW()
+                WHERE id = ANY($1) AND status = 'pending'
+            `, [claimed.slice(index).map(pending => pending.id)]);
+            break;
+        }
+        await attemptDelivery(delivery);
+    }
+};
+
+// Send a test message to a user on each of their channels at once, to check their settings and
+// the channel configuration. Returns the deliveries with their outcome.
+export const sendTestNotification = async (userId) => {
+    const queued = await queueNotifications([userId], {
+        subject: 'Test notification from Grid Monitor',
+        text: 'This is a test notification. Alarms escalated to you will be delivered on this channel.'
+    });
+    if (queued.length === 0) return [];
+
+    const claimed = await claimDeliveries(queued.map(delivery => delivery.id));
+    const outcomes = [];
+    for (const delivery of claimed) {
+        outcomes.push(await attemptDelivery(delivery));
+    }
+    return outcomes;
+};
+
+// Deliveries, newest first, optionally of one event, user or status
+export const listDeliveries = async ({ event_id: eventId, user_id: userId, status, limit }) => {
+    const params = [];
+    const conditions = [];
+    for (const [column, value] of [['event_id', eventId], ['user_id', userId], ['status', status]]) {
+        if (value) {
+            params.push(value);
+            conditions.push(`d.${column} = $${params.length}`);
+        }
+    }
+
+    params.push(limit);
+    const result = await query(`
+        SELECT
+            d.*,
+            u.name AS user_name,
+            p.name AS policy_name,
+            ev.severity AS event_severity,
+            ev.description AS event_description
+        FROM notification_deliveries d
+        LEFT JOIN users u ON u.id = d.user_id
+        LEFT JOIN escalation_policies p ON p.id = d.policy_id
+        LEFT JOIN events ev ON ev.id = d.event_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY d.created_at DESC
+        LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+};
@@ -0,0 +1,54 @@
+// src/lib/realtime/feed.js
+import { onChange, readChangesSince, latestEventId, compareEventIds } from './hub.js';
+
+// Deliver a subscription's changes to one client, in log order and each at most once: first the
+// current state, or for a client resuming after lastEventId the changes it missed, then live
+// changes. send(kind, payload, id) is called with kind 'reset' (the missed changes are no longer
+// available; a snapshot follows), 'snapshot' or 'change'. Returns the function that stops the feed.
+export const openFeed = async (subscription, { lastEventId, send }) => {
+    let cursor = null;
+    // Live changes that arrive while the snapshot or replay is being read
+    let pending = [];
+
+    const deliver = (id, change) => {
+        if (cursor && compareEventIds(id, cursor) <= 0) return;
+        cursor = id;
+
+        const delta = subscription.delta(change);
+        if (delta) send('change', delta, id);
+    };
+
+    const stop = onChange((id, change) => {
+        if (pending) pending.push({ id, change });
+        else deliver(id, change);
+    });
+
+    try {
+        let resumed = false;
+        if (lastEventId) {
+            const { changes, complete } = await readChangesSince(lastEventId);
+            if (complete) {
+                cursor = lastEventId;
+                for (const { id, change } of changes) deliver(id, change);
+                resumed = true;
+            } else {
+                send('reset', { last_event_id: lastEventId }, null);
+            }
+        }
+
+        if (!resumed) {
+            // Taken before the state is read, so nothing published meanwhile is skipped
+            cursor = await latestEventId();
+            send('snapshot', await subscription.snapshot(), cursor);
+        }
+
+        const caughtUp = pending;
+        pending = null;
+        for (const { id, change } of caughtUp) deliver(id, change);
+    } catch (error) {
+        stop();
+        throw error;
+    }
+
+    return stop;
+};
@@ -0,0 +1,103 @@
+// src/lib/realtime/hub.js
+// Realtime changes (latest measurements, alarm changes) fanned out through Redis. Every change is
+// appended to a capped Redis stream, whose entry id becomes the event id, and published on one
+// channel in the same step; each API instance holds a single subscriber and dispatches changes to
+// its open streams in memory. The stream lets reconnecting clients replay what they missed.
+import redis from '../db/redis.js';
+
+const CHANNEL = 'realtime:changes';
+const LOG_KEY = 'realtime:log';
+// Changes kept for replay after a reconnect
+const LOG_LENGTH = parseInt(process.env.REALTIME_LOG_LENGTH || '20000');
+// Replay is for short disconnects; a client further behind reloads its state
+const MAX_REPLAY = 5000;
+
+// Append to the log and publish with the log entry id as a prefix, atomically so that ids on the
+// channel are always in log order
+const PUBLISH_SCRIPT = `
+local id = redis.call('XADD', KEYS[1], 'MAXLEN', '~', ARGV[1], '*', 'data', ARGV[2])
+redis.call('PUBLISH', KEYS[2], id .. ' ' .. ARGV[2])
+return id
+`;
+
+const listeners = new Set();
+let subscriber = null;
+
+// Event ids are Redis stream ids ('<ms>-<seq>')
+const ID_PATTERN = /^\d+-\d+$/;
+export const isEventId = (value) => ID_PATTERN.test(String(value));
+
+export const compareEventIds = (a, b) => {
+    const [aMs, aSeq] = a.split('-').map(BigInt);
+    const [bMs, bSeq] = b.split('-').map(BigInt);
+    if (aMs !== bMs) return aMs < bMs ? -1 : 1;
+    if (aSeq !== bSeq) return aSeq < bSeq ? -1 : 1;
+    return 0;
+};
+
+const ensureSubscriber = () => {
+    if (subscriber) return;
+
+    subscriber = redis.duplicate();
+    subscriber.subscribe(CHANNEL).catch(error => console.error('Realtime subscribe error:', error));
+    subscriber.on('message', (channel, message) => {
+        const separator = message.indexOf(' ');
+        let change;
+        try {
+            change = JSON.parse(message.slice(separator + 1));
+        } catch (error) {
+            console.error('Realtime message parse error:', error.message);
+            return;
+        }
+
+        const id = message.slice(0, separator);
+        for (const listener of listeners) {
+            try {
+                listener(id, change);
+            } catch (error) {
+                console.error('Realtime listener error:', error);
+            }
+        }
+    });
+};
+
+// Publish a change: { type: 'measurement' | 'alarm', element_id, ... }. Failures are logged, never
+// thrown, so realtime delivery cannot hold up ingest.
+export const publishChange = (change) => redis
+    .eval(PUBLISH_SCRIPT, 2, LOG_KEY, CHANNEL, LOG_LENGTH, JSON.stringify(change))
+    .catch(error => {
+        console.error('Realtime publish error:', error);
+        return null;
+    });
+
+// Network model change: element_added, element_updated, element_removed, connection_changed or
+// connection_removed, with the element_ids it concerns
+export const publishTopologyChange = (action, details) => publishChange({ type: 'topology', action, ...details });
+
+// Receive every change published from any instance; returns the unsubscribe function
+export const onChange = (listener) => {
+    ensureSubscriber();
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// Changes after an event id, oldest first. complete is false if the log no longer reaches back
+// that far (or the client is too far behind), in which case the client must reload its state.
+export const readChangesSince = async (lastEventId) => {
+    const [oldest] = await redis.xrange(LOG_KEY, '-', '+', 'COUNT', 1);
+    if (!oldest || compareEventIds(oldest[0], lastEventId) > 0) {
+        return { changes: [], complete: false };
+    }
+
+    const entries = await redis.xrange(LOG_KEY, `(${lastEventId}`, '+', 'COUNT', MAX_REPLAY + 1);
+    return {
+        changes: entries.slice(0, MAX_REPLAY).map(([id, fields]) => ({ id, change: JSON.parse(fields[1]) })),
+        complete: entries.length <= MAX_REPLAY
+    };
+};
+
+// Id of the newest change, so a fresh client can mark where its snapshot was taken
+export const latestEventId = async () => {
+    const [newest] = await redis.xrevrange(LOG_KEY, '+', '-', 'COUNT', 1);
+    return newest ? newest[0] : '0-0';
+};
@@ -0,0 +1,280 @@
+// src/lib/realtime/socket.js
+// WebSocket realtime API. A client authenticates when it connects (JWT or API key), then
+// subscribes to and unsubscribes from topics during the session:
+//   element:<id>, type:<element_type>, group:<id>  measurements and alarms of those elements,
+//                                                  optionally narrowed to one metric (element:<id>:voltage)
+//   alarms                                         every alarm change
+//   topology                                       network model changes
+// Measurements are sent as deltas against what the client already has; a subscription that adds
+// elements is answered with their current state first. Operators acknowledge alarms on the same
+// socket.
+import { WebSocketServer } from 'ws';
+import { authenticateCredentials } from '../auth/middleware.js';
+import { acknowledgeEvent, alarmSummary } from '../alarms/engine.js';
+import { ValidationError, AuthorizationError } from '../utils/errors.js';
+import { validate, socketMessageSchema } from '../validation/schemas.js';
+import { onChange } from './hub.js';
+import {
+    MAX_REALTIME_ELEMENTS, MEMBERSHIP_REFRESH_MS, createDeltaTracker, readSnapshot, resolveElementIds
+} from './subscription.js';
+
+const PORT = parseInt(process.env.REALTIME_WS_PORT || '3001');
+const PATH = '/realtime';
+const MAX_TOPICS = 200;
+// Ping frames detect clients that went away without closing the connection
+const PING_INTERVAL_MS = 30000;
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const ACKNOWLEDGE_ROLES = ['admin', 'operator'];
+
+let server = null;
+
+// { selection, metric, dynamic } for a topic that selects elements, null for alarms and topology
+const parseTopic = (topic) => {
+    if (topic === 'alarms' || topic === 'topology') return null;
+
+    const [kind, value, metric = null] = topic.split(':');
+    const selection = {
+        element: { element_ids: [value] },
+        group: { group_ids: [value] },
+        type: { element_type: value }
+    }[kind];
+    return { selection, metric, dynamic: kind !== 'element' };
+};
+
+const credentialsOf = (request) => {
+    const url = new URL(request.url, 'http://localhost');
+    const authorization = request.headers.authorization;
+    return {
+        token: authorization?.startsWith('Bearer ') ? authorization.slice(7) : url.searchParams.get('token'),
+        apiKey: request.headers['x-api-key'] || url.searchParams.get('api_key')
+    };
+};
+
+const errorMessage = (error) => (error.errors
+    ? { error: error.message, details: error.errors }
+    : { error: error.isOperational ? error.message : 'Request failed' });
+
+// One connection: its topics, the elements they resolve to and the values it has been sent
+const openSession = (socket, auth) => {
+    const topics = new Map();
+    const tracker = createDeltaTracker();
+    // element id -> subscribed metrics, or null for all of them
+    let index = new Map();
+    let work = Promise.resolve();
+    // Live changes held back while a subscription's snapshot is read
+    let pending = null;
+
+    const send = (message) => {
+        if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+    };
+
+    const rebuildIndex = () => {
+        const next = new Map();
+        for (const topic of topics.values()) {
+            for (const elementId of topic.elementIds || []) {
+                const metrics = next.has(elementId) ? next.get(elementId) : new Set();
+                if (metrics === null || topic.metric === null) next.set(elementId, null);
+                else next.set(elementId, metrics.add(topic.metric));
+            }
+        }
+        for (const elementId of index.keys()) {
+            if (!next.has(elementId)) tracker.forget(elementId);
+        }
+        index = next;
+    };
+
+    const deliver = (id, change) => {
+        if (change.type === 'topology') {
+            if (topics.has('topology')) send({ ...change, id });
+            return;
+        }
+
+        if (!index.has(change.element_id)) {
+            if (change.type === 'alarm' && topics.has('alarms')) {
+                send({ type: 'alarm', id, action: change.action, alarm: change.alarm });
+            }
+            return;
+        }
+
+        const metrics = index.get(change.element_id);
+        if (change.type === 'measurement') {
+            const delta = tracker.diff(change, metrics);
+            if (delta) send({ ...delta, id });
+        } else if (change.type === 'alarm'
+            && (metrics === null || metrics.has(change.alarm.metric) || topics.has('alarms'))) {
+            send({ type: 'alarm', id, action: change.action, alarm: change.alarm });
+        }
+    };
+
+    const onLive = (id, change) => {
+        if (pending) pending.push({ id, change });
+        else deliver(id, change);
+    };
+
+    const subscribe = async ({ request_id: requestId, topics: requested }) => {
+        const added = requested.filter(topic => !topics.has(topic));
+        if (topics.size + added.length > MAX_TOPICS) {
+            throw new ValidationError([{ path: 'topics', message: `A connection may subscribe to at most ${MAX_TOPICS} topics` }]);
+        }
+
+        const previous = new Set(index.keys());
+        pending = [];
+        try {
+            // Resolved before any is added, so a topic that fails leaves the subscription unchanged
+            const resolved = [];
+            for (const topic of added) {
+                const parsed = parseTopic(topic);
+                resolved.push([topic, parsed && {
+                    ...parsed,
+                    elementIds: await resolveElementIds(parsed.selection),
+                    resolvedAt: Date.now()
+                }]);
+            }
+            for (const [topic, entry] of resolved) topics.set(topic, entry);
+            rebuildIndex();
+            if (index.size > MAX_REALTIME_ELEMENTS) {
+                for (const topic of added) topics.delete(topic);
+                rebuildIndex();
+                throw new ValidationError([{ path: 'topics', message: `Subscriptions may cover at most ${MAX_REALTIME_ELEMENTS} elements` }]);
+            }
+
+            send({ type: 'subscribed', request_id: requestId, topics: [...topics.keys()], elements: index.size });
+            await sendSnapshot([...index.keys()].filter(elementId => !previous.has(elementId)));
+        } finally {
+            const caughtUp = pending;
+            pending = null;
+            for (const { id, change } of caughtUp) deliver(id, change);
+        }
+    };
+
+    const sendSnapshot = async (elementIds) => {
+        if (elementIds.length === 0) return;
+
+        const snapshot = await readSnapshot(elementIds);
+        const measurements = snapshot.measurements.map(entry => {
+            const metrics = index.get(entry.element_id);
+            const values = metrics === null
+                ? entry.values
+                : Object.fromEntries(Object.entries(entry.values).filter(([field]) => metrics.has(field)));
+            tracker.remember(entry.element_id, values, entry.quality);
+            return { ...entry, values };
+        });
+        const alarms = snapshot.alarms.filter(alarm => {
+            const metrics = index.get(alarm.element_id);
+            return metrics === null || metrics.has(alarm.metric);
+        });
+        send({ type: 'snapshot', measurements, alarms });
+    };
+
+    const unsubscribe = ({ request_id: requestId, topics: requested }) => {
+        for (const topic of requested) topics.delete(topic);
+        rebuildIndex();
+        send({ type: 'unsubscribed', request_id: requestId, topics: [...topics.keys()], elements: index.size });
+    };
+
+    const acknowledge = async ({ request_id: requestId, event_id: eventId }) => {
+        if (!ACKNOWLEDGE_ROLES.includes(auth.role)) throw new AuthorizationError();
+        const event = await acknowledgeEvent(eventId, auth.userId);
+        send({ type: 'acknowledged', request_id: requestId, alarm: alarmSummary(event) });
+    };
+
+    // Type and group topics are re-resolved so new and moved elements are picked up
+    const refresh = async () => {
+        const previous = new Set(index.keys());
+        let changed = false;
+        for (const topic of topics.values()) {
+            if (!topic?.dynamic || Date.now() - topic.resolvedAt < MEMBERSHIP_REFRESH_MS) continue;
+            topic.elementIds = await resolveElementIds(topic.selection);
+            topic.resolvedAt = Date.now();
+            changed = true;
+        }
+        if (!changed) return;
+
+        rebuildIndex();
+        await sendSnapshot([...index.keys()].filter(elementId => !previous.has(elementId)));
+    };
+
+    const handle = async (raw) => {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch {
+            send({ type: 'error', error: 'Messages must be JSON' });
+            return;
+        }
+
+        try {
+            const validated = await validate(socketMessageSchema)(message);
+            if (validated.type === 'subscribe') await subscribe(validated);
+            else if (validated.type === 'unsubscribe') unsubscribe(validated);
+            else if (validated.type === 'acknowledge') await acknowledge(validated);
+            else send({ type: 'pong', request_id: validated.request_id, timestamp: new Date().toISOString() });
+        } catch (error) {
+            if (!error.isOperational && !error.errors) console.error('Realtime socket error:', error);
+            send({ type: 'error', request_id: message?.request_id, ...errorMessage(error) });
+        }
+    };
+
+    const stopChanges = onChange(onLive);
+    const refreshTimer = setInterval(() => {
+        work = work.then(refresh).catch(error => console.error('Realtime socket refresh error:', error));
+    }, MEMBERSHIP_REFRESH_MS);
+
+    // Messages are handled one at a time, in the order they arrive
+    socket.on('message', (raw) => {
+        work = work.then(() => handle(raw.toString()));
+    });
+    socket.on('close', () => {
+        stopChanges();
+        clearInterval(refreshTimer);
+    });
+
+    send({ type: 'welcome', user_id: auth.userId, role: auth.role, max_topics: MAX_TOPICS });
+};
+
+// Start the WebSocket server of this instance
+export const startRealtimeSocket = () => {
+    if (server) return server;
+
+    server = new WebSocketServer({
+        port: PORT,
+        path: PATH,
+        maxPayload: MAX_MESSAGE_BYTES,
+        verifyClient: ({ req }, done) => {
+            authenticateCredentials(credentialsOf(req))
+                .then(auth => {
+                    if (!auth) return done(false, 401, 'Unauthorized');
+                    req.auth = auth;
+                    done(true);
+                })
+                .catch(error => {
+                    console.error('Realtime socket authentication error:', error);
+                    done(false, 500, 'Authentication failed');
+                });
+        }
+    });
+
+    server.on('connection', (socket, request) => {
+        socket.alive = true;
+        socket.on('pong', () => {
+            socket.alive = true;
+        });
+        openSession(socket, request.auth);
+    });
+    server.on('error', error => console.error('Realtime socket server error:', error));
+
+    const pingTimer = setInterval(() => {
+        for (const socket of server.clients) {
+            if (!socket.alive) {
+                socket.terminate();
+                continue;
+            }
+            socket.alive = false;
+            socket.ping();
+        }
+    }, PING_INTERVAL_MS);
+    server.on('close', () => clearInterval(pingTimer));
+
+    console.log(`Realtime WebSocket listening on :${PORT}${PATH}`);
+    return server;
+};
@@ -0,0 +1,129 @@
+// src/lib/realtime/subscription.js
+// One client's view of the realtime changes: the elements it follows and the values it has
+// already been sent, so that only what changed goes out.
+import redis from '../db/redis.js';
+import { query } from '../db/postgres.js';
+import { resolveSeriesElements } from '../measurements/series.js';
+import { latestKey, withStaleness } from '../measurements/quality.js';
+import { alarmSummary, OPEN_ALARM_STATUSES } from '../alarms/engine.js';
+
+// Elements one realtime client may follow
+export const MAX_REALTIME_ELEMENTS = parseInt(process.env.REALTIME_MAX_ELEMENTS || '2000');
+// Type, group and area selections are re-resolved so new and moved elements are picked up
+export const MEMBERSHIP_REFRESH_MS = 60000;
+
+// Flattened latest-value form the dashboard reads: { timestamp, quality, ...values }
+export const measurementEntry = ({ timestamp, values, quality, stale }) =>
+    ({ ...values, quality, timestamp, ...(stale ? { stale } : {}) });
+
+export const resolveElementIds = async (selection) =>
+    new Set((await resolveSeriesElements(selection, { max: MAX_REALTIME_ELEMENTS })).map(element => element.id));
+
+// Last value and quality sent to one client per element and field
+export const createDeltaTracker = () => {
+    const sent = new Map();
+
+    const remember = (elementId, values, quality) => {
+        const previous = sent.get(elementId) || { values: {}, quality: {} };
+        sent.set(elementId, {
+            values: { ...previous.values, ...values },
+            quality: { ...previous.quality, ...quality }
+        });
+    };
+
+    return {
+        remember,
+        forget: (elementId) => sent.delete(elementId),
+
+        // The fields of a measurement change (all, or those in fields) the client has not seen,
+        // or null if there are none
+        diff: (change, fields = null) => {
+            const previous = sent.get(change.element_id) || { values: {}, quality: {} };
+            const values = {};
+            const quality = {};
+            for (const [field, value] of Object.entries(change.values)) {
+                if (fields && !fields.has(field)) continue;
+
+                const fieldQuality = change.quality?.[field];
+                if (previous.values[field] === value && previous.quality[field] === fieldQuality) continue;
+                values[field] = value;
+                if (fieldQuality !== undefined) quality[field] = fieldQuality;
+            }
+            if (Object.keys(values).length === 0) return null;
+
+            remember(change.element_id, values, quality);
+            return { ...change, values, quality };
+        }
+    };
+};
+
+// Current state of elements: latest values (flagged stale once an element stops reporting) and
+// open, annunciated alarms
+export const readSnapshot = async (elementIds) => {
+    const ids = [...elementIds];
+    if (ids.length === 0) return { measurements: [], alarms: [] };
+
+    const now = new Date();
+    const latest = await redis.mget(...ids.map(latestKey));
+    const measurements = [];
+    ids.forEach((elementId, i) => {
+        if (!latest[i]) return;
+        const {
+            timestamp, quality = {}, element_type: elementType, status: _status,
+            stale, age_seconds: _age, ...values
+        } = withStaleness(JSON.parse(latest[i]), now);
+
+        measurements.push({ element_id: elementId, element_type: elementType, timestamp, values, quality, stale });
+    });
+
+    const alarms = await query(`
+        SELECT * FROM events
+        WHERE element_id = ANY($1) AND metric IS NOT NULL AND status = ANY($2) AND suppressed_by IS NULL
+        ORDER BY raised_at
+    `, [ids, OPEN_ALARM_STATUSES]);
+
+    return { measurements, alarms: alarms.rows.map(alarmSummary) };
+};
+
+// Subscription to one element selection (ids, groups, type or bounding box)
+export const createSubscription = async (selection) => {
+    const dynamic = Boolean(selection.group_ids?.length || selection.element_type || selection.bbox);
+    const tracker = createDeltaTracker();
+
+    let elementIds = await resolveElementIds(selection);
+    let resolvedAt = Date.now();
+
+    return {
+        get elementIds() {
+            return elementIds;
+        },
+
+        // Re-resolve a type, group or area selection once it is due; returns true if it changed
+        refresh: async () => {
+            if (!dynamic || Date.now() - resolvedAt < MEMBERSHIP_REFRESH_MS) return false;
+
+            const next = await resolveElementIds(selection);
+            resolvedAt = Date.now();
+            const changed = next.size !== elementIds.size || [...next].some(id => !elementIds.has(id));
+            for (const id of elementIds) {
+                if (!next.has(id)) tracker.forget(id);
+            }
+            elementIds = next;
+            return changed;
+        },
+
+        // The part of a change this client has not seen, or null if there is nothing new
+        delta: (change) => {
+            if (!elementIds.has(change.element_id)) return null;
+            return change.type === 'measurement' ? tracker.diff(change) : change;
+        },
+
+        snapshot: async () => {
+            const snapshot = await readSnapshot(elementIds);
+            for (const entry of snapshot.measurements) {
+                tracker.remember(entry.element_id, entry.values, entry.quality);
+            }
+            return snapshot;
+        }
+    };
+};
@@ -0,0 +1,452 @@
+// src/lib/simulator/engine.js
+// Synthetic measurements for every active element of the stored network model, written through
+// the same ingest pipeline as field data. Demand follows daily curves per load type, renewables
+// follow sun and wind, dispatchable units cover the rest and bus voltages sag with loading.
+// Branch flows are the net demand of the bus they feed, not a power-flow solution.
+import redis from '../db/redis.js';
+import { query } from '../db/postgres.js';
+import { ingestBatch } from '../measurements/ingest.js';
+import { ConflictError, ValidationError } from '../utils/errors.js';
+import { hashSeed, smoothNoise, jitter, loadFactor, solarFactor, windFactor, batteryFactor } from './profiles.js';
+
+const CONFIG_KEY = 'simulator:config';
+const PROGRESS_KEY = 'simulator:progress';
+const MODEL_REFRESH_MS = 60000;
+// Bounds one tick's batch; a clock far behind catches up over several ticks
+const MAX_RECORDS_PER_TICK = 5000;
+const NOMINAL_FREQUENCY = 50;
+// Frequency change per unit of lost generation relative to demand (5% droop)
+const DROOP_HZ = 2.5;
+// Time constant of the other units picking up a tripped generator's output
+const TRIP_RECOVERY_MS = 60000;
+const LOSS_FACTOR = 0.03;
+
+// Faults, the element type each may target (null: system wide only) and default magnitudes
+export const FAULT_TYPES = {
+    generator_trip: { target: 'generator', required: true },
+    voltage_sag: { target: 'bus', required: false, magnitude: 0.15 },
+    overload: { target: 'load', required: false, magnitude: 1.5 },
+    frequency_excursion: { target: null, required: false, magnitude: -0.5 },
+    comms_loss: { target: 'any', required: true }
+};
+
+let model = null;
+let modelLoadedAt = 0;
+
+const readState = async (key) => {
+    const value = await redis.get(key);
+    return value ? JSON.parse(value) : null;
+};
+
+const writeState = (key, value) => redis.set(key, JSON.stringify(value));
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const number = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+// Active elements with the ratings and connections the simulation needs
+const loadGridModel = async () => {
+    const [loads, generators, buses, transformers, lines] = await Promise.all([
+        query(`
+            SELECT e.id, l.load_type, l.rated_power, l.power_factor, l.voltage_level, l.bus_id
+            FROM loads l JOIN grid_elements e ON e.id = l.id
+            WHERE e.deleted_at IS NULL AND e.status = 'active'
+        `),
+        query(`
+            SELECT e.id, g.generation_type, g.rated_capacity, g.min_capacity, g.max_capacity, g.voltage_level, g.bus_id
+            FROM generators g JOIN grid_elements e ON e.id = g.id
+            WHERE e.deleted_at IS NULL AND e.status = 'active'
+        `),
+        query(`
+            SELECT e.id, COALESCE(b.nominal_voltage, b.voltage_level) as voltage_kv
+            FROM buses b JOIN grid_elements e ON e.id = b.id
+            WHERE e.deleted_at IS NULL AND e.status = 'active'
+        `),
+        query(`
+            SELECT e.id, t.rated_power, t.primary_voltage, t.primary_bus_id, t.secondary_bus_id
+            FROM transformers t JOIN grid_elements e ON e.id = t.id
+            WHERE e.deleted_at IS NULL AND e.status = 'active'
+        `),
+        query(`
+            SELECT e.id, tl.voltage_level, tl.start_bus_id, tl.end_bus_id
+            FROM transmission_lines tl JOIN grid_elements e ON e.id = tl.id
+            WHERE e.deleted_at IS NULL AND e.status = 'active'
+        `)
+    ]);
+
+    return {
+        loads: loads.rows.map(row => ({
+            id: row.id,
+            seed: hashSeed(row.id),
+            load_type: row.load_type,
+            rated: number(row.rated_power),
+            power_factor: number(row.power_factor) || 0.9,
+            voltage_kv: number(row.voltage_level),
+            bus_id: row.bus_id
+        })),
+        generators: generators.rows.map(row => ({
+            id: row.id,
+            seed: hashSeed(row.id),
+            generation_type: row.generation_type,
+            rated: number(row.rated_capacity),
+            min: number(row.min_capacity),
+            max: number(row.max_capacity),
+            voltage_kv: number(row.voltage_level),
+            bus_id: row.bus_id
+        })),
+        buses: buses.rows.map(row => ({ id: row.id, seed: hashSeed(row.id), voltage_kv: number(row.voltage_kv) })),
+        transformers: transformers.rows.map(row => ({
+            id: row.id,
+            rated: number(row.rated_power),
+            voltage_kv: number(row.primary_voltage),
+            primary_bus_id: row.primary_bus_id,
+            secondary_bus_id: row.secondary_bus_id
+        })),
+        lines: lines.rows.map(row => ({
+            id: row.id,
+            voltage_kv: number(row.voltage_level),
+            start_bus_id: row.start_bus_id,
+            end_bus_id: row.end_bus_id
+        }))
+    };
+};
+
+const getGridModel = async () => {
+    if (!model || Date.now() - modelLoadedAt > MODEL_REFRESH_MS) {
+        model = await loadGridModel();
+        modelLoadedAt = Date.now();
+    }
+    return model;
+};
+
+const elementCount = (grid) =>
+    grid.loads.length + grid.generators.length + grid.buses.length + grid.transformers.length + grid.lines.length;
+
+// Scheduled output of a generator before dispatch of the flexible units
+const scheduledOutput = (generator, time) => {
+    switch (generator.generation_type) {
+        case 'solar': return generator.rated * solarFactor(generator.seed, time);
+        case 'wind': return generator.rated * windFactor(generator.seed, time);
+        case 'battery': return generator.rated * batteryFactor(time);
+        case 'nuclear': return clamp(generator.rated * 0.92, generator.min, generator.max);
+        default: return null;
+    }
+};
+
+// Share demand among units in proportion to their maximum, within their limits
+const dispatch = (units, demand) => {
+    const capacity = units.reduce((total, unit) => total + unit.max, 0);
+    const output = new Map();
+    for (const unit of units) {
+        output.set(unit.id, capacity > 0 ? clamp(demand * unit.max / capacity, unit.min, unit.max) : 0);
+    }
+    return output;
+};
+
+const electrical = (activePower, reactivePower, voltageKv) => {
+    const apparent = Math.hypot(activePower, reactivePower);
+    const values = {
+        active_power: round(activePower),
+        reactive_power: round(reactivePower),
+        apparent_power: round(apparent)
+    };
+    if (voltageKv > 0) values.current = round(apparent * 1000 / (Math.sqrt(3) * voltageKv));
+    if (apparent > 0) values.power_factor = round(Math.abs(activePower) / apparent);
+    return values;
+};
+
+const isActive = (fault, time) => new Date(fault.start) <= time && time < new Date(fault.end);
+
+// Measurements of every element at one instant: Map of element id to field values
+export const simulateGrid = (grid, time, faults = []) => {
+    const active = faults.filter(fault => isActive(fault, time));
+    const applies = (fault, id) => !fault.element_id || fault.element_id === id;
+    const measurements = new Map();
+
+    // Demand
+    const busLoad = new Map();
+    const addToBus = (busId, { p = 0, q = 0, rated = 0, generation = 0 }) => {
+        if (!busId) return;
+        const entry = busLoad.get(busId) || { p: 0, q: 0, rated: 0, generation: 0 };
+        entry.p += p;
+        entry.q += q;
+        entry.rated += rated;
+        entry.generation += generation;
+        busLoad.set(busId, entry);
+    };
+
+    let demand = 0;
+    const loads = grid.loads.map(load => {
+        const overload = active
+            .filter(fault => fault.type === 'overload' && applies(fault, load.id))
+            .reduce((factor, fault) => factor * fault.magnitude, 1);
+        const variation = 1 + 0.08 * smoothNoise(load.seed, time, 2 * 3600000) + 0.01 * jitter(load.seed, time);
+        const p = load.rated * loadFactor(load.load_type, time) * variation * overload;
+        const q = p * Math.tan(Math.acos(load.power_factor));
+        demand += p;
+        addToBus(load.bus_id, { p, q, rated: load.rated });
+        return { ...load, p, q };
+    });
+    demand *= 1 + LOSS_FACTOR;
+
+    // Generation: fixed schedules first, flexible units cover the rest; the wider grid makes up
+    // whatever is left, so only sudden losses move the frequency
+    const output = new Map();
+    let scheduled = 0;
+    for (const generator of grid.generators) {
+        const value = scheduledOutput(generator, time);
+        if (value !== null) {
+            output.set(generator.id, value);
+            scheduled += value;
+        }
+    }
+    const flexible = grid.generators.filter(generator => !output.has(generator.id));
+    for (const [id, value] of dispatch(flexible, demand - scheduled)) output.set(id, value);
+
+    // Tripped units drop out at once; the others take over their output as they respond
+    let deficit = 0;
+    const online = flexible.filter(generator => !active.some(fault => fault.type === 'generator_trip' && fault.element_id === generator.id));
+    for (const fault of active.filter(fault => fault.type === 'generator_trip' && output.has(fault.element_id))) {
+        const lost = output.get(fault.element_id);
+        const recovered = 1 - Math.exp(-(time - new Date(fault.start)) / TRIP_RECOVERY_MS);
+        output.set(fault.element_id, 0);
+        deficit += lost * (1 - recovered);
+
+        const capacity = online.reduce((total, unit) => total + unit.max, 0);
+        for (const unit of online) {
+            output.set(unit.id, Math.min(unit.max, output.get(unit.id) + lost * recovered * unit.max / (capacity || 1)));
+        }
+    }
+
+    const excursion = active
+        .filter(fault => fault.type === 'frequency_excursion')
+        .reduce((total, fault) => total + fault.magnitude, 0);
+    const frequency = round(clamp(
+        NOMINAL_FREQUENCY +
+            0.03 * smoothNoise(1, time, 600000) + 0.005 * jitter(1, time) -
+            (demand > 0 ? deficit / demand * DROOP_HZ : 0) + excursion,
+        47.5, 52.5
+    ));
+
+    for (const generator of grid.generators) {
+        addToBus(generator.bus_id, { generation: output.get(generator.id) });
+    }
+
+    // Bus voltages fall with loading and sit higher where generators regulate them
+    const busVoltage = new Map();
+    for (const bus of grid.buses) {
+        const entry = busLoad.get(bus.id);
+        const loading = entry?.rated > 0 ? entry.p / entry.rated : 0.5;
+        const regulated = grid.generators.some(generator => generator.bus_id === bus.id);
+        const sag = active
+            .filter(fault => fault.type === 'voltage_sag' && applies(fault, bus.id))
+            .reduce((total, fault) => total + fault.magnitude, 0);
+        const perUnit = (regulated ? 1.03 : 1.02) - 0.05 * loading +
+            0.004 * smoothNoise(bus.seed, time, 1800000) + 0.001 * jitter(bus.seed, time) - sag;
+
+        const voltage = bus.voltage_kv * Math.max(0, perUnit);
+        busVoltage.set(bus.id, voltage);
+        measurements.set(bus.id, { voltage: round(voltage), frequency });
+    }
+
+    const voltageAt = (busId, ratedKv) => busVoltage.get(busId) ?? ratedKv;
+
+    for (const load of loads) {
+        const voltage = voltageAt(load.bus_id, load.voltage_kv);
+        measurements.set(load.id, { voltage: round(voltage), ...electrical(load.p, load.q, voltage) });
+    }
+
+    for (const generator of grid.generators) {
+        const voltage = voltageAt(generator.bus_id, generator.voltage_kv);
+        const p = output.get(generator.id);
+        // Renewables run near unity power factor, synchronous units supply reactive power
+        const q = ['solar', 'wind', 'battery'].includes(generator.generation_type) ? p * 0.05 : p * 0.3;
+        measurements.set(generator.id, { voltage: round(voltage), ...electrical(p, q, voltage), frequency });
+    }
+
+    // Branches carry the net demand of the bus they feed
+    const netDemand = (busId) => {
+        const entry = busLoad.get(busId);
+        return entry ? { p: entry.p - entry.generation, q: entry.q } : { p: 0, q: 0 };
+    };
+
+    for (const transformer of grid.transformers) {
+        const voltage = voltageAt(transformer.primary_bus_id, transformer.voltage_kv);
+        const { p, q } = netDemand(transformer.secondary_bus_id);
+        const values = electrical(p, q, voltage);
+        const loading = transformer.rated > 0 ? values.apparent_power / transformer.rated : 0;
+        measurements.set(transformer.id, {
+            voltage: round(voltage),
+            ...values,
+            temperature: round(30 + 55 * loading * loading)
+        });
+    }
+
+    for (const line of grid.lines) {
+        const voltage = voltageAt(line.start_bus_id, line.voltage_kv);
+        const { p, q } = netDemand(line.end_bus_id);
+        measurements.set(line.id, { voltage: round(voltage), ...electrical(p, q, voltage) });
+    }
+
+    // Silent elements send nothing at all
+    for (const fault of active.filter(fault => fault.type === 'comms_loss')) {
+        measurements.delete(fault.element_id);
+    }
+
+    return measurements;
+};
+
+// Start (or restart) the simulation from a time at a multiple of real time. A clock behind the
+// wall clock runs at that speed until it catches up, then continues in real time; it never runs
+// ahead, since ingest rejects samples from the future.
+export const startSimulator = async ({ start_time, speed = 1, interval_s = 10 }) => {
+    const now = new Date();
+    const start = start_time ? new Date(start_time) : now;
+    if (start > now) {
+        throw new ValidationError([{ path: 'start_time', message: 'start_time cannot be in the future' }]);
+    }
+
+    const grid = await loadGridModel();
+    model = grid;
+    modelLoadedAt = Date.now();
+    if (elementCount(grid) === 0) {
+        throw new ValidationError([{ path: 'start_time', message: 'The network model has no active elements to simulate' }]);
+    }
+
+    const config = {
+        run_id: `${now.getTime()}`,
+        running: true,
+        start_time: start.toISOString(),
+        speed,
+        interval_s,
+        started_at: now.toISOString(),
+        faults: []
+    };
+    await writeState(CONFIG_KEY, config);
+    return config;
+};
+
+export const stopSimulator = async () => {
+    const config = await readState(CONFIG_KEY);
+    if (!config?.running) return false;
+
+    await writeState(CONFIG_KEY, { ...config, running: false, stopped_at: new Date().toISOString() });
+    return true;
+};
+
+// Schedule a fault on the simulated clock, delay_s after its current time
+export const injectFault = async ({ type, element_id, magnitude, delay_s = 0, duration_s }) => {
+    const config = await readState(CONFIG_KEY);
+    if (!config?.running) {
+        throw new ConflictError('The simulator is not running');
+    }
+
+    const definition = FAULT_TYPES[type];
+    if (definition.required && !element_id) {
+        throw new ValidationError([{ path: 'element_id', message: `${type} needs an element_id` }]);
+    }
+    if (element_id) {
+        if (!definition.target) {
+            throw new ValidationError([{ path: 'element_id', message: `${type} applies to the whole system` }]);
+        }
+        const result = await query(
+            'SELECT element_type FROM grid_elements WHERE id = $1 AND deleted_at IS NULL',
+            [element_id]
+        );
+        const elementType = result.rows[0]?.element_type;
+        if (!elementType || (definition.target !== 'any' && elementType !== definition.target)) {
+            throw new ValidationError([{
+                path: 'element_id',
+                message: definition.target === 'any' ? 'Element not found' : `${type} needs a ${definition.target} element`
+            }]);
+        }
+    }
+
+    const progress = await readState(PROGRESS_KEY);
+    const clock = progress?.run_id === config.run_id && progress.clock ? new Date(progress.clock) : new Date(config.start_time);
+    const start = new Date(clock.getTime() + delay_s * 1000);
+    const fault = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        type,
+        element_id: element_id || null,
+        magnitude: magnitude ?? definition.magnitude ?? null,
+        start: start.toISOString(),
+        end: new Date(start.getTime() + duration_s * 1000).toISOString()
+    };
+
+    // Faults that have ended on the simulated clock are dropped as new ones arrive
+    const faults = config.faults.filter(existing => new Date(existing.end) > clock);
+    await writeState(CONFIG_KEY, { ...config, faults: [...faults, fault] });
+    return fault;
+};
+
+export const clearFaults = async () => {
+    const config = await readState(CONFIG_KEY);
+    if (!config) return 0;
+
+    await writeState(CONFIG_KEY, { ...config, faults: [] });
+    return config.faults.length;
+};
+
+export const getSimulatorStatus = async () => {
+    const [config, progress] = await Promise.all([readState(CONFIG_KEY), readState(PROGRESS_KEY)]);
+    if (!config) return { running: false };
+
+    const current = progress?.run_id === config.run_id ? progress : null;
+    const clock = current?.clock ? new Date(current.clock) : null;
+    return {
+        ...config,
+        clock: clock?.toISOString() || null,
+        // How far the simulated clock is behind the wall clock
+        lag_seconds: clock ? Math.round((Date.now() - clock.getTime()) / 1000) : null,
+        samples: current?.samples || 0,
+        last_tick_at: current?.last_tick_at || null,
+        last_error: current?.last_error || null,
+        elements: model ? elementCount(model) : null
+    };
+};
+
+// Background job: advance the simulated clock and ingest the samples due since the last tick
+export const runSimulator = async () => {
+    const config = await readState(CONFIG_KEY);
+    if (!config?.running) return;
+
+    let progress = await readState(PROGRESS_KEY);
+    if (progress?.run_id !== config.run_id) {
+        progress = { run_id: config.run_id, clock: null, samples: 0 };
+    }
+
+    const now = Date.now();
+    const startMs = new Date(config.start_time).getTime();
+    const target = Math.min(now, startMs + (now - new Date(config.started_at).getTime()) * config.speed);
+    const intervalMs = config.interval_s * 1000;
+    let next = progress.clock ? new Date(progress.clock).getTime() + intervalMs : startMs;
+    if (next > target) return;
+
+    const grid = await getGridModel();
+    const maxSteps = Math.max(1, Math.floor(MAX_RECORDS_PER_TICK / Math.max(1, elementCount(grid))));
+    const records = [];
+    let clock = null;
+
+    for (let step = 0; step < maxSteps && next <= target; step++, next += intervalMs) {
+        const time = new Date(next);
+        for (const [elementId, values] of simulateGrid(grid, time, config.faults)) {
+            records.push({ line: records.length + 1, element_id: elementId, timestamp: time, quality: 'good', measurements: values });
+        }
+        clock = time;
+    }
+
+    try {
+        const outcome = await ingestBatch(records);
+        progress.clock = clock.toISOString();
+        progress.samples += outcome.accepted;
+        progress.last_error = outcome.errors[0]?.error || null;
+    } catch (error) {
+        // The clock stays put, so the same samples are tried again next tick
+        console.error('Simulator ingest error:', error);
+        progress.last_error = error.message;
+    }
+
+    progress.last_tick_at = new Date(now).toISOString();
+    await writeState(PROGRESS_KEY, progress);
+};
@@ -0,0 +1,102 @@
+// src/lib/simulator/profiles.js
+// Daily shapes and weather-like variation for the grid simulator. Everything is a pure function
+// of time and a seed, so a simulation is continuous across ticks and restarts.
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Hourly demand as a fraction of rated power on weekdays, from 00:00 to 23:00
+const LOAD_SHAPES = {
+    residential: [
+        0.38, 0.33, 0.30, 0.29, 0.30, 0.36, 0.52, 0.68, 0.66, 0.55, 0.50, 0.49,
+        0.50, 0.48, 0.47, 0.50, 0.60, 0.78, 0.92, 0.96, 0.90, 0.78, 0.62, 0.47
+    ],
+    commercial: [
+        0.25, 0.24, 0.23, 0.23, 0.24, 0.28, 0.38, 0.58, 0.80, 0.90, 0.94, 0.96,
+        0.95, 0.96, 0.95, 0.92, 0.88, 0.78, 0.60, 0.45, 0.36, 0.31, 0.28, 0.26
+    ],
+    industrial: [
+        0.70, 0.69, 0.68, 0.68, 0.69, 0.72, 0.80, 0.88, 0.92, 0.93, 0.93, 0.90,
+        0.88, 0.92, 0.93, 0.92, 0.90, 0.86, 0.80, 0.76, 0.74, 0.73, 0.72, 0.71
+    ]
+};
+
+// Weekend demand relative to the weekday shape
+const WEEKEND_FACTORS = { residential: 1.08, commercial: 0.55, industrial: 0.65 };
+
+// Deterministic 32-bit seed of a string, such as an element id
+export const hashSeed = (value) => {
+    let hash = 2166136261;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+// Pseudo-random number in [0, 1) for a seed (mulberry32)
+const random = (seed) => {
+    let t = (seed + 0x6d2b79f5) >>> 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Smooth variation in [-1, 1] over periods around periodMs: three sines with seeded phases
+export const smoothNoise = (seed, time, periodMs) => {
+    const t = time.getTime() / periodMs * 2 * Math.PI;
+    return (
+        0.5 * Math.sin(t + random(seed) * 2 * Math.PI) +
+        0.3 * Math.sin(t * 2.31 + random(seed + 1) * 2 * Math.PI) +
+        0.2 * Math.sin(t * 5.17 + random(seed + 2) * 2 * Math.PI)
+    );
+};
+
+// Sample-to-sample measurement noise in [-1, 1]
+export const jitter = (seed, time) => random(seed ^ Math.floor(time.getTime() / 1000)) * 2 - 1;
+
+const hourOfDay = (time) => time.getHours() + time.getMinutes() / 60 + time.getSeconds() / 3600;
+
+const isWeekend = (time) => time.getDay() === 0 || time.getDay() === 6;
+
+const dayOfYear = (time) => Math.floor((time - new Date(time.getFullYear(), 0, 1)) / DAY_MS) + 1;
+
+// Demand of a load type at a local time as a fraction of rated power
+export const loadFactor = (loadType, time) => {
+    const shape = LOAD_SHAPES[loadType] || LOAD_SHAPES.commercial;
+    const hour = hourOfDay(time);
+    const from = Math.floor(hour) % 24;
+    const to = (from + 1) % 24;
+    const value = shape[from] + (shape[to] - shape[from]) * (hour - Math.floor(hour));
+    return isWeekend(time) ? value * (WEEKEND_FACTORS[loadType] ?? 1) : value;
+};
+
+// Solar output as a fraction of rated capacity: a daylight arc whose length and height follow
+// the season (mid northern latitudes), dimmed by passing cloud
+export const solarFactor = (seed, time) => {
+    const season = Math.sin(2 * Math.PI * (dayOfYear(time) - 80) / 365);
+    const daylight = 12 + 4 * season;
+    const sunrise = 12 - daylight / 2;
+    const hour = hourOfDay(time);
+    if (hour <= sunrise || hour >= sunrise + daylight) return 0;
+
+    const arc = Math.pow(Math.sin(Math.PI * (hour - sunrise) / daylight), 1.5);
+    const clouds = Math.max(0, smoothNoise(seed, time, 3 * HOUR_MS)) * 0.6;
+    return arc * (0.8 + 0.2 * season) * (1 - clouds);
+};
+
+// Wind output as a fraction of rated capacity: weather-scale swings with gusts through a cubic
+// power curve that saturates at rated output
+export const windFactor = (seed, time) => {
+    const speed = 0.55 + 0.3 * smoothNoise(seed, time, 18 * HOUR_MS) + 0.1 * smoothNoise(seed + 7, time, HOUR_MS);
+    return Math.min(1, Math.pow(Math.max(0, speed), 3) * 1.6);
+};
+
+// Battery output as a fraction of rated capacity: charging (negative) around midday solar and
+// discharging through the evening peak
+export const batteryFactor = (time) => {
+    const hour = hourOfDay(time);
+    if (hour >= 10 && hour < 14) return -0.4;
+    if (hour >= 17 && hour < 21) return 0.6;
+    return 0;
+};
@@ -0,0 +1,141 @@
+// src/lib/soe/recorder.js
+// Sequence of events: digital state changes (breaker positions, protection pickup and trip)
+// stamped by the device to the millisecond. Events are kept with both device and receive time and
+// read back in device time order, with arrival order breaking ties, so a disturbance can be
+// replayed across substations.
+import { query } from '../db/postgres.js';
+import { resolveSampleTime } from '../measurements/ingest.js';
+
+// Record events ({ element_id, event_type, source_time, protection_function, phase, time_quality,
+// parameters }); an event already recorded (same element, type, function and source time) is
+// counted as a duplicate. Events that cannot be recorded are reported by index.
+export const recordSoeEvents = async (events, { source = 'api', userId = null } = {}) => {
+    const now = new Date();
+    const errors = [];
+    const accepted = [];
+
+    const ids = [...new Set(events.map(event => event.element_id))];
+    const found = await query('SELECT id FROM grid_elements WHERE id = ANY($1) AND deleted_at IS NULL', [ids]);
+    const known = new Set(found.rows.map(row => row.id));
+
+    events.forEach((event, index) => {
+        if (!known.has(event.element_id)) {
+            errors.push({ index, error: 'Element not found' });
+            return;
+        }
+        try {
+            accepted.push({ ...event, source_time: resolveSampleTime(event.source_time, now) });
+        } catch (error) {
+            errors.push({ index, error: error.errors?.[0]?.message || error.message });
+        }
+    });
+
+    if (accepted.length === 0) return { recorded: 0, duplicates: 0, errors };
+
+    // Sorted so that arrival sequence follows device time within a batch
+    const result = await query(`
+        INSERT INTO soe_events (
+            element_id, event_type, protection_function, phase, source_time, time_quality, parameters,
+            source, created_by
+        )
+        SELECT t.*, $8::varchar, $9::uuid
+        FROM unnest($1::uuid[], $2::varchar[], $3::varchar[], $4::varchar[], $5::timestamptz[], $6::varchar[], $7::jsonb[])
+            AS t(element_id, event_type, protection_function, phase, source_time, time_quality, parameters)
+        ORDER BY t.source_time
+        ON CONFLICT (element_id, event_type, protection_function, source_time) DO NOTHING
+        RETURNING id
+    `, [
+        accepted.map(event => event.element_id),
+        accepted.map(event => event.event_type),
+        accepted.map(event => event.protection_function || ''),
+        accepted.map(event => event.phase || null),
+        accepted.map(event => event.source_time),
+        accepted.map(event => event.time_quality || 'source'),
+        accepted.map(event => JSON.stringify(event.parameters || {})),
+        source,
+        userId
+    ]);
+
+    return {
+        recorded: result.rows.length,
+        duplicates: accepted.length - result.rows.length,
+        errors
+    };
+};
+
+// Events of the selected elements (all if none are selected) in a time range, or within
+// window_ms either side of around, in device time order. offset_ms is relative to around, or to
+// the first event, and delay_ms is how long an event took to arrive.
+export const querySoe = async ({
+    element_ids, group_ids, element_type, event_types, start, stop, around, window_ms: windowMs, limit
+}) => {
+    const from = around ? new Date(new Date(around).getTime() - windowMs) : new Date(start);
+    const to = around ? new Date(new Date(around).getTime() + windowMs) : stop ? new Date(stop) : new Date();
+
+    const params = [from, to];
+    const conditions = ['s.source_time BETWEEN $1 AND $2'];
+
+    if (element_ids?.length) {
+        params.push(element_ids);
+        conditions.push(`s.element_id = ANY($${params.length})`);
+    }
+    if (group_ids?.length) {
+        params.push(group_ids);
+        conditions.push(`s.element_id IN (SELECT element_id FROM element_group_members WHERE group_id = ANY($${params.length}))`);
+    }
+    if (element_type) {
+        params.push(element_type);
+        conditions.push(`e.element_type = $${params.length}`);
+    }
+    if (event_types?.length) {
+        params.push(event_types);
+        conditions.push(`s.event_type = ANY($${params.length})`);
+    }
+
+    params.push(limit + 1);
+    const result = await query(`
+        SELECT
+            s.*,
+            e.name AS element_name,
+            e.element_type,
+            COALESCE((
+                SELECT json_agg(json_build_object('id', g.id, 'name', g.name, 'group_type', g.group_type) ORDER BY g.name)
+                FROM element_group_members m
+                JOIN element_groups g ON g.id = m.group_id
+                WHERE m.element_id = s.element_id
+            ), '[]') AS groups
+        FROM soe_events s
+        JOIN grid_elements e ON e.id = s.element_id
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY s.source_time, s.sequence
+        LIMIT $${params.length}
+    `, params);
+
+    const rows = result.rows.slice(0, limit);
+    const reference = around ? new Date(around) : rows[0]?.source_time || null;
+
+    return {
+        start: from.toISOString(),
+        stop: to.toISOString(),
+        reference_time: reference ? reference.toISOString() : null,
+        truncated: result.rows.length > limit,
+        events: rows.map(row => ({
+            id: row.id,
+            sequence: Number(row.sequence),
+            element_id: row.element_id,
+            element_name: row.element_name,
+            element_type: row.element_type,
+            groups: row.groups,
+            event_type: row.event_type,
+            protection_function: row.protection_function || null,
+            phase: row.phase,
+            source: row.source,
+            source_time: row.source_time.toISOString(),
+            receive_time: row.receive_time.toISOString(),
+            time_quality: row.time_quality,
+            offset_ms: row.source_time - reference,
+            delay_ms: row.receive_time - row.source_time,
+            parameters: row.parameters
+        }))
+    };
+};
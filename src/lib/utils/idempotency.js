@@ -0,0 +1,74 @@
+// src/lib/utils/idempotency.js
+import { createHash } from 'crypto';
+import { NextResponse } from 'next/server';
+import redis from '../db/redis.js';
+import { ValidationError, ConflictError } from './errors.js';
+
+// How long a key is remembered; a retry after this is processed as a new request
+const WINDOW_SECONDS = parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS || '86400');
+// A request that dies while holding its key frees it after this
+const PENDING_SECONDS = 300;
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+const requestBody = async (request) => [new URL(request.url).search, Buffer.from(await request.clone().arrayBuffer())];
+
+// Route wrapper for requests a client may resend: a request carrying an Idempotency-Key header
+// runs once per key and caller within the window, and retries get the original response (with
+// Idempotent-Replayed: true). Reusing a key for a different request, or while the first is still
+// running, is a conflict. fingerprint(request) returns the parts that identify the request, by
+// default its query string and raw body. Place inside authMiddleware, which identifies the caller.
+export const idempotent = (scope, handler, { fingerprint = requestBody } = {}) => async (request, context) => {
+    const idempotencyKey = request.headers.get('idempotency-key');
+    if (idempotencyKey === null) return handler(request, context);
+
+    if (!KEY_PATTERN.test(idempotencyKey)) {
+        throw new ValidationError([{
+            path: 'Idempotency-Key',
+            message: 'Idempotency-Key must be 1 to 255 printable characters'
+        }]);
+    }
+
+    const hash = createHash('sha256');
+    for (const part of await fingerprint(request)) hash.update(part ?? '').update('\0');
+    const requestHash = hash.digest('hex');
+
+    const caller = request.auth?.apiKey?.id || request.auth?.userId || 'anonymous';
+    const key = `idempotency:${scope}:${caller}:${idempotencyKey}`;
+
+    const acquired = await redis.set(key, JSON.stringify({ state: 'pending', fingerprint: requestHash }), 'EX', PENDING_SECONDS, 'NX');
+    if (!acquired) {
+        const stored = JSON.parse(await redis.get(key) || 'null');
+        if (stored && stored.fingerprint !== requestHash) {
+            throw new ConflictError('Idempotency-Key was already used for a different request');
+        }
+        if (!stored || stored.state === 'pending') {
+            throw new ConflictError('A request with this Idempotency-Key is still being processed');
+        }
+        return NextResponse.json(stored.body, {
+            status: stored.status,
+            headers: { 'Idempotent-Replayed': 'true' }
+        });
+    }
+
+    let response;
+    try {
+        response = await handler(request, context);
+    } catch (error) {
+        // Nothing was committed under the key, so a retry runs again
+        await redis.del(key);
+        throw error;
+    }
+
+    if (response.status >= 500) {
+        await redis.del(key);
+    } else {
+        await redis.set(key, JSON.stringify({
+            state: 'done',
+            fingerprint: requestHash,
+            status: response.status,
+            body: await response.clone().json()
+        }), 'EX', WINDOW_SECONDS);
+    }
+
+    return response;
+};
@@ -141,10 +141,14 @@ export const createElementSchema = z.discriminatedUnion('type', [
     busSchema
 ]);
 
+// Data quality codes attached to measurements
+export const qualitySchema = z.enum(['good', 'suspect', 'stale', 'substituted', 'manual']);
+
 // Measurement schema
 export const measurementSchema = z.object({
     element_id: z.string().uuid(),
-    timestamp: z.string().datetime().optional(),
+    timestamp: z.string().datetime({ offset: true }).optional(),
+    quality: z.union([qualitySchema, z.record(z.string(), qualitySchema)]).optional(),
     measurements: z.object({
         voltage: z.number().optional(),
         voltage_a: z.number().optional(),
@@ -192,10 +196,311 @@ export const measurementQuerySchema = z.object({
     element_id: z.string().uuid(),
     start: z.string().default('-1h'),
     stop: z.string().default('now()'),
-    aggregation: z.enum(['mean', 'sum', 'min', 'max', 'last']).default('mean'),
+    aggregation: z.enum(['mean', 'median', 'sum', 'min', 'max', 'first', 'last', 'count']).default('mean'),
     window: z.string()
             .regex(durationRegex, { message: 'Invalid duration format' })
-            .default('5m')
+            .default('5m'),
+    include_suspect: z.enum(['true', 'false']).default('false').transform(value => value === 'true'),
+    fill: z.enum(['none', 'null', 'previous', 'linear', 'zero']).default('none'),
+    units: z.enum(['engineering', 'pu']).default('engineering')
+});
+
+// Comma separated query parameter as a list of validated items
+const csvListSchema = (item) => z.string()
+    .transform(value => value.split(',').map(entry => entry.trim()).filter(Boolean))
+    .pipe(z.array(item));
+
+// Elements selected by id, group or type for queries spanning several elements
+const elementSelectionFields = {
+    element_ids: csvListSchema(z.string().uuid()).optional(),
+    group_ids: csvListSchema(z.string().uuid()).optional(),
+    element_type: z.enum(['load', 'generator', 'transformer', 'line', 'bus', 'breaker']).optional()
+};
+
+const hasElementSelection = [
+    data => data.element_ids?.length || data.group_ids?.length || data.element_type,
+    { message: 'element_ids, group_ids or element_type is required', path: ['element_ids'] }
+];
+
+// Multi-element series query
+export const seriesQuerySchema = z.object({
+    ...elementSelectionFields,
+    fields: csvListSchema(z.string().regex(/^[a-z][a-z0-9_]*$/)).pipe(z.array(z.string()).min(1).max(20)),
+    start: z.string().default('-1h'),
+    stop: z.string().default('now()'),
+    aggregation: z.enum(['mean', 'median', 'sum', 'min', 'max', 'first', 'last', 'count']).default('mean'),
+    window: z.string()
+            .regex(durationRegex, { message: 'Invalid duration format' })
+            .default('5m'),
+    format: z.enum(['wide', 'long']).default('wide'),
+    include_suspect: z.enum(['true', 'false']).default('false').transform(value => value === 'true'),
+    fill: z.enum(['none', 'null', 'previous', 'linear', 'zero']).default('none'),
+    units: z.enum(['engineering', 'pu']).default('engineering'),
+    max_points: z.coerce.number().int().positive().max(100000).default(10000)
+}).refine(...hasElementSelection);
+
+// Gap report; a gap is a silence longer than factor times an element's expected interval
+export const gapQuerySchema = z.object({
+    ...elementSelectionFields,
+    start: z.string().default('-24h'),
+    stop: z.string().default('now()'),
+    factor: z.coerce.number().min(1).max(1000).default(3)
+}).refine(...hasElementSelection);
+
+// Realtime stream subscription; 'elements' is the original name of element_ids and bbox is
+// min_lon,min_lat,max_lon,max_lat
+export const streamQuerySchema = z.object({
+    ...elementSelectionFields,
+    elements: csvListSchema(z.string().uuid()).optional(),
+    bbox: csvListSchema(z.coerce.number().finite())
+        .pipe(z.array(z.number()).length(4, { message: 'bbox needs min_lon,min_lat,max_lon,max_lat' }))
+        .refine(([minLon, minLat, maxLon, maxLat]) => minLon <= maxLon && minLat <= maxLat, {
+            message: 'bbox minimums must not exceed its maximums'
+        })
+        .optional(),
+    last_event_id: z.string().regex(/^\d+-\d+$/).optional()
+}).transform(({ elements, ...data }) => ({
+    ...data,
+    element_ids: data.element_ids?.length ? data.element_ids : elements
+})).refine(data => hasElementSelection[0](data) || data.bbox, {
+    message: 'element_ids, group_ids, element_type or bbox is required',
+    path: ['element_ids']
+});
+
+// WebSocket client messages. Topics: element:<id>, type:<element_type> or group:<id>, each
+// optionally narrowed to one metric (element:<id>:voltage), plus alarms and topology.
+const UUID = '[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}';
+const socketTopicSchema = z.string().regex(
+    new RegExp(`^(?:(?:element|group):${UUID}|type:(?:load|generator|transformer|line|bus|breaker))(?::[a-z][a-z0-9_]*)?$|^alarms$|^topology$`, 'i'),
+    { message: 'Invalid topic' }
+);
+
+export const socketMessageSchema = z.discriminatedUnion('type', [
+    z.object({
+        type: z.literal('subscribe'),
+        request_id: z.string().max(100).optional(),
+        topics: z.array(socketTopicSchema).min(1).max(100)
+    }),
+    z.object({
+        type: z.literal('unsubscribe'),
+        request_id: z.string().max(100).optional(),
+        topics: z.array(z.string()).min(1).max(100)
+    }),
+    z.object({
+        type: z.literal('acknowledge'),
+        request_id: z.string().max(100).optional(),
+        event_id: z.string().uuid()
+    }),
+    z.object({
+        type: z.literal('ping'),
+        request_id: z.string().max(100).optional()
+    })
+]);
+
+// Rebuild of the rollup tiers from raw data over a past range
+export const rollupRebuildSchema = z.object({
+    start: z.string().datetime({ offset: true }),
+    stop: z.string().datetime({ offset: true }).optional()
+}).refine(data => !data.stop || new Date(data.start) < new Date(data.stop), {
+    message: 'start must be before stop',
+    path: ['start']
+});
+
+// Bulk ingest query parameters; format defaults to the request content type
+export const bulkIngestQuerySchema = z.object({
+    format: z.enum(['line', 'ndjson']).optional(),
+    precision: z.enum(['ns', 'us', 'ms', 's']).default('ns')
+});
+
+// Modbus register map entry: one register (pair) feeding one element field
+export const modbusRegisterSchema = z.object({
+    element_id: z.string().uuid(),
+    field: z.string().regex(/^[a-z][a-z0-9_]*$/),
+    address: z.number().int().min(0).max(65535),
+    register_type: z.enum(['holding', 'input']).default('holding'),
+    data_type: z.enum(['int16', 'uint16', 'int32', 'uint32', 'float32']).default('uint16'),
+    word_order: z.enum(['big', 'little']).default('big'),
+    scale: z.number().default(1),
+    offset: z.number().default(0)
+});
+
+const modbusDeviceFields = {
+    name: z.string().min(1).max(255),
+    host: z.string().min(1).max(255),
+    port: z.number().int().min(1).max(65535).default(502),
+    unit_id: z.number().int().min(0).max(255).default(1),
+    poll_interval_ms: z.number().int().min(100).default(5000),
+    timeout_ms: z.number().int().min(100).default(2000),
+    register_map: z.array(modbusRegisterSchema).min(1),
+    enabled: z.boolean().default(true)
+};
+
+export const modbusDeviceSchema = z.object(modbusDeviceFields);
+
+export const updateModbusDeviceSchema = z.object(
+    Object.fromEntries(Object.entries(modbusDeviceFields).map(([key, schema]) => [
+        key,
+        (schema instanceof z.ZodDefault ? schema.removeDefault() : schema).optional()
+    ]))
+);
+
+// IEC 104 point: an IOA feeding an element field, a switch position driving element status, or a
+// protection pickup or trip signal; switch positions and protection signals are recorded as SOE
+const elementStatusSchema = z.enum(['active', 'inactive', 'maintenance', 'fault']);
+
+export const iec104PointSchema = z.object({
+    ioa: z.number().int().min(1).max(16777215),
+    element_id: z.string().uuid(),
+    point_type: z.enum(['measured', 'status', 'pickup', 'trip']).default('measured'),
+    field: z.string().regex(/^[a-z][a-z0-9_]*$/).optional(),
+    protection_function: z.string().max(50).optional(),
+    scale: z.number().default(1),
+    offset: z.number().default(0),
+    status_map: z.object({
+        on: elementStatusSchema.optional(),
+        off: elementStatusSchema.optional(),
+        intermediate: elementStatusSchema.optional()
+    }).optional()
+}).refine(point => point.point_type !== 'measured' || point.field, {
+    message: 'Measured points require a field',
+    path: ['field']
+});
+
+const iec104ConnectionFields = {
+    name: z.string().min(1).max(255),
+    host: z.string().min(1).max(255),
+    port: z.number().int().min(1).max(65535).default(2404),
+    common_address: z.number().int().min(1).max(65535).default(1),
+    originator_address: z.number().int().min(0).max(255).default(0),
+    time_zone: z.enum(['utc', 'local']).default('utc'),
+    interrogation_interval_s: z.number().int().min(0).default(0),
+    point_map: z.array(iec104PointSchema).min(1),
+    enabled: z.boolean().default(true)
+};
+
+export const iec104ConnectionSchema = z.object(iec104ConnectionFields);
+
+export const updateIec104ConnectionSchema = z.object(
+    Object.fromEntries(Object.entries(iec104ConnectionFields).map(([key, schema]) => [
+        key,
+        (schema instanceof z.ZodDefault ? schema.removeDefault() : schema).optional()
+    ]))
+);
+
+// MQTT topic mapping: element from a fixed id, topic segment or payload path;
+// fields from payload paths or a single field named by a topic segment
+const topicFilterRegex = /^(?:[^#+/]+|\+)(?:\/(?:[^#+/]*|\+))*(?:\/#)?$|^#$/;
+
+export const mqttFieldSchema = z.object({
+    field: z.string().regex(/^[a-z][a-z0-9_]*$/),
+    path: z.string().min(1).max(255),
+    scale: z.number().default(1),
+    offset: z.number().default(0)
+});
+
+const mqttMappingFields = {
+    name: z.string().min(1).max(255),
+    topic_filter: z.string().max(500).regex(topicFilterRegex, { message: 'Invalid MQTT topic filter' }),
+    qos: z.number().int().min(0).max(2).default(0),
+    element_id: z.string().uuid().nullable().optional(),
+    element_segment: z.number().int().min(0).nullable().optional(),
+    element_path: z.string().min(1).max(255).nullable().optional(),
+    element_match: z.enum(['id', 'name']).default('id'),
+    fields: z.array(mqttFieldSchema).default([]),
+    field_segment: z.number().int().min(0).nullable().optional(),
+    value_path: z.string().max(255).nullable().optional(),
+    timestamp_path: z.string().max(255).nullable().optional(),
+    quality_path: z.string().max(255).nullable().optional(),
+    enabled: z.boolean().default(true)
+};
+
+const isSet = (value) => value !== null && value !== undefined;
+
+export const hasValidMqttSources = (data) =>
+    [data.element_id, data.element_segment, data.element_path].filter(isSet).length === 1 &&
+    (isSet(data.field_segment) ? (data.fields || []).length === 0 : (data.fields || []).length > 0);
+
+const MQTT_SOURCES_MESSAGE = 'Set exactly one of element_id, element_segment or element_path, and either fields or field_segment';
+
+export const mqttMappingSchema = z.object(mqttMappingFields).refine(hasValidMqttSources, {
+    message: MQTT_SOURCES_MESSAGE,
+    path: ['element_id']
+});
+
+// Sources are checked against the merged row in the route
+export const updateMqttMappingSchema = z.object(
+    Object.fromEntries(Object.entries(mqttMappingFields).map(([key, schema]) => [
+        key,
+        (schema instanceof z.ZodDefault ? schema.removeDefault() : schema).optional()
+    ]))
+);
+
+export const mqttMappingTestSchema = z.object({
+    topic: z.string().min(1),
+    payload: z.unknown()
+});
+
+// Calculated point input: a measured field, a static element attribute or a group aggregate;
+// element_id defaults to the element the point is evaluated for
+export const calculatedInputSchema = z.object({
+    name: z.string().regex(/^[a-z_][a-z0-9_]*$/).max(50),
+    source: z.enum(['measurement', 'attribute', 'group']).default('measurement'),
+    element_id: z.string().uuid().optional(),
+    group_id: z.string().uuid().optional(),
+    field: z.string().regex(/^[a-z][a-z0-9_]*$/).optional(),
+    attribute: z.string().regex(/^[a-z][a-z0-9_]*$/).optional(),
+    aggregate: z.enum(['sum', 'avg', 'min', 'max', 'count']).default('sum')
+}).superRefine((input, ctx) => {
+    if (input.source !== 'attribute' && !input.field) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Measurement and group inputs require a field', path: ['field'] });
+    }
+    if (input.source === 'attribute' && !input.attribute) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Attribute inputs require an attribute', path: ['attribute'] });
+    }
+    if (input.source === 'group' && !input.group_id) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Group inputs require a group_id', path: ['group_id'] });
+    }
+});
+
+const calculatedPointFields = {
+    name: z.string().min(1).max(255),
+    description: z.string().optional(),
+    element_id: z.string().uuid().nullable().optional(),
+    group_id: z.string().uuid().nullable().optional(),
+    field: z.string().regex(/^[a-z][a-z0-9_]*$/).max(50),
+    formula: z.string().min(1).max(1000),
+    inputs: z.array(calculatedInputSchema).min(1).max(50),
+    evaluate_on: z.enum(['ingest', 'schedule']).default('ingest'),
+    interval_s: z.number().int().min(1).max(86400).default(60),
+    unit: z.string().max(20).optional(),
+    enabled: z.boolean().default(true)
+};
+
+export const hasCalculatedTarget = (data) => Boolean(data.element_id) !== Boolean(data.group_id);
+
+export const calculatedPointSchema = z.object(calculatedPointFields).refine(hasCalculatedTarget, {
+    message: 'Set exactly one of element_id or group_id',
+    path: ['element_id']
+});
+
+// Target is checked against the merged row in the route
+export const updateCalculatedPointSchema = z.object(
+    Object.fromEntries(Object.entries(calculatedPointFields).map(([key, schema]) => [
+        key,
+        (schema instanceof z.ZodDefault ? schema.removeDefault() : schema).optional()
+    ]))
+);
+
+// Operator substitution or manual entry of a measured value
+export const substitutionSchema = z.object({
+    element_id: z.string().uuid(),
+    timestamp: z.string().datetime({ offset: true }).optional(),
+    quality: z.enum(['substituted', 'manual']).default('substituted'),
+    reason: z.string().min(1).max(500),
+    measurements: z.record(z.string().regex(/^[a-z][a-z0-9_]*$/), z.number())
+        .refine(data => Object.keys(data).length > 0, {
+            message: "At least one measurement is required"
+        })
 });
 
 // Connection schema
@@ -206,6 +511,205 @@ export const connectionSchema = z.object({
     is_connected: z.boolean().default(true)
 });
 
+// Alarm limit schemas
+const limitValue = z.number().nullable().optional();
+
+export const hasOrderedLimits = (data) => {
+    const ordered = ['low_trip', 'low_alarm', 'low_warning', 'high_warning', 'high_alarm', 'high_trip']
+        .map(key => data[key])
+        .filter(value => value !== null && value !== undefined);
+    return ordered.every((value, i) => i === 0 || ordered[i - 1] <= value);
+};
+
+const limitValuesSchema = z.object({
+    metric: z.string().regex(/^[a-z][a-z0-9_]*$/, { message: 'Invalid metric name' }).max(50),
+    low_trip: limitValue,
+    low_alarm: limitValue,
+    low_warning: limitValue,
+    high_warning: limitValue,
+    high_alarm: limitValue,
+    high_trip: limitValue,
+    deadband: z.number().nonnegative().optional(),
+    on_delay_seconds: z.number().int().nonnegative().optional(),
+    unit: z.string().max(20).optional(),
+    description: z.string().optional(),
+    enabled: z.boolean().optional()
+});
+
+export const limitSchema = limitValuesSchema.extend({
+    scope: z.enum(['type', 'element']),
+    element_type: z.enum(['load', 'generator', 'transformer', 'line', 'bus', 'breaker']).optional(),
+    element_id: z.string().uuid().optional()
+}).refine(data => data.scope === 'type' ? !!data.element_type && !data.element_id : !!data.element_id, {
+    message: 'Type limits require element_type, element limits require element_id',
+    path: ['scope']
+}).refine(hasOrderedLimits, {
+    message: 'Limits must be ordered low_trip <= low_alarm <= low_warning <= high_warning <= high_alarm <= high_trip',
+    path: ['metric']
+});
+
+// Ordering is checked against the merged row in the route
+export const updateLimitSchema = limitValuesSchema.omit({ metric: true }).partial();
+
+export const limitQuerySchema = z.object({
+    scope: z.enum(['type', 'element']).optional(),
+    element_type: z.enum(['load', 'generator', 'transformer', 'line', 'bus', 'breaker']).optional(),
+    element_id: z.string().uuid().optional(),
+    metric: z.string().optional()
+});
+
+// Shelving silences one alarm condition for a fixed time; the reason is mandatory
+export const MAX_SHELVE_MINUTES = parseInt(process.env.ALARM_SHELVE_MAX_MINUTES || '1440');
+
+const shelveFields = {
+    duration_minutes: z.number().int().min(1).max(MAX_SHELVE_MINUTES),
+    reason: z.string().trim().min(3, { message: 'A reason is required' }).max(1000)
+};
+
+export const shelveEventSchema = z.object(shelveFields);
+
+export const shelveAlarmSchema = z.object({
+    element_id: z.string().uuid(),
+    metric: z.string().regex(/^[a-z][a-z0-9_]*$/, { message: 'Invalid metric name' }).max(50),
+    ...shelveFields
+});
+
+export const shelfQuerySchema = z.object({
+    element_id: z.string().uuid().optional()
+});
+
+// Maintenance windows: alarms of the element are suppressed or downgraded while one is open
+export const MAINTENANCE_ALARM_ACTIONS = ['suppress', 'downgrade'];
+
+export const maintenanceWindowSchema = z.object({
+    element_id: z.string().uuid(),
+    starts_at: z.string().datetime({ offset: true }).optional(),
+    ends_at: z.string().datetime({ offset: true }),
+    alarm_action: z.enum(MAINTENANCE_ALARM_ACTIONS).default('suppress'),
+    reason: z.string().trim().max(1000).optional()
+}).refine(data => new Date(data.ends_at) > (data.starts_at ? new Date(data.starts_at) : new Date()), {
+    message: 'ends_at must be after starts_at and in the future',
+    path: ['ends_at']
+});
+
+export const maintenanceQuerySchema = z.object({
+    element_id: z.string().uuid().optional(),
+    state: z.enum(['current', 'open', 'scheduled', 'ended']).default('current'),
+    limit: z.coerce.number().int().min(1).max(1000).default(100)
+});
+
+// Alarm incidents (root-cause groups)
+export const alarmIncidentQuerySchema = z.object({
+    status: z.enum(['open', 'closed', 'all']).default('open'),
+    element_id: z.string().uuid().optional(),
+    limit: z.coerce.number().int().min(1).max(1000).default(100)
+});
+
+// Alarm escalation and notification
+export const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+export const NOTIFICATION_CHANNELS = ['email', 'webhook', 'sms'];
+
+const timeOfDaySchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, { message: 'Expected HH:MM' });
+
+const isTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+const escalationPolicyFields = {
+    name: z.string().min(1).max(255),
+    description: z.string().max(1000).nullable().optional(),
+    severities: z.array(z.enum(SEVERITIES)).default([]),
+    group_id: z.string().uuid().nullable().optional(),
+    days_of_week: z.array(z.number().int().min(1).max(7)).max(7).default([]),
+    active_from: timeOfDaySchema.nullable().optional(),
+    active_to: timeOfDaySchema.nullable().optional(),
+    timezone: z.string().refine(isTimeZone, { message: 'Unknown time zone' }).default('UTC'),
+    tiers: z.array(z.object({
+        delay_minutes: z.number().int().min(0).max(1440),
+        user_ids: z.array(z.string().uuid()).min(1).max(50)
+    })).min(1).max(10),
+    priority: z.number().int().min(0).max(1000).default(100),
+    enabled: z.boolean().default(true)
+};
+
+export const hasActiveHours = (data) => !data.active_from === !data.active_to;
+
+export const escalationPolicySchema = z.object(escalationPolicyFields).refine(hasActiveHours, {
+    message: 'Set both active_from and active_to, or neither',
+    path: ['active_to']
+});
+
+// Active hours are checked against the merged row in the route
+export const updateEscalationPolicySchema = z.object(
+    Object.fromEntries(Object.entries(escalationPolicyFields).map(([key, schema]) => [
+        key,
+        (schema instanceof z.ZodDefault ? schema.removeDefault() : schema).optional()
+    ]))
+);
+
+// user_preferences.notification_settings: how a user is notified of escalated alarms. email
+// defaults to the account address.
+export const notificationSettingsSchema = z.object({
+    enabled: z.boolean().default(true),
+    channels: z.array(z.enum(NOTIFICATION_CHANNELS)).max(NOTIFICATION_CHANNELS.length).default(['email']),
+    email: z.string().email().optional(),
+    phone: z.string().regex(/^\+?[0-9]{6,15}$/, { message: 'Expected a phone number in international format' }).optional(),
+    webhook_url: z.string().url().optional(),
+    min_severity: z.enum(SEVERITIES).default('low')
+}).refine(data => !data.channels.includes('sms') || data.phone, {
+    message: 'A phone number is required for SMS',
+    path: ['phone']
+}).refine(data => !data.channels.includes('webhook') || data.webhook_url, {
+    message: 'A webhook_url is required for webhook notifications',
+    path: ['webhook_url']
+});
+
+export const notificationQuerySchema = z.object({
+    event_id: z.string().uuid().optional(),
+    user_id: z.string().uuid().optional(),
+    status: z.enum(['pending', 'sent', 'failed']).optional(),
+    limit: z.coerce.number().int().min(1).max(1000).default(100)
+});
+
+// Outbound webhooks: platform events other systems can subscribe to
+export const WEBHOOK_EVENT_TYPES = [
+    'alarm.raised', 'alarm.cleared', 'alarm.acknowledged', 'alarm.resolved',
+    'element.created', 'element.updated', 'element.deleted',
+    'connection.changed',
+    'import.completed'
+];
+
+const webhookSubscriptionFields = {
+    name: z.string().min(1).max(255),
+    description: z.string().max(1000).nullable().optional(),
+    url: z.string().url().max(2000).refine(url => /^https?:\/\//i.test(url), { message: 'Expected an http or https URL' }),
+    event_types: z.array(z.enum(WEBHOOK_EVENT_TYPES)).min(1).transform(types => [...new Set(types)]),
+    enabled: z.boolean().default(true)
+};
+
+export const webhookSubscriptionSchema = z.object(webhookSubscriptionFields);
+
+export const updateWebhookSubscriptionSchema = z.object({
+    ...Object.fromEntries(Object.entries(webhookSubscriptionFields).map(([key, schema]) => [
+        key,
+        (schema instanceof z.ZodDefault ? schema.removeDefault() : schema).optional()
+    ])),
+    // Replace the signing secret; the new one is returned once
+    rotate_secret: z.boolean().optional()
+});
+
+export const webhookDeliveryQuerySchema = z.object({
+    subscription_id: z.string().uuid().optional(),
+    status: z.enum(['pending', 'delivered', 'dead']).optional(),
+    event_type: z.enum(WEBHOOK_EVENT_TYPES).optional(),
+    limit: z.coerce.number().int().min(1).max(1000).default(100)
+});
+
 // User schemas
 export const loginSchema = z.object({
     email: z.string().email(),
@@ -234,6 +738,58 @@ export const importConfigSchema = z.object({
     date_format: z.string().optional()
 });
 
+// Simulator run; speed is a multiple of real time while the simulated clock is behind
+export const simulatorStartSchema = z.object({
+    start_time: z.string().datetime({ offset: true }).optional(),
+    speed: z.number().min(1).max(3600).default(1),
+    interval_s: z.number().int().min(1).max(3600).default(10)
+});
+
+// Simulated fault; magnitude is a pu voltage drop for voltage_sag, a demand multiplier for
+// overload and a frequency offset in Hz for frequency_excursion
+export const simulatorFaultSchema = z.object({
+    type: z.enum(['generator_trip', 'voltage_sag', 'overload', 'frequency_excursion', 'comms_loss']),
+    element_id: z.string().uuid().optional(),
+    magnitude: z.number().finite().optional(),
+    delay_s: z.number().int().min(0).max(86400).default(0),
+    duration_s: z.number().int().min(1).max(86400).default(300)
+});
+
+// Sequence-of-events record: a digital state change stamped by the device, to the millisecond
+export const SOE_EVENT_TYPES = [
+    'breaker_open', 'breaker_close', 'breaker_intermediate',
+    'relay_pickup', 'relay_dropout', 'relay_trip', 'relay_reset'
+];
+
+export const soeEventSchema = z.object({
+    element_id: z.string().uuid(),
+    event_type: z.enum(SOE_EVENT_TYPES),
+    source_time: z.string().datetime({ offset: true }),
+    protection_function: z.string().max(50).optional(), // e.g. 51N, 21 Z1
+    phase: z.enum(['a', 'b', 'c', 'ab', 'bc', 'ca', 'abc', 'n']).optional(),
+    time_quality: z.enum(['source', 'invalid']).default('source'),
+    parameters: z.record(z.any()).default({})
+});
+
+export const soeBatchSchema = z.array(soeEventSchema).min(1).max(10000);
+
+// SOE viewer: events between start and stop, or within window_ms either side of around
+export const soeQuerySchema = z.object({
+    ...elementSelectionFields,
+    event_types: csvListSchema(z.enum(SOE_EVENT_TYPES)).optional(),
+    start: z.string().datetime({ offset: true }).optional(),
+    stop: z.string().datetime({ offset: true }).optional(),
+    around: z.string().datetime({ offset: true }).optional(),
+    window_ms: z.coerce.number().int().min(1).max(3600000).default(5000),
+    limit: z.coerce.number().int().min(1).max(10000).default(1000)
+}).refine(data => data.around || data.start, {
+    message: 'start or around is required',
+    path: ['start']
+}).refine(data => !(data.around && (data.start || data.stop)), {
+    message: 'around cannot be combined with start or stop',
+    path: ['around']
+});
+
 // Validation helper
 export const validate = (schema) => {
     return async (data) => {
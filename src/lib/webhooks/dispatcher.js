@@ -0,0 +1,228 @@
+// src/lib/webhooks/dispatcher.js
+// Outbound webhooks. A platform event is recorded as one delivery per enabled subscription to its
+// type, and a background job POSTs due deliveries signed with the subscription secret. Failures are
+// retried with exponential backoff until the last attempt moves the delivery to the dead-letter
+// list ('dead'). Every attempt is logged, and any delivery can be sent again.
+import { createHmac, randomBytes, randomUUID } from 'crypto';
+import { query } from '../db/postgres.js';
+import { WEBHOOK_EVENT_TYPES } from '../validation/schemas.js';
+import { NotFoundError, ConflictError } from '../utils/errors.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 3600;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+// A claimed delivery is left to its sender for this long, then retried
+const CLAIM_SECONDS = 60;
+// Deliveries sent concurrently per job run
+const DELIVERY_BATCH = 20;
+const LOGGED_RESPONSE_BYTES = 1024;
+// Subscription changes reach other API instances within this time
+const SUBSCRIBED_TYPES_TTL_MS = 30000;
+
+let subscribedTypes = null;
+let subscribedTypesLoadedAt = 0;
+
+// Event types some enabled subscription wants, so unsubscribed events cost no query
+const getSubscribedTypes = async () => {
+    if (!subscribedTypes || Date.now() - subscribedTypesLoadedAt > SUBSCRIBED_TYPES_TTL_MS) {
+        const result = await query('SELECT DISTINCT unnest(event_types) AS type FROM webhook_subscriptions WHERE enabled');
+        subscribedTypes = new Set(result.rows.map(row => row.type));
+        subscribedTypesLoadedAt = Date.now();
+    }
+    return subscribedTypes;
+};
+
+// Drop the cached subscribed types after subscriptions are changed
+export const invalidateWebhookSubscriptions = () => {
+    subscribedTypes = null;
+};
+
+export const generateWebhookSecret = () => `whsec_${randomBytes(32).toString('base64url')}`;
+
+// X-Webhook-Signature value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" under the
+// secret>. Receivers recompute it over the raw body and reject old timestamps to stop replays.
+export const signWebhook = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+    `t=${timestamp},v1=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Record a platform event ({ id, type, created_at, data } is what receivers get) for every
+// subscriber. Failures are logged, never thrown, so webhooks cannot fail the change itself.
+export const emitPlatformEvent = async (type, data) => {
+    if (!WEBHOOK_EVENT_TYPES.includes(type)) return;
+
+    try {
+        if (!(await getSubscribedTypes()).has(type)) return;
+
+        const eventId = randomUUID();
+        await query(`
+            INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload)
+            SELECT id, $1, $2, $3
+            FROM webhook_subscriptions
+            WHERE enabled AND $2 = ANY(event_types)
+        `, [eventId, type, JSON.stringify({ id: eventId, type, created_at: new Date().toISOString(), data })]);
+    } catch (error) {
+        console.error(`Webhook event ${type} not recorded:`, error.message);
+    }
+};
+
+// Take due deliveries of enabled subscriptions for sending, with their URL and secret
+const claimDeliveries = async () => {
+    const result = await query(`
+        UPDATE webhook_deliveries d
+        SET next_attempt_at = NOW() + make_interval(secs => $1)
+        FROM webhook_subscriptions s
+        WHERE s.id = d.subscription_id AND d.id IN (
+            SELECT pending.id
+            FROM webhook_deliveries pending
+            JOIN webhook_subscriptions enabled ON enabled.id = pending.subscription_id AND enabled.enabled
+            WHERE pending.status = 'pending' AND pending.next_attempt_at <= NOW()
+            ORDER BY pending.next_attempt_at
+            LIMIT $2
+            FOR UPDATE OF pending SKIP LOCKED
+        )
+        RETURNING d.*, s.url, s.secret
+    `, [CLAIM_SECONDS, DELIVERY_BATCH]);
+    return result.rows;
+};
+
+// POST a claimed delivery, log the attempt and schedule a retry or dead-letter it on failure
+const attemptDelivery = async (delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+    let statusCode = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'GridMonitor-Webhooks/1.0',
+                'X-Webhook-Id': delivery.event_id,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Event': delivery.event_type,
+                'X-Webhook-Signature': signWebhook(delivery.secret, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        statusCode = response.status;
+        responseBody = (await response.text()).slice(0, LOGGED_RESPONSE_BYTES);
+        if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (failure) {
+        error = failure.cause?.message || failure.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    await query(`
+        INSERT INTO webhook_delivery_attempts (delivery_id, status_code, error, duration_ms, response_body)
+        VALUES ($1, $2, $3, $4, $5)
+    `, [delivery.id, statusCode, error, Date.now() - started, responseBody]);
+
+    const result = await query(`
+        UPDATE webhook_deliveries
+        SET attempts = $2,
+            last_status_code = $3,
+            last_error = $4,
+            status = CASE WHEN $4::text IS NULL THEN 'delivered' WHEN $2 >= $5 THEN 'dead' ELSE 'pending' END,
+            delivered_at = CASE WHEN $4::text IS NULL THEN NOW() END,
+            next_attempt_at = NOW() + make_interval(secs => $6)
+        WHERE id = $1
+        RETURNING *
+    `, [
+        delivery.id,
+        attempts,
+        statusCode,
+        error,
+        MAX_ATTEMPTS,
+        Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS)
+    ]);
+
+    if (error) {
+        console.error(`Webhook ${delivery.event_type} to ${delivery.url} failed (attempt ${attempts}):`, error);
+    }
+    return result.rows[0];
+};
+
+// Background job: send due deliveries
+export const deliverWebhooks = async () => {
+    const claimed = await claimDeliveries();
+    await Promise.all(claimed.map(attemptDelivery));
+    return claimed.length;
+};
+
+// Queue a delivery to be sent again from the first attempt, e.g. from the dead-letter list
+export const redeliverWebhook = async (deliveryId) => {
+    const result = await query(`
+        UPDATE webhook_deliveries
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW(), delivered_at = NULL
+        WHERE id = $1 AND status <> 'pending'
+        RETURNING *
+    `, [deliveryId]);
+
+    const delivery = result.rows[0];
+    if (!delivery) {
+        const existing = await query('SELECT id FROM webhook_deliveries WHERE id = $1', [deliveryId]);
+        if (existing.rows.length === 0) throw new NotFoundError('Webhook delivery');
+        throw new ConflictError('This delivery is already queued');
+    }
+    return delivery;
+};
+
+// Queue every dead-lettered delivery of a subscription again; returns how many
+export const redeliverDeadWebhooks = async (subscriptionId) => {
+    const result = await query(`
+        UPDATE webhook_deliveries
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+        WHERE subscription_id = $1 AND status = 'dead'
+    `, [subscriptionId]);
+    return result.rowCount;
+};
+
+// Delivery log, newest first, optionally of one subscription, status or event type
+export const listWebhookDeliveries = async ({ subscription_id: subscriptionId, status, event_type: eventType, limit }) => {
+    const params = [];
+    const conditions = [];
+    for (const [column, value] of [['subscription_id', subscriptionId], ['status', status], ['event_type', eventType]]) {
+        if (value) {
+            params.push(value);
+            conditions.push(`d.${column} = $${params.length}`);
+        }
+    }
+
+    params.push(limit);
+    const result = await query(`
+        SELECT d.*, s.name AS subscription_name, s.url
+        FROM webhook_deliveries d
+        JOIN webhook_subscriptions s ON s.id = d.subscription_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY d.created_at DESC
+        LIMIT $${params.length}
+    `, params);
+
+    return result.rows;
+};
+
+// A delivery with every attempt made
+export const getWebhookDelivery = async (deliveryId) => {
+    const result = await query(`
+        SELECT d.*, s.name AS subscription_name, s.url
+        FROM webhook_deliveries d
+        JOIN webhook_subscriptions s ON s.id = d.subscription_id
+        WHERE d.id = $1
+    `, [deliveryId]);
+
+    const delivery = result.rows[0];
+    if (!delivery) throw new NotFoundError('Webhook delivery');
+
+    const attempts = await query(`
+        SELECT attempted_at, status_code, error, duration_ms, response_body
+        FROM webhook_delivery_attempts
+        WHERE delivery_id = $1
+        ORDER BY attempted_at
+    `, [deliveryId]);
+
+    return { ...delivery, attempt_log: attempts.rows };
+};